@@ -334,7 +334,7 @@ export const CONFIG = {
   VALIDATION_ENABLED: true,
 
   // File validation
-  ALLOWED_EXTENSIONS: ['.json', '.mdx', '.md', '.jsx', '.tsx'],
+  ALLOWED_EXTENSIONS: ['.json', '.yml', '.yaml', '.toml', '.mdx', '.md', '.jsx', '.tsx'],
   MAX_FILE_SIZE: 5 * 1024 * 1024 // 5MB
 };
 `;
@@ -370,7 +370,7 @@ const CONFIG = {
   VALIDATION_ENABLED: true,
 
   // File validation
-  ALLOWED_EXTENSIONS: ['.json', '.mdx', '.md', '.jsx', '.tsx'],
+  ALLOWED_EXTENSIONS: ['.json', '.yml', '.yaml', '.toml', '.mdx', '.md', '.jsx', '.tsx'],
   MAX_FILE_SIZE: 5 * 1024 * 1024 // 5MB
 };
 
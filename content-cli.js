@@ -7,6 +7,18 @@
 
 import path from 'path';
 import { ContentFetcher } from './src/core/content-fetcher.js';
+import { WebhookServer } from './src/core/webhook-server.js';
+import { redactString } from './src/utils/redact.js';
+import { getWebhookSettings } from './src/utils/config.js';
+import {
+  formatDiffTable,
+  formatDiffMarkdown,
+} from './src/utils/content-diff.js';
+import { formatBackupTable } from './src/utils/backups.js';
+import {
+  formatValidationReport,
+  summarizeValidation,
+} from './src/utils/validation-report.js';
 
 /**
  * Advanced CLI for content management operations
@@ -40,6 +52,7 @@ export class ContentCLI {
     this.options.json = args.includes('--json');
     this.options.force = args.includes('--force');
     this.options.watch = args.includes('--watch');
+    this.options.frozen = args.includes('--frozen');
 
     try {
       await this.initialize();
@@ -72,6 +85,18 @@ export class ContentCLI {
         case 'platform':
           return await this.platform();
 
+        case 'serve-webhook':
+          return await this.serveWebhook(commandArgs);
+
+        case 'diff':
+          return await this.diff(commandArgs);
+
+        case 'backup':
+          return await this.backup(commandArgs);
+
+        case 'validate':
+          return await this.validate(commandArgs);
+
         case 'help':
         case '--help':
         case '-h':
@@ -102,6 +127,10 @@ export class ContentCLI {
   async fetch() {
     this.log('🚀 Fetching content...', 'info');
 
+    if (this.options.watch && this.options.frozen) {
+      throw new Error('--frozen cannot be combined with --watch');
+    }
+
     // Handle watch mode
     if (this.options.watch) {
       this.log('👀 Starting repository watcher...', 'info');
@@ -126,9 +155,7 @@ export class ContentCLI {
       // Get initial commit hash for comparison
       let lastKnownCommit;
       try {
-        const configPath = path.resolve(process.cwd(), 'content.config.js');
-        const { CONFIG } = await import(configPath);
-        lastKnownCommit = await this.manager.gitService.getRemoteCommitHash(CONFIG.REPO_URL, CONFIG.BRANCH);
+        lastKnownCommit = await this.manager.repositoryManager.getCurrentCommitHash();
         this.log(`🔍 Monitoring commit: ${lastKnownCommit?.substring(0, 8)}...`, 'info');
       } catch (error) {
         this.log(`❌ Failed to get initial commit hash: ${error.message}`, 'error');
@@ -146,7 +173,8 @@ export class ContentCLI {
         try {
           const configPath = path.resolve(process.cwd(), 'content.config.js');
           const { CONFIG } = await import(configPath);
-          const currentCommit = await this.manager.gitService.getRemoteCommitHash(CONFIG.REPO_URL, CONFIG.BRANCH);
+          // Resolves REF (tag, SHA or semver range) or falls back to BRANCH
+          const currentCommit = await this.manager.repositoryManager.getCurrentCommitHash();
 
           // Clear memory cache to ensure fresh data
           this.manager.cacheService.memoryCache?.clear();
@@ -184,6 +212,7 @@ export class ContentCLI {
               } else {
                 // Interactive mode - ask user for permission
                 this.log('📋 New content is available. Would you like to update?', 'info');
+                this.log('   Run "content-cli diff" to see what changed', 'info');
                 
                 // Check if we're in a TTY environment that supports raw mode
                 if (process.stdin.isTTY && typeof process.stdin.setRawMode === 'function') {
@@ -292,7 +321,9 @@ export class ContentCLI {
 
     // Normal single-run mode
     const startTime = Date.now();
-    const result = await this.manager.fetchContent(this.options.force);
+    const result = await this.manager.fetchContent(this.options.force, {
+      frozen: this.options.frozen,
+    });
     const duration = Date.now() - startTime;
 
     if (result) {
@@ -672,6 +703,168 @@ export class ContentCLI {
     return report;
   }
 
+  /**
+   * Serve webhook command
+   * Runs an HTTP receiver for push webhooks instead of polling the remote
+   */
+  async serveWebhook(args) {
+    const option = name => {
+      const index = args.indexOf(name);
+      return index === -1 ? undefined : args[index + 1];
+    };
+
+    const settings = getWebhookSettings();
+    const server = new WebhookServer({
+      fetcher: this.manager,
+      port: Number(option('--port') ?? settings.port),
+      host: option('--host') ?? settings.host,
+      path: option('--path') ?? settings.path,
+      secret: settings.secret,
+      validate: settings.validate,
+    });
+
+    const { address, port } = await server.start();
+    this.log(
+      `🪝 Listening for GitHub, GitLab and Gitea push webhooks on http://${address}:${port}${server.path}`,
+      'success'
+    );
+    if (!settings.validate) {
+      this.log('⚠️  Signature validation is disabled', 'warning');
+    }
+    this.log('📝 Press Ctrl+C to stop...', 'info');
+
+    process.on('SIGINT', async () => {
+      this.log('\n🛑 Stopping webhook server...', 'info');
+      await server.stop();
+      this.log('✅ Webhook server stopped.', 'success');
+      process.exit(0);
+    });
+
+    return server;
+  }
+
+  /**
+   * Diff command
+   * Shows the content changes between the installed commit and the remote
+   * head, or between two refs, grouped by content mapping
+   */
+  async diff(args) {
+    const repositoryIndex = args.indexOf('--repo');
+    const repository =
+      repositoryIndex === -1 ? undefined : args[repositoryIndex + 1];
+    const refs = args.filter(
+      (arg, index) =>
+        !arg.startsWith('-') &&
+        (repositoryIndex === -1 || index !== repositoryIndex + 1)
+    );
+    if (refs.length > 2) {
+      throw new Error(
+        'Usage: content-cli diff [<from> [<to>]] [--repo <name>]'
+      );
+    }
+
+    const diffs = await this.manager.diffContent({
+      from: refs[0],
+      to: refs[1],
+      repository,
+    });
+
+    if (this.options.json) {
+      console.log(JSON.stringify(diffs, null, 2));
+    } else if (args.includes('--markdown')) {
+      console.log(redactString(formatDiffMarkdown(diffs)));
+    } else {
+      console.log(redactString(formatDiffTable(diffs)));
+    }
+
+    return diffs;
+  }
+
+  /**
+   * Backup management command
+   */
+  async backup(args) {
+    const repositoryIndex = args.indexOf('--repo');
+    const repository =
+      repositoryIndex === -1 ? undefined : args[repositoryIndex + 1];
+    const [subcommand, id] = args.filter(
+      (arg, index) =>
+        !arg.startsWith('-') &&
+        (repositoryIndex === -1 || index !== repositoryIndex + 1)
+    );
+
+    switch (subcommand) {
+      case 'list': {
+        const backups = await this.manager.listBackups({ repository });
+        if (this.options.json) {
+          console.log(JSON.stringify(backups, null, 2));
+        } else {
+          console.log(formatBackupTable(backups));
+        }
+        return backups;
+      }
+
+      case 'restore': {
+        if (!id) {
+          throw new Error(
+            'Usage: content-cli backup restore <id> [--repo <name>]'
+          );
+        }
+        const backup = await this.manager.restoreBackup(id, { repository });
+        const commit = backup.commit
+          ? ` (${backup.commit.substring(0, 8)})`
+          : '';
+        this.log(`✅ Restored backup ${backup.id}${commit}`, 'success');
+        this.log(
+          '   Run "content-cli fetch" to return to the latest content',
+          'info'
+        );
+        return backup;
+      }
+
+      case 'prune': {
+        const removed = await this.manager.pruneBackups({ repository });
+        if (removed.length === 0) {
+          this.log('✅ No expired backups', 'success');
+        }
+        return removed;
+      }
+
+      default:
+        this.log(
+          'Usage: content-cli backup [list|restore <id>|prune] [--repo <name>]',
+          'info'
+        );
+        break;
+    }
+  }
+
+  /**
+   * Validate command
+   * Checks the content of the configured ref (schemas, markdown and MDX
+   * syntax, selective entries) without installing it
+   */
+  async validate(args) {
+    const repositoryIndex = args.indexOf('--repo');
+    const repository =
+      repositoryIndex === -1 ? undefined : args[repositoryIndex + 1];
+
+    const results = await this.manager.validateContent({ repository });
+
+    if (this.options.json) {
+      console.log(JSON.stringify(results, null, 2));
+    } else {
+      console.log(formatValidationReport(results));
+    }
+
+    const { errors } = summarizeValidation(results);
+    if (errors > 0) {
+      throw new Error(`Content validation found ${errors} error(s)`);
+    }
+
+    return results;
+  }
+
   /**
    * Show help
    */
@@ -691,6 +884,10 @@ COMMANDS:
   plugins        Manage plugins (list, enable, disable, stats)
   performance    Show performance analysis
   platform       Show platform compatibility information
+  serve-webhook  Update content on GitHub/GitLab/Gitea push webhooks
+  diff           Show content changes between the installed commit and the remote
+  backup         Manage content backups (list, restore <id>, prune)
+  validate       Check the remote content (schemas, MDX syntax) without installing it
   test           Run system tests
   help           Show this help message
   version        Show version information
@@ -698,13 +895,24 @@ COMMANDS:
 OPTIONS:
   --force        Force operation (bypass cache)
   --watch        Watch mode - monitor repository for changes
+  --frozen       Install the commits in content.lock.json, fail if it is out of date
   --verbose, -v  Verbose output
   --json         Output in JSON format
+  --port, --host, --path  Webhook listener address (serve-webhook)
+  --repo <name>  Limit diff, backup or validate to one repository
+  --markdown     Output diff as markdown
 
 EXAMPLES:
   content-cli fetch --force
+  content-cli fetch --frozen
   content-cli fetch --watch
   content-cli fetch --watch --force
+  content-cli serve-webhook --port 9000
+  content-cli diff
+  content-cli diff v1.2.0 v1.3.0 --markdown
+  content-cli backup list
+  content-cli backup restore 20261019-101500-3f2a9c1b
+  content-cli validate --json
   content-cli status --json
   content-cli cache clear
   content-cli plugins list
@@ -735,7 +943,7 @@ For more information, visit: https://github.com/jantonca/git-files-sync
     };
 
     const color = colors[type] || colors.info;
-    console.log(`${color}${message}${colors.reset}`);
+    console.log(`${color}${redactString(message)}${colors.reset}`);
   }
 
   /**
@@ -25,6 +25,6 @@ export const CONFIG = {
   VALIDATION_ENABLED: true,
 
   // File validation
-  ALLOWED_EXTENSIONS: ['.json', '.mdx', '.md', '.jsx', '.tsx'],
+  ALLOWED_EXTENSIONS: ['.json', '.yml', '.yaml', '.toml', '.mdx', '.md', '.jsx', '.tsx'],
   MAX_FILE_SIZE: 5 * 1024 * 1024 // 5MB
 };
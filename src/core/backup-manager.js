@@ -1,78 +1,295 @@
 /**
  * Backup Manager - Handles backup and recovery operations
  * Extracted from content-fetcher.js for better separation of concerns
+ *
+ * Every backup is a timestamped directory under the repository's BACKUP_DIR
+ * holding a copy of the files each mapping owns in its destination, the
+ * install manifest and a backup.json describing the content commit it contains
  */
 
-import { CONFIG } from '../utils/config.js';
+import path from 'path';
+import { getRepositories, getBackupSettings } from '../utils/config.js';
+import {
+  BACKUP_METADATA_FILE,
+  createBackupId,
+  selectExpiredBackups,
+} from '../utils/backups.js';
 
 export class BackupManager {
   constructor(options = {}) {
     this.fileService = options.fileService;
+    this.contentInstaller = options.contentInstaller;
+    this.frameworkAdapter = options.frameworkAdapter;
+    this.settings = options.settings || getBackupSettings();
   }
 
   /**
-   * Create backup using FileService
+   * Create a versioned backup of the installed content and apply retention
+   * @param {object} repository - Repository context (defaults to the primary repository)
+   * @param {object} options - { commit: commit of the installed content }
+   * @returns {Promise<object|null>} Backup metadata, or null when there is nothing to back up
    */
-  async createBackup() {
-    const folders = Object.values(CONFIG.CONTENT_MAPPING).map(
-      mapping => mapping.destination || mapping
-    );
+  async createBackup(repository = getRepositories()[0], options = {}) {
+    if (!this.settings.enabled) {
+      return null;
+    }
 
-    const result = await this.fileService.createBackup(
-      folders,
-      CONFIG.BACKUP_DIR
+    const manifest = await this.contentInstaller.readManifest(repository);
+    const owned = new Map();
+    for (const entry of this.getMappingEntries(repository)) {
+      const files = await this.contentInstaller.listInstalledFiles(
+        entry.destinationPath,
+        entry.mapping,
+        manifest?.mappings?.[entry.key]
+      );
+      if (files.length > 0) {
+        owned.set(entry.destinationPath, files);
+      }
+    }
+
+    if (owned.size === 0) {
+      return null;
+    }
+
+    const createdAt = new Date();
+    const baseId = createBackupId(createdAt, options.commit);
+    let id = baseId;
+    let suffix = 1;
+    while (this.fileService.exists(this.getBackupPath(repository, id))) {
+      id = `${baseId}-${++suffix}`;
+    }
+
+    const backupPath = this.getBackupPath(repository, id);
+    const files = [...owned.values()].flat();
+    for (const file of files) {
+      if (
+        !(await this.fileService.copy(
+          file,
+          this.getBackupCopyPath(backupPath, file)
+        ))
+      ) {
+        await this.fileService.remove(backupPath);
+        console.warn(`⚠️  Backup of ${file} failed, no backup created`);
+        return null;
+      }
+    }
+
+    if (this.fileService.exists(repository.MANIFEST_PATH)) {
+      await this.fileService.copy(
+        repository.MANIFEST_PATH,
+        path.join(backupPath, 'manifest.json')
+      );
+    }
+
+    const metadata = {
+      id,
+      repository: repository.name,
+      commit: options.commit || null,
+      createdAt: createdAt.toISOString(),
+      destinations: [...owned.keys()],
+      fileCount: files.length,
+    };
+    await this.fileService.write(
+      path.join(backupPath, BACKUP_METADATA_FILE),
+      `${JSON.stringify(metadata, null, 2)}\n`
     );
 
-    if (result) {
-      console.log('💾 Created content backup');
+    console.log(`💾 Created content backup ${id}`);
+
+    await this.pruneBackups(repository);
+
+    return metadata;
+  }
+
+  /**
+   * List a repository's backups, newest first
+   * Directories without backup metadata (e.g. pre-versioning backups) are skipped
+   * @param {object} repository - Repository context (defaults to the primary repository)
+   * @returns {Promise<object[]>} Backup metadata
+   */
+  async listBackups(repository = getRepositories()[0]) {
+    const backups = [];
+
+    for (const entry of await this.fileService.listDirectory(
+      repository.BACKUP_DIR
+    )) {
+      const metadataPath = path.join(
+        this.getBackupPath(repository, entry),
+        BACKUP_METADATA_FILE
+      );
+      if (!this.fileService.exists(metadataPath)) continue;
+
+      try {
+        backups.push(JSON.parse(await this.fileService.read(metadataPath)));
+      } catch (error) {
+        console.warn(`⚠️  Ignoring backup ${entry}: ${error.message}`);
+      }
     }
 
-    return result;
+    return backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
   }
 
   /**
-   * Restore from backup using FileService
+   * Restore a backup over the current content
+   * Each destination is rebuilt next to the live one - its unowned files
+   * plus the backed up ones - and swapped in, so a failed restore keeps the
+   * current content
+   * @param {object} repository - Repository context (defaults to the primary repository)
+   * @param {string|null} id - Backup id (defaults to the latest backup)
+   * @returns {Promise<object|null>} Restored backup metadata, or null when there are no backups
    */
-  async restoreBackup() {
-    const result = await this.fileService.restoreBackup(CONFIG.BACKUP_DIR, '.');
+  async restoreBackup(repository = getRepositories()[0], id = null) {
+    const backups = await this.listBackups(repository);
+    const backup = id ? backups.find(entry => entry.id === id) : backups[0];
+
+    if (!backup) {
+      if (id) {
+        throw new Error(`Unknown backup "${id}" for "${repository.name}"`);
+      }
+      return null;
+    }
+
+    const backupPath = this.getBackupPath(repository, backup.id);
+    const entries = this.getMappingEntries(repository);
+    const manifest = await this.contentInstaller.readManifest(repository);
+    for (const folder of backup.destinations) {
+      const source = this.getBackupCopyPath(backupPath, folder);
+      const restoring = path.join(
+        path.dirname(folder),
+        `.${path.basename(folder)}.restoring`
+      );
+      // Destinations no longer mapped are replaced as a whole
+      const entry = entries.find(
+        candidate =>
+          path.resolve(candidate.destinationPath) === path.resolve(folder)
+      );
+
+      await this.fileService.remove(restoring);
+      if (entry && this.fileService.exists(folder)) {
+        await this.fileService.copy(folder, restoring);
+        await this.contentInstaller.removeOwnedFiles(
+          restoring,
+          entry.mapping,
+          manifest?.mappings?.[entry.key]
+        );
+      }
+      if (!(await this.fileService.copy(source, restoring))) {
+        await this.fileService.remove(restoring);
+        throw new Error(`Could not restore ${folder} from backup ${backup.id}`);
+      }
+      await this.fileService.remove(folder);
+      if (!(await this.fileService.move(restoring, folder))) {
+        throw new Error(`Could not restore ${folder} from backup ${backup.id}`);
+      }
+    }
 
-    if (result) {
-      console.log('🔄 Restored content from backup');
+    const manifestPath = path.join(backupPath, 'manifest.json');
+    if (this.fileService.exists(manifestPath)) {
+      await this.fileService.copy(manifestPath, repository.MANIFEST_PATH);
     }
 
-    return result;
+    console.log(`🔄 Restored content from backup ${backup.id}`);
+    return backup;
   }
 
   /**
-   * Clean old content using FileService with progress tracking
+   * Remove backups outside the retention policy (count and age)
+   * @param {object} repository - Repository context (defaults to the primary repository)
+   * @param {object} options - Override settings ({ maxCount, retentionDays, now })
+   * @returns {Promise<object[]>} Removed backups
    */
-  async cleanOldContent() {
-    const folders = Object.values(CONFIG.CONTENT_MAPPING).map(
-      mapping => mapping.destination || mapping
+  async pruneBackups(repository = getRepositories()[0], options = {}) {
+    const expired = selectExpiredBackups(await this.listBackups(repository), {
+      ...this.settings,
+      ...options,
+    });
+
+    for (const backup of expired) {
+      await this.fileService.remove(this.getBackupPath(repository, backup.id));
+    }
+
+    if (expired.length > 0) {
+      console.log(`🧹 Removed ${expired.length} expired backup(s)`);
+    }
+
+    return expired;
+  }
+
+  /**
+   * Get the directory of a backup
+   * @param {object} repository - Repository context
+   * @param {string} id - Backup id
+   * @returns {string} Backup directory
+   */
+  getBackupPath(repository, id) {
+    return path.join(repository.BACKUP_DIR, id);
+  }
+
+  /**
+   * Get where a project path is stored inside a backup
+   * @param {string} backupPath - Backup directory
+   * @param {string} filePath - Project path
+   * @returns {string} Path inside the backup
+   */
+  getBackupCopyPath(backupPath, filePath) {
+    return path.join(
+      backupPath,
+      'content',
+      path.relative(process.cwd(), path.resolve(filePath))
     );
+  }
+
+  /**
+   * Get the normalized mappings of a repository with their destination paths
+   * @param {object} repository - Repository context
+   * @returns {object[]} [{ key, mapping, destinationPath }]
+   */
+  getMappingEntries(repository) {
+    return Object.entries(repository.CONTENT_MAPPING).map(([key, mapping]) => {
+      const normalized = this.contentInstaller.normalizeMapping(mapping, key);
+      return {
+        key,
+        mapping: normalized,
+        destinationPath: this.frameworkAdapter.transformContentPath(
+          normalized.destination
+        ),
+      };
+    });
+  }
+
+  /**
+   * Clean old content using FileService with progress tracking
+   * Only the files each mapping owns are removed
+   * @param {object} repository - Repository context (defaults to the primary repository)
+   */
+  async cleanOldContent(repository = getRepositories()[0]) {
+    const entries = this.getMappingEntries(repository);
+    const manifest = await this.contentInstaller.readManifest(repository);
 
     console.log('🗑️  Removing old content...');
 
     let completed = 0;
     const startTime = Date.now();
 
-    for (const folder of folders) {
-      if (this.fileService.exists(folder)) {
-        await this.fileService.remove(folder, { recursive: true });
-      }
+    for (const { key, mapping, destinationPath } of entries) {
+      await this.contentInstaller.removeOwnedFiles(
+        destinationPath,
+        mapping,
+        manifest?.mappings?.[key]
+      );
 
       completed++;
-      const progress = Math.round((completed / folders.length) * 100);
+      const progress = Math.round((completed / entries.length) * 100);
       const elapsed = Date.now() - startTime;
       const eta =
-        folders.length > completed
+        entries.length > completed
           ? Math.round(
-              ((elapsed / completed) * (folders.length - completed)) / 1000
+              ((elapsed / completed) * (entries.length - completed)) / 1000
             )
           : 0;
 
       console.log(
-        `📊 Cleanup: ${progress}% (${completed}/${folders.length}) ETA: ${eta}s`
+        `📊 Cleanup: ${progress}% (${completed}/${entries.length}) ETA: ${eta}s`
       );
     }
 
@@ -82,41 +299,41 @@ export class BackupManager {
   }
 
   /**
-   * Check if backup exists
+   * Get destination folders of a repository's content mapping
+   * @param {object} repository - Repository context
+   * @returns {string[]} Destination folders
    */
-  backupExists() {
-    return this.fileService.exists(CONFIG.BACKUP_DIR);
+  getDestinationFolders(repository) {
+    return this.getMappingEntries(repository).map(
+      entry => entry.destinationPath
+    );
   }
 
   /**
-   * Get backup info (size, date, etc.)
+   * Check if backup exists
+   * @param {object} repository - Repository context (defaults to the primary repository)
    */
-  async getBackupInfo() {
-    if (!this.backupExists()) {
-      return null;
-    }
-
-    try {
-      const files = await this.fileService.getFilesRecursively(
-        CONFIG.BACKUP_DIR
-      );
-      return {
-        exists: true,
-        fileCount: files ? files.length : 0,
-        path: CONFIG.BACKUP_DIR,
-      };
-    } catch (error) {
-      console.warn(`⚠️  Could not get backup info: ${error.message}`);
-      return null;
-    }
+  backupExists(repository = getRepositories()[0]) {
+    return this.fileService.exists(repository.BACKUP_DIR);
   }
 
   /**
-   * Clean up old backups (keep only latest)
+   * Get info about the latest backup (id, commit, file count, path)
+   * @param {object} repository - Repository context (defaults to the primary repository)
    */
-  async cleanupOldBackups() {
-    // This could be enhanced to keep multiple backups with rotation
-    // For now, just log that cleanup would happen here
-    console.log('🧹 Backup cleanup would occur here (placeholder)');
+  async getBackupInfo(repository = getRepositories()[0]) {
+    const [latest] = await this.listBackups(repository);
+    if (!latest) {
+      return null;
+    }
+
+    return {
+      exists: true,
+      id: latest.id,
+      commit: latest.commit,
+      createdAt: latest.createdAt,
+      fileCount: latest.fileCount,
+      path: this.getBackupPath(repository, latest.id),
+    };
   }
 }
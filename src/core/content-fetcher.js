@@ -15,7 +15,16 @@ import {
   PerformanceManager,
 } from '../services/index.js';
 import { GitIgnoreManager } from '../utils/gitignore.js';
-import { CONFIG } from '../utils/config.js';
+import { redactString } from '../utils/redact.js';
+import {
+  groupChangesByMapping,
+  summarizeChanges,
+} from '../utils/content-diff.js';
+import {
+  CONFIG,
+  getRepositories,
+  getRepositorySettings,
+} from '../utils/config.js';
 import {
   PluginManager,
   PerformancePlugin,
@@ -27,6 +36,10 @@ import { ContentManager } from './content-manager.js';
 import { ContentInstaller } from './content-installer.js';
 import { RepositoryManager } from './repository-manager.js';
 import { BackupManager } from './backup-manager.js';
+import { LockfileManager } from './lockfile-manager.js';
+import { TransformPipeline } from './transform-pipeline.js';
+import { SearchIndexer } from './search-indexer.js';
+import { NavigationBuilder } from './navigation-builder.js';
 
 /**
  * Content Fetcher - Main orchestrator with modular architecture
@@ -79,6 +92,12 @@ export class ContentFetcher {
     this.contentInstaller = null;
     this.repositoryManager = null;
     this.backupManager = null;
+    this.lockfileManager = null;
+    this.searchIndexer = null;
+    this.navigationBuilder = null;
+
+    // Per-repository results of the last fetch
+    this.repositoryReports = [];
 
     // Performance tracking
     this.metrics = {
@@ -113,12 +132,10 @@ export class ContentFetcher {
     await this.performanceManager.initialize();
 
     // Initialize modular components with dependencies
-    this.contentManager = new ContentManager({
+    this.transformPipeline = new TransformPipeline({
       fileService: this.fileService,
       cacheService: this.cacheService,
-      gitService: this.gitService,
-      gitIgnoreManager: this.gitIgnoreManager,
-      frameworkAdapter: this.frameworkAdapter,
+      pluginManager: this.pluginManager,
     });
 
     this.contentInstaller = new ContentInstaller({
@@ -126,6 +143,17 @@ export class ContentFetcher {
       cacheService: this.cacheService,
       performanceManager: this.performanceManager,
       frameworkAdapter: this.frameworkAdapter,
+      transformPipeline: this.transformPipeline,
+      validationService: this.validationService,
+    });
+
+    this.contentManager = new ContentManager({
+      fileService: this.fileService,
+      cacheService: this.cacheService,
+      gitService: this.gitService,
+      gitIgnoreManager: this.gitIgnoreManager,
+      frameworkAdapter: this.frameworkAdapter,
+      contentInstaller: this.contentInstaller,
     });
 
     this.repositoryManager = new RepositoryManager({
@@ -135,6 +163,28 @@ export class ContentFetcher {
 
     this.backupManager = new BackupManager({
       fileService: this.fileService,
+      contentInstaller: this.contentInstaller,
+      frameworkAdapter: this.frameworkAdapter,
+    });
+
+    this.lockfileManager = new LockfileManager({
+      fileService: this.fileService,
+      cacheService: this.cacheService,
+      contentInstaller: this.contentInstaller,
+      frameworkAdapter: this.frameworkAdapter,
+    });
+
+    this.searchIndexer = new SearchIndexer({
+      fileService: this.fileService,
+      cacheService: this.cacheService,
+      contentInstaller: this.contentInstaller,
+      frameworkAdapter: this.frameworkAdapter,
+    });
+
+    this.navigationBuilder = new NavigationBuilder({
+      fileService: this.fileService,
+      contentInstaller: this.contentInstaller,
+      frameworkAdapter: this.frameworkAdapter,
     });
 
     // Register built-in plugins
@@ -149,166 +199,238 @@ export class ContentFetcher {
 
   /**
    * Main content fetch method with all optimizations
+   * Each configured repository is cache-validated, cloned and installed
+   * independently; per-repository results are available via getRepositoryReports()
+   * Successful fetches update content.lock.json; with `frozen` the locked
+   * commits are installed instead and verified against the locked file hashes
+   * @param {boolean} forceUpdate - Bypass cache validation
+   * @param {object} options - { frozen }
    */
-  async fetchContent(forceUpdate = false) {
-    this.metrics.startTime = Date.now();
+  async fetchContent(forceUpdate = false, options = {}) {
+    const { frozen = false } = options;
+    const startTime = Date.now();
+    this.metrics.startTime = startTime;
     this.metrics.operationsCount++;
 
-    try {
-      // Check if repository is configured
-      if (!CONFIG.REPO_URL || CONFIG.REPO_URL.trim() === '') {
-        console.log('ℹ️  No content repository configured.');
-        console.log('   Content fetcher running in local-only mode.');
-        console.log(
-          '   To set up git files sync, run: ./git-files-sync/setup.sh'
-        );
-        return true;
-      }
+    // Check if any repository is configured
+    let repositories = getRepositories().filter(
+      repository => repository.REPO_URL.trim() !== ''
+    );
+
+    if (repositories.length === 0) {
+      console.log('ℹ️  No content repository configured.');
+      console.log('   Content fetcher running in local-only mode.');
+      console.log(
+        '   To set up git files sync, run: ./git-files-sync/setup.sh'
+      );
+      return true;
+    }
+
+    // Frozen installs use the locked commits and always reinstall
+    let lock = null;
+    if (frozen) {
+      lock = await this.lockfileManager.read();
+      this.lockfileManager.assertMatchesConfig(repositories, lock);
+      repositories = repositories.map(repository =>
+        this.lockfileManager.pinRepository(repository, lock)
+      );
+      console.log(
+        `🔒 Installing locked commits from ${this.lockfileManager.lockfilePath}`
+      );
+    }
+
+    // Clear cache if force update
+    if (forceUpdate || frozen) {
+      console.log(
+        `🗑️  Clearing cache due to ${frozen ? 'frozen install' : 'force flag'}...`
+      );
+      await this.cacheService.clear();
+    }
+
+    // Execute pre-fetch hooks
+    await this.pluginManager.executeHook('before-fetch', {
+      forceUpdate,
+      config: CONFIG,
+    });
+
+    const { maxConcurrent, failOnError } = getRepositorySettings();
+    const { results } = await this.performanceManager.executeConcurrent(
+      repositories,
+      repository => this.fetchRepository(repository, forceUpdate || frozen),
+      { concurrency: maxConcurrent, cache: false }
+    );
+
+    this.repositoryReports = results
+      .sort((a, b) => a.index - b.index)
+      .map(({ result }) => result);
+
+    // Update gitignore once with the destinations of every repository
+    await this.executeWithHooks('update-gitignore', () =>
+      this.contentManager.updateGitignoreWithContent()
+    );
+
+    // Rebuild the local search index from the installed content
+    await this.executeWithHooks('build-search-index', () =>
+      this.searchIndexer.buildIndex()
+    );
+
+    // Regenerate navigation trees of mappings with a `navigation` option
+    await this.executeWithHooks('build-navigation', () =>
+      this.navigationBuilder.buildNavigation()
+    );
+
+    if (repositories.length > 1) {
+      this.logRepositoryReports(this.repositoryReports);
+    }
+    this.logFetchWarnings(this.repositoryReports);
 
-      // Clear cache if force update
-      if (forceUpdate) {
-        console.log('🗑️  Clearing cache due to force flag...');
-        await this.cacheService.clear();
+    const failed = this.repositoryReports.filter(
+      report => report.status === 'failed'
+    );
+
+    // Frozen installs must reproduce every locked commit, so any failure
+    // fails the run whatever FAIL_ON_REPO_ERROR says
+    if (
+      failed.length > 0 &&
+      (failOnError || frozen || repositories.length === 1)
+    ) {
+      throw failed[0].error;
+    }
+
+    if (frozen) {
+      for (const repository of repositories) {
+        await this.lockfileManager.verifyInstalledFiles(repository, lock);
       }
+      console.log('✅ Installed content matches the lockfile');
+    } else {
+      await this.executeWithHooks('update-lockfile', () =>
+        this.lockfileManager.write(repositories, this.repositoryReports)
+      );
+    }
 
-      // Execute pre-fetch hooks
-      await this.pluginManager.executeHook('before-fetch', {
-        forceUpdate,
-        config: CONFIG,
-      });
+    // Execute post-fetch hooks
+    await this.pluginManager.executeHook('after-fetch', {
+      success: failed.length === 0,
+      metrics: this.getMetrics(),
+      repositories: this.repositoryReports,
+    });
+
+    this.metrics.fetchTime = Date.now() - startTime;
+
+    console.log(`🚀 Content fetch completed in ${this.metrics.fetchTime}ms`);
+
+    return true;
+  }
+
+  /**
+   * Fetch a single repository: cache validation, clone, install and commit tracking
+   * @param {object} repository - Repository context
+   * @param {boolean} forceUpdate - Bypass cache validation
+   * @returns {Promise<object>} Repository report (never throws)
+   */
+  async fetchRepository(repository, forceUpdate = false) {
+    const startTime = Date.now();
+    const report = {
+      name: repository.name,
+      repoUrl: redactString(repository.REPO_URL),
+      branch: repository.BRANCH,
+      ref: repository.REF || repository.BRANCH,
+      status: 'updated',
+      commitHash: null,
+      submodules: [],
+      warnings: [],
+      duration: 0,
+      error: null,
+    };
+    let backup = null;
 
+    try {
       // Smart cache validation
-      if (!forceUpdate && (await this.contentManager.isContentUpToDate())) {
-        console.log('✅ Content is up-to-date (cached validation)');
-        
-        // Ensure gitignore is updated even when content is cached
-        await this.executeWithHooks('update-gitignore', () =>
-          this.contentManager.updateGitignoreWithContent()
+      if (
+        !forceUpdate &&
+        (await this.contentManager.isContentUpToDate(repository))
+      ) {
+        console.log(
+          `✅ Content is up-to-date (cached validation)${this.describeRepository(repository)}`
         );
-        
         this.metrics.cacheHits++;
-        return true;
+
+        const cachedInfo = await this.cacheService.getCachedRepositoryInfo(
+          repository.REPO_URL
+        );
+        report.status = 'cached';
+        report.commitHash = cachedInfo?.commitHash || null;
+        report.submodules = cachedInfo?.submodules || [];
+        report.duration = Date.now() - startTime;
+        return report;
       }
 
       // Additional safety check
       if (!forceUpdate) {
-        try {
-          const contentExists = await this.contentManager.checkContentExists();
-          const cachedInfo = await this.cacheService.getCachedRepositoryInfo(
-            CONFIG.REPO_URL
-          );
-
-          if (contentExists === true && cachedInfo) {
-            const currentCommit =
-              await this.repositoryManager.getCurrentCommitHash();
-            console.log(
-              `🔍 Checking commits: cached=${cachedInfo.commitHash?.substring(0, 8)} vs current=${currentCommit?.substring(0, 8)}`
-            );
-
-            if (cachedInfo.commitHash === currentCommit) {
-              console.log(
-                '✅ Content exists and is up-to-date, skipping fetch'
-              );
-              
-              // Ensure gitignore is updated even when content is cached
-              await this.executeWithHooks('update-gitignore', () =>
-                this.contentManager.updateGitignoreWithContent()
-              );
-              
-              this.metrics.cacheHits++;
-              return true;
-            } else {
-              console.log('🔄 Commits differ, using safe update method...');
-              const result = await this.updateContentSafely();
-              if (result) {
-                console.log(
-                  '✅ Content updated safely without removing existing files'
-                );
-                return true;
-              }
-            }
-          } else if (contentExists === true && !cachedInfo) {
-            console.log(
-              '🔄 Content exists but no cache info, using safe update method...'
-            );
-            const result = await this.updateContentSafely();
-            if (result) {
-              console.log(
-                '✅ Content updated safely without removing existing files'
-              );
-              return true;
-            }
-          } else if (contentExists === 'partial') {
-            console.log(
-              '🔄 Detected partial content, using safe update method to preserve existing files...'
-            );
-            const result = await this.updateContentSafely();
-            if (result) {
-              console.log(
-                '✅ Content updated safely without removing existing files'
-              );
-              return true;
-            }
-          }
-        } catch (error) {
-          console.warn('⚠️  Failed to perform safety check:', error.message);
-          if (!forceUpdate) {
-            console.log(
-              '🛑 Aborting fetch due to safety check failure (use --force to override)'
-            );
-            throw new Error(`Safety check failed: ${error.message}`);
-          }
+        const safeResult = await this.runSafetyCheck(repository);
+        if (safeResult) {
+          report.status = safeResult.status;
+          report.commitHash = safeResult.commitHash;
+          report.submodules = safeResult.submodules;
+          report.warnings = safeResult.warnings || [];
+          report.duration = Date.now() - startTime;
+          return report;
         }
       }
 
       console.log(
-        '🚀 Proceeding with full content fetch (no existing content or force mode)...'
+        `🚀 Proceeding with full content fetch (no existing content or force mode)${this.describeRepository(repository)}...`
       );
       this.metrics.cacheMisses++;
 
       // Enhanced workflow with hooks
-      await this.executeWithHooks('backup', () =>
-        this.backupManager.createBackup()
+      const lock = await this.lockfileManager.read().catch(() => null);
+      const installedCommit = await this.getInstalledCommit(
+        repository,
+        lock
+      ).catch(() => null);
+      backup = await this.executeWithHooks('backup', () =>
+        this.backupManager.createBackup(repository, {
+          commit: installedCommit,
+        })
       );
-      await this.executeWithHooks('clean', () =>
-        this.backupManager.cleanOldContent()
+      const commitHash = await this.executeWithHooks('clone', () =>
+        this.repositoryManager.cloneRepository(repository)
       );
-      await this.executeWithHooks('clone', () =>
-        this.repositoryManager.cloneRepository()
-      );
-      await this.executeWithHooks('install', () =>
-        this.contentInstaller.installContentConcurrent()
+      // Old content is replaced by the staged install, not removed up front
+      const installed = await this.executeWithHooks('install', () =>
+        this.contentInstaller.installContentConcurrent(repository, {
+          clean: true,
+        })
       );
       await this.executeWithHooks('cleanup-temp', () =>
-        this.repositoryManager.cleanupTempDirectory()
-      );
-      await this.executeWithHooks('update-gitignore', () =>
-        this.contentManager.updateGitignoreWithContent()
+        this.repositoryManager.cleanupTempDirectory(repository)
       );
 
       // Cache validation data for future runs
-      await this.contentManager.cacheValidationData();
-
-      // Execute post-fetch hooks
-      await this.pluginManager.executeHook('after-fetch', {
-        success: true,
-        metrics: this.getMetrics(),
+      const submodules =
+        await this.repositoryManager.getSubmoduleCommits(repository);
+      await this.contentManager.cacheValidationData(repository, commitHash, {
+        submodules,
       });
 
-      this.metrics.fetchTime = Date.now() - this.metrics.startTime;
-
-      console.log(`🚀 Content fetch completed in ${this.metrics.fetchTime}ms`);
-
-      return true;
+      report.commitHash = commitHash;
+      report.submodules = submodules;
+      report.warnings = installed.warnings;
+      report.duration = Date.now() - startTime;
+      return report;
     } catch (error) {
       // Execute error hooks
       await this.pluginManager.executeHook('error', error);
 
-      console.error('❌ Content fetch failed:', error.message);
+      console.error(
+        `❌ Content fetch failed${this.describeRepository(repository)}:`,
+        error.message
+      );
 
       // Clean up temp directory even on error
       try {
-        await this.repositoryManager.cleanupTempDirectory();
+        await this.repositoryManager.cleanupTempDirectory(repository);
       } catch (cleanupError) {
         console.warn(
           '⚠️  Failed to clean up temp directory:',
@@ -316,44 +438,130 @@ export class ContentFetcher {
         );
       }
 
-      // Attempt to restore backup on error
-      await this.backupManager.restoreBackup();
-      throw error;
+      // Attempt to restore this run's backup on error
+      if (backup) {
+        await this.backupManager
+          .restoreBackup(repository, backup.id)
+          .catch(restoreError =>
+            console.warn('⚠️  Failed to restore backup:', restoreError.message)
+          );
+      }
+
+      report.status = 'failed';
+      report.error = error;
+      report.duration = Date.now() - startTime;
+      return report;
     }
   }
 
+  /**
+   * Compare existing content against the remote commit and update safely
+   * @param {object} repository - Repository context
+   * @returns {Promise<object|null>} { status, commitHash, submodules, warnings } when handled, null to fall through to a full fetch
+   */
+  async runSafetyCheck(repository) {
+    try {
+      const contentExists =
+        await this.contentManager.checkContentExists(repository);
+      const cachedInfo = await this.cacheService.getCachedRepositoryInfo(
+        repository.REPO_URL
+      );
+
+      if (contentExists === true && cachedInfo) {
+        const currentCommit =
+          await this.repositoryManager.getCurrentCommitHash(repository);
+        console.log(
+          `🔍 Checking commits: cached=${cachedInfo.commitHash?.substring(0, 8)} vs current=${currentCommit?.substring(0, 8)}`
+        );
+
+        if (cachedInfo.commitHash === currentCommit) {
+          console.log('✅ Content exists and is up-to-date, skipping fetch');
+          this.metrics.cacheHits++;
+          return {
+            status: 'cached',
+            commitHash: currentCommit,
+            submodules: cachedInfo.submodules || [],
+          };
+        }
+
+        console.log('🔄 Commits differ, using safe update method...');
+      } else if (contentExists === true && !cachedInfo) {
+        console.log(
+          '🔄 Content exists but no cache info, using safe update method...'
+        );
+      } else if (contentExists === 'partial') {
+        console.log(
+          '🔄 Detected partial content, using safe update method to preserve existing files...'
+        );
+      } else {
+        return null;
+      }
+    } catch (error) {
+      console.warn('⚠️  Failed to perform safety check:', error.message);
+      console.log(
+        '🛑 Aborting fetch due to safety check failure (use --force to override)'
+      );
+      throw new Error(`Safety check failed: ${error.message}`);
+    }
+
+    const commitHash = await this.updateContentSafely(repository);
+    console.log('✅ Content updated safely, unmanaged files kept');
+
+    const updatedInfo = await this.cacheService.getCachedRepositoryInfo(
+      repository.REPO_URL
+    );
+    const plans = await this.contentInstaller.getInstallPlans(repository);
+    return {
+      status: 'updated',
+      commitHash,
+      submodules: updatedInfo?.submodules || [],
+      warnings: [
+        ...(await this.contentInstaller.getMappingWarnings(repository, plans)),
+        ...(await this.contentInstaller.getLinkWarnings(
+          repository,
+          null,
+          plans
+        )),
+      ],
+    };
+  }
+
   /**
    * Safely update content without destructive cleanup (for watch mode)
+   * @param {object} repository - Repository context (defaults to the primary repository)
+   * @returns {Promise<string|null>} Installed commit hash
    */
-  async updateContentSafely() {
+  async updateContentSafely(repository = getRepositories()[0]) {
     this.metrics.startTime = Date.now();
 
     try {
       console.log('🔄 Performing safe content update...');
 
-      // Clear all caches to ensure we get the latest commit
-      await this.cacheService.clear();
+      // Clear cached content hashes to ensure we get the latest commit
+      await this.cacheService.clear(`content-mappings-${repository.name}`);
+      await this.cacheService.clear('content-hashes');
 
       // Execute pre-fetch hooks
       await this.pluginManager.executeHook('before-fetch', {
         forceUpdate: false,
         config: CONFIG,
+        repository: repository.name,
         safeMode: true,
       });
 
       // Clone repository to temp directory
-      await this.executeWithHooks('clone', () =>
-        this.repositoryManager.cloneRepository()
+      const commitHash = await this.executeWithHooks('clone', () =>
+        this.repositoryManager.cloneRepository(repository)
       );
 
       // Install content without backup/cleanup
       await this.executeWithHooks('install', () =>
-        this.contentInstaller.installContentConcurrent()
+        this.contentInstaller.installContentConcurrent(repository)
       );
 
       // Clean up temporary directory
       await this.executeWithHooks('cleanup-temp', () =>
-        this.repositoryManager.cleanupTempDirectory()
+        this.repositoryManager.cleanupTempDirectory(repository)
       );
 
       // Update gitignore with managed content paths
@@ -361,19 +569,32 @@ export class ContentFetcher {
         this.contentManager.updateGitignoreWithContent()
       );
 
+      await this.executeWithHooks('build-search-index', () =>
+        this.searchIndexer.buildIndex()
+      );
+
+      await this.executeWithHooks('build-navigation', () =>
+        this.navigationBuilder.buildNavigation()
+      );
+
       // Cache validation data for future runs
-      await this.contentManager.cacheValidationData();
+      const submodules =
+        await this.repositoryManager.getSubmoduleCommits(repository);
+      await this.contentManager.cacheValidationData(repository, commitHash, {
+        submodules,
+      });
 
       // Execute post-fetch hooks
       await this.pluginManager.executeHook('after-fetch', {
         success: true,
         metrics: this.getMetrics(),
+        repository: repository.name,
         safeMode: true,
       });
 
       this.metrics.fetchTime = Date.now() - this.metrics.startTime;
 
-      return true;
+      return commitHash;
     } catch (error) {
       // Execute error hooks
       await this.pluginManager.executeHook('error', error);
@@ -382,7 +603,7 @@ export class ContentFetcher {
 
       // Clean up temp directory on error
       try {
-        await this.repositoryManager.cleanupTempDirectory();
+        await this.repositoryManager.cleanupTempDirectory(repository);
       } catch (cleanupError) {
         console.warn(
           '⚠️  Failed to clean up temp directory:',
@@ -394,6 +615,90 @@ export class ContentFetcher {
     }
   }
 
+  /**
+   * Record a repository's installed commit in the lockfile after an update
+   * outside fetchContent() (e.g. a webhook), keeping the other entries
+   * @param {object} repository - Repository context
+   * @param {string} commitHash - Installed commit, from updateContentSafely()
+   * @returns {Promise<boolean>} True if the lockfile changed
+   */
+  async updateLockfileEntry(repository, commitHash) {
+    const cachedInfo = await this.cacheService.getCachedRepositoryInfo(
+      repository.REPO_URL
+    );
+
+    return await this.executeWithHooks('update-lockfile', () =>
+      this.lockfileManager.write(getRepositories(), [
+        {
+          name: repository.name,
+          status: 'updated',
+          commitHash,
+          submodules: cachedInfo?.submodules || [],
+        },
+      ])
+    );
+  }
+
+  /**
+   * Get per-repository reports from the last fetchContent() run
+   * @returns {object[]} Repository reports
+   */
+  getRepositoryReports() {
+    return this.repositoryReports;
+  }
+
+  /**
+   * Log a per-repository summary for multi-repository fetches
+   * @param {object[]} reports - Repository reports
+   */
+  logRepositoryReports(reports) {
+    const icons = { updated: '✅', cached: '💾', failed: '❌' };
+
+    console.log('📋 Repository summary:');
+    for (const report of reports) {
+      const commit = report.commitHash
+        ? ` @ ${report.commitHash.substring(0, 8)}`
+        : '';
+      const error = report.error ? ` - ${report.error.message}` : '';
+      const warnings =
+        report.warnings.length > 0
+          ? ` (${report.warnings.length} warning(s))`
+          : '';
+      console.log(
+        `   ${icons[report.status]} ${report.name} (${report.branch})${commit}: ${report.status} in ${report.duration}ms${warnings}${error}`
+      );
+    }
+  }
+
+  /**
+   * Log the mapping warnings of a fetch, e.g. selective entries matching nothing
+   * @param {object[]} reports - Repository reports
+   */
+  logFetchWarnings(reports) {
+    const warnings = reports.flatMap(report =>
+      report.warnings.map(warning => ({ ...warning, repository: report.name }))
+    );
+    if (warnings.length === 0) {
+      return;
+    }
+
+    console.warn(`⚠️  ${warnings.length} content mapping warning(s):`);
+    for (const warning of warnings) {
+      const repository =
+        warning.repository === 'default' ? '' : ` [${warning.repository}]`;
+      console.warn(`   - ${warning.mapping}${repository}: ${warning.message}`);
+    }
+  }
+
+  /**
+   * Format a repository name suffix for log messages
+   * @param {object} repository - Repository context
+   * @returns {string} Suffix (empty for single-repository configs)
+   */
+  describeRepository(repository) {
+    return repository.name === 'default' ? '' : ` [${repository.name}]`;
+  }
+
   /**
    * Execute operation with plugin hooks
    */
@@ -455,8 +760,15 @@ export class ContentFetcher {
 
   /**
    * Clear cache
+   * Clearing everything also removes the repository mirrors
    */
   async clearCache(namespace = null) {
+    if (!namespace && this.repositoryManager) {
+      for (const repository of getRepositories()) {
+        await this.repositoryManager.removeMirror(repository);
+      }
+    }
+
     return await this.cacheService.clear(namespace);
   }
 
@@ -545,30 +857,36 @@ export class ContentFetcher {
   }
 
   /**
-   * Check if there are changes in the remote repository
+   * Check if there are changes in any configured remote repository
    * @returns {Promise<boolean>} True if changes detected
    */
   async checkForRepositoryChanges() {
     try {
-      // Get cached repository info
-      const cachedInfo = await this.cacheService.getCachedRepositoryInfo(CONFIG.REPO_URL);
-      
-      if (!cachedInfo) {
-        // No cache, assume changes
-        return true;
-      }
+      for (const repository of getRepositories()) {
+        // Get cached repository info
+        const cachedInfo = await this.cacheService.getCachedRepositoryInfo(
+          repository.REPO_URL
+        );
 
-      // Get current remote commit hash
-      const currentCommit = await this.repositoryManager.getCurrentCommitHash();
-      
-      // Compare with cached commit
-      const hasChanges = cachedInfo.commitHash !== currentCommit;
-      
-      if (hasChanges) {
-        console.log(`🔄 Commit changed: ${cachedInfo.commitHash?.substring(0, 8)} → ${currentCommit?.substring(0, 8)}`);
+        if (!cachedInfo) {
+          // No cache, assume changes
+          return true;
+        }
+
+        // Get current remote commit hash
+        const currentCommit =
+          await this.repositoryManager.getCurrentCommitHash(repository);
+
+        // Compare with cached commit
+        if (cachedInfo.commitHash !== currentCommit) {
+          console.log(
+            `🔄 Commit changed${this.describeRepository(repository)}: ${cachedInfo.commitHash?.substring(0, 8)} → ${currentCommit?.substring(0, 8)}`
+          );
+          return true;
+        }
       }
-      
-      return hasChanges;
+
+      return false;
     } catch (error) {
       console.warn('⚠️  Error checking repository changes:', error.message);
       // On error, assume no changes to avoid excessive fetching
@@ -576,6 +894,215 @@ export class ContentFetcher {
     }
   }
 
+  /**
+   * Compare the mapped content of two commits for each repository
+   * Without refs the installed commit is compared with the remote head of the
+   * configured REF; refs may be branches, tags, full SHAs or semver ranges
+   * @param {object} options - { from, to, repository: limit to this repository name }
+   * @returns {Promise<object[]>} [{ name, repoUrl, from, to, mappings, summary }]
+   */
+  async diffContent(options = {}) {
+    const repositories = this.selectRepositories(options.repository);
+    const lock = options.from
+      ? null
+      : await this.lockfileManager.read().catch(() => null);
+    const diffs = [];
+
+    for (const repository of repositories) {
+      const git = this.repositoryManager.getGitService(repository);
+      const from = options.from
+        ? (await git.resolveRef(repository.REPO_URL, options.from)).commitHash
+        : await this.getInstalledCommit(repository, lock);
+      const to = options.to
+        ? (await git.resolveRef(repository.REPO_URL, options.to)).commitHash
+        : await this.repositoryManager.getCurrentCommitHash(repository);
+
+      const changes =
+        from === to
+          ? []
+          : await this.repositoryManager.diffCommits(repository, from, to);
+      const mappings = groupChangesByMapping(
+        changes,
+        Object.entries(repository.CONTENT_MAPPING).map(([key, mapping]) => {
+          const normalized = this.contentInstaller.normalizeMapping(
+            mapping,
+            key
+          );
+          return {
+            key,
+            ...normalized,
+            destination: this.frameworkAdapter.transformContentPath(
+              normalized.destination
+            ),
+          };
+        })
+      );
+
+      diffs.push({
+        name: repository.name,
+        repoUrl: redactString(repository.REPO_URL),
+        from,
+        to,
+        mappings,
+        summary: summarizeChanges(mappings.flatMap(mapping => mapping.changes)),
+      });
+    }
+
+    return diffs;
+  }
+
+  /**
+   * Check the content each repository would install, without installing it
+   * The repository mirror is brought to the configured ref; destinations,
+   * the cache and the lockfile are left alone
+   * @param {object} options - { repository: limit to one repository by name }
+   * @returns {Promise<object[]>} [{ name, commitHash, warnings }], warnings
+   *   from ContentInstaller.getMappingWarnings() and getLinkWarnings()
+   */
+  async validateContent(options = {}) {
+    const results = [];
+
+    for (const repository of this.selectRepositories(options.repository)) {
+      const commitHash =
+        await this.repositoryManager.cloneRepository(repository);
+      // Links resolve against the current destinations plus the new files
+      const plans = await this.contentInstaller.getInstallPlans(repository);
+      const warnings = [
+        ...(await this.contentInstaller.getMappingWarnings(repository, plans)),
+        ...(await this.contentInstaller.getLinkWarnings(
+          repository,
+          null,
+          plans
+        )),
+      ];
+
+      results.push({ name: repository.name, commitHash, warnings });
+    }
+
+    return results;
+  }
+
+  /**
+   * Get the commit currently installed for a repository
+   * The cache reflects the latest install (including watch and webhook
+   * updates); the lockfile covers checkouts where the cache is gone
+   * @param {object} repository - Repository context
+   * @param {object|null} lock - Parsed lockfile
+   * @returns {Promise<string>} Installed commit SHA
+   */
+  async getInstalledCommit(repository, lock = null) {
+    const cachedInfo = await this.cacheService.getCachedRepositoryInfo(
+      repository.REPO_URL
+    );
+    const commit =
+      cachedInfo?.commitHash || lock?.repositories?.[repository.name]?.commit;
+
+    if (!commit) {
+      throw new Error(
+        `No installed commit known for "${repository.name}"; run "content-cli fetch" or pass the refs to compare`
+      );
+    }
+
+    return commit;
+  }
+
+  /**
+   * Get the configured repositories, optionally limited to one by name
+   * @param {string|null} name - Repository name
+   * @returns {object[]} Repository contexts
+   */
+  selectRepositories(name = null) {
+    const repositories = getRepositories().filter(
+      repository => repository.REPO_URL.trim() !== ''
+    );
+
+    if (!name) {
+      return repositories;
+    }
+
+    const selected = repositories.filter(
+      repository => repository.name === name
+    );
+    if (selected.length === 0) {
+      throw new Error(`Unknown repository "${name}"`);
+    }
+    return selected;
+  }
+
+  /**
+   * List content backups, newest first
+   * @param {object} options - { repository: limit to this repository name }
+   * @returns {Promise<object[]>} Backup metadata
+   */
+  async listBackups(options = {}) {
+    const backups = [];
+    for (const repository of this.selectRepositories(options.repository)) {
+      backups.push(...(await this.backupManager.listBackups(repository)));
+    }
+    return backups.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Restore a content backup by id
+   * The cached installed commit is set to the backup's commit, so status,
+   * diff and the next fetch see the restored content
+   * @param {string} id - Backup id
+   * @param {object} options - { repository: limit to this repository name }
+   * @returns {Promise<object>} Restored backup metadata
+   */
+  async restoreBackup(id, options = {}) {
+    const matches = [];
+    for (const repository of this.selectRepositories(options.repository)) {
+      const backups = await this.backupManager.listBackups(repository);
+      if (backups.some(backup => backup.id === id)) {
+        matches.push(repository);
+      }
+    }
+
+    if (matches.length === 0) {
+      throw new Error(`Unknown backup "${id}"; run "content-cli backup list"`);
+    }
+    if (matches.length > 1) {
+      throw new Error(
+        `Backup "${id}" exists for several repositories; pass --repo <name>`
+      );
+    }
+
+    const [repository] = matches;
+    const backup = await this.backupManager.restoreBackup(repository, id);
+
+    // Installed files no longer match the cached hashes
+    await this.cacheService.clear('content-hashes');
+    if (backup.commit) {
+      const cachedInfo = await this.cacheService.getCachedRepositoryInfo(
+        repository.REPO_URL
+      );
+      await this.cacheService.cacheRepositoryInfo(repository.REPO_URL, {
+        ...cachedInfo,
+        commitHash: backup.commit,
+        repository: repository.name,
+        timestamp: Date.now(),
+      });
+    } else {
+      await this.cacheService.clearRepositoryInfo(repository.REPO_URL);
+    }
+
+    return backup;
+  }
+
+  /**
+   * Remove content backups outside the retention policy
+   * @param {object} options - { repository: limit to this repository name }
+   * @returns {Promise<object[]>} Removed backups
+   */
+  async pruneBackups(options = {}) {
+    const removed = [];
+    for (const repository of this.selectRepositories(options.repository)) {
+      removed.push(...(await this.backupManager.pruneBackups(repository)));
+    }
+    return removed;
+  }
+
   /**
    * Get comprehensive status information
    */
@@ -747,7 +1274,9 @@ if (import.meta.url === `file://${process.argv[1]}`) {
 
       if (watchMode) {
         console.log('👀 Starting repository watcher...');
-        console.log(`📡 Monitoring: ${CONFIG.REPO_URL} (${CONFIG.BRANCH})`);
+        console.log(
+          `📡 Monitoring: ${redactString(CONFIG.REPO_URL)} (${CONFIG.BRANCH})`
+        );
 
         // In watch mode, don't do initial content fetch unless forced
         if (forceUpdate) {
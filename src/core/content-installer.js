@@ -4,7 +4,43 @@
  */
 
 import path from 'path';
-import { CONFIG } from '../utils/config.js';
+import { getRepositories, getValidationSettings } from '../utils/config.js';
+import {
+  DATA_FORMATS,
+  MARKDOWN_EXTENSIONS,
+  convertToJson,
+} from '../utils/content-data.js';
+import { findLfsPointers } from '../utils/lfs.js';
+import { createGlobFilter, isGlobPattern, matchesGlob } from '../utils/glob.js';
+import { findBrokenReferences } from '../utils/links.js';
+import { normalizeMapping } from '../utils/mapping-normalizer.js';
+import { findPathCollisions, rewritePath } from '../utils/path-rewrite.js';
+import { ValidationService } from '../services/validation.js';
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * Convert a path to forward slashes for the install manifest
+ * @param {string} filePath - Path
+ * @returns {string} POSIX path
+ */
+function toPosixPath(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+/**
+ * Get a hidden sibling of a destination, e.g. src/content/.docs.staging
+ * Siblings live on the same filesystem, so swapping them in is a rename
+ * @param {string} destinationPath - Destination path
+ * @param {string} suffix - Sibling suffix
+ * @returns {string} Sibling path
+ */
+function getSiblingPath(destinationPath, suffix) {
+  return path.join(
+    path.dirname(destinationPath),
+    `.${path.basename(destinationPath)}.${suffix}`
+  );
+}
 
 export class ContentInstaller {
   constructor(options = {}) {
@@ -12,65 +48,462 @@ export class ContentInstaller {
     this.cacheService = options.cacheService;
     this.performanceManager = options.performanceManager;
     this.frameworkAdapter = options.frameworkAdapter;
+    this.transformPipeline = options.transformPipeline;
+    this.validationService =
+      options.validationService || new ValidationService();
   }
 
   /**
    * Install content with concurrent processing (Phase 3)
+   * Every mapping is installed into a staging sibling of its destination,
+   * validated, and only then swapped into place, so a failed install leaves
+   * the previous content untouched
+   * @param {object} repository - Repository context (defaults to the primary repository)
+   * @param {object} options - { clean: stage from scratch instead of from the current content }
    */
-  async installContentConcurrent() {
+  async installContentConcurrent(
+    repository = getRepositories()[0],
+    options = {}
+  ) {
     console.log('📦 Installing content with enhanced performance...');
 
-    const mappings = Object.entries(CONFIG.CONTENT_MAPPING);
-
-    // Process mappings concurrently
-    const results = await this.performanceManager.executeConcurrent(
-      mappings,
-      async ([key, mapping]) => {
-        await this.installSingleMappingEnhanced(key, mapping);
-        return { key, mapping, success: true };
-      },
-      {
-        concurrency: 5,
-        cache: true,
-        cacheNamespace: 'content-mappings',
-        onProgress: progress => {
-          if (progress.percentage % 20 === 0) {
-            console.log(`📊 Installation progress: ${progress.percentage}%`);
-          }
+    const mappings = Object.entries(repository.CONTENT_MAPPING);
+
+    // Every stage below shares one plan per mapping
+    const plans = await this.getInstallPlans(repository);
+
+    // Unmatched entries and schema errors of strict mappings stop the
+    // install before anything is staged
+    const warnings = await this.getMappingWarnings(repository, plans);
+    this.reportMappingWarnings(warnings);
+
+    const staged = await this.stageDestinations(repository, options);
+
+    try {
+      // Process mappings concurrently. Results are not cached: a skipped
+      // mapping would leave its staging directory empty
+      const results = await this.performanceManager.executeConcurrent(
+        mappings,
+        async ([key, mapping]) => {
+          await this.installSingleMappingEnhanced(
+            key,
+            mapping,
+            repository,
+            staged[key].stagingPath,
+            plans[key]
+          );
+          return { key, mapping, success: true };
         },
+        {
+          concurrency: 5,
+          cache: false,
+          onProgress: progress => {
+            if (progress.percentage % 20 === 0) {
+              console.log(`📊 Installation progress: ${progress.percentage}%`);
+            }
+          },
+        }
+      );
+
+      if (results.errors.length > 0) {
+        throw new Error(
+          `${results.errors.length} content mapping(s) failed to install: ${results.errors[0].error}`
+        );
+      }
+
+      await this.installAssets(repository, staged, plans);
+
+      // Propagate upstream deletions and renames
+      const owned = await this.getOwnedFiles(repository, plans);
+      await this.validateStagedContent(repository, owned, staged);
+      const pruned = await this.pruneRemovedFiles(repository, owned, staged);
+
+      // Links are resolved against the tree as it will be after the swap
+      const linkWarnings = await this.getLinkWarnings(
+        repository,
+        staged,
+        plans
+      );
+      this.reportMappingWarnings(linkWarnings);
+      warnings.push(...linkWarnings);
+
+      await this.swapStagedContent(staged);
+      await this.writeManifest(repository, owned);
+
+      console.log(`✅ Installed ${results.results.length} content mappings`);
+
+      return {
+        success: true,
+        results: results.results,
+        errors: results.errors,
+        filesProcessed: results.results.length,
+        pruned,
+        warnings,
+      };
+    } catch (error) {
+      await this.discardStagedContent(staged);
+      throw error;
+    }
+  }
+
+  /**
+   * Prepare a staging directory next to each mapping's destination
+   * Staging starts as a copy of the current content, so unmanaged files
+   * survive the swap; with `clean` the files the mapping owns are removed
+   * from it first. Leftovers of an interrupted run are cleaned up first
+   * @param {object} repository - Repository context
+   * @param {object} options - { clean }
+   * @returns {Promise<object>} { [key]: { destinationPath, stagingPath, previousPath } }
+   */
+  async stageDestinations(repository, { clean = false } = {}) {
+    const staged = {};
+    const manifest = clean ? await this.readManifest(repository) : null;
+
+    for (const [key, mapping] of Object.entries(repository.CONTENT_MAPPING)) {
+      const normalizedMapping = this.normalizeMapping(mapping, key);
+      const destinationPath = this.frameworkAdapter.transformContentPath(
+        normalizedMapping.destination
+      );
+      const entry = {
+        destinationPath,
+        stagingPath: getSiblingPath(destinationPath, 'staging'),
+        previousPath: getSiblingPath(destinationPath, 'previous'),
+      };
+
+      await this.recoverInterruptedSwap(entry);
+      await this.fileService.remove(entry.stagingPath);
+
+      if (this.fileService.exists(destinationPath)) {
+        if (
+          !(await this.fileService.copy(destinationPath, entry.stagingPath))
+        ) {
+          throw new Error(`Could not stage ${destinationPath}`);
+        }
+      }
+
+      if (clean) {
+        await this.removeOwnedFiles(
+          entry.stagingPath,
+          normalizedMapping,
+          manifest?.mappings?.[key]
+        );
+      }
+
+      staged[key] = entry;
+    }
+
+    return staged;
+  }
+
+  /**
+   * Undo the effects of a run that stopped in the middle of a swap
+   * @param {object} entry - Staged destination
+   */
+  async recoverInterruptedSwap({ destinationPath, previousPath }) {
+    if (!this.fileService.exists(previousPath)) {
+      return;
+    }
+
+    if (this.fileService.exists(destinationPath)) {
+      await this.fileService.remove(previousPath);
+    } else {
+      await this.moveOrThrow(previousPath, destinationPath);
+      console.log(
+        `♻️  Restored ${destinationPath} after an interrupted install`
+      );
+    }
+  }
+
+  /**
+   * Fail unless every staged mapping is complete and contains real content
+   * @param {object} repository - Repository context
+   * @param {object} owned - Owned files, from getOwnedFiles()
+   * @param {object} staged - Staged destinations, from stageDestinations()
+   */
+  async validateStagedContent(repository, owned, staged) {
+    const missing = Object.values(owned)
+      .flatMap(entry => [...entry.files, ...(entry.assets || [])])
+      .filter(
+        file => !this.fileService.exists(this.toStagedPath(file, staged))
+      );
+
+    if (missing.length > 0) {
+      const examples = missing.slice(0, 5).join(', ');
+      throw new Error(
+        `${missing.length} file(s) missing from staged content (${examples}${missing.length > 5 ? ', ...' : ''})`
+      );
+    }
+
+    await this.assertNoLfsPointers(repository, staged, owned);
+  }
+
+  /**
+   * Move staged content into place
+   * Each destination is renamed aside before its staging directory takes its
+   * place; if any rename fails, the destinations already swapped are put
+   * back. A mapping whose staging is gone (file removed upstream) is removed
+   * @param {object} staged - Staged destinations, from stageDestinations()
+   */
+  async swapStagedContent(staged) {
+    const swapped = [];
+
+    try {
+      for (const entry of Object.values(staged)) {
+        swapped.push(entry);
+        if (this.fileService.exists(entry.destinationPath)) {
+          await this.moveOrThrow(entry.destinationPath, entry.previousPath);
+        }
+        if (this.fileService.exists(entry.stagingPath)) {
+          await this.moveOrThrow(entry.stagingPath, entry.destinationPath);
+        }
+      }
+    } catch (error) {
+      for (const entry of swapped.reverse()) {
+        if (this.fileService.exists(entry.previousPath)) {
+          await this.fileService.remove(entry.destinationPath);
+          await this.fileService.move(
+            entry.previousPath,
+            entry.destinationPath
+          );
+        }
+      }
+      throw error;
+    }
+
+    for (const entry of swapped) {
+      await this.fileService.remove(entry.previousPath);
+    }
+  }
+
+  /**
+   * Remove staging directories
+   * @param {object} staged - Staged destinations, from stageDestinations()
+   */
+  async discardStagedContent(staged) {
+    for (const entry of Object.values(staged)) {
+      await this.fileService.remove(entry.stagingPath);
+    }
+  }
+
+  /**
+   * Get the staged location of a destination path
+   * @param {string} file - Destination path
+   * @param {object|null} staged - Staged destinations
+   * @returns {string} Path inside the staging directory, or the path itself
+   *   when no mapping stages it
+   */
+  toStagedPath(file, staged) {
+    for (const entry of Object.values(staged || {})) {
+      const destination = toPosixPath(path.normalize(entry.destinationPath));
+      if (file === destination || file.startsWith(`${destination}/`)) {
+        return path.join(entry.stagingPath, file.slice(destination.length));
+      }
+    }
+    return file;
+  }
+
+  /**
+   * Rename a path, failing loudly
+   * @param {string} source - Source path
+   * @param {string} destination - Destination path
+   */
+  async moveOrThrow(source, destination) {
+    if (!(await this.fileService.move(source, destination))) {
+      throw new Error(`Could not move ${source} to ${destination}`);
+    }
+  }
+
+  /**
+   * Copy the assets transform steps reference (e.g. images published by the
+   * `images` transformer) to their project paths
+   * Assets under a staged destination go to its staging copy; others are
+   * written in place, where nothing links to them before the swap
+   * @param {object} repository - Repository context (defaults to the primary repository)
+   * @param {object|null} staged - Staged destinations, from stageDestinations()
+   * @param {object|null} plans - Plans of the install, from getInstallPlans()
+   * @returns {Promise<number>} Number of installed assets
+   */
+  async installAssets(
+    repository = getRepositories()[0],
+    staged = null,
+    plans = null
+  ) {
+    const assets = new Map();
+    const installPlans = plans || (await this.getInstallPlans(repository));
+
+    for (const plan of Object.values(installPlans)) {
+      for (const asset of plan.flatMap(entry => entry.assets || [])) {
+        assets.set(asset.target, asset.source);
       }
+    }
+
+    for (const [target, source] of assets) {
+      if (
+        !(await this.fileService.copy(
+          source,
+          this.toStagedPath(target, staged)
+        ))
+      ) {
+        throw new Error(`Could not install asset ${target}`);
+      }
+    }
+
+    if (assets.size > 0) {
+      console.log(`🖼️  Installed ${assets.size} referenced asset(s)`);
+    }
+
+    return assets.size;
+  }
+
+  /**
+   * Get the destination files each mapping installs from the current checkout
+   * Assets its transform steps reference are listed separately, by project path
+   * @param {object} repository - Repository context (defaults to the primary repository)
+   * @param {object|null} plans - Plans of the install, from getInstallPlans()
+   * @returns {Promise<object>} { [key]: { destination, files, assets } },
+   *   assets only for mappings that have some
+   */
+  async getOwnedFiles(repository = getRepositories()[0], plans = null) {
+    const owned = {};
+    // Same file selection as installSingleMapping()
+    const installPlans = plans || (await this.getInstallPlans(repository));
+
+    for (const [key, mapping] of Object.entries(repository.CONTENT_MAPPING)) {
+      const normalizedMapping = this.normalizeMapping(mapping, key);
+      const destinationPath = this.frameworkAdapter.transformContentPath(
+        normalizedMapping.destination
+      );
+      const plan = installPlans[key];
+      const files = plan.map(({ target }) =>
+        path.join(destinationPath, target)
+      );
+      const assets = new Set(
+        plan.flatMap(entry => (entry.assets || []).map(asset => asset.target))
+      );
+
+      owned[key] = {
+        destination: toPosixPath(path.normalize(destinationPath)),
+        files: files.map(toPosixPath).sort(),
+        ...(assets.size > 0 ? { assets: [...assets].sort() } : {}),
+      };
+    }
+
+    return owned;
+  }
+
+  /**
+   * Remove files a previous install owned that are no longer installed
+   * Only paths recorded in the repository's install manifest are touched, so
+   * unmanaged files next to installed content are left alone. Files of
+   * mappings removed from the config are kept, and so are assets another
+   * mapping still references. Files under a staged destination are removed
+   * from its staging copy
+   * @param {object} repository - Repository context (defaults to the primary repository)
+   * @param {object} owned - Owned files of this install, from getOwnedFiles()
+   * @param {object|null} staged - Staged destinations, from stageDestinations()
+   * @returns {Promise<string[]>} Removed files
+   */
+  async pruneRemovedFiles(
+    repository = getRepositories()[0],
+    owned = {},
+    staged = null
+  ) {
+    const previous = await this.readManifest(repository);
+    const installed = new Set(
+      Object.values(owned).flatMap(entry => [
+        ...entry.files,
+        ...(entry.assets || []),
+      ])
     );
+    const removed = [];
 
-    console.log(`✅ Installed ${results.results.length} content mappings`);
+    for (const [key, entry] of Object.entries(previous?.mappings || {})) {
+      if (!owned[key]) continue;
 
-    if (results.errors.length > 0) {
-      console.warn(`⚠️  ${results.errors.length} installation errors occurred`);
+      const root = this.toStagedPath(entry.destination, staged);
+
+      for (const file of [...entry.files, ...(entry.assets || [])]) {
+        const target = this.toStagedPath(file, staged);
+        if (installed.has(file) || !this.fileService.exists(target)) continue;
+
+        await this.fileService.remove(target);
+        await this.fileService.removeEmptyDirectories(
+          path.dirname(target),
+          root
+        );
+        removed.push(file);
+      }
     }
 
-    return {
-      success: results.errors.length === 0,
-      results: results.results,
-      errors: results.errors,
-      filesProcessed: results.results.length,
-    };
+    if (removed.length > 0) {
+      console.log(
+        `🧹 Pruned ${removed.length} file(s) deleted or renamed upstream`
+      );
+    }
+
+    return removed;
   }
 
   /**
-   * Enhanced single mapping installation with caching
+   * Read the install manifest of a repository
+   * @param {object} repository - Repository context
+   * @returns {Promise<object|null>} { version, mappings } or null if missing
+   */
+  async readManifest(repository) {
+    if (!this.fileService.exists(repository.MANIFEST_PATH)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(await this.fileService.read(repository.MANIFEST_PATH));
+    } catch (error) {
+      console.warn(
+        `⚠️  Ignoring unreadable install manifest ${repository.MANIFEST_PATH}: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Record the files each mapping installed
+   * @param {object} repository - Repository context
+   * @param {object} owned - Owned files, from getOwnedFiles()
    */
-  async installSingleMappingEnhanced(key, mapping) {
-    const normalizedMapping = this.normalizeMapping(mapping);
-    const sourcePath = `${CONFIG.TEMP_DIR}/${normalizedMapping.source}`;
-    const destinationPath = this.frameworkAdapter.transformContentPath(
-      normalizedMapping.destination
+  async writeManifest(repository, owned) {
+    await this.fileService.write(
+      repository.MANIFEST_PATH,
+      `${JSON.stringify({ version: MANIFEST_VERSION, mappings: owned }, null, 2)}\n`
     );
+  }
+
+  /**
+   * Enhanced single mapping installation with caching
+   * @param {string} targetPath - Install here instead of the mapping's destination (staging)
+   * @param {object[]|null} plan - The mapping's plan, from getInstallPlan()
+   */
+  async installSingleMappingEnhanced(
+    key,
+    mapping,
+    repository = getRepositories()[0],
+    targetPath = null,
+    plan = null
+  ) {
+    const normalizedMapping = this.normalizeMapping(mapping, key);
+    const sourcePath = `${repository.MIRROR_DIR}/${normalizedMapping.source}`;
+    const destinationPath =
+      targetPath ||
+      this.frameworkAdapter.transformContentPath(normalizedMapping.destination);
 
     // Check cache for content changes
-    const cacheKey = `mapping-${key}-${normalizedMapping.source}`;
+    const cacheKey = `mapping-${repository.name}-${key}-${normalizedMapping.source}`;
     const cached = await this.cacheService.get(cacheKey, 'content-hashes');
 
     // Generate content hash for change detection
-    const contentHash = await this.generateContentHash(sourcePath);
+    const contentHash = await this.generateContentHash(
+      sourcePath,
+      normalizedMapping,
+      plan
+    );
 
     // Only skip if cache matches AND destination actually exists with content
     if (cached === contentHash && this.fileService.exists(destinationPath)) {
@@ -87,7 +520,13 @@ export class ContentInstaller {
     }
 
     // Install mapping with validation
-    await this.installSingleMapping(key, mapping);
+    await this.installSingleMapping(
+      key,
+      mapping,
+      repository,
+      destinationPath,
+      plan
+    );
 
     // Cache content hash
     await this.cacheService.set(cacheKey, contentHash, 'content-hashes');
@@ -95,13 +534,21 @@ export class ContentInstaller {
 
   /**
    * Install single content mapping
+   * @param {string} targetPath - Install here instead of the mapping's destination (staging)
+   * @param {object[]|null} plan - The mapping's plan, from getInstallPlan()
    */
-  async installSingleMapping(key, mapping) {
-    const normalizedMapping = this.normalizeMapping(mapping);
-    const sourcePath = `${CONFIG.TEMP_DIR}/${normalizedMapping.source}`;
-    const destinationPath = this.frameworkAdapter.transformContentPath(
-      normalizedMapping.destination
-    );
+  async installSingleMapping(
+    key,
+    mapping,
+    repository = getRepositories()[0],
+    targetPath = null,
+    plan = null
+  ) {
+    const normalizedMapping = this.normalizeMapping(mapping, key);
+    const sourcePath = `${repository.MIRROR_DIR}/${normalizedMapping.source}`;
+    const destinationPath =
+      targetPath ||
+      this.frameworkAdapter.transformContentPath(normalizedMapping.destination);
 
     if (!this.fileService.exists(sourcePath)) {
       // Create empty placeholder
@@ -109,24 +556,36 @@ export class ContentInstaller {
       return { success: false, description: key, destinationPath };
     }
 
+    const installPlan =
+      plan || (await this.getInstallPlan(sourcePath, normalizedMapping));
+
     // Process based on mapping type
     switch (normalizedMapping.type) {
       case 'folder':
         // Move contents of source directory to destination directory
-        await this.installFolderContents(sourcePath, destinationPath);
+        await this.installFolderContents(
+          sourcePath,
+          destinationPath,
+          normalizedMapping,
+          installPlan
+        );
         break;
 
       case 'selective':
         await this.installSelectiveFiles(
           sourcePath,
           destinationPath,
-          normalizedMapping.files
+          installPlan
         );
         break;
 
-      case 'file':
-        await this.fileService.copy(sourcePath, destinationPath);
+      case 'file': {
+        const [entry] = installPlan;
+        if (!(await this.installFile(entry, destinationPath))) {
+          throw new Error(`Could not install ${sourcePath}`);
+        }
         break;
+      }
 
       default:
         throw new Error(`Unknown mapping type: ${normalizedMapping.type}`);
@@ -135,84 +594,751 @@ export class ContentInstaller {
     return { success: true, description: key, destinationPath };
   }
 
+  /**
+   * Fail when installed files are still Git LFS pointers
+   * @param {object} repository - Repository context (defaults to the primary repository)
+   * @param {object|null} staged - Check the staged copies instead, from stageDestinations()
+   * @param {object|null} owned - Owned files of the staged install, from getOwnedFiles()
+   */
+  async assertNoLfsPointers(
+    repository = getRepositories()[0],
+    staged = null,
+    owned = null
+  ) {
+    // Checked path -> installed path, so staged files are reported by
+    // the location they are installed to
+    const files = new Map();
+
+    for (const [key, mapping] of Object.entries(repository.CONTENT_MAPPING)) {
+      const { destination } = this.normalizeMapping(mapping, key);
+      const destinationPath =
+        this.frameworkAdapter.transformContentPath(destination);
+      const checkedPath = staged?.[key]?.stagingPath || destinationPath;
+      const found = await this.listInstalledFiles(
+        checkedPath,
+        this.normalizeMapping(mapping, key),
+        owned?.[key]
+      );
+      for (const file of found) {
+        files.set(
+          file,
+          path.join(destinationPath, path.relative(checkedPath, file))
+        );
+      }
+    }
+
+    const pointers = await findLfsPointers([...files.keys()]);
+    if (pointers.length === 0) {
+      return;
+    }
+
+    const examples = pointers
+      .slice(0, 5)
+      .map(file => files.get(file))
+      .join(', ');
+    const hint = repository.GIT?.LFS_SUPPORT
+      ? 'Check that the LFS objects were pushed to the remote.'
+      : 'Enable GIT.LFS_SUPPORT in your config and install git-lfs.';
+
+    throw new Error(
+      `${pointers.length} installed file(s) are Git LFS pointers instead of content (${examples}${pointers.length > 5 ? ', ...' : ''}). ${hint}`
+    );
+  }
+
   /**
    * Install folder contents (move all files from source to destination)
+   * @param {object} mapping - Normalized mapping, for its filters and rewrite rules
+   * @param {object[]|null} installPlan - The mapping's plan, from getInstallPlan()
    */
-  async installFolderContents(sourcePath, destinationPath) {
+  async installFolderContents(
+    sourcePath,
+    destinationPath,
+    mapping = {},
+    installPlan = null
+  ) {
     // Create destination directory
     await this.fileService.createDirectory(destinationPath);
 
-    // Get all files from source directory
-    const files = await this.fileService.getFilesRecursively(sourcePath);
+    // Get the files the mapping selects from the source directory
+    const plan =
+      installPlan ||
+      (await this.getInstallPlan(sourcePath, {
+        type: 'folder',
+        ...mapping,
+      }));
 
     // Process files concurrently
-    await this.fileService.processFilesConcurrently(files, async sourceFile => {
-      // Calculate relative path from source directory
-      const relativePath = path.relative(sourcePath, sourceFile);
-      const destFile = path.join(destinationPath, relativePath);
+    await this.fileService.processFilesConcurrently(plan, async entry => {
+      const destFile = path.join(destinationPath, entry.target);
 
       // Ensure destination directory exists
       await this.fileService.createDirectory(path.dirname(destFile));
 
-      // Copy the file
-      return await this.fileService.copy(sourceFile, destFile);
+      // Copy or write the file
+      return await this.installFile(entry, destFile);
     });
   }
 
   /**
    * Install selective files
+   * @param {object[]} fileList - { source, target } pairs, from getInstallPlan()
    */
   async installSelectiveFiles(sourcePath, destinationPath, fileList) {
     await this.fileService.createDirectory(destinationPath);
 
     // Process files concurrently
-    await this.fileService.processFilesConcurrently(
-      fileList,
-      async fileName => {
-        const sourceFile = `${sourcePath}/${fileName}`;
-        const destFile = `${destinationPath}/${fileName}`;
-
-        if (this.fileService.exists(sourceFile)) {
-          return await this.fileService.copy(sourceFile, destFile);
-        }
-        return false;
+    await this.fileService.processFilesConcurrently(fileList, async entry => {
+      if (this.fileService.exists(entry.source)) {
+        return await this.installFile(
+          entry,
+          path.join(destinationPath, entry.target)
+        );
       }
-    );
+      return false;
+    });
+  }
+
+  /**
+   * Install one planned file: transformed content is written, untouched
+   * files are copied
+   * @param {object} entry - { source, content }, from getInstallPlan()
+   * @param {string} destFile - Installed file path
+   * @returns {Promise<boolean>} Success
+   */
+  async installFile({ source, content }, destFile) {
+    if (content != null) {
+      await this.fileService.write(destFile, content);
+      return true;
+    }
+
+    return await this.fileService.copy(source, destFile);
   }
 
   /**
    * Normalize mapping to unified format
+   * @param {string|object} mapping - Mapping definition
+   * @param {string} key - Mapping key, used as destination when none is set
+   * @returns {object} Normalized mapping, see normalizeMapping() in utils
    */
-  normalizeMapping(mapping) {
-    if (typeof mapping === 'string') {
-      return {
-        type: 'folder',
-        source: mapping,
-        destination: mapping,
-      };
+  normalizeMapping(mapping, key) {
+    return normalizeMapping(mapping, key);
+  }
+
+  /**
+   * List the files under a folder mapping's root (source, destination or
+   * staging) that the mapping owns
+   * A `pattern` replaces the default extension filter; `exclude` always applies
+   * @param {string} root - Directory to search
+   * @param {object} mapping - Normalized mapping
+   * @returns {Promise<string[]>} File paths
+   */
+  async listMappingFiles(root, mapping) {
+    const files = await this.fileService.getFilesRecursively(
+      root,
+      mapping.pattern ? { extensions: [] } : {}
+    );
+    const owns = createGlobFilter(mapping);
+
+    return files.filter(file => owns(path.relative(root, file)));
+  }
+
+  /**
+   * Resolve the `files` entries of a selective mapping under a root
+   * Entries are literal paths or globs and may point into subdirectories;
+   * excluded files are dropped
+   * @param {string} root - Mapping source, destination or a copy of it
+   * @param {object} mapping - Normalized mapping
+   * @returns {Promise<object>} { files: paths relative to the root, unmatched: entries matching nothing }
+   */
+  async resolveSelectiveFiles(root, mapping) {
+    if (!this.fileService.exists(root)) {
+      return { files: [], unmatched: [...mapping.files] };
+    }
+
+    const available = mapping.files.some(isGlobPattern)
+      ? (
+          await this.fileService.getFilesRecursively(root, { extensions: [] })
+        ).map(file => toPosixPath(path.relative(root, file)))
+      : [];
+    const files = new Set();
+    const unmatched = [];
+
+    for (const entry of mapping.files) {
+      const fileName = entry.replace(/^\.\//, '');
+      const matches = isGlobPattern(fileName)
+        ? available.filter(file => matchesGlob(file, fileName))
+        : [fileName].filter(file =>
+            this.fileService.exists(path.join(root, file))
+          );
+
+      if (matches.length === 0) {
+        unmatched.push(entry);
+      }
+      matches.forEach(file => files.add(file));
     }
 
     return {
-      type: mapping.type || 'folder',
-      source: mapping.source || mapping.destination,
-      destination: mapping.destination,
-      files: mapping.files || [],
+      files: [...files]
+        .filter(file => !matchesGlob(file, mapping.exclude))
+        .sort(),
+      unmatched,
+    };
+  }
+
+  /**
+   * Find problems with the content a repository checkout would install:
+   * selective `files` entries that match nothing, schema errors and markdown
+   * syntax errors
+   * @param {object} repository - Repository context (defaults to the primary repository)
+   * @param {object|null} plans - Plans of the checkout, from getInstallPlans()
+   * @returns {Promise<object[]>} [{ type: 'unmatched', mapping, entry, strict, message }],
+   *   schema and syntax errors, see getSchemaWarnings() and getSyntaxWarnings()
+   */
+  async getMappingWarnings(repository = getRepositories()[0], plans = null) {
+    const warnings = [];
+
+    for (const [key, mapping] of Object.entries(repository.CONTENT_MAPPING)) {
+      const normalizedMapping = this.normalizeMapping(mapping, key);
+      if (normalizedMapping.type !== 'selective') continue;
+
+      const sourcePath = `${repository.MIRROR_DIR}/${normalizedMapping.source}`;
+      const { unmatched } = await this.resolveSelectiveFiles(
+        sourcePath,
+        normalizedMapping
+      );
+
+      for (const entry of unmatched) {
+        warnings.push({
+          type: 'unmatched',
+          mapping: key,
+          entry,
+          strict: normalizedMapping.strict,
+          message: `${isGlobPattern(entry) ? 'pattern' : 'file'} "${entry}" matches nothing in ${normalizedMapping.source}`,
+        });
+      }
+    }
+
+    const installPlans = plans || (await this.getInstallPlans(repository));
+
+    return [
+      ...warnings,
+      ...(await this.getSchemaWarnings(repository, installPlans)),
+      ...(await this.getSyntaxWarnings(repository, installPlans)),
+    ];
+  }
+
+  /**
+   * Validate the frontmatter and data files a repository checkout installs
+   * against their mapping's `schema`
+   * Mappings without one use VALIDATION.REQUIRED_FRONTMATTER (markdown) and
+   * VALIDATION.REQUIRED_FIELDS (data files). Files are checked as they will
+   * be installed, after transform steps
+   * @param {object} repository - Repository context (defaults to the primary repository)
+   * @param {object|null} plans - Plans of the checkout, from getInstallPlans()
+   * @returns {Promise<object[]>} [{ type: 'schema', mapping, file, line, strict, message }]
+   */
+  async getSchemaWarnings(repository = getRepositories()[0], plans = null) {
+    const settings = getValidationSettings();
+    const warnings = [];
+    let installPlans = plans;
+
+    for (const [key, mapping] of Object.entries(repository.CONTENT_MAPPING)) {
+      const normalizedMapping = this.normalizeMapping(mapping, key);
+      const schemas = {
+        frontmatter:
+          normalizedMapping.schema ||
+          (settings.requiredFrontmatter.length > 0
+            ? { required: settings.requiredFrontmatter }
+            : null),
+        data:
+          normalizedMapping.schema ||
+          (settings.requiredFields.length > 0
+            ? { required: settings.requiredFields }
+            : null),
+      };
+      if (!schemas.frontmatter && !schemas.data) continue;
+
+      installPlans ||= await this.getInstallPlans(repository);
+
+      for (const entry of installPlans[key]) {
+        // JSON siblings hold the data of the file they were converted from
+        if (entry.converted) continue;
+
+        // File mappings are named by their destination
+        const target =
+          entry.target || path.basename(normalizedMapping.destination);
+        const schema = MARKDOWN_EXTENSIONS.includes(
+          path.extname(target).toLowerCase()
+        )
+          ? schemas.frontmatter
+          : schemas.data;
+        if (!schema) continue;
+
+        const content =
+          entry.content ?? (await this.fileService.read(entry.source));
+        const file = toPosixPath(
+          path.relative(repository.MIRROR_DIR, entry.source)
+        );
+        const { errors } = this.validationService.validateContentSchema(
+          content,
+          target,
+          schema
+        );
+
+        for (const error of errors) {
+          warnings.push({
+            type: 'schema',
+            mapping: key,
+            file,
+            line: error.line,
+            strict: normalizedMapping.strict || settings.strict,
+            message: `${file}:${error.line}: ${error.field ? `${error.field} ` : ''}${error.message}`,
+          });
+        }
+      }
+    }
+
+    return warnings;
+  }
+
+  /**
+   * Check the markdown and MDX syntax of the files a repository checkout
+   * installs, after transform steps
+   * Only errors fail strict mappings; warnings such as an unclosed code
+   * fence never do
+   * @param {object} repository - Repository context (defaults to the primary repository)
+   * @param {object|null} plans - Plans of the checkout, from getInstallPlans()
+   * @returns {Promise<object[]>} [{ type: 'syntax', mapping, file, line, column, severity, strict, message }]
+   */
+  async getSyntaxWarnings(repository = getRepositories()[0], plans = null) {
+    const settings = getValidationSettings();
+    const warnings = [];
+    const installPlans = plans || (await this.getInstallPlans(repository));
+
+    for (const [key, mapping] of Object.entries(repository.CONTENT_MAPPING)) {
+      const normalizedMapping = this.normalizeMapping(mapping, key);
+
+      for (const entry of installPlans[key]) {
+        // File mappings are named by their destination
+        const target =
+          entry.target || path.basename(normalizedMapping.destination);
+        if (!MARKDOWN_EXTENSIONS.includes(path.extname(target).toLowerCase())) {
+          continue;
+        }
+
+        const content =
+          entry.content ?? (await this.fileService.read(entry.source));
+        const file = toPosixPath(
+          path.relative(repository.MIRROR_DIR, entry.source)
+        );
+        const { diagnostics } = this.validationService.validateMarkdownSyntax(
+          content,
+          target
+        );
+
+        for (const diagnostic of diagnostics) {
+          warnings.push({
+            type: 'syntax',
+            mapping: key,
+            file,
+            line: diagnostic.line,
+            column: diagnostic.column,
+            severity: diagnostic.severity,
+            strict:
+              diagnostic.severity === 'error' &&
+              (normalizedMapping.strict || settings.strict),
+            message: `${file}:${diagnostic.line}:${diagnostic.column}: ${diagnostic.message}`,
+          });
+        }
+      }
+    }
+
+    return warnings;
+  }
+
+  /**
+   * Check the relative links, images and MDX imports of the markdown files a
+   * repository checkout installs, when VALIDATION.LINK_CHECKING is on
+   * References are resolved from each file's installed path, after path
+   * transforms and rewrite rules, against the files this install owns and
+   * the files already on disk (inside staging when `staged` is given)
+   * @param {object} repository - Repository context (defaults to the primary repository)
+   * @param {object|null} staged - Staged destinations, from stageDestinations()
+   * @param {object|null} plans - Plans of the checkout, from getInstallPlans()
+   * @returns {Promise<object[]>} [{ type: 'link', mapping, file, line, column, kind, url, strict, message }]
+   */
+  async getLinkWarnings(
+    repository = getRepositories()[0],
+    staged = null,
+    plans = null
+  ) {
+    const settings = getValidationSettings();
+    if (!settings.linkChecking) {
+      return [];
+    }
+
+    const installPlans = plans || (await this.getInstallPlans(repository));
+    const installs = [];
+    for (const [key, mapping] of Object.entries(repository.CONTENT_MAPPING)) {
+      const normalizedMapping = this.normalizeMapping(mapping, key);
+      const destinationPath = this.frameworkAdapter.transformContentPath(
+        normalizedMapping.destination
+      );
+
+      for (const entry of installPlans[key]) {
+        installs.push({
+          key,
+          mapping: normalizedMapping,
+          entry,
+          file: toPosixPath(path.join(destinationPath, entry.target || '')),
+        });
+      }
+    }
+
+    const installed = new Set(installs.map(({ file }) => file));
+    const exists = file =>
+      installed.has(file) ||
+      this.fileService.exists(this.toStagedPath(file, staged));
+    const warnings = [];
+
+    for (const { key, mapping, entry, file } of installs) {
+      if (!MARKDOWN_EXTENSIONS.includes(path.extname(file).toLowerCase())) {
+        continue;
+      }
+
+      const content =
+        entry.content ?? (await this.fileService.read(entry.source));
+      for (const reference of findBrokenReferences(content, file, exists)) {
+        const kind = reference.kind === 'definition' ? 'link' : reference.kind;
+        warnings.push({
+          type: 'link',
+          mapping: key,
+          file,
+          line: reference.line,
+          column: reference.column,
+          kind,
+          url: reference.url,
+          strict: mapping.strict || settings.strict || settings.strictLinks,
+          message: `${file}:${reference.line}:${reference.column}: broken ${kind} "${reference.url}"`,
+        });
+      }
+    }
+
+    return warnings;
+  }
+
+  /**
+   * Log mapping warnings, failing when one belongs to a strict mapping
+   * @param {object[]} warnings - Warnings, from getMappingWarnings()
+   */
+  reportMappingWarnings(warnings) {
+    for (const warning of warnings) {
+      console.warn(`⚠️  ${warning.mapping}: ${warning.message}`);
+    }
+
+    const strict = warnings.filter(warning => warning.strict);
+    const unmatched = strict.filter(warning => warning.type === 'unmatched');
+    const invalid = strict.filter(warning => warning.type === 'schema');
+    const broken = strict.filter(warning => warning.type === 'syntax');
+    const links = strict.filter(warning => warning.type === 'link');
+    const problems = [];
+
+    if (unmatched.length > 0) {
+      problems.push(
+        `${unmatched.length} entr${unmatched.length === 1 ? 'y' : 'ies'} of strict mappings matched nothing (${unmatched
+          .map(warning => `${warning.mapping}: ${warning.entry}`)
+          .join(', ')})`
+      );
+    }
+    if (invalid.length > 0) {
+      problems.push(
+        `${invalid.length} schema error(s) in strict mappings (${invalid
+          .slice(0, 5)
+          .map(warning => warning.message)
+          .join(', ')}${invalid.length > 5 ? ', ...' : ''})`
+      );
+    }
+    if (broken.length > 0) {
+      problems.push(
+        `${broken.length} syntax error(s) in strict mappings (${broken
+          .slice(0, 5)
+          .map(warning => warning.message)
+          .join(', ')}${broken.length > 5 ? ', ...' : ''})`
+      );
+    }
+    if (links.length > 0) {
+      problems.push(
+        `${links.length} broken reference(s) in strict mappings (${links
+          .slice(0, 5)
+          .map(warning => warning.message)
+          .join(', ')}${links.length > 5 ? ', ...' : ''})`
+      );
+    }
+
+    if (problems.length > 0) {
+      throw new Error(problems.join('; '));
+    }
+  }
+
+  /**
+   * Get the source files a mapping installs
+   * @param {string} sourcePath - Mapping source in the mirror
+   * @param {object} mapping - Normalized mapping
+   * @returns {Promise<string[]>} Source file paths
+   */
+  async getMappingSourceFiles(sourcePath, mapping) {
+    if (!this.fileService.exists(sourcePath)) {
+      return [];
+    }
+
+    switch (mapping.type) {
+      case 'folder':
+        return await this.listMappingFiles(sourcePath, mapping);
+
+      case 'selective':
+        return (
+          await this.resolveSelectiveFiles(sourcePath, mapping)
+        ).files.map(fileName => path.join(sourcePath, fileName));
+
+      default:
+        return [sourcePath];
+    }
+  }
+
+  /**
+   * Plan every mapping of a repository checkout once, so an install and its
+   * checks share the same globbing, rewrites and transforms
+   * @param {object} repository - Repository context (defaults to the primary repository)
+   * @returns {Promise<object>} { [key]: plan }, see getInstallPlan()
+   */
+  async getInstallPlans(repository = getRepositories()[0]) {
+    const plans = {};
+
+    for (const [key, mapping] of Object.entries(repository.CONTENT_MAPPING)) {
+      const normalizedMapping = this.normalizeMapping(mapping, key);
+      plans[key] = await this.getInstallPlan(
+        `${repository.MIRROR_DIR}/${normalizedMapping.source}`,
+        normalizedMapping
+      );
+    }
+
+    return plans;
+  }
+
+  /**
+   * Pair the source files a mapping installs with their paths relative to
+   * its destination, applying the mapping's rewrite rules, its transform
+   * steps and then its JSON conversion
+   * @param {string} sourcePath - Mapping source in the mirror
+   * @param {object} mapping - Normalized mapping
+   * @returns {Promise<object[]>} [{ source, target, content }], content is
+   *   null for files installed unchanged
+   */
+  async getInstallPlan(sourcePath, mapping) {
+    const files = await this.getMappingSourceFiles(sourcePath, mapping);
+    // The mirror root, whatever the depth of the mapping source
+    const root = path.resolve(sourcePath, path.relative(mapping.source, '.'));
+
+    if (mapping.type === 'file') {
+      const [entry] = await this.transformPlan(
+        files.map(source => ({ source, target: path.basename(source) })),
+        mapping,
+        root
+      );
+      // A file mapping installs to its destination, whatever the path
+      return entry ? [{ ...entry, target: '' }] : [];
+    }
+
+    const plan = await this.convertPlan(
+      await this.transformPlan(
+        files.map(source => ({
+          source,
+          target: rewritePath(
+            toPosixPath(path.relative(sourcePath, source)),
+            mapping.rewrite
+          ),
+        })),
+        mapping,
+        root
+      ),
+      mapping
+    );
+
+    const collisions = findPathCollisions(plan);
+    if (collisions.length > 0) {
+      const examples = collisions
+        .slice(0, 5)
+        .map(
+          ({ target, sources }) =>
+            `${target} <- ${sources.map(source => path.relative(sourcePath, source)).join(', ')}`
+        )
+        .join('; ');
+      throw new Error(
+        `${mapping.convert ? 'Rewrite rules and JSON conversion map' : 'Rewrite rules map'} ${collisions.length} path(s) to more than one file (${examples}${collisions.length > 5 ? '; ...' : ''})`
+      );
+    }
+
+    return plan;
+  }
+
+  /**
+   * Run a mapping's transform steps on planned files
+   * Transformers get the mapping, the repository root and the adapter's
+   * directories (getDataDirStructure()) as context
+   * @param {object[]} plan - [{ source, target }]
+   * @param {object} mapping - Normalized mapping
+   * @param {string} root - Repository root in the mirror
+   * @returns {Promise<object[]>} [{ source, target, content, assets }]
+   */
+  async transformPlan(plan, mapping, root) {
+    if (!this.transformPipeline || !mapping.transform?.length) {
+      return plan.map(entry => ({ ...entry, content: null }));
+    }
+
+    const context = {
+      mapping,
+      root,
+      directories: this.frameworkAdapter.getDataDirStructure(),
     };
+
+    // Let every file settle before failing, so no transform keeps writing to
+    // the cache after the install was abandoned
+    const results = await Promise.allSettled(
+      plan.map(entry =>
+        this.transformPipeline.run(entry, mapping.transform, context)
+      )
+    );
+    const failed = results.find(result => result.status === 'rejected');
+    if (failed) {
+      throw failed.reason;
+    }
+
+    return results.map(result => result.value);
+  }
+
+  /**
+   * Add a `.json` sibling next to every YAML and TOML file of a mapping with
+   * `convert: 'json'`, for frameworks that only import JSON
+   * @param {object[]} plan - [{ source, target, content }]
+   * @param {object} mapping - Normalized mapping
+   * @returns {Promise<object[]>} Plan with the converted siblings, marked
+   *   `converted: true`
+   * @throws {Error} When a data file can't be parsed
+   */
+  async convertPlan(plan, mapping) {
+    if (mapping.convert !== 'json') {
+      return plan;
+    }
+
+    const converted = [];
+    for (const entry of plan) {
+      converted.push(entry);
+
+      const extension = path.extname(entry.target).toLowerCase();
+      if (!['yaml', 'toml'].includes(DATA_FORMATS[extension])) continue;
+
+      const content =
+        entry.content ?? (await this.fileService.read(entry.source));
+      try {
+        converted.push({
+          source: entry.source,
+          target: `${entry.target.slice(0, -extension.length)}.json`,
+          content: convertToJson(content, entry.target),
+          converted: true,
+        });
+      } catch (error) {
+        throw new Error(
+          `Cannot convert ${entry.target} to JSON: ${error.message}`
+        );
+      }
+    }
+
+    return converted;
+  }
+
+  /**
+   * List the files a mapping owns under an installed root (destination or a
+   * copy of it). When the mapping's files were recorded, only those are
+   * listed, so unmanaged local files next to them are left alone; without a
+   * record, the files under the root the mapping would install are listed
+   * @param {string} root - Installed destination, staging or backup copy
+   * @param {object} mapping - Normalized mapping
+   * @param {object|null} recorded - { destination, files } of the mapping,
+   *   from the install manifest or getOwnedFiles()
+   * @returns {Promise<string[]>} File paths
+   */
+  async listInstalledFiles(root, mapping, recorded = null) {
+    if (!this.fileService.exists(root)) {
+      return [];
+    }
+
+    if (recorded && mapping.type !== 'file') {
+      return recorded.files
+        .map(file => path.join(root, path.relative(recorded.destination, file)))
+        .filter(file => this.fileService.exists(file));
+    }
+
+    switch (mapping.type) {
+      case 'folder':
+        return await this.listMappingFiles(root, mapping);
+
+      case 'selective':
+        return (await this.resolveSelectiveFiles(root, mapping)).files.map(
+          fileName => path.join(root, fileName)
+        );
+
+      default:
+        return [root];
+    }
+  }
+
+  /**
+   * Remove the files a mapping owns under a root, and directories left empty
+   * @param {string} root - Installed destination or a copy of it
+   * @param {object} mapping - Normalized mapping
+   * @param {object|null} recorded - Recorded files of the mapping, see listInstalledFiles()
+   * @returns {Promise<number>} Number of removed files
+   */
+  async removeOwnedFiles(root, mapping, recorded = null) {
+    const files = await this.listInstalledFiles(root, mapping, recorded);
+
+    for (const file of files) {
+      await this.fileService.remove(file);
+      if (file !== root) {
+        await this.fileService.removeEmptyDirectories(path.dirname(file), root);
+      }
+    }
+
+    return files.length;
   }
 
   /**
    * Generate content hash for change detection
+   * Covers the paths, installed paths and (transformed) contents of the files
+   * the mapping installs
+   * @param {string} sourcePath - Mapping source in the mirror
+   * @param {object|null} mapping - Normalized mapping (all default files without)
+   * @param {object[]|null} installPlan - The mapping's plan, from getInstallPlan()
    */
-  async generateContentHash(sourcePath) {
+  async generateContentHash(sourcePath, mapping = null, installPlan = null) {
     if (!this.fileService.exists(sourcePath)) {
       return null;
     }
 
-    const files = await this.fileService.getFilesRecursively(sourcePath);
+    const plan = installPlan
+      ? installPlan
+      : mapping
+        ? await this.getInstallPlan(sourcePath, mapping)
+        : (await this.fileService.getFilesRecursively(sourcePath)).map(
+            source => ({ source, target: '' })
+          );
     const hashes = await Promise.all(
-      files.map(async file => {
-        const content = await this.fileService.read(file);
-        return this.cacheService.generateKey(content, 'file-content');
+      plan.map(async ({ source, target, content: transformed }) => {
+        const content = transformed ?? (await this.fileService.read(source));
+        return this.cacheService.generateKey(
+          `${toPosixPath(path.relative(sourcePath, source))}\0${target}\0${content}`,
+          'file-content'
+        );
       })
     );
 
@@ -222,8 +1348,8 @@ export class ContentInstaller {
   /**
    * Validate mapping configuration
    */
-  validateMapping(mapping) {
-    const normalized = this.normalizeMapping(mapping);
+  validateMapping(mapping, key) {
+    const normalized = this.normalizeMapping(mapping, key);
 
     if (!normalized.source) {
       throw new Error('Mapping source is required');
@@ -247,7 +1373,7 @@ export class ContentInstaller {
    * Get installation statistics
    */
   getInstallationStats() {
-    const mappingCount = Object.keys(CONFIG.CONTENT_MAPPING).length;
+    const mappingCount = this.getAllMappings().length;
     return {
       totalMappings: mappingCount,
       types: this.getMappingTypes(),
@@ -260,8 +1386,8 @@ export class ContentInstaller {
    */
   getMappingTypes() {
     const types = {};
-    Object.values(CONFIG.CONTENT_MAPPING).forEach(mapping => {
-      const normalized = this.normalizeMapping(mapping);
+    this.getAllMappings().forEach(([key, mapping]) => {
+      const normalized = this.normalizeMapping(mapping, key);
       types[normalized.type] = (types[normalized.type] || 0) + 1;
     });
     return types;
@@ -271,9 +1397,19 @@ export class ContentInstaller {
    * Get destination paths
    */
   getDestinationPaths() {
-    return Object.values(CONFIG.CONTENT_MAPPING).map(mapping => {
-      const normalized = this.normalizeMapping(mapping);
+    return this.getAllMappings().map(([key, mapping]) => {
+      const normalized = this.normalizeMapping(mapping, key);
       return this.frameworkAdapter.transformContentPath(normalized.destination);
     });
   }
+
+  /**
+   * Get mapping entries across all configured repositories
+   * @returns {Array} Array of [key, mapping] entries
+   */
+  getAllMappings() {
+    return getRepositories().flatMap(repository =>
+      Object.entries(repository.CONTENT_MAPPING)
+    );
+  }
 }
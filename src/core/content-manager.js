@@ -3,7 +3,8 @@
  * Extracted from content-fetcher.js for better separation of concerns
  */
 
-import { CONFIG } from '../utils/config.js';
+import { getRepositories } from '../utils/config.js';
+import { toGitignorePatterns } from '../utils/glob.js';
 
 export class ContentManager {
   constructor(options = {}) {
@@ -12,22 +13,28 @@ export class ContentManager {
     this.gitService = options.gitService;
     this.gitIgnoreManager = options.gitIgnoreManager;
     this.frameworkAdapter = options.frameworkAdapter;
+    this.contentInstaller = options.contentInstaller;
   }
 
   /**
    * Check if content already exists in the project
    * Returns: true = all exists, 'partial' = some exists, false = none exists
+   * @param {object} repository - Repository context (defaults to the primary repository)
    */
-  async checkContentExists() {
+  async checkContentExists(repository = getRepositories()[0]) {
     try {
       // Check if ALL mapped content destinations exist and have content
-      const mappings = Object.entries(CONFIG.CONTENT_MAPPING);
+      const mappings = Object.entries(repository.CONTENT_MAPPING);
       let allContentExists = true;
       let hasAnyContent = false;
       const checkedPaths = [];
+      const manifest = await this.contentInstaller.readManifest(repository);
 
       for (const [key, mapping] of mappings) {
-        const normalizedMapping = this.normalizeMapping(mapping);
+        const normalizedMapping = this.contentInstaller.normalizeMapping(
+          mapping,
+          key
+        );
         const destinationPath = this.frameworkAdapter.transformContentPath(
           normalizedMapping.destination
         );
@@ -35,10 +42,13 @@ export class ContentManager {
         checkedPaths.push(`${key}: ${destinationPath}`);
 
         if (this.fileService.exists(destinationPath)) {
-          // Check if the directory has content
+          // Check if the directory has content the mapping installs
           try {
-            const files =
-              await this.fileService.getFilesRecursively(destinationPath);
+            const files = await this.contentInstaller.listInstalledFiles(
+              destinationPath,
+              normalizedMapping,
+              manifest?.mappings?.[key]
+            );
             console.log(
               `📁 ${key}: found ${files?.length || 0} files in ${destinationPath}`
             );
@@ -101,11 +111,14 @@ export class ContentManager {
       );
 
       // Check if the managed paths correspond to our current content mapping
-      const mappings = Object.entries(CONFIG.CONTENT_MAPPING);
+      const mappings = this.getAllMappings();
       let hasMatchingContent = false;
 
       for (const [key, mapping] of mappings) {
-        const normalizedMapping = this.normalizeMapping(mapping);
+        const normalizedMapping = this.contentInstaller.normalizeMapping(
+          mapping,
+          key
+        );
         const destinationPath = this.frameworkAdapter.transformContentPath(
           normalizedMapping.destination
         );
@@ -150,22 +163,28 @@ export class ContentManager {
 
   /**
    * Check if content is up-to-date using cache
+   * @param {object} repository - Repository context (defaults to the primary repository)
    */
-  async isContentUpToDate() {
+  async isContentUpToDate(repository = getRepositories()[0]) {
     try {
       // Check cached repository info
       const cachedInfo = await this.cacheService.getCachedRepositoryInfo(
-        CONFIG.REPO_URL
+        repository.REPO_URL
       );
       if (!cachedInfo) {
         return false;
       }
 
-      // Get current remote commit
-      const currentCommit = await this.gitService.getRemoteCommitHash(
-        CONFIG.REPO_URL,
-        CONFIG.BRANCH
-      );
+      // A changed REF/BRANCH always needs a fresh install
+      const ref = repository.REF || repository.BRANCH;
+      if (cachedInfo.ref && cachedInfo.ref !== ref) {
+        return false;
+      }
+
+      // Get current remote commit (a range may now match a newer tag)
+      const { commitHash: currentCommit } = await this.gitService
+        .forRepository(repository)
+        .resolveRef(repository.REPO_URL, ref);
 
       // If commits don't match, content is not up-to-date
       if (cachedInfo.commitHash !== currentCommit) {
@@ -173,7 +192,7 @@ export class ContentManager {
       }
 
       // Even if commits match, check if local content actually exists
-      const contentExists = await this.checkContentExists();
+      const contentExists = await this.checkContentExists(repository);
       if (contentExists !== true) {
         return false; // Content is missing or partial locally, need to fetch
       }
@@ -186,17 +205,30 @@ export class ContentManager {
 
   /**
    * Cache validation data for future checks
+   * @param {object} repository - Repository context (defaults to the primary repository)
+   * @param {string|null} commitHash - Installed commit (resolved remotely if omitted)
+   * @param {object} details - Extra repository info to cache (e.g. submodules)
    */
-  async cacheValidationData() {
+  async cacheValidationData(
+    repository = getRepositories()[0],
+    commitHash = null,
+    details = {}
+  ) {
     try {
-      const commitHash = await this.gitService.getRemoteCommitHash(
-        CONFIG.REPO_URL,
-        CONFIG.BRANCH
-      );
-
-      await this.cacheService.cacheRepositoryInfo(CONFIG.REPO_URL, {
-        commitHash,
-        branch: CONFIG.BRANCH,
+      const ref = repository.REF || repository.BRANCH;
+      const resolved = await this.gitService
+        .forRepository(repository)
+        .resolveRef(repository.REPO_URL, ref)
+        .catch(() => null);
+
+      await this.cacheService.cacheRepositoryInfo(repository.REPO_URL, {
+        commitHash: commitHash || resolved?.commitHash,
+        branch: repository.BRANCH,
+        ref,
+        refType: resolved?.type || null,
+        resolvedRef: resolved?.name || null,
+        repository: repository.name,
+        ...details,
         timestamp: Date.now(),
       });
 
@@ -213,30 +245,41 @@ export class ContentManager {
     try {
       console.log('📝 Updating .gitignore with managed content paths...');
 
-      // Get destination paths from content mapping
-      const contentPaths = [];
-      const mappings = Object.entries(CONFIG.CONTENT_MAPPING);
+      // Get destination paths from the mappings of every repository, keyed
+      // per repository so mappings sharing a key don't replace each other
+      const contentPaths = {};
+      const mappings = getRepositories().flatMap(repository =>
+        Object.entries(repository.CONTENT_MAPPING).map(([key, mapping]) => [
+          `${repository.name}:${key}`,
+          key,
+          mapping,
+        ])
+      );
 
-      for (const [, mapping] of mappings) {
-        const normalizedMapping = this.normalizeMapping(mapping);
+      for (const [id, key, mapping] of mappings) {
+        const normalizedMapping = this.contentInstaller.normalizeMapping(
+          mapping,
+          key
+        );
         const destinationPath = this.frameworkAdapter.transformContentPath(
           normalizedMapping.destination
         );
 
-        // Convert absolute path to relative path for gitignore
+        // Convert absolute path to relative path for gitignore; folder
+        // mappings with filters ignore only the files they install, unless
+        // rewrite rules, transform steps or JSON conversion may rename them
         const relativePath = destinationPath.replace(process.cwd() + '/', '');
-        contentPaths.push(relativePath);
+        contentPaths[id] =
+          normalizedMapping.type === 'folder' &&
+          !normalizedMapping.rewrite &&
+          !normalizedMapping.transform.length &&
+          !normalizedMapping.convert
+            ? toGitignorePatterns(relativePath, normalizedMapping)
+            : relativePath;
       }
 
       // Update gitignore with the content paths
-      const result = await this.gitIgnoreManager.updateGitignore(
-        Object.fromEntries(
-          contentPaths.map((path, index) => [
-            Object.keys(CONFIG.CONTENT_MAPPING)[index],
-            path,
-          ])
-        )
-      );
+      const result = await this.gitIgnoreManager.updateGitignore(contentPaths);
 
       if (result.success) {
         console.log(`✅ ${result.message}`);
@@ -268,22 +311,12 @@ export class ContentManager {
   }
 
   /**
-   * Normalize mapping to unified format
+   * Get mapping entries across all configured repositories
+   * @returns {Array} Array of [key, mapping] entries
    */
-  normalizeMapping(mapping) {
-    if (typeof mapping === 'string') {
-      return {
-        type: 'folder',
-        source: mapping,
-        destination: mapping,
-      };
-    }
-
-    return {
-      type: mapping.type || 'folder',
-      source: mapping.source || mapping.destination,
-      destination: mapping.destination,
-      files: mapping.files || [],
-    };
+  getAllMappings() {
+    return getRepositories().flatMap(repository =>
+      Object.entries(repository.CONTENT_MAPPING)
+    );
   }
 }
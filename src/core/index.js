@@ -14,6 +14,11 @@ export { ContentManager } from './content-manager.js';
 export { ContentInstaller } from './content-installer.js';
 export { RepositoryManager } from './repository-manager.js';
 export { BackupManager } from './backup-manager.js';
+export { LockfileManager } from './lockfile-manager.js';
+export { TransformPipeline } from './transform-pipeline.js';
+export { SearchIndexer } from './search-indexer.js';
+export { NavigationBuilder } from './navigation-builder.js';
+export { WebhookServer } from './webhook-server.js';
 
 // Re-export everything for convenience and tree-shaking support
 export * from './content-fetcher.js';
@@ -21,6 +26,11 @@ export * from './content-manager.js';
 export * from './content-installer.js';
 export * from './repository-manager.js';
 export * from './backup-manager.js';
+export * from './lockfile-manager.js';
+export * from './transform-pipeline.js';
+export * from './search-indexer.js';
+export * from './navigation-builder.js';
+export * from './webhook-server.js';
 
 /**
  * Default export - Main ContentFetcher for simple usage
@@ -0,0 +1,269 @@
+/**
+ * Lockfile Manager - Records what was installed in content.lock.json
+ * The lockfile pins each repository to the installed commit and records the
+ * normalized mappings and a sha256 of every installed file, so frozen
+ * installs (CI) reproduce exactly the same content
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import { getRepositories } from '../utils/config.js';
+import { FILES } from '../utils/constants.js';
+import { redactString } from '../utils/redact.js';
+import { isSameRepository } from '../utils/repository-url.js';
+
+export const LOCKFILE_VERSION = 1;
+
+export class LockfileManager {
+  constructor(options = {}) {
+    this.fileService = options.fileService;
+    this.cacheService = options.cacheService;
+    this.contentInstaller = options.contentInstaller;
+    this.frameworkAdapter = options.frameworkAdapter;
+    this.lockfilePath = options.lockfilePath || FILES.LOCKFILE;
+  }
+
+  /**
+   * Read the lockfile
+   * @returns {Promise<object|null>} Parsed lockfile or null if missing
+   */
+  async read() {
+    if (!this.fileService.exists(this.lockfilePath)) {
+      return null;
+    }
+
+    let lock;
+    try {
+      lock = JSON.parse(await this.fileService.read(this.lockfilePath));
+    } catch (error) {
+      throw new Error(
+        `${this.lockfilePath} is not valid JSON: ${error.message}`
+      );
+    }
+
+    if (lock.lockfileVersion !== LOCKFILE_VERSION) {
+      throw new Error(
+        `Unsupported ${this.lockfilePath} version ${lock.lockfileVersion} (expected ${LOCKFILE_VERSION})`
+      );
+    }
+
+    return lock;
+  }
+
+  /**
+   * Write the lockfile from the reports of a fetch
+   * Entries of failed repositories are kept as they were; repositories no
+   * longer configured are dropped. The file is only rewritten on change
+   * @param {object[]} repositories - Configured repository contexts
+   * @param {object[]} reports - Repository reports of the fetch
+   * @returns {Promise<boolean>} True if the lockfile changed
+   */
+  async write(repositories = getRepositories(), reports = []) {
+    const previous = await this.read().catch(() => null);
+    const lock = { lockfileVersion: LOCKFILE_VERSION, repositories: {} };
+
+    for (const repository of repositories) {
+      const report = reports.find(entry => entry.name === repository.name);
+
+      if (report && report.status !== 'failed' && report.commitHash) {
+        lock.repositories[repository.name] = await this.createEntry(
+          repository,
+          report
+        );
+      } else if (previous?.repositories?.[repository.name]) {
+        lock.repositories[repository.name] =
+          previous.repositories[repository.name];
+      }
+    }
+
+    const content = `${JSON.stringify(lock, null, 2)}\n`;
+    if (
+      this.fileService.exists(this.lockfilePath) &&
+      (await this.fileService.read(this.lockfilePath)) === content
+    ) {
+      return false;
+    }
+
+    await this.fileService.write(this.lockfilePath, content);
+    console.log(`🔒 Updated ${this.lockfilePath}`);
+    return true;
+  }
+
+  /**
+   * Build the lockfile entry of an installed repository
+   * @param {object} repository - Repository context
+   * @param {object} report - Repository report with commitHash and submodules
+   * @returns {Promise<object>} Lockfile entry
+   */
+  async createEntry(repository, report) {
+    const cachedInfo = await this.cacheService.getCachedRepositoryInfo(
+      repository.REPO_URL
+    );
+
+    return {
+      url: redactString(repository.REPO_URL),
+      ref: repository.REF || repository.BRANCH,
+      resolvedRef: cachedInfo?.resolvedRef || null,
+      commit: report.commitHash,
+      submodules: report.submodules || [],
+      mappings: this.getMappings(repository),
+      files: await this.hashInstalledFiles(repository),
+    };
+  }
+
+  /**
+   * Get the normalized mappings of a repository, keyed by mapping key
+   * @param {object} repository - Repository context
+   * @returns {object} Normalized mappings
+   */
+  getMappings(repository) {
+    const mappings = {};
+
+    for (const key of Object.keys(repository.CONTENT_MAPPING).sort()) {
+      mappings[key] = this.contentInstaller.normalizeMapping(
+        repository.CONTENT_MAPPING[key],
+        key
+      );
+    }
+
+    return mappings;
+  }
+
+  /**
+   * Hash the files each of a repository's mappings installed, as recorded in
+   * its install manifest; unmanaged files next to them are left out, so the
+   * lock doesn't depend on one checkout's local files
+   * @param {object} repository - Repository context
+   * @returns {Promise<object>} Map of project-relative path to sha256
+   */
+  async hashInstalledFiles(repository) {
+    const hashes = {};
+    const manifest = await this.contentInstaller.readManifest(repository);
+
+    for (const key of Object.keys(this.getMappings(repository))) {
+      const entry = manifest?.mappings?.[key];
+      const files = [...(entry?.files || []), ...(entry?.assets || [])].filter(
+        file => this.fileService.exists(file)
+      );
+
+      for (const file of files) {
+        const relativePath = path
+          .relative(process.cwd(), path.resolve(file))
+          .split(path.sep)
+          .join('/');
+        const content = await this.fileService.read(file, null);
+        hashes[relativePath] = crypto
+          .createHash('sha256')
+          .update(content)
+          .digest('hex');
+      }
+    }
+
+    return Object.fromEntries(
+      Object.entries(hashes).sort(([a], [b]) => (a < b ? -1 : 1))
+    );
+  }
+
+  /**
+   * Fail unless the lockfile matches the configured repositories
+   * @param {object[]} repositories - Configured repository contexts
+   * @param {object|null} lock - Parsed lockfile
+   */
+  assertMatchesConfig(repositories, lock) {
+    if (!lock) {
+      throw new Error(
+        `${this.lockfilePath} not found; run "content-cli fetch" to create it`
+      );
+    }
+
+    const problems = [];
+    const names = repositories.map(repository => repository.name);
+
+    for (const name of Object.keys(lock.repositories || {})) {
+      if (!names.includes(name)) {
+        problems.push(`repository "${name}" is locked but not configured`);
+      }
+    }
+
+    for (const repository of repositories) {
+      const entry = lock.repositories?.[repository.name];
+      if (!entry) {
+        problems.push(`repository "${repository.name}" is not locked`);
+        continue;
+      }
+
+      if (!isSameRepository(entry.url, repository.REPO_URL)) {
+        problems.push(
+          `${repository.name}: REPO_URL ${redactString(repository.REPO_URL)} differs from locked ${entry.url}`
+        );
+      }
+
+      const ref = repository.REF || repository.BRANCH;
+      if (entry.ref !== ref) {
+        problems.push(
+          `${repository.name}: ref ${ref} differs from locked ${entry.ref}`
+        );
+      }
+
+      const mappings = this.getMappings(repository);
+      for (const key of new Set([
+        ...Object.keys(mappings),
+        ...Object.keys(entry.mappings || {}),
+      ])) {
+        if (
+          JSON.stringify(mappings[key]) !==
+          JSON.stringify(entry.mappings?.[key])
+        ) {
+          problems.push(`${repository.name}: mapping "${key}" differs`);
+        }
+      }
+    }
+
+    if (problems.length > 0) {
+      throw new Error(
+        `${this.lockfilePath} does not match the content config; run "content-cli fetch" to update it:\n  - ${problems.join('\n  - ')}`
+      );
+    }
+  }
+
+  /**
+   * Pin a repository context to its locked commit
+   * @param {object} repository - Repository context
+   * @param {object} lock - Parsed lockfile
+   * @returns {object} Repository context with REF set to the locked commit
+   */
+  pinRepository(repository, lock) {
+    return { ...repository, REF: lock.repositories[repository.name].commit };
+  }
+
+  /**
+   * Fail unless the installed files match the locked hashes
+   * @param {object} repository - Repository context
+   * @param {object} lock - Parsed lockfile
+   */
+  async verifyInstalledFiles(repository, lock) {
+    const expected = lock.repositories[repository.name].files || {};
+    const actual = await this.hashInstalledFiles(repository);
+    const problems = [];
+
+    for (const [file, hash] of Object.entries(expected)) {
+      if (!(file in actual)) {
+        problems.push(`missing ${file}`);
+      } else if (actual[file] !== hash) {
+        problems.push(`modified ${file}`);
+      }
+    }
+    for (const file of Object.keys(actual)) {
+      if (!(file in expected)) {
+        problems.push(`unexpected ${file}`);
+      }
+    }
+
+    if (problems.length > 0) {
+      const examples = problems.slice(0, 5).join(', ');
+      throw new Error(
+        `Installed content of "${repository.name}" does not match ${this.lockfilePath} (${examples}${problems.length > 5 ? ', ...' : ''})`
+      );
+    }
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * Navigation Builder - Generates navigation trees from installed mappings
+ * Every mapping with a `navigation` option gets a nested sidebar built from
+ * the pages and `_category_.json` metadata its install manifest records,
+ * merged with a hand-written `sidebar.json` when there is one. Trees are
+ * written as JSON under the framework adapter's data directory
+ */
+
+import path from 'path';
+import { getRepositories } from '../utils/config.js';
+import { MARKDOWN_EXTENSIONS } from '../utils/content-data.js';
+import {
+  CATEGORY_FILES,
+  NAVIGATION_VERSION,
+  buildNavigationTree,
+  createNavigationItem,
+  mergeSidebar,
+  parseCategoryMetadata,
+} from '../utils/navigation.js';
+
+export class NavigationBuilder {
+  constructor(options = {}) {
+    this.fileService = options.fileService;
+    this.contentInstaller = options.contentInstaller;
+    this.frameworkAdapter = options.frameworkAdapter;
+  }
+
+  /**
+   * Get the path a mapping's navigation is written to
+   * @param {object} mapping - Normalized mapping with `navigation` options
+   * @returns {string} `navigation.output`, else navigation/<collection>.json
+   *   under the adapter's data directory
+   */
+  getOutputPath(mapping) {
+    return (
+      mapping.navigation.output ||
+      path.join(
+        this.frameworkAdapter.getDataDirStructure().base,
+        'navigation',
+        `${path.posix.basename(mapping.destination)}.json`
+      )
+    );
+  }
+
+  /**
+   * Build the navigation of every mapping with a `navigation` option, from
+   * the files their install manifests record
+   * @param {object[]} repositories - Repository contexts (defaults to all)
+   * @returns {Promise<object[]>} [{ mapping, path, documents, sidebar }]
+   */
+  async buildNavigation(repositories = getRepositories()) {
+    const results = [];
+
+    for (const repository of repositories) {
+      const manifest = await this.contentInstaller.readManifest(repository);
+
+      for (const [key, config] of Object.entries(repository.CONTENT_MAPPING)) {
+        const mapping = this.contentInstaller.normalizeMapping(config, key);
+        const entry = manifest?.mappings?.[key];
+        if (!mapping.navigation || !entry) continue;
+
+        results.push(await this.buildMappingNavigation(mapping, entry.files));
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Build and write the navigation of one mapping
+   * @param {object} mapping - Normalized mapping with `navigation` options
+   * @param {string[]} files - Installed files of the mapping
+   * @returns {Promise<object>} { mapping, path, documents, sidebar }, sidebar
+   *   is the merged sidebar path or null
+   */
+  async buildMappingNavigation(mapping, files) {
+    const collection = path.posix.basename(mapping.destination);
+    const documents = [];
+    const categories = {};
+
+    for (const file of files) {
+      if (!this.fileService.exists(file)) continue;
+
+      const relativePath = path.posix.relative(mapping.destination, file);
+      const name = path.posix.basename(file);
+
+      if (CATEGORY_FILES.includes(name)) {
+        const folder = path.posix.dirname(relativePath).replace(/^\.$/, '');
+        try {
+          categories[folder] = parseCategoryMetadata(
+            await this.fileService.read(file),
+            file
+          );
+        } catch (error) {
+          console.warn(`⚠️  Ignoring unreadable ${file}: ${error.message}`);
+        }
+      } else if (
+        MARKDOWN_EXTENSIONS.includes(path.extname(file).toLowerCase())
+      ) {
+        const document = createNavigationItem(
+          await this.fileService.read(file),
+          {
+            path: relativePath,
+            collection,
+            baseUrl: mapping.navigation.baseUrl,
+          }
+        );
+        if (document) documents.push(document);
+      }
+    }
+
+    let items = buildNavigationTree(documents, categories);
+    const sidebarPath =
+      mapping.navigation.sidebar ||
+      path.posix.join(mapping.destination, 'sidebar.json');
+    let sidebar = null;
+
+    if (this.fileService.exists(sidebarPath)) {
+      try {
+        const merged = mergeSidebar(
+          items,
+          JSON.parse(await this.fileService.read(sidebarPath))
+        );
+        items = merged.items;
+        sidebar = sidebarPath;
+
+        if (merged.unknown.length > 0) {
+          console.warn(
+            `⚠️  ${sidebarPath} references pages that weren't installed: ${merged.unknown.join(', ')}`
+          );
+        }
+      } catch (error) {
+        console.warn(
+          `⚠️  Ignoring unreadable sidebar ${sidebarPath}: ${error.message}`
+        );
+      }
+    } else if (mapping.navigation.sidebar) {
+      console.warn(
+        `⚠️  Sidebar ${sidebarPath} not found, using generated navigation`
+      );
+    }
+
+    const outputPath = this.getOutputPath(mapping);
+    await this.fileService.write(
+      outputPath,
+      `${JSON.stringify({ version: NAVIGATION_VERSION, collection, items }, null, 2)}\n`
+    );
+
+    console.log(
+      `🧭 Navigation: ${documents.length} page(s) of ${mapping.destination} in ${outputPath}${sidebar ? ` (merged with ${sidebar})` : ''}`
+    );
+
+    return {
+      mapping: mapping.destination,
+      path: outputPath,
+      documents: documents.length,
+      sidebar,
+    };
+  }
+}
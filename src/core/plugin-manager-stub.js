@@ -24,6 +24,16 @@ export class PluginManager {
     return true;
   }
 
+  getTransformer(name) {
+    for (const pluginName of this.enabled) {
+      const transformer = this.plugins.get(pluginName)?.transformers?.[name];
+      if (transformer) {
+        return transformer;
+      }
+    }
+    return null;
+  }
+
   getStats() {
     return {
       total: this.plugins.size,
@@ -3,7 +3,11 @@
  * Extracted from content-fetcher.js for better separation of concerns
  */
 
-import { CONFIG } from '../utils/config.js';
+import { join } from 'path';
+import { getRepositories } from '../utils/config.js';
+import { normalizeMapping } from '../utils/mapping-normalizer.js';
+import { isSameRepository } from '../utils/repository-url.js';
+import { getTransformSourcePaths } from '../utils/transformers.js';
 
 export class RepositoryManager {
   constructor(options = {}) {
@@ -12,73 +16,295 @@ export class RepositoryManager {
   }
 
   /**
-   * Clone repository using GitService with sparse checkout
+   * Get a GitService authenticated with the repository's credentials
+   * @param {object} repository - Repository context
+   * @returns {GitService} Scoped git service
    */
-  async cloneRepository() {
-    console.log('📥 Cloning content repository...');
+  getGitService(repository) {
+    return this.gitService.forRepository(repository);
+  }
 
-    // Clean up any existing temp directory first
-    await this.cleanupTempDirectory();
+  /**
+   * Bring the repository's persistent mirror to the configured ref
+   * An existing mirror is updated incrementally with `git fetch`; a missing
+   * or unusable one is cloned fresh with sparse checkout
+   * @param {object} repository - Repository context (defaults to the primary repository)
+   * @returns {Promise<string|null>} Commit hash of the checked out content
+   */
+  async cloneRepository(repository = getRepositories()[0]) {
+    const git = this.getGitService(repository);
+    const label = repository.name === 'default' ? '' : ` "${repository.name}"`;
 
     // Get sparse checkout paths
-    const sparsePaths = this.getSparseCheckoutPaths();
-
-    await this.gitService.retryOperation(
-      () =>
-        this.gitService.cloneWithSparseCheckout(
-          CONFIG.REPO_URL,
-          CONFIG.BRANCH,
-          CONFIG.TEMP_DIR,
-          sparsePaths
-        ),
-      'Repository clone'
-    );
+    const sparsePaths = this.getSparseCheckoutPaths(repository);
+
+    // Tags and semver ranges are cloned by tag name, SHAs by commit
+    const resolved = await this.resolveRepositoryRef(repository);
+    if (resolved.type !== 'branch') {
+      console.log(`📌 Using ${resolved.type} ${resolved.name}`);
+    }
+
+    // LFS objects are pulled separately, only for the mapped sources
+    const lfs = repository.GIT?.LFS_SUPPORT === true;
+    if (lfs) {
+      await git.assertLfsAvailable();
+    }
+
+    let updated = false;
+    if (await this.isMirrorUsable(repository)) {
+      console.log(`🔄 Updating cached content repository${label}...`);
+      try {
+        await git.retryOperation(
+          () =>
+            git.updateSparseCheckout(
+              repository.MIRROR_DIR,
+              resolved.name,
+              sparsePaths,
+              { lfs }
+            ),
+          'Repository update'
+        );
+        updated = true;
+      } catch (error) {
+        console.warn(
+          `⚠️  Cached repository update failed, re-cloning: ${error.message}`
+        );
+      }
+    }
+
+    if (!updated) {
+      console.log(`📥 Cloning content repository${label}...`);
+
+      await git.retryOperation(async () => {
+        // A failed attempt may leave a partial clone behind
+        await this.removeMirror(repository);
+        return git.cloneWithSparseCheckout(
+          repository.REPO_URL,
+          resolved.name,
+          repository.MIRROR_DIR,
+          sparsePaths,
+          { lfs }
+        );
+      }, 'Repository clone');
+    }
+
+    await this.updateMappedSubmodules(repository, sparsePaths, { lfs });
+
+    if (lfs) {
+      console.log('📦 Pulling Git LFS objects for mapped sources...');
+      await git.retryOperation(
+        () => git.pullLfsObjects(repository.MIRROR_DIR, sparsePaths),
+        'Git LFS pull'
+      );
+    }
 
     // Validate cloned content
-    if (!this.fileService.exists(CONFIG.TEMP_DIR)) {
-      throw new Error('Repository clone failed - temp directory not created');
+    if (!this.fileService.exists(repository.MIRROR_DIR)) {
+      throw new Error('Repository clone failed - mirror directory not created');
     }
+
+    return await git.getCurrentCommit(repository.MIRROR_DIR);
   }
 
   /**
-   * Get sparse checkout paths from content mapping
+   * Initialize submodules that live under (or contain) mapped sources
+   * Submodules are opt-in through GIT.SUBMODULES; without it a warning is
+   * shown instead of installing empty directories silently
+   * @param {object} repository - Repository context
+   * @param {Array} sparsePaths - Mapped source paths
+   * @param {object} options - { lfs }
    */
-  getSparseCheckoutPaths() {
-    return Object.values(CONFIG.CONTENT_MAPPING).map(
-      mapping => mapping.source || mapping
+  async updateMappedSubmodules(repository, sparsePaths, options = {}) {
+    const submodules = await this.getMappedSubmodules(repository, sparsePaths);
+    if (submodules.length === 0) {
+      return;
+    }
+
+    const paths = submodules.map(submodule => submodule.path);
+
+    if (repository.GIT?.SUBMODULES !== true) {
+      console.warn(
+        `⚠️  Mapped sources include submodules (${paths.join(', ')}); set GIT.SUBMODULES: true to fetch them`
+      );
+      return;
+    }
+
+    const git = this.getGitService(repository);
+    console.log(`📦 Updating ${paths.length} submodule(s)...`);
+    await git.retryOperation(
+      () => git.updateSubmodules(repository.MIRROR_DIR, paths, options),
+      'Submodule update'
     );
   }
 
+  /**
+   * Get submodules related to mapped sources
+   * A submodule matches when it is inside a source or a source points into it
+   * @param {object} repository - Repository context (defaults to the primary repository)
+   * @param {Array} sparsePaths - Mapped source paths
+   * @returns {Promise<Array>} [{ name, path }]
+   */
+  async getMappedSubmodules(
+    repository = getRepositories()[0],
+    sparsePaths = this.getSparseCheckoutPaths(repository)
+  ) {
+    const sources = sparsePaths.map(source =>
+      source.replace(/^\.\//, '').replace(/\/+$/, '')
+    );
+    const submodules = await this.gitService.listSubmodules(
+      repository.MIRROR_DIR
+    );
+
+    return submodules.filter(({ path }) =>
+      sources.some(
+        source =>
+          path === source ||
+          path.startsWith(`${source}/`) ||
+          source.startsWith(`${path}/`)
+      )
+    );
+  }
+
+  /**
+   * Get the checked out commits of mapped submodules
+   * @param {object} repository - Repository context (defaults to the primary repository)
+   * @returns {Promise<Array>} [{ path, commitHash }], empty when submodules are disabled
+   */
+  async getSubmoduleCommits(repository = getRepositories()[0]) {
+    if (repository.GIT?.SUBMODULES !== true) {
+      return [];
+    }
+
+    const submodules = await this.getMappedSubmodules(repository);
+    if (submodules.length === 0) {
+      return [];
+    }
+
+    return await this.gitService.getSubmoduleCommits(
+      repository.MIRROR_DIR,
+      submodules.map(submodule => submodule.path)
+    );
+  }
+
+  /**
+   * Check if the repository mirror can be updated in place
+   * @param {object} repository - Repository context (defaults to the primary repository)
+   * @returns {Promise<boolean>} True if the mirror is a clone of REPO_URL
+   */
+  async isMirrorUsable(repository = getRepositories()[0]) {
+    // Require the mirror's own .git so a parent repository never matches
+    if (!this.fileService.exists(join(repository.MIRROR_DIR, '.git'))) {
+      return false;
+    }
+
+    const remoteUrl = await this.gitService.getRemoteUrl(repository.MIRROR_DIR);
+    return isSameRepository(remoteUrl, repository.REPO_URL);
+  }
+
+  /**
+   * Remove the repository mirror, forcing a fresh clone on the next fetch
+   * @param {object} repository - Repository context (defaults to the primary repository)
+   */
+  async removeMirror(repository = getRepositories()[0]) {
+    if (this.fileService.exists(repository.MIRROR_DIR)) {
+      await this.fileService.remove(repository.MIRROR_DIR, { recursive: true });
+    }
+  }
+
+  /**
+   * List the changes between two commits under the mapped sources
+   * Both commits are fetched into the mirror without touching its checkout,
+   * so the installed content is left alone
+   * @param {object} repository - Repository context
+   * @param {string} from - Base commit SHA
+   * @param {string} to - Target commit SHA
+   * @returns {Promise<Array>} [{ status, path, previousPath, similarity }]
+   */
+  async diffCommits(repository, from, to) {
+    if (!(await this.isMirrorUsable(repository))) {
+      throw new Error(
+        `No local copy of "${repository.name}"; run "content-cli fetch" first`
+      );
+    }
+
+    const git = this.getGitService(repository);
+    const sources = this.getSparseCheckoutPaths(repository).map(source =>
+      source.replace(/^\.\//, '').replace(/\/+$/, '')
+    );
+
+    await git.retryOperation(
+      () => git.fetchCommits(repository.MIRROR_DIR, [...new Set([from, to])]),
+      'Fetch commits'
+    );
+
+    return await git.diffCommits(repository.MIRROR_DIR, from, to, sources);
+  }
+
+  /**
+   * Get sparse checkout paths from content mapping
+   * Mapping sources (the mapping key for mappings without one), plus the
+   * paths their transform steps read (e.g. the `base` directory of the
+   * `images` transformer)
+   * @param {object} repository - Repository context (defaults to the primary repository)
+   */
+  getSparseCheckoutPaths(repository = getRepositories()[0]) {
+    const mappings = Object.entries(repository.CONTENT_MAPPING);
+
+    return [
+      ...new Set([
+        ...mappings.map(
+          ([key, mapping]) => normalizeMapping(mapping, key).source
+        ),
+        ...mappings.flatMap(([, mapping]) =>
+          getTransformSourcePaths(mapping.transform)
+        ),
+      ]),
+    ];
+  }
+
   /**
    * Clean up temporary directory after successful content installation
+   * @param {object} repository - Repository context (defaults to the primary repository)
    */
-  async cleanupTempDirectory() {
-    if (this.fileService.exists(CONFIG.TEMP_DIR)) {
+  async cleanupTempDirectory(repository = getRepositories()[0]) {
+    if (this.fileService.exists(repository.TEMP_DIR)) {
       console.log('🧹 Cleaning up temporary directory...');
-      await this.fileService.remove(CONFIG.TEMP_DIR, { recursive: true });
+      await this.fileService.remove(repository.TEMP_DIR, { recursive: true });
       console.log('✅ Temporary directory cleaned up');
     }
   }
 
   /**
-   * Get current remote commit hash for comparison
+   * Resolve the configured REF (or BRANCH) to a concrete remote ref
+   * @param {object} repository - Repository context (defaults to the primary repository)
+   * @returns {Promise<object>} { ref, type, name, commitHash }
    */
-  async getCurrentCommitHash() {
-    return await this.gitService.getRemoteCommitHash(
-      CONFIG.REPO_URL,
-      CONFIG.BRANCH
+  async resolveRepositoryRef(repository = getRepositories()[0]) {
+    return await this.getGitService(repository).resolveRef(
+      repository.REPO_URL,
+      repository.REF || repository.BRANCH
     );
   }
 
+  /**
+   * Get current remote commit hash for comparison
+   * @param {object} repository - Repository context (defaults to the primary repository)
+   */
+  async getCurrentCommitHash(repository = getRepositories()[0]) {
+    const resolved = await this.resolveRepositoryRef(repository);
+    return resolved.commitHash;
+  }
+
   /**
    * Validate repository configuration
+   * @param {object} repository - Repository context (defaults to the primary repository)
    */
-  validateRepositoryConfig() {
-    if (!CONFIG.REPO_URL || CONFIG.REPO_URL.trim() === '') {
+  validateRepositoryConfig(repository = getRepositories()[0]) {
+    if (!repository.REPO_URL || repository.REPO_URL.trim() === '') {
       throw new Error('Repository URL is not configured');
     }
 
-    if (!CONFIG.BRANCH || CONFIG.BRANCH.trim() === '') {
+    if (!repository.BRANCH || repository.BRANCH.trim() === '') {
       throw new Error('Repository branch is not configured');
     }
 
@@ -87,10 +313,11 @@ export class RepositoryManager {
 
   /**
    * Check if repository is accessible
+   * @param {object} repository - Repository context (defaults to the primary repository)
    */
-  async checkRepositoryAccess() {
+  async checkRepositoryAccess(repository = getRepositories()[0]) {
     try {
-      await this.getCurrentCommitHash();
+      await this.getCurrentCommitHash(repository);
       return true;
     } catch (error) {
       console.warn(`⚠️  Repository access check failed: ${error.message}`);
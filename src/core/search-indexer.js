@@ -0,0 +1,126 @@
+/**
+ * Search Indexer - Builds the local search index from installed content
+ * The index is written as compact JSON into the framework adapter's public
+ * directory. Each document is rebuilt only when its file's content hash
+ * differs from the one CacheService recorded, so unchanged files are served
+ * from the cache
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import { getRepositories, getSearchSettings } from '../utils/config.js';
+import { MARKDOWN_EXTENSIONS } from '../utils/content-data.js';
+import {
+  SEARCH_INDEX_VERSION,
+  createSearchDocument,
+} from '../utils/search-index.js';
+
+const CACHE_NAMESPACE = 'search-documents';
+
+export class SearchIndexer {
+  constructor(options = {}) {
+    this.fileService = options.fileService;
+    this.cacheService = options.cacheService;
+    this.contentInstaller = options.contentInstaller;
+    this.frameworkAdapter = options.frameworkAdapter;
+  }
+
+  /**
+   * Get the path the index is written to
+   * @returns {string} SEARCH.INDEX_PATH under the adapter's public directory
+   */
+  getIndexPath() {
+    return path.join(
+      this.frameworkAdapter.getDataDirStructure().public,
+      getSearchSettings().path
+    );
+  }
+
+  /**
+   * Index the markdown files every repository's mappings installed, as
+   * recorded in their install manifests
+   * @param {object[]} repositories - Repository contexts (defaults to all)
+   * @returns {Promise<object|null>} { path, documents, indexed, cached },
+   *   null when the local search index is disabled
+   */
+  async buildIndex(repositories = getRepositories()) {
+    const settings = getSearchSettings();
+    if (!settings.enabled) {
+      return null;
+    }
+
+    const documents = [];
+    const stats = { indexed: 0, cached: 0 };
+
+    for (const repository of repositories) {
+      const manifest = await this.contentInstaller.readManifest(repository);
+
+      for (const entry of Object.values(manifest?.mappings || {})) {
+        const collection = path.posix.basename(entry.destination);
+
+        for (const file of entry.files) {
+          if (
+            !MARKDOWN_EXTENSIONS.includes(path.extname(file).toLowerCase()) ||
+            !this.fileService.exists(file)
+          ) {
+            continue;
+          }
+
+          const { document, cached } = await this.getDocument(file, {
+            path: path.posix.relative(entry.destination, file),
+            collection,
+            baseUrl: settings.baseUrl,
+            headings: settings.headings,
+            content: settings.content,
+            maxTextLength: settings.maxTextLength,
+          });
+          stats[cached ? 'cached' : 'indexed']++;
+          if (document) documents.push(document);
+        }
+      }
+    }
+
+    documents.sort((a, b) => a.url.localeCompare(b.url));
+    const indexPath = this.getIndexPath();
+    await this.fileService.write(
+      indexPath,
+      `${JSON.stringify({
+        version: SEARCH_INDEX_VERSION,
+        collections: [...new Set(documents.map(d => d.collection))].sort(),
+        documents,
+      })}\n`
+    );
+
+    console.log(
+      `🔎 Search index: ${documents.length} document(s) in ${indexPath} (${stats.indexed} indexed, ${stats.cached} unchanged)`
+    );
+
+    return { path: indexPath, documents: documents.length, ...stats };
+  }
+
+  /**
+   * Get the search document of an installed file, from the cache when its
+   * content hash is unchanged
+   * @param {string} file - Installed file path
+   * @param {object} options - Document options, see createSearchDocument()
+   * @returns {Promise<object>} { document, cached }, document is null for drafts
+   */
+  async getDocument(file, options) {
+    const content = await this.fileService.read(file);
+    const hash = crypto.createHash('sha256').update(content).digest('hex');
+    const key = { file, options };
+
+    if ((await this.cacheService.getCachedFileHash(file)) === hash) {
+      const cached = await this.cacheService.get(key, CACHE_NAMESPACE);
+      if (cached) {
+        return { document: cached.document, cached: true };
+      }
+    }
+
+    const document = createSearchDocument(content, options);
+    await this.cacheService.set(key, { document }, CACHE_NAMESPACE);
+    await this.cacheService.cacheFileHash(file, hash);
+
+    return { document, cached: false };
+  }
+}
@@ -0,0 +1,173 @@
+/**
+ * Transform Pipeline - Runs a mapping's `transform` steps on installed files
+ * Steps are built-in transformers or transformers provided by enabled
+ * plugins (`plugin.transformers`). Each step's output is cached by a hash of
+ * its input (transformer, version, options, path and content), so unchanged
+ * files skip the work on the next install; transformers with `cache: false`
+ * always run
+ */
+
+import path from 'path';
+import { BUILTIN_TRANSFORMERS } from '../utils/transformers.js';
+
+const CACHE_NAMESPACE = 'transforms';
+
+export class TransformPipeline {
+  constructor(options = {}) {
+    this.fileService = options.fileService;
+    this.cacheService = options.cacheService;
+    this.pluginManager = options.pluginManager;
+    this.warned = new Set();
+    this.stats = { transformed: 0, cached: 0 };
+  }
+
+  /**
+   * Find a transformer by name; built-ins win over plugin transformers
+   * @param {string} name - Transformer name
+   * @returns {object|null} Transformer
+   */
+  resolve(name) {
+    const transformer =
+      BUILTIN_TRANSFORMERS[name] || this.pluginManager?.getTransformer(name);
+
+    if (!transformer) {
+      return null;
+    }
+
+    return typeof transformer === 'function'
+      ? { transform: transformer }
+      : transformer;
+  }
+
+  /**
+   * Run the steps that apply to a file
+   * @param {object} entry - { source: source file, target: path relative to the destination }
+   * @param {object[]} steps - Normalized steps, from normalizeTransformSteps()
+   * @param {object} context - Passed to transformers (e.g. { mapping })
+   * @returns {Promise<object>} { source, target, content, assets }, content
+   *   is null when the file can be copied unchanged; assets are only set when
+   *   a step returned some
+   */
+  async run(entry, steps, context = {}) {
+    const applicable = steps
+      .map(step => ({ ...step, transformer: this.resolve(step.name) }))
+      .filter(step => {
+        if (step.transformer) return true;
+        this.warnOnce(
+          step.name,
+          `⚠️  Unknown transformer "${step.name}" skipped (not built in or provided by an enabled plugin)`
+        );
+        return false;
+      });
+
+    if (
+      !applicable.some(step => this.appliesTo(step.transformer, entry.target))
+    ) {
+      return { ...entry, content: null };
+    }
+
+    const original = await this.fileService.read(entry.source);
+    let file = { path: entry.target, content: original };
+    const assets = [];
+
+    for (const step of applicable) {
+      if (!this.appliesTo(step.transformer, file.path)) continue;
+      const { assets: added = [], ...output } = await this.runStep(step, file, {
+        ...context,
+        source: entry.source,
+      });
+      file = output;
+      assets.push(...added);
+    }
+
+    return {
+      source: entry.source,
+      target: file.path,
+      content: file.content === original ? null : file.content,
+      ...(assets.length > 0 ? { assets } : {}),
+    };
+  }
+
+  /**
+   * Run one transformer, using the cached output for an identical input
+   * @param {object} step - { name, options, transformer }
+   * @param {object} file - { path, content }
+   * @param {object} context - Transformer context
+   * @returns {Promise<object>} Transformed { path, content, assets }
+   */
+  async runStep({ name, options, transformer }, file, context) {
+    const key = {
+      name,
+      // Without a version, changes to the transformer's code invalidate the cache
+      version: transformer.version || String(transformer.transform),
+      options,
+      path: file.path,
+      content: file.content,
+    };
+
+    const cached =
+      transformer.cache !== false &&
+      (await this.cacheService.get(key, CACHE_NAMESPACE));
+    if (cached) {
+      this.stats.cached++;
+      return cached;
+    }
+
+    let output;
+    try {
+      output = await transformer.transform({ ...file }, options, context);
+    } catch (error) {
+      throw new Error(
+        `Transformer "${name}" failed on ${file.path}: ${error.message}`
+      );
+    }
+
+    const result =
+      typeof output === 'string'
+        ? { path: file.path, content: output }
+        : {
+            path: output?.path || file.path,
+            content: output?.content ?? file.content,
+            ...(output?.assets?.length ? { assets: output.assets } : {}),
+          };
+
+    this.stats.transformed++;
+    if (transformer.cache !== false) {
+      await this.cacheService.set(key, result, CACHE_NAMESPACE);
+    }
+    return result;
+  }
+
+  /**
+   * Check whether a transformer handles a file
+   * @param {object} transformer - Transformer
+   * @param {string} filePath - File path
+   * @returns {boolean} True when it has no extension list or lists the file's
+   */
+  appliesTo(transformer, filePath) {
+    return (
+      !transformer.extensions ||
+      transformer.extensions.includes(path.extname(filePath).toLowerCase())
+    );
+  }
+
+  /**
+   * Log a warning once per pipeline
+   * @param {string} id - Warning id
+   * @param {string} message - Warning
+   */
+  warnOnce(id, message) {
+    if (!this.warned.has(id)) {
+      this.warned.add(id);
+      console.warn(message);
+    }
+  }
+
+  /**
+   * Get the number of transformed and cached steps since creation
+   * @returns {object} { transformed, cached }
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+}
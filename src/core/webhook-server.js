@@ -0,0 +1,243 @@
+/**
+ * Webhook Server - Push-triggered content sync
+ * Receives GitHub, GitLab and Gitea push webhooks and runs a safe content
+ * update for each configured repository the push affects. Updates run one
+ * at a time, since each rewrites .gitignore, the search index and navigation
+ * from every repository's installed content
+ */
+
+import http from 'http';
+import { getRepositories } from '../utils/config.js';
+import { redactString, registerSecret } from '../utils/redact.js';
+import {
+  detectWebhookProvider,
+  verifyWebhookSignature,
+  parsePushEvent,
+  matchPushEvent,
+} from '../utils/webhook.js';
+
+const MAX_BODY_SIZE = 5 * 1024 * 1024; // 5MB
+
+export class WebhookServer {
+  /**
+   * @param {object} options - { fetcher, port, host, path, secret, validate, repositories }
+   */
+  constructor(options = {}) {
+    this.fetcher = options.fetcher;
+    this.port = options.port ?? 9000;
+    this.host = options.host || '127.0.0.1';
+    this.path = options.path || '/webhook';
+    this.secret = options.secret || null;
+    this.validate = options.validate !== false;
+    this.repositories = options.repositories || getRepositories();
+
+    // Queued updates by repository name: { repository, event }
+    this.pending = new Map();
+    // Loop working through the queue, null when idle
+    this.running = null;
+    this.server = null;
+
+    registerSecret(this.secret);
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<object>} Bound address { address, port }
+   */
+  async start() {
+    if (this.validate && !this.secret) {
+      throw new Error(
+        'Webhook secret is not set; export CONTENT_WEBHOOK_SECRET (or WEBHOOK.SECRET_ENV) or set WEBHOOK.VALIDATION: false'
+      );
+    }
+
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        console.error(
+          `❌ Webhook request failed: ${redactString(error.message)}`
+        );
+        this.respond(res, 500, { error: 'Internal error' });
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+
+    return this.server.address();
+  }
+
+  /**
+   * Stop listening and wait for running updates to finish
+   */
+  async stop() {
+    if (this.server) {
+      await new Promise(resolve => this.server.close(() => resolve()));
+      this.server = null;
+    }
+    await this.idle();
+  }
+
+  /**
+   * Wait until no repository update is running or queued
+   */
+  async idle() {
+    while (this.running) {
+      await this.running;
+    }
+  }
+
+  /**
+   * Handle a webhook request
+   * Accepted pushes are answered with 202 before the update runs, so slow
+   * fetches never hit the provider's delivery timeout
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== this.path) {
+      return this.respond(res, 404, { error: 'Not found' });
+    }
+    if (req.method !== 'POST') {
+      return this.respond(res, 405, { error: 'Method not allowed' });
+    }
+
+    const body = await this.readBody(req);
+    if (body === null) {
+      return this.respond(res, 413, { error: 'Payload too large' });
+    }
+
+    const detected = detectWebhookProvider(req.headers);
+    if (!detected) {
+      return this.respond(res, 400, { error: 'Unknown webhook provider' });
+    }
+
+    if (
+      this.validate &&
+      !verifyWebhookSignature(detected.provider, req.headers, body, this.secret)
+    ) {
+      console.warn(`⚠️  Rejected ${detected.provider} webhook: bad signature`);
+      return this.respond(res, 401, { error: 'Invalid signature' });
+    }
+
+    if (!detected.push) {
+      return this.respond(res, 202, {
+        ignored: `${detected.provider} ${detected.event} event`,
+      });
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(body.toString('utf8'));
+    } catch {
+      return this.respond(res, 400, { error: 'Invalid JSON payload' });
+    }
+
+    const event = parsePushEvent(payload);
+    const matches = matchPushEvent(this.repositories, event);
+
+    if (matches.length === 0) {
+      return this.respond(res, 202, { ignored: 'No configured repository' });
+    }
+
+    const accepted = [];
+    const skipped = {};
+    for (const { repository, update, reason } of matches) {
+      if (update) {
+        accepted.push(repository.name);
+        this.scheduleUpdate(repository, event);
+      } else {
+        skipped[repository.name] = reason;
+        console.log(
+          `⏭️  Ignoring push to ${event.ref} for ${repository.name}: ${reason}`
+        );
+      }
+    }
+
+    return this.respond(res, 202, { accepted, skipped });
+  }
+
+  /**
+   * Queue a safe update for a repository
+   * All repositories share one queue, run in push order; pushes to a
+   * repository that is already queued are coalesced into its queued run
+   * @param {object} repository - Repository context
+   * @param {object} event - Parsed push event
+   */
+  scheduleUpdate(repository, event) {
+    this.pending.set(repository.name, { repository, event });
+    if (this.running) {
+      return;
+    }
+
+    this.running = (async () => {
+      while (this.pending.size > 0) {
+        const [name, update] = this.pending.entries().next().value;
+        this.pending.delete(name);
+        await this.runUpdate(update.repository, update.event);
+      }
+
+      this.running = null;
+    })();
+  }
+
+  /**
+   * Run a safe update and record the installed commit in the lockfile
+   * @param {object} repository - Repository context
+   * @param {object} event - Parsed push event
+   */
+  async runUpdate(repository, event) {
+    const { ref, commitHash } = event;
+    console.log(
+      `🔔 Push to ${ref} (${commitHash?.substring(0, 8) || 'unknown'}), updating ${repository.name}...`
+    );
+
+    try {
+      const installed = await this.fetcher.updateContentSafely(repository);
+      await this.fetcher.updateLockfileEntry(repository, installed);
+      console.log(
+        `✅ ${repository.name} updated to ${installed?.substring(0, 8)}`
+      );
+    } catch (error) {
+      console.error(
+        `❌ Webhook update failed for ${repository.name}: ${redactString(error.message)}`
+      );
+    }
+  }
+
+  /**
+   * Read the raw request body
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Promise<Buffer|null>} Body, or null when over the size limit
+   */
+  async readBody(req) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        return null;
+      }
+      chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Send a JSON response
+   */
+  respond(res, status, body) {
+    if (res.headersSent) {
+      return;
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+}
@@ -233,6 +233,19 @@ export class PluginManager {
       }
     }
 
+    // Check transformer structure
+    if (plugin.transformers) {
+      for (const [, transformer] of Object.entries(plugin.transformers)) {
+        const transform =
+          typeof transformer === 'function'
+            ? transformer
+            : transformer?.transform;
+        if (typeof transform !== 'function') {
+          return false;
+        }
+      }
+    }
+
     // Check dependencies format
     if (plugin.dependencies && !Array.isArray(plugin.dependencies)) {
       return false;
@@ -241,6 +254,22 @@ export class PluginManager {
     return true;
   }
 
+  /**
+   * Get a content transformer provided by an enabled plugin
+   * @param {string} name - Transformer name
+   * @returns {object|Function|null} Transformer
+   */
+  getTransformer(name) {
+    for (const pluginName of this.enabledPlugins) {
+      const transformer = this.plugins.get(pluginName)?.transformers?.[name];
+      if (transformer) {
+        return transformer;
+      }
+    }
+
+    return null;
+  }
+
   /**
    * Get plugin information
    * @param {string} name - Plugin name
@@ -294,6 +323,7 @@ export class BasePlugin {
     this.version = version;
     this.dependencies = [];
     this.hooks = {};
+    this.transformers = {};
   }
 
   /**
@@ -321,6 +351,15 @@ export class BasePlugin {
     this.hooks[hookName] = callback;
   }
 
+  /**
+   * Add a content transformer, usable by name in mapping `transform` blocks
+   * @param {string} name - Transformer name
+   * @param {object|Function} transformer - Transformer
+   */
+  addTransformer(name, transformer) {
+    this.transformers[name] = transformer;
+  }
+
   /**
    * Add a dependency
    * @param {string} pluginName - Dependency plugin name
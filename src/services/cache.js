@@ -2,6 +2,8 @@ import fs from 'fs';
 import { readFile, writeFile, mkdir, stat } from 'fs/promises';
 import path from 'path';
 import crypto from 'crypto';
+import { redact } from '../utils/redact.js';
+import { normalizeRepositoryUrl } from '../utils/repository-url.js';
 
 /**
  * Cache Service - Smart caching layer for content operations
@@ -346,10 +348,17 @@ export class CacheService {
    * @returns {Promise<boolean>} Success status
    */
   async cacheRepositoryInfo(repoUrl, repoInfo) {
-    return await this.set(repoUrl, repoInfo, 'git-repos', {
-      ttl: 2 * 60 * 60 * 1000, // 2 hours for git info
-      metadata: { type: 'repository-info' },
-    });
+    // Never persist credentials that may be embedded in URLs or errors;
+    // equivalent URLs (SSH vs HTTPS, trailing .git) share one entry
+    return await this.set(
+      normalizeRepositoryUrl(repoUrl),
+      redact(repoInfo),
+      'git-repos',
+      {
+        ttl: 2 * 60 * 60 * 1000, // 2 hours for git info
+        metadata: { type: 'repository-info' },
+      }
+    );
   }
 
   /**
@@ -358,7 +367,16 @@ export class CacheService {
    * @returns {Promise<object|null>} Repository information
    */
   async getCachedRepositoryInfo(repoUrl) {
-    return await this.get(repoUrl, 'git-repos');
+    return await this.get(normalizeRepositoryUrl(repoUrl), 'git-repos');
+  }
+
+  /**
+   * Forget cached Git repository information
+   * @param {string} repoUrl - Repository URL
+   * @returns {Promise<boolean>} Success status
+   */
+  async clearRepositoryInfo(repoUrl) {
+    return await this.delete(normalizeRepositoryUrl(repoUrl), 'git-repos');
   }
 
   /**
@@ -4,11 +4,13 @@ import {
   mkdir,
   rm,
   rename,
+  rmdir,
   stat,
   copyFile,
   readdir,
 } from 'fs/promises';
 import path from 'path';
+import { DATA_FORMATS, parseContentData } from '../utils/content-data.js';
 
 /**
  * File Service - Handles all file system operations
@@ -22,6 +24,9 @@ export class FileService {
     this.maxFileSize = options.maxFileSize || 5 * 1024 * 1024; // 5MB
     this.allowedExtensions = options.allowedExtensions || [
       '.json',
+      '.yml',
+      '.yaml',
+      '.toml',
       '.mdx',
       '.md',
     ];
@@ -147,6 +152,47 @@ export class FileService {
     }
   }
 
+  /**
+   * List the entries of a directory
+   * @param {string} dirPath - Directory path
+   * @returns {Promise<string[]>} Entry names, empty if the directory is missing
+   */
+  async listDirectory(dirPath) {
+    try {
+      return await readdir(dirPath);
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Remove a directory and its parents as long as they are empty
+   * @param {string} dirPath - Directory to start from
+   * @param {string} stopPath - Ancestor directory that is never removed
+   * @returns {Promise<number>} Number of removed directories
+   */
+  async removeEmptyDirectories(dirPath, stopPath) {
+    const stop = path.resolve(stopPath);
+    let current = path.resolve(dirPath);
+    let removed = 0;
+
+    while (current.startsWith(`${stop}${path.sep}`)) {
+      try {
+        if ((await readdir(current)).length > 0) {
+          break;
+        }
+        await rmdir(current);
+      } catch {
+        break;
+      }
+
+      removed++;
+      current = path.dirname(current);
+    }
+
+    return removed;
+  }
+
   /**
    * Read file content
    * @param {string} filePath - File path
@@ -326,6 +372,8 @@ export class FileService {
       // Content validation for specific file types
       if (ext === '.json') {
         await this.validateJsonFile(filePath);
+      } else if (DATA_FORMATS[ext]) {
+        await this.validateDataFile(filePath);
       } else if (ext === '.mdx' || ext === '.md') {
         await this.validateMarkdownFile(filePath);
       }
@@ -355,6 +403,24 @@ export class FileService {
     }
   }
 
+  /**
+   * Validate YAML or TOML file content
+   * @param {string} filePath - Data file path
+   * @throws {Error} If the file doesn't parse, with the line of the error
+   */
+  async validateDataFile(filePath) {
+    const content = await this.read(filePath);
+
+    try {
+      parseContentData(content, filePath);
+    } catch (error) {
+      const format = DATA_FORMATS[path.extname(filePath).toLowerCase()];
+      throw new Error(
+        `Invalid ${format.toUpperCase()} in ${filePath}: ${error.message}`
+      );
+    }
+  }
+
   /**
    * Validate Markdown/MDX file content
    * @param {string} filePath - Markdown file path
@@ -449,20 +515,22 @@ export class FileService {
           filePath,
           success: false,
           error: error.message,
-        }));
+        }))
+        .then(outcome => ({ operation, outcome }));
 
       processing.push(operation);
 
       if (processing.length >= concurrency) {
+        // Remove the operation that finished, not the one just started
         const completed = await Promise.race(processing);
-        results.push(completed);
-        processing.splice(processing.indexOf(completed), 1);
+        results.push(completed.outcome);
+        processing.splice(processing.indexOf(completed.operation), 1);
       }
     }
 
     // Wait for remaining operations
     const remaining = await Promise.all(processing);
-    results.push(...remaining);
+    results.push(...remaining.map(completed => completed.outcome));
 
     return results;
   }
@@ -1,5 +1,54 @@
-import { execSync } from 'child_process';
-import { setTimeout } from 'timers/promises';
+import { spawn } from 'child_process';
+import { rm } from 'fs/promises';
+import { setTimeout as delay } from 'timers/promises';
+import { isValidRange, maxSatisfying } from '../utils/semver.js';
+import {
+  buildCredentialOptions,
+  resolveCredentials,
+} from '../utils/credentials.js';
+import { redactString } from '../utils/redact.js';
+import { parseNameStatus } from '../utils/content-diff.js';
+import { isValidRepositoryUrl, toGitUrl } from '../utils/repository-url.js';
+
+const COMMIT_HASH_PATTERN = /^[0-9a-f]{40}$/i;
+
+/**
+ * Build a readable error message for a failed git command
+ * @param {string[]} args - Git arguments
+ * @param {object} failure - { code, timedOut, timeout, spawnError, stderr }
+ * @returns {string} Error message
+ */
+function describeFailure(
+  args,
+  { code, timedOut, timeout, spawnError, stderr }
+) {
+  // Skip global options such as `-c key=value` / `-C dir` to name the subcommand
+  const subcommand = args.find(
+    (arg, index) =>
+      !arg.startsWith('-') && !['-c', '-C'].includes(args[index - 1])
+  );
+  const name = subcommand ? `git ${subcommand}` : 'git';
+
+  if (spawnError) {
+    return spawnError.code === 'ENOENT'
+      ? `${name} could not be started: git not found or invalid working directory`
+      : `${name} could not be started: ${spawnError.message}`;
+  }
+
+  if (timedOut) {
+    return `${name} timed out after ${timeout}ms without output`;
+  }
+
+  // Last non-progress line is usually the actual error ("fatal: ...")
+  const lines = stderr
+    .split(/[\r\n]+/)
+    .map(line => line.trim())
+    .filter(Boolean);
+  const message =
+    lines.reverse().find(line => /^(fatal|error):/.test(line)) || lines[0];
+
+  return `${name} exited with code ${code}${message ? `: ${message}` : ''}`;
+}
 
 /**
  * Git Service - Handles all Git operations
@@ -13,36 +62,152 @@ export class GitService {
     this.timeout = options.timeout || 30000; // 30s default
     this.retries = options.retries || 3;
     this.retryDelay = options.retryDelay || 2000;
+    this.credentials = options.credentials || null;
+  }
+
+  /**
+   * Create a GitService that authenticates every command with credentials
+   * @param {object|null} credentials - Resolved credentials
+   * @returns {GitService} Scoped service
+   */
+  withCredentials(credentials) {
+    return new GitService({
+      timeout: this.timeout,
+      retries: this.retries,
+      retryDelay: this.retryDelay,
+      credentials,
+    });
+  }
+
+  /**
+   * Create a GitService using a repository's configured credentials
+   * @param {object} repository - Repository context
+   * @returns {GitService} Scoped service
+   */
+  forRepository(repository) {
+    return this.withCredentials(resolveCredentials(repository.GIT));
   }
 
   /**
-   * Execute git command safely
-   * @param {string} command - Git command to execute (without 'git' prefix)
+   * Run a git command without a shell
+   * Arguments are passed as argv, so URLs, refs and paths from config are
+   * never interpreted by a shell. Output is streamed as it arrives and the
+   * command is only killed after `timeout` ms without any output, so long
+   * clones that keep reporting progress are not cut off.
+   * @param {string[]} args - Git arguments (without the 'git' prefix)
    * @param {object} options - Execution options
-   * @returns {Promise<object>} Result object
+   * @param {string} options.cwd - Working directory
+   * @param {object} options.env - Extra environment variables
+   * @param {boolean} options.silent - Do not forward output to the console
+   * @param {number} options.timeout - Inactivity timeout in ms (0 disables)
+   * @param {Function} options.onStdout - Called with each stdout chunk
+   * @param {Function} options.onStderr - Called with each stderr chunk
+   * @returns {Promise<object>} Result object (never rejects)
    */
-  async safeExec(command, options = {}) {
-    const fullCommand = `git ${command}`;
-    
-    try {
-      const execOptions = {
-        stdio: options.silent ? 'pipe' : 'inherit',
-        encoding: 'utf8',
-        timeout: options.timeout || this.timeout,
-        cwd: options.cwd || process.cwd(),
-        ...options,
+  exec(args, options = {}) {
+    const {
+      cwd = process.cwd(),
+      env = {},
+      silent = false,
+      timeout = this.timeout,
+      onStdout,
+      onStderr,
+    } = options;
+    const credentialOptions = buildCredentialOptions(this.credentials);
+    const argv = [
+      ...credentialOptions.config.flatMap(entry => ['-c', entry]),
+      ...args,
+    ];
+    const command = redactString(`git ${args.join(' ')}`);
+    const startTime = Date.now();
+
+    return new Promise(resolve => {
+      const stdout = [];
+      const stderr = [];
+      let timedOut = false;
+      let timer = null;
+      let settled = false;
+      let child;
+
+      const finish = (code, signal, spawnError = null) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+
+        const output = stdout.join('');
+        const errorOutput = redactString(stderr.join(''));
+        const success = !spawnError && !timedOut && code === 0;
+
+        resolve({
+          success,
+          command,
+          code,
+          signal,
+          output,
+          stdout: output,
+          stderr: errorOutput,
+          timedOut,
+          duration: Date.now() - startTime,
+          error: success
+            ? null
+            : describeFailure(args, {
+                code,
+                timedOut,
+                timeout,
+                spawnError,
+                stderr: errorOutput,
+              }),
+        });
       };
 
-      const result = execSync(fullCommand, execOptions);
-      return { success: true, output: result };
-    } catch (error) {
-      return {
-        success: false,
-        error: error.message,
-        output: error.stdout || error.stderr || '',
-        code: error.status || error.signal
+      const resetTimer = () => {
+        if (!timeout) return;
+        clearTimeout(timer);
+        timer = globalThis.setTimeout(() => {
+          timedOut = true;
+          child.kill('SIGTERM');
+        }, timeout);
       };
-    }
+
+      try {
+        child = spawn('git', argv, {
+          cwd,
+          // Never block on an interactive credential prompt
+          env: {
+            ...process.env,
+            GIT_TERMINAL_PROMPT: '0',
+            ...credentialOptions.env,
+            ...env,
+          },
+          stdio: ['ignore', 'pipe', 'pipe'],
+          windowsHide: true,
+        });
+      } catch (error) {
+        finish(null, null, error);
+        return;
+      }
+
+      const collect = (buffer, stream, callback) => chunk => {
+        // Git may echo remote URLs, so mask credentials before anything is shown
+        const text = redactString(chunk.toString('utf8'));
+        buffer.push(text);
+        resetTimer();
+        if (!silent) stream.write(text);
+        if (callback) callback(text);
+      };
+
+      child.stdout.on('data', collect(stdout, process.stdout, onStdout));
+      child.stderr.on('data', collect(stderr, process.stderr, onStderr));
+      child.on('error', error => finish(null, null, error));
+      // A killed git may leave children holding the pipes open, so don't
+      // wait for them to close after a timeout
+      child.on('exit', (code, signal) => {
+        if (timedOut) finish(code, signal);
+      });
+      child.on('close', (code, signal) => finish(code, signal));
+
+      resetTimer();
+    });
   }
 
   /**
@@ -52,10 +217,13 @@ export class GitService {
    * @returns {Promise<string>} Commit hash
    */
   async getRemoteCommitHash(repoUrl, branch = 'master') {
-    const result = await this.safeExec(`ls-remote ${repoUrl} ${branch}`, {
-      silent: true,
-      timeout: 10000,
-    });
+    const result = await this.exec(
+      ['ls-remote', '--', toGitUrl(repoUrl), branch],
+      {
+        silent: true,
+        timeout: 10000,
+      }
+    );
 
     if (result.success && result.output) {
       const commitHash = result.output.trim().split('\t')[0];
@@ -65,23 +233,138 @@ export class GitService {
     throw new Error(`Failed to get remote commit: ${result.error}`);
   }
 
+  /**
+   * List remote branches and tags
+   * Annotated tags are resolved to the commit they point at
+   * @param {string} repoUrl - Repository URL
+   * @returns {Promise<object>} { heads: {name: hash}, tags: {name: hash} }
+   */
+  async listRemoteRefs(repoUrl) {
+    const result = await this.exec(
+      ['ls-remote', '--heads', '--tags', '--', toGitUrl(repoUrl)],
+      { silent: true, timeout: 10000 }
+    );
+
+    if (!result.success) {
+      throw new Error(`Failed to list remote refs: ${result.error}`);
+    }
+
+    const heads = {};
+    const tags = {};
+    const peeled = new Set();
+
+    for (const line of (result.output || '').trim().split('\n')) {
+      const [hash, ref] = line.split('\t');
+      if (!hash || !ref) continue;
+
+      if (ref.startsWith('refs/heads/')) {
+        heads[ref.slice('refs/heads/'.length)] = hash;
+      } else if (ref.startsWith('refs/tags/')) {
+        const name = ref.slice('refs/tags/'.length);
+        if (name.endsWith('^{}')) {
+          tags[name.slice(0, -3)] = hash;
+          peeled.add(name.slice(0, -3));
+        } else if (!peeled.has(name)) {
+          tags[name] = hash;
+        }
+      }
+    }
+
+    return { heads, tags };
+  }
+
+  /**
+   * Resolve a branch, tag, full commit SHA or semver range to a commit
+   * Semver ranges (e.g. "^2.1") resolve to the highest matching remote tag
+   * @param {string} repoUrl - Repository URL
+   * @param {string} ref - Ref to resolve
+   * @returns {Promise<object>} { ref, type: 'branch'|'tag'|'commit', name, commitHash }
+   */
+  async resolveRef(repoUrl, ref) {
+    if (!ref || typeof ref !== 'string') {
+      throw new Error('Ref is required');
+    }
+
+    if (this.isCommitHash(ref)) {
+      const commitHash = ref.toLowerCase();
+      return { ref, type: 'commit', name: commitHash, commitHash };
+    }
+
+    const { heads, tags } = await this.listRemoteRefs(repoUrl);
+
+    if (heads[ref]) {
+      return { ref, type: 'branch', name: ref, commitHash: heads[ref] };
+    }
+
+    if (tags[ref]) {
+      return { ref, type: 'tag', name: ref, commitHash: tags[ref] };
+    }
+
+    if (isValidRange(ref)) {
+      const tag = maxSatisfying(Object.keys(tags), ref);
+      if (!tag) {
+        throw new Error(`No remote tag satisfies version range "${ref}"`);
+      }
+      return { ref, type: 'tag', name: tag, commitHash: tags[tag] };
+    }
+
+    throw new Error(`Ref "${ref}" not found on remote`);
+  }
+
+  /**
+   * Check if a ref is a full commit SHA
+   * @param {string} ref - Ref to check
+   * @returns {boolean} True if full SHA
+   */
+  isCommitHash(ref) {
+    return COMMIT_HASH_PATTERN.test(ref || '');
+  }
+
   /**
    * Clone repository with sparse checkout
    * @param {string} repoUrl - Repository URL
-   * @param {string} branch - Branch to clone
+   * @param {string} branch - Branch or tag to clone, or a full commit SHA
    * @param {string} destination - Destination directory
    * @param {Array} sparsePaths - Paths for sparse checkout
+   * @param {object} options - { lfs: defer LFS downloads to pullLfsObjects() }
    * @returns {Promise<boolean>} Success status
    */
   async cloneWithSparseCheckout(
     repoUrl,
     branch = 'master',
     destination,
-    sparsePaths = []
+    sparsePaths = [],
+    options = {}
   ) {
+    if (this.isCommitHash(branch)) {
+      return await this.cloneCommitWithSparseCheckout(
+        repoUrl,
+        branch,
+        destination,
+        sparsePaths,
+        options
+      );
+    }
+
+    const env = this.getLfsEnv(options);
+
     // Step 1: Clone with shallow depth and blob filtering
-    const cloneResult = await this.safeExec(
-      `clone --depth 1 --branch ${branch} --filter=blob:none --sparse ${repoUrl} ${destination}`
+    // --progress keeps output flowing so the inactivity timeout stays armed
+    const cloneResult = await this.exec(
+      [
+        'clone',
+        '--depth',
+        '1',
+        '--branch',
+        branch,
+        '--filter=blob:none',
+        '--sparse',
+        '--progress',
+        '--',
+        toGitUrl(repoUrl),
+        destination,
+      ],
+      { env }
     );
 
     if (!cloneResult.success) {
@@ -90,9 +373,9 @@ export class GitService {
 
     // Step 2: Configure sparse checkout if paths specified
     if (sparsePaths.length > 0) {
-      const sparseResult = await this.safeExec(
-        `sparse-checkout set ${sparsePaths.join(' ')}`,
-        { cwd: destination }
+      const sparseResult = await this.exec(
+        ['sparse-checkout', 'set', '--', ...sparsePaths],
+        { cwd: destination, env }
       );
 
       if (!sparseResult.success) {
@@ -101,16 +384,336 @@ export class GitService {
     }
 
     return true;
-  }  /**
+  }
+
+  /**
+   * Check out a single commit with sparse checkout
+   * `clone --branch` cannot take a SHA, so the commit is fetched directly
+   * @param {string} repoUrl - Repository URL
+   * @param {string} commitHash - Full commit SHA
+   * @param {string} destination - Destination directory
+   * @param {Array} sparsePaths - Paths for sparse checkout
+   * @param {object} options - { lfs: defer LFS downloads to pullLfsObjects() }
+   * @returns {Promise<boolean>} Success status
+   */
+  async cloneCommitWithSparseCheckout(
+    repoUrl,
+    commitHash,
+    destination,
+    sparsePaths = [],
+    options = {}
+  ) {
+    const env = this.getLfsEnv(options);
+    const steps = [
+      [['init', '--quiet', '--', destination], {}],
+      [
+        ['remote', 'add', '--', 'origin', toGitUrl(repoUrl)],
+        { cwd: destination },
+      ],
+      [
+        ['sparse-checkout', 'set', '--', ...sparsePaths],
+        { cwd: destination, skip: sparsePaths.length === 0 },
+      ],
+      [
+        [
+          'fetch',
+          '--depth',
+          '1',
+          '--filter=blob:none',
+          '--progress',
+          '--',
+          'origin',
+          commitHash,
+        ],
+        { cwd: destination },
+      ],
+      [['checkout', '--quiet', '--detach', 'FETCH_HEAD'], { cwd: destination }],
+    ];
+
+    for (const [args, { skip, ...options }] of steps) {
+      if (skip) continue;
+
+      const result = await this.exec(args, { ...options, env });
+      if (!result.success) {
+        throw new Error(`Checkout of ${commitHash} failed: ${result.error}`);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Update an existing sparse clone to a new ref
+   * Only objects for the new commit are fetched; with the blob filter the
+   * checkout then downloads just the blobs that changed under the sparse paths
+   * @param {string} destination - Existing clone directory
+   * @param {string} ref - Branch, tag or full commit SHA
+   * @param {Array} sparsePaths - Paths for sparse checkout
+   * @param {object} options - { lfs: defer LFS downloads to pullLfsObjects() }
+   * @returns {Promise<boolean>} Success status
+   */
+  async updateSparseCheckout(destination, ref, sparsePaths = [], options = {}) {
+    const env = this.getLfsEnv(options);
+    const steps = [
+      [
+        'fetch',
+        '--depth',
+        '1',
+        '--filter=blob:none',
+        '--progress',
+        '--',
+        'origin',
+        ref,
+      ],
+      ['checkout', '--quiet', '--force', '--detach', 'FETCH_HEAD'],
+    ];
+
+    // Applied after checkout so blobs are only fetched for the new commit
+    if (sparsePaths.length > 0) {
+      steps.push(['sparse-checkout', 'set', '--', ...sparsePaths]);
+    }
+
+    for (const args of steps) {
+      const result = await this.exec(args, { cwd: destination, env });
+      if (!result.success) {
+        throw new Error(`Update to ${ref} failed: ${result.error}`);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Fetch commits into an existing clone without checking them out
+   * @param {string} destination - Existing clone directory
+   * @param {string[]} commits - Full commit SHAs
+   * @returns {Promise<boolean>} Success status
+   */
+  async fetchCommits(destination, commits) {
+    const result = await this.exec(
+      [
+        'fetch',
+        '--depth',
+        '1',
+        '--filter=blob:none',
+        '--no-tags',
+        '--',
+        'origin',
+        ...commits,
+      ],
+      { silent: true, cwd: destination }
+    );
+
+    if (!result.success) {
+      throw new Error(`Fetch of ${commits.join(', ')} failed: ${result.error}`);
+    }
+
+    return true;
+  }
+
+  /**
+   * List the files changed between two commits, with rename detection
+   * In a blob-filtered clone git downloads the blobs it needs to score
+   * renames on demand
+   * @param {string} destination - Clone containing both commits
+   * @param {string} from - Base commit
+   * @param {string} to - Target commit
+   * @param {Array} paths - Limit the diff to these paths
+   * @returns {Promise<Array>} [{ status, path, previousPath, similarity }]
+   */
+  async diffCommits(destination, from, to, paths = []) {
+    const result = await this.exec(
+      [
+        'diff',
+        '--name-status',
+        '-z',
+        '--find-renames',
+        '--no-ext-diff',
+        from,
+        to,
+        '--',
+        ...paths,
+      ],
+      { silent: true, cwd: destination }
+    );
+
+    if (!result.success) {
+      throw new Error(`Diff of ${from}..${to} failed: ${result.error}`);
+    }
+
+    return parseNameStatus(result.output);
+  }
+
+  /**
+   * List submodules declared in a clone's .gitmodules
+   * @param {string} destination - Clone directory
+   * @returns {Promise<Array>} [{ name, path }]
+   */
+  async listSubmodules(destination) {
+    const result = await this.exec(
+      [
+        'config',
+        '--file',
+        '.gitmodules',
+        '--get-regexp',
+        '^submodule\\..*\\.path$',
+      ],
+      { silent: true, cwd: destination }
+    );
+
+    // Exits non-zero when there is no .gitmodules or no submodule entries
+    if (!result.success) {
+      return [];
+    }
+
+    return result.output
+      .split('\n')
+      .filter(Boolean)
+      .map(line => {
+        const separator = line.indexOf(' ');
+        const key = line.slice(0, separator);
+        return {
+          name: key.slice('submodule.'.length, -'.path'.length),
+          path: line.slice(separator + 1),
+        };
+      });
+  }
+
+  /**
+   * Initialize and check out submodules (and their nested submodules)
+   * @param {string} destination - Clone directory
+   * @param {Array} paths - Submodule paths to update
+   * @param {object} options - { lfs: defer LFS downloads to pullLfsObjects() }
+   * @returns {Promise<Array>} Checked out submodules [{ path, commitHash }]
+   */
+  async updateSubmodules(destination, paths, options = {}) {
+    if (paths.length === 0) {
+      return [];
+    }
+
+    const result = await this.exec(
+      [
+        'submodule',
+        'update',
+        '--init',
+        '--recursive',
+        '--force',
+        '--depth',
+        '1',
+        '--',
+        ...paths,
+      ],
+      { cwd: destination, env: this.getLfsEnv(options) }
+    );
+
+    if (!result.success) {
+      throw new Error(`Submodule update failed: ${result.error}`);
+    }
+
+    return await this.getSubmoduleCommits(destination, paths);
+  }
+
+  /**
+   * Get the checked out commit of submodules, including nested ones
+   * @param {string} destination - Clone directory
+   * @param {Array} paths - Submodule paths
+   * @returns {Promise<Array>} [{ path, commitHash }]
+   */
+  async getSubmoduleCommits(destination, paths) {
+    const result = await this.exec(
+      ['submodule', 'status', '--recursive', '--', ...paths],
+      { silent: true, cwd: destination }
+    );
+
+    if (!result.success) {
+      throw new Error(`Submodule status failed: ${result.error}`);
+    }
+
+    // Lines look like " <sha> <path> (<describe>)"; "-" marks uninitialized
+    return result.output
+      .split('\n')
+      .map(line => line.match(/^[ +U]([0-9a-f]{40}) (.+?)(?: \(.*\))?$/))
+      .filter(Boolean)
+      .map(([, commitHash, path]) => ({ path, commitHash }));
+  }
+
+  /**
+   * Environment for checkouts of LFS-enabled repositories
+   * Smudging is skipped so LFS objects are only downloaded by pullLfsObjects(),
+   * limited to the sparse paths, instead of one request per file on checkout
+   * @param {object} options - { lfs }
+   * @returns {object} Extra environment variables
+   */
+  getLfsEnv(options = {}) {
+    return options.lfs ? { GIT_LFS_SKIP_SMUDGE: '1' } : {};
+  }
+
+  /**
+   * Check if the git-lfs extension is installed
+   * @returns {Promise<boolean>} True if available
+   */
+  async isLfsAvailable() {
+    if (this.lfsAvailable === undefined) {
+      const result = await this.exec(['lfs', 'version'], { silent: true });
+      this.lfsAvailable = result.success;
+    }
+
+    return this.lfsAvailable;
+  }
+
+  /**
+   * Throw a descriptive error when git-lfs is missing
+   * @returns {Promise<void>}
+   */
+  async assertLfsAvailable() {
+    if (!(await this.isLfsAvailable())) {
+      throw new Error(
+        'Git LFS support is enabled (GIT.LFS_SUPPORT) but git-lfs is not installed. Install it from https://git-lfs.com'
+      );
+    }
+  }
+
+  /**
+   * Download and check out Git LFS objects for the given paths only
+   * @param {string} destination - Clone directory
+   * @param {Array} includePaths - Paths to pull LFS objects for (all if empty)
+   * @returns {Promise<boolean>} Success status
+   */
+  async pullLfsObjects(destination, includePaths = []) {
+    await this.assertLfsAvailable();
+
+    // Match both files and everything below directories
+    const include = includePaths.flatMap(item => [item, `${item}/**`]);
+    const steps = [
+      ['lfs', 'install', '--local', '--skip-smudge'],
+      [
+        'lfs',
+        'pull',
+        ...(include.length > 0 ? [`--include=${include.join(',')}`] : []),
+        'origin',
+      ],
+    ];
+
+    for (const args of steps) {
+      const result = await this.exec(args, { cwd: destination });
+      if (!result.success) {
+        throw new Error(`Git LFS pull failed: ${result.error}`);
+      }
+    }
+
+    return true;
+  }
+
+  /**
    * Check if directory is a git repository
    * @param {string} path - Directory path
    * @returns {Promise<boolean>} True if git repo
    */
   async isGitRepository(path) {
-    const result = await this.safeExec(
-      `rev-parse --git-dir`,
-      { silent: true, cwd: path }
-    );
+    const result = await this.exec(['rev-parse', '--git-dir'], {
+      silent: true,
+      cwd: path,
+    });
     return result.success;
   }
 
@@ -120,7 +723,7 @@ export class GitService {
    * @returns {Promise<string|null>} Current commit hash or null
    */
   async getCurrentCommit(path) {
-    const result = await this.safeExec(`rev-parse HEAD`, {
+    const result = await this.exec(['rev-parse', 'HEAD'], {
       silent: true,
       cwd: path,
     });
@@ -153,10 +756,10 @@ export class GitService {
    * @returns {Promise<string|null>} Current branch name
    */
   async getCurrentBranch(path) {
-    const result = await this.safeExec(
-      `rev-parse --abbrev-ref HEAD`,
-      { silent: true, cwd: path }
-    );
+    const result = await this.exec(['rev-parse', '--abbrev-ref', 'HEAD'], {
+      silent: true,
+      cwd: path,
+    });
 
     if (result.success && result.output) {
       return result.output.trim();
@@ -171,10 +774,10 @@ export class GitService {
    * @returns {Promise<string|null>} Remote URL
    */
   async getRemoteUrl(path) {
-    const result = await this.safeExec(
-      `config --get remote.origin.url`,
-      { silent: true, cwd: path }
-    );
+    const result = await this.exec(['config', '--get', 'remote.origin.url'], {
+      silent: true,
+      cwd: path,
+    });
 
     if (result.success && result.output) {
       return result.output.trim();
@@ -189,17 +792,7 @@ export class GitService {
    * @returns {boolean} True if valid
    */
   validateRepositoryUrl(url) {
-    if (!url) {
-      return false;
-    }
-
-    // Allow both SSH and HTTPS git URLs
-    const validPatterns = [
-      /^git@[\w.-]+:[\w.-]+\/[\w.-]+\.git$/, // SSH: git@host:org/repo.git
-      /^https:\/\/[\w.-]+\/[\w.-]+\/[\w.-]+\.git$/, // HTTPS: https://host/org/repo.git
-    ];
-
-    return validPatterns.some(pattern => pattern.test(url));
+    return isValidRepositoryUrl(url);
   }
 
   /**
@@ -218,8 +811,8 @@ export class GitService {
         lastError = error;
 
         if (attempt < this.retries) {
-          const delay = this.retryDelay * Math.pow(2, attempt - 1); // Exponential backoff
-          await setTimeout(delay);
+          const wait = this.retryDelay * Math.pow(2, attempt - 1); // Exponential backoff
+          await delay(wait);
         }
       }
     }
@@ -232,12 +825,12 @@ export class GitService {
   /**
    * Clean up git repository
    * @param {string} path - Repository path
-   * @returns {Promise<void>}
+   * @returns {Promise<boolean>} Success status
    */
   async cleanup(path) {
     try {
-      const result = await this.safeExec(`rm -rf ${path}`, { silent: true });
-      return result.success;
+      await rm(path, { recursive: true, force: true });
+      return true;
     } catch {
       return false;
     }
@@ -6,17 +6,35 @@
  * - Repository URL validation
  * - Folder name validation
  * - File path security validation
- * - Content validation (MDX, JSON)
+ * - Content validation (MDX, markdown, JSON, YAML, TOML)
+ * - Frontmatter and data file schema validation
  * - Environment variable validation
  * - Content mapping validation
  *
  * @version 2.0.0
  * @package @jantonca/git-files-sync
  */
+
+import path from 'path';
+import { isValidRepositoryUrl } from '../utils/repository-url.js';
+import {
+  DATA_FORMATS,
+  MARKDOWN_EXTENSIONS,
+  getLine,
+  parseContentData,
+} from '../utils/content-data.js';
+import { parseToml } from '../utils/toml.js';
+import { parseYaml } from '../utils/yaml.js';
+import { parseMarkdown } from '../utils/markdown.js';
+import { formatPointer, validateSchema } from '../utils/schema.js';
+
 export class ValidationService {
   constructor(options = {}) {
     this.allowedExtensions = options.allowedExtensions || [
       '.json',
+      '.yml',
+      '.yaml',
+      '.toml',
       '.mdx',
       '.md',
     ];
@@ -42,18 +60,10 @@ export class ValidationService {
       return { valid: false, errors };
     }
 
-    // Allow both SSH and HTTPS git URLs
-    const validPatterns = [
-      /^git@[\w.-]+:[\w.-]+\/[\w.-]+\.git$/, // SSH: git@host:org/repo.git
-      /^https:\/\/[\w.-]+\/[\w.-]+\/[\w.-]+\.git$/, // HTTPS: https://host/org/repo.git
-    ];
-
-    const isValid = validPatterns.some(pattern => pattern.test(url));
-
-    if (!isValid) {
+    if (!isValidRepositoryUrl(url)) {
       errors.push(`Invalid repository URL format: ${url}`);
       errors.push(
-        'Expected format: git@host:org/repo.git or https://host/org/repo.git'
+        'Expected format: git@host:org/repo.git, https://host/org/repo, ssh://git@host:port/org/repo, file:///path/to/repo or a local path such as ./repo'
       );
     }
 
@@ -220,8 +230,11 @@ export class ValidationService {
 
   /**
    * Validate MDX content structure
+   * JSX, expressions and import/export statements are parsed; code fences
+   * and inline code are skipped
    * @param {string} content - MDX content
-   * @returns {object} Validation result
+   * @returns {object} Validation result, messages prefixed with line:column,
+   *   and the parser `diagnostics`
    */
   validateMdxContent(content) {
     const errors = [];
@@ -229,12 +242,12 @@ export class ValidationService {
 
     if (!content || typeof content !== 'string') {
       errors.push('Invalid MDX content');
-      return { valid: false, errors, warnings };
+      return { valid: false, errors, warnings, diagnostics: [] };
     }
 
     if (content.trim().length === 0) {
       errors.push('Empty MDX content');
-      return { valid: false, errors, warnings };
+      return { valid: false, errors, warnings, diagnostics: [] };
     }
 
     // Check for frontmatter
@@ -245,52 +258,37 @@ export class ValidationService {
       warnings.push('MDX file missing frontmatter');
     }
 
-    // Basic JSX syntax validation
-    const unclosedTags = this.findUnclosedJsxTags(content);
-    if (unclosedTags.length > 0) {
-      errors.push(`Unclosed JSX tags found: ${unclosedTags.join(', ')}`);
-    }
-
-    // Check for common MDX issues
-    if (content.includes('<>') && !content.includes('</>')) {
-      warnings.push('React Fragment opened but not closed');
+    const { diagnostics } = parseMarkdown(content, { mdx: true });
+    for (const { severity, line, column, message } of diagnostics) {
+      (severity === 'error' ? errors : warnings).push(
+        `${line}:${column}: ${message}`
+      );
     }
 
-    return { valid: errors.length === 0, errors, warnings };
+    return { valid: errors.length === 0, errors, warnings, diagnostics };
   }
 
   /**
-   * Find unclosed JSX tags in content
-   * @param {string} content - Content to check
-   * @returns {string[]} Array of unclosed tag names
+   * Check the markdown syntax of a file: MDX rules for .mdx files, plain
+   * markdown (where raw HTML is not checked) for .md files
+   * @param {string} content - File content
+   * @param {string} filePath - File path, for its extension
+   * @returns {object} { valid, diagnostics: [{ severity, line, column, message }] },
+   *   always valid for other files
    */
-  findUnclosedJsxTags(content) {
-    const unclosed = [];
-    const tagStack = [];
-
-    // Simple regex to find JSX tags (this is basic, not comprehensive)
-    const tagRegex = /<\/?([a-zA-Z][a-zA-Z0-9]*)[^>]*>/g;
-    let match;
-
-    while ((match = tagRegex.exec(content)) !== null) {
-      const [fullMatch, tagName] = match;
-
-      if (fullMatch.startsWith('</')) {
-        // Closing tag
-        const lastTag = tagStack.pop();
-        if (lastTag !== tagName) {
-          unclosed.push(tagName);
-        }
-      } else if (!fullMatch.endsWith('/>')) {
-        // Opening tag (not self-closing)
-        tagStack.push(tagName);
-      }
-    }
-
-    // Any remaining tags in stack are unclosed
-    unclosed.push(...tagStack);
-
-    return unclosed;
+  validateMarkdownSyntax(content, filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    if (!MARKDOWN_EXTENSIONS.includes(extension)) {
+      return { valid: true, diagnostics: [] };
+    }
+
+    const { diagnostics } = parseMarkdown(content, {
+      mdx: extension === '.mdx',
+    });
+    return {
+      valid: diagnostics.every(diagnostic => diagnostic.severity !== 'error'),
+      diagnostics,
+    };
   }
 
   /**
@@ -315,6 +313,94 @@ export class ValidationService {
     return { valid: errors.length === 0, errors };
   }
 
+  /**
+   * Validate YAML content
+   * @param {string} content - YAML content
+   * @returns {object} Validation result, errors include the line
+   */
+  validateYamlContent(content) {
+    const errors = [];
+
+    if (typeof content !== 'string') {
+      errors.push('Invalid YAML content');
+      return { valid: false, errors };
+    }
+
+    try {
+      parseYaml(content);
+    } catch (error) {
+      errors.push(`Invalid YAML: ${error.message}`);
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Validate TOML content
+   * @param {string} content - TOML content
+   * @returns {object} Validation result, errors include the line
+   */
+  validateTomlContent(content) {
+    const errors = [];
+
+    if (typeof content !== 'string') {
+      errors.push('Invalid TOML content');
+      return { valid: false, errors };
+    }
+
+    try {
+      parseToml(content);
+    } catch (error) {
+      errors.push(`Invalid TOML: ${error.message}`);
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Validate the frontmatter (markdown) or data (JSON, YAML, TOML) of a file
+   * against a JSON Schema
+   * @param {string} content - File content
+   * @param {string} filePath - File path, for its format
+   * @param {object} schema - JSON Schema
+   * @returns {object} { valid, errors: [{ line, field, message }] }
+   */
+  validateContentSchema(content, filePath, schema) {
+    let parsed;
+    try {
+      parsed = parseContentData(content, filePath);
+    } catch (error) {
+      const extension = path.extname(filePath).toLowerCase();
+      const format = MARKDOWN_EXTENSIONS.includes(extension)
+        ? 'frontmatter'
+        : DATA_FORMATS[extension].toUpperCase();
+      return {
+        valid: false,
+        errors: [
+          {
+            line: error.line || 1,
+            field: null,
+            message: `Invalid ${format}: ${error.message.replace(/ \(line \d+\)$/, '')}`,
+          },
+        ],
+      };
+    }
+
+    if (!parsed) {
+      return { valid: true, errors: [] };
+    }
+
+    const errors = validateSchema(parsed.data, schema).map(
+      ({ pointer, message }) => ({
+        line: getLine(parsed.lines, pointer),
+        field: pointer ? formatPointer(pointer) : null,
+        message,
+      })
+    );
+
+    return { valid: errors.length === 0, errors };
+  }
+
   /**
    * Validate content mapping configuration
    * @param {object} mapping - Content mapping object
@@ -0,0 +1,80 @@
+/**
+ * Backup helpers
+ * Names versioned content backups, decides which ones fall outside the
+ * retention policy and formats backup listings
+ */
+
+export const BACKUP_METADATA_FILE = 'backup.json';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create a sortable backup id from its creation time and content commit
+ * e.g. 20261019-101500-3f2a9c1b
+ * @param {Date} date - Creation time
+ * @param {string|null} commit - Commit of the backed up content
+ * @returns {string} Backup id
+ */
+export function createBackupId(date = new Date(), commit = null) {
+  const timestamp = date
+    .toISOString()
+    .replace(/\.\d+Z$/, '')
+    .replace(/[-:]/g, '')
+    .replace('T', '-');
+
+  return `${timestamp}-${commit ? commit.substring(0, 8) : 'unknown'}`;
+}
+
+/**
+ * Select the backups that fall outside the retention policy
+ * Backups beyond the newest `maxCount` and backups older than
+ * `retentionDays` expire; the newest backup is always kept
+ * @param {object[]} backups - Backups with `createdAt` ISO timestamps
+ * @param {object} settings - { maxCount, retentionDays, now }
+ * @returns {object[]} Expired backups, newest first
+ */
+export function selectExpiredBackups(backups, settings = {}) {
+  const { maxCount = 0, retentionDays = 0, now = Date.now() } = settings;
+  const sorted = [...backups].sort((a, b) =>
+    b.createdAt.localeCompare(a.createdAt)
+  );
+
+  return sorted.filter((backup, index) => {
+    if (index === 0) return false;
+    if (maxCount > 0 && index >= maxCount) return true;
+    const age = now - new Date(backup.createdAt).getTime();
+    return retentionDays > 0 && age > retentionDays * DAY_MS;
+  });
+}
+
+/**
+ * Format backups as an aligned table
+ * @param {object[]} backups - Backups from BackupManager.listBackups()
+ * @returns {string} Table text
+ */
+export function formatBackupTable(backups) {
+  if (backups.length === 0) {
+    return 'No backups found';
+  }
+
+  const rows = backups.map(backup => [
+    backup.id,
+    backup.repository,
+    backup.commit ? backup.commit.substring(0, 8) : '-',
+    backup.createdAt.replace('T', ' ').replace(/\.\d+Z$/, 'Z'),
+    String(backup.fileCount),
+  ]);
+  const header = ['ID', 'Repository', 'Commit', 'Created', 'Files'];
+  const widths = header.map((title, column) =>
+    Math.max(title.length, ...rows.map(row => row[column].length))
+  );
+
+  return [header, ...rows]
+    .map(row =>
+      row
+        .map((cell, column) => cell.padEnd(widths[column]))
+        .join('  ')
+        .trimEnd()
+    )
+    .join('\n');
+}
@@ -5,8 +5,11 @@
  */
 
 import { existsSync } from 'fs';
-import { resolve } from 'path';
+import { resolve, join } from 'path';
 import { createRequire } from 'module';
+import { CREDENTIAL_KEYS } from './credentials.js';
+import { ENV_VARS } from './constants.js';
+import { isValidRepositoryUrl } from './repository-url.js';
 
 // Create require function for CommonJS compatibility in ES modules
 const require = createRequire(import.meta.url);
@@ -22,6 +25,8 @@ const DEFAULT_CONFIG = {
   // Directory settings
   TEMP_DIR: '.content-temp',
   BACKUP_DIR: '.content-backup',
+  MIRROR_DIR: '.content-cache/repos',
+  MANIFEST_DIR: '.content-cache/manifests',
 
   // Content mapping configuration (empty by default)
   CONTENT_MAPPING: {},
@@ -157,6 +162,202 @@ export async function getSparseCheckoutPaths() {
   );
 }
 
+/**
+ * Get the top-level GIT settings a repository inherits
+ * With GIT.SHARED_CREDENTIALS: false, REPOSITORIES[] entries only use their
+ * own credentials
+ * @param {object} config - Full configuration
+ * @param {boolean} isMultiRepo - Whether the repository is a REPOSITORIES[] entry
+ * @returns {object} Inherited GIT settings
+ */
+function getSharedGitSettings(config, isMultiRepo) {
+  const settings = { ...(config.GIT || {}) };
+
+  if (isMultiRepo && settings.SHARED_CREDENTIALS === false) {
+    for (const key of CREDENTIAL_KEYS) {
+      delete settings[key];
+    }
+  }
+
+  return settings;
+}
+
+/**
+ * Normalize a repository definition into a self-contained repository context
+ * Single-repo configs use the top-level REPO_URL/BRANCH/REF/CONTENT_MAPPING keys,
+ * entries of a multi-repo REPOSITORIES[] array carry their own and get
+ * isolated temp and backup directories. Every repository gets its own
+ * persistent mirror directory
+ * @param {object} repo - Repository definition (or the config itself)
+ * @param {object} config - Full configuration
+ * @returns {object} Repository context
+ */
+export function normalizeRepository(repo, config = CONFIG) {
+  const settings = config.GLOBAL_SETTINGS || {};
+  const tempDir =
+    settings.TEMP_DIR || config.TEMP_DIR || DEFAULT_CONFIG.TEMP_DIR;
+  const backupDir =
+    settings.BACKUP_DIR || config.BACKUP_DIR || DEFAULT_CONFIG.BACKUP_DIR;
+  const mirrorDir =
+    settings.MIRROR_DIR || config.MIRROR_DIR || DEFAULT_CONFIG.MIRROR_DIR;
+  const manifestDir =
+    settings.MANIFEST_DIR ||
+    config.MANIFEST_DIR ||
+    DEFAULT_CONFIG.MANIFEST_DIR;
+  const isMultiRepo = repo !== config;
+  const name = repo.name || 'default';
+
+  return {
+    name,
+    REPO_URL: repo.REPO_URL || '',
+    BRANCH: repo.BRANCH || config.BRANCH || DEFAULT_CONFIG.BRANCH,
+    // Optional tag, commit SHA or semver range; takes precedence over BRANCH
+    REF: repo.REF || (isMultiRepo ? null : config.REF) || null,
+    CONTENT_MAPPING: repo.CONTENT_MAPPING || {},
+    TEMP_DIR: isMultiRepo ? join(tempDir, name) : tempDir,
+    BACKUP_DIR: isMultiRepo ? join(backupDir, name) : backupDir,
+    // Persistent sparse clone, updated incrementally between fetches
+    MIRROR_DIR: join(mirrorDir, name),
+    // Files installed per mapping, used to prune files removed upstream
+    MANIFEST_PATH: join(manifestDir, `${name}.json`),
+    // Shared GIT settings, overridable per repository
+    GIT: {
+      ...getSharedGitSettings(config, isMultiRepo),
+      ...((isMultiRepo && repo.GIT) || {}),
+    },
+    priority: typeof repo.priority === 'number' ? repo.priority : 0,
+  };
+}
+
+/**
+ * Get all configured repositories, ordered by priority
+ * @param {object} config - Full configuration
+ * @returns {object[]} Repository contexts
+ */
+export function getRepositories(config = CONFIG) {
+  if (!Array.isArray(config.REPOSITORIES)) {
+    return [normalizeRepository(config, config)];
+  }
+
+  const names = new Set();
+  return config.REPOSITORIES.map((repo, index) => {
+    const normalized = normalizeRepository(
+      { name: `repo-${index + 1}`, ...repo },
+      config
+    );
+
+    if (names.has(normalized.name)) {
+      throw new Error(`Duplicate repository name: ${normalized.name}`);
+    }
+    names.add(normalized.name);
+
+    return normalized;
+  }).sort((a, b) => a.priority - b.priority);
+}
+
+/**
+ * Get multi-repository processing settings
+ * @param {object} config - Full configuration
+ * @returns {object} Settings with maxConcurrent and failOnError
+ */
+export function getRepositorySettings(config = CONFIG) {
+  const settings = config.GLOBAL_SETTINGS || {};
+  const parallel = settings.PARALLEL_FETCH !== false;
+
+  return {
+    maxConcurrent: parallel ? settings.MAX_CONCURRENT_REPOS || 1 : 1,
+    failOnError: settings.FAIL_ON_REPO_ERROR !== false,
+  };
+}
+
+/**
+ * Get backup settings
+ * Retention accepts the BACKUP.RETENTION_DAYS and BACKUP.BACKUP_RETENTION
+ * (days) spellings used by the templates
+ * @param {object} config - Full configuration
+ * @returns {object} { enabled, maxCount, retentionDays }
+ */
+export function getBackupSettings(config = CONFIG) {
+  const backup = config.BACKUP || {};
+
+  return {
+    enabled: backup.AUTO_BACKUP !== false,
+    maxCount: Number(backup.MAX_BACKUPS ?? 5),
+    retentionDays: Number(
+      backup.RETENTION_DAYS ?? backup.BACKUP_RETENTION ?? 30
+    ),
+  };
+}
+
+/**
+ * Get content validation settings
+ * REQUIRED_FRONTMATTER (markdown) and REQUIRED_FIELDS (data files) are the
+ * default schemas of mappings without their own `schema`; STRICT_MODE makes
+ * schema errors fail the fetch for every mapping. LINK_CHECKING (or the
+ * advanced template's PROCESSING.VALIDATE_LINKS) checks relative links after
+ * install; set it to 'strict' to fail the fetch on broken links
+ * @param {object} config - Full configuration
+ * @returns {object} { strict, requiredFrontmatter, requiredFields, linkChecking, strictLinks }
+ */
+export function getValidationSettings(config = CONFIG) {
+  const validation = config.VALIDATION || {};
+
+  return {
+    strict: validation.STRICT_MODE === true,
+    requiredFrontmatter: validation.REQUIRED_FRONTMATTER || [],
+    requiredFields: validation.REQUIRED_FIELDS || [],
+    linkChecking: Boolean(
+      validation.LINK_CHECKING ?? config.PROCESSING?.VALIDATE_LINKS
+    ),
+    strictLinks: validation.LINK_CHECKING === 'strict',
+  };
+}
+
+/**
+ * Get local search index settings
+ * The index is built after installs when SEARCH.ENABLE_SEARCH is true and
+ * SEARCH_PROVIDER is 'local' (the default). INDEX_CONTENT and INDEX_HEADINGS
+ * add the body text and headings of each document
+ * @param {object} config - Full configuration
+ * @returns {object} { enabled, content, headings, path, baseUrl, maxTextLength }
+ */
+export function getSearchSettings(config = CONFIG) {
+  const search = config.SEARCH || {};
+
+  return {
+    enabled:
+      search.ENABLE_SEARCH === true &&
+      (search.SEARCH_PROVIDER || 'local') === 'local',
+    content: search.INDEX_CONTENT !== false,
+    headings: search.INDEX_HEADINGS !== false,
+    path: search.INDEX_PATH || 'search-index.json',
+    baseUrl: (search.BASE_URL || '').replace(/\/+$/, ''),
+    maxTextLength: Number(search.MAX_TEXT_LENGTH ?? 0),
+  };
+}
+
+/**
+ * Get webhook receiver settings for `content-cli serve-webhook`
+ * Signature validation is on unless WEBHOOK.VALIDATION (or the CloudCannon
+ * template's CLOUDCANNON.WEBHOOK_VALIDATION) is explicitly false
+ * @param {object} config - Full configuration
+ * @param {object} env - Environment variables
+ * @returns {object} { port, host, path, secret, validate }
+ */
+export function getWebhookSettings(config = CONFIG, env = process.env) {
+  const webhook = config.WEBHOOK || {};
+  const secretEnv = webhook.SECRET_ENV || ENV_VARS.CONTENT_WEBHOOK_SECRET;
+
+  return {
+    port: Number(webhook.PORT ?? 9000),
+    host: webhook.HOST || '127.0.0.1',
+    path: webhook.PATH || '/webhook',
+    secret: env[secretEnv] || null,
+    validate:
+      (webhook.VALIDATION ?? config.CLOUDCANNON?.WEBHOOK_VALIDATION) !== false,
+  };
+}
+
 /**
  * Export loadConfiguration for direct use
  */
@@ -169,15 +370,42 @@ export async function validateConfig() {
   const config = await getConfig();
   const errors = [];
 
-  if (!config.REPO_URL) {
-    errors.push('REPO_URL is required');
-  }
+  if (Array.isArray(config.REPOSITORIES)) {
+    if (config.REPOSITORIES.length === 0) {
+      errors.push('REPOSITORIES must contain at least one repository');
+    }
+
+    try {
+      for (const repo of getRepositories(config)) {
+        if (!repo.REPO_URL) {
+          errors.push(`REPO_URL is required for repository "${repo.name}"`);
+        } else if (!isValidRepositoryUrl(repo.REPO_URL)) {
+          errors.push(
+            `REPO_URL is not a valid repository URL for repository "${repo.name}": ${repo.REPO_URL}`
+          );
+        }
+        if (Object.keys(repo.CONTENT_MAPPING).length === 0) {
+          errors.push(
+            `At least one content mapping is required for repository "${repo.name}"`
+          );
+        }
+      }
+    } catch (error) {
+      errors.push(error.message);
+    }
+  } else {
+    if (!config.REPO_URL) {
+      errors.push('REPO_URL is required');
+    } else if (!isValidRepositoryUrl(config.REPO_URL)) {
+      errors.push(`REPO_URL is not a valid repository URL: ${config.REPO_URL}`);
+    }
 
-  if (
-    !config.CONTENT_MAPPING ||
-    Object.keys(config.CONTENT_MAPPING).length === 0
-  ) {
-    errors.push('At least one content mapping is required');
+    if (
+      !config.CONTENT_MAPPING ||
+      Object.keys(config.CONTENT_MAPPING).length === 0
+    ) {
+      errors.push('At least one content mapping is required');
+    }
   }
 
   if (errors.length > 0) {
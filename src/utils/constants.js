@@ -61,6 +61,7 @@ export const DIRECTORIES = {
  */
 export const FILES = {
   CONFIG: 'content.config.js',
+  LOCKFILE: 'content.lock.json',
   GITIGNORE: '.gitignore',
   PACKAGE_JSON: 'package.json',
   README: 'README.md',
@@ -75,7 +76,9 @@ export const EXTENSIONS = {
   JAVASCRIPT: ['.js', '.mjs'],
   TYPESCRIPT: ['.ts'],
   YAML: ['.yml', '.yaml'],
-  ALL_CONTENT: ['.md', '.mdx', '.json', '.yml', '.yaml'],
+  TOML: ['.toml'],
+  IMAGES: ['.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp', '.avif'],
+  ALL_CONTENT: ['.md', '.mdx', '.json', '.yml', '.yaml', '.toml'],
   ALL_CODE: ['.js', '.mjs', '.ts', '.jsx', '.tsx'],
 };
 
@@ -218,6 +221,10 @@ export const ENV_VARS = {
   NODE_ENV: 'NODE_ENV',
   DEBUG: 'DEBUG',
   CONTENT_REPO_URL: 'CONTENT_REPO_URL',
+  CONTENT_REPO_TOKEN: 'CONTENT_REPO_TOKEN',
+  CONTENT_SSH_KEY_PATH: 'CONTENT_SSH_KEY_PATH',
+  CONTENT_SSH_KNOWN_HOSTS: 'CONTENT_SSH_KNOWN_HOSTS',
+  CONTENT_WEBHOOK_SECRET: 'CONTENT_WEBHOOK_SECRET',
   CACHE_ENABLED: 'CACHE_ENABLED',
   LOG_LEVEL: 'LOG_LEVEL',
 };
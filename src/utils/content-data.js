@@ -0,0 +1,241 @@
+/**
+ * Structured data of content files: markdown frontmatter and JSON, YAML or
+ * TOML data
+ * Parsers return the data together with the line of every value (keyed by
+ * JSON pointer), so validation errors can point at file:line
+ */
+
+import path from 'path';
+import { parseTomlDocument } from './toml.js';
+import { parseYamlDocument, toPointerSegment } from './yaml.js';
+
+export const MARKDOWN_EXTENSIONS = ['.md', '.mdx'];
+
+export const DATA_FORMATS = {
+  '.json': 'json',
+  '.yaml': 'yaml',
+  '.yml': 'yaml',
+  '.toml': 'toml',
+};
+
+const DOCUMENT_PARSERS = {
+  json: text => parseJsonDocument(text),
+  yaml: text => parseYamlDocument(text),
+  toml: text => parseTomlDocument(text),
+};
+
+/**
+ * Convert a character offset to a 1-based line number
+ * @param {string} text - Text
+ * @param {number} offset - Character offset
+ * @returns {number} Line number
+ */
+function lineAt(text, offset) {
+  return text.slice(0, offset).split('\n').length;
+}
+
+/**
+ * Record the line of every value in valid JSON
+ * @param {string} text - JSON text (already known to parse)
+ * @returns {Map} JSON pointer -> 1-based line
+ */
+function locateJsonValues(text) {
+  const lines = new Map();
+  let index = 0;
+  let line = 1;
+
+  const skipSpace = () => {
+    while (/\s/.test(text[index] || '')) {
+      if (text[index] === '\n') line++;
+      index++;
+    }
+  };
+
+  const readString = () => {
+    const start = index++;
+    while (text[index] !== '"') {
+      index += text[index] === '\\' ? 2 : 1;
+    }
+    index++;
+    return JSON.parse(text.slice(start, index));
+  };
+
+  const readValue = pointer => {
+    skipSpace();
+    lines.set(pointer, line);
+
+    if (text[index] === '{') {
+      index++;
+      skipSpace();
+      while (text[index] !== '}') {
+        const keyLine = line;
+        const key = readString();
+        skipSpace();
+        index++; // :
+        readValue(`${pointer}/${toPointerSegment(key)}`);
+        lines.set(`${pointer}/${toPointerSegment(key)}`, keyLine);
+        skipSpace();
+        if (text[index] === ',') {
+          index++;
+          skipSpace();
+        }
+      }
+      index++;
+    } else if (text[index] === '[') {
+      index++;
+      skipSpace();
+      for (let item = 0; text[index] !== ']'; item++) {
+        readValue(`${pointer}/${item}`);
+        skipSpace();
+        if (text[index] === ',') {
+          index++;
+          skipSpace();
+        }
+      }
+      index++;
+    } else if (text[index] === '"') {
+      readString();
+    } else {
+      index += text.slice(index).match(/^[^\s,\]}]+/)[0].length;
+    }
+  };
+
+  readValue('');
+  return lines;
+}
+
+/**
+ * Get the line of a value, or of its closest recorded parent (e.g. the
+ * object missing a required field)
+ * @param {Map} lines - JSON pointer -> line, from a parser
+ * @param {string} pointer - JSON pointer
+ * @returns {number} 1-based line
+ */
+export function getLine(lines, pointer) {
+  let current = pointer;
+  while (current && !lines.has(current)) {
+    current = current.slice(0, current.lastIndexOf('/'));
+  }
+
+  return lines.get(current) || 1;
+}
+
+/**
+ * Parse a JSON document and record the line of every value
+ * @param {string} text - JSON text
+ * @returns {object} { data, lines }
+ */
+export function parseJsonDocument(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    const position = error.message.match(/position (\d+)/);
+    const line = position ? lineAt(text, Number(position[1])) : 1;
+    const wrapped = new Error(error.message.replace(/ \(line.*$/, ''));
+    wrapped.line = line;
+    throw wrapped;
+  }
+
+  return { data, lines: locateJsonValues(text) };
+}
+
+/**
+ * Parse the frontmatter of a markdown file: YAML between --- fences or TOML
+ * between +++ fences. Lines are relative to the file, not to the block
+ * @param {string} content - Markdown content
+ * @returns {object} { found, format, data, lines }, data is {} without frontmatter
+ */
+export function parseFrontmatter(content) {
+  const text = content.replace(/\r\n/g, '\n');
+  const match = text.match(/^(---|\+\+\+)\n([\s\S]*?)\n?\1(?:\n|$)/);
+  if (!match) {
+    return {
+      found: false,
+      format: 'yaml',
+      data: {},
+      lines: new Map([['', 1]]),
+    };
+  }
+
+  const format = match[1] === '+++' ? 'toml' : 'yaml';
+  let document;
+  try {
+    document = DOCUMENT_PARSERS[format](match[2]);
+  } catch (error) {
+    // Shift the line past the opening ---
+    error.line = (error.line || 0) + 1;
+    error.message = error.message.replace(
+      /\(line \d+\)$/,
+      `(line ${error.line})`
+    );
+    throw error;
+  }
+
+  const lines = new Map([['', 1]]);
+  for (const [pointer, line] of document.lines) {
+    if (pointer !== '') lines.set(pointer, line + 1);
+  }
+
+  return { found: true, format, data: document.data ?? {}, lines };
+}
+
+/**
+ * Parse the structured data of a content file: frontmatter for markdown,
+ * the document itself for JSON, YAML and TOML
+ * @param {string} content - File content
+ * @param {string} filePath - File path, for its extension
+ * @returns {object|null} { kind: 'frontmatter' | 'data', format, found, data, lines },
+ *   null for other files. Syntax errors are thrown with a `line` property
+ */
+export function parseContentData(content, filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+
+  if (MARKDOWN_EXTENSIONS.includes(extension)) {
+    return { kind: 'frontmatter', ...parseFrontmatter(content) };
+  }
+
+  const format = DATA_FORMATS[extension];
+  if (!format) {
+    return null;
+  }
+
+  const document = DOCUMENT_PARSERS[format](content);
+  return { kind: 'data', format, found: true, ...document };
+}
+
+/**
+ * Normalize the `convert` option of a mapping
+ * @param {string|undefined} target - Conversion target
+ * @returns {string|null} 'json', or null when data files are installed as is
+ * @throws {Error} For unsupported targets
+ */
+export function normalizeConvertTarget(target) {
+  if (target === undefined || target === null || target === false) {
+    return null;
+  }
+  if (target !== 'json') {
+    throw new Error(
+      `Unsupported convert target ${JSON.stringify(target)} (supported: 'json')`
+    );
+  }
+
+  return target;
+}
+
+/**
+ * Convert a YAML or TOML data file to formatted JSON
+ * @param {string} content - File content
+ * @param {string} filePath - File path, for its extension
+ * @returns {string|null} JSON text, null for files that aren't YAML or TOML.
+ *   Syntax errors are thrown with a `line` property
+ */
+export function convertToJson(content, filePath) {
+  const format = DATA_FORMATS[path.extname(filePath).toLowerCase()];
+  if (format !== 'yaml' && format !== 'toml') {
+    return null;
+  }
+
+  const { data } = DOCUMENT_PARSERS[format](content);
+  return `${JSON.stringify(data ?? null, null, 2)}\n`;
+}
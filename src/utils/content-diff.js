@@ -0,0 +1,280 @@
+/**
+ * Content diff helpers
+ * Parses `git diff --name-status` output, groups the changes by
+ * CONTENT_MAPPING entry with the installed paths they affect, and formats
+ * the result as a table or markdown
+ */
+
+import { createGlobFilter, isGlobPattern, matchesGlob } from './glob.js';
+import { rewritePath } from './path-rewrite.js';
+
+export const DIFF_STATUSES = ['added', 'modified', 'deleted', 'renamed'];
+
+const STATUS_NAMES = { A: 'added', D: 'deleted', R: 'renamed' };
+
+const STATUS_SYMBOLS = {
+  added: '+',
+  modified: '~',
+  deleted: '-',
+  renamed: '→',
+};
+
+/**
+ * Parse the output of `git diff --name-status -z`
+ * Renames carry their similarity score; copies are reported as additions
+ * and type changes or any other status as modifications
+ * @param {string} output - NUL separated name-status output
+ * @returns {object[]} [{ status, path, previousPath, similarity }]
+ */
+export function parseNameStatus(output = '') {
+  const tokens = output.split('\0');
+  const changes = [];
+
+  let index = 0;
+  while (index < tokens.length) {
+    const code = tokens[index++];
+    if (!code) continue;
+
+    const status = STATUS_NAMES[code[0]] || 'modified';
+    if (code[0] === 'R' || code[0] === 'C') {
+      const previousPath = tokens[index++];
+      const path = tokens[index++];
+      changes.push(
+        code[0] === 'R'
+          ? { status, path, previousPath, similarity: Number(code.slice(1)) }
+          : { status: 'added', path, previousPath: null, similarity: null }
+      );
+    } else {
+      changes.push({
+        status,
+        path: tokens[index++],
+        previousPath: null,
+        similarity: null,
+      });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Strip a leading "./" and trailing slashes from a repository path
+ * @param {string} source - Mapping source
+ * @returns {string} Repository-relative path
+ */
+function trimSource(source) {
+  return source.replace(/^\.\//, '').replace(/\/+$/, '');
+}
+
+/**
+ * Get the installed path a repository file maps to
+ * @param {object} mapping - Normalized mapping { type, source, destination, files, pattern, exclude, rewrite }
+ *   with the destination already transformed for the framework
+ * @param {string} file - Repository-relative file path
+ * @returns {string|null} Destination path, null if the mapping doesn't install the file
+ */
+export function getMappedDestination(mapping, file) {
+  const source = trimSource(mapping.source);
+  const destination = mapping.destination.replace(/\/+$/, '');
+
+  if (mapping.type === 'file') {
+    return file === source ? destination : null;
+  }
+
+  if (!file.startsWith(`${source}/`)) {
+    return null;
+  }
+
+  const relativePath = file.slice(source.length + 1);
+  if (
+    mapping.type === 'selective' &&
+    !mapping.files.some(entry =>
+      isGlobPattern(entry)
+        ? matchesGlob(relativePath, entry)
+        : trimSource(entry) === relativePath
+    )
+  ) {
+    return null;
+  }
+  if (!createGlobFilter(mapping)(relativePath)) {
+    return null;
+  }
+
+  return `${destination}/${rewritePath(relativePath, mapping.rewrite)}`;
+}
+
+/**
+ * Group changes by mapping with the destination paths they affect
+ * A rename whose old or new path lies outside a mapping shows up in that
+ * mapping as a deletion or addition
+ * @param {object[]} changes - Parsed changes
+ * @param {object[]} mappings - [{ key, type, source, destination, files, pattern, exclude }]
+ * @returns {object[]} [{ key, source, destination, changes, summary }]
+ */
+export function groupChangesByMapping(changes, mappings) {
+  return mappings.map(mapping => {
+    const mapped = [];
+
+    for (const change of changes) {
+      const destination = getMappedDestination(mapping, change.path);
+      const previousDestination = change.previousPath
+        ? getMappedDestination(mapping, change.previousPath)
+        : null;
+
+      if (change.status !== 'renamed') {
+        if (destination) {
+          mapped.push({ ...change, destination, previousDestination: null });
+        }
+      } else if (destination && previousDestination) {
+        mapped.push({ ...change, destination, previousDestination });
+      } else if (destination) {
+        mapped.push({
+          status: 'added',
+          path: change.path,
+          previousPath: null,
+          similarity: null,
+          destination,
+          previousDestination: null,
+        });
+      } else if (previousDestination) {
+        mapped.push({
+          status: 'deleted',
+          path: change.previousPath,
+          previousPath: null,
+          similarity: null,
+          destination: previousDestination,
+          previousDestination: null,
+        });
+      }
+    }
+
+    return {
+      key: mapping.key,
+      source: mapping.source,
+      destination: mapping.destination,
+      changes: mapped,
+      summary: summarizeChanges(mapped),
+    };
+  });
+}
+
+/**
+ * Count changes by status
+ * @param {object[]} changes - Changes with a status
+ * @returns {object} { added, modified, deleted, renamed }
+ */
+export function summarizeChanges(changes) {
+  const summary = Object.fromEntries(DIFF_STATUSES.map(status => [status, 0]));
+  for (const change of changes) {
+    summary[change.status]++;
+  }
+  return summary;
+}
+
+/**
+ * Describe a summary, e.g. "2 added, 1 renamed"
+ * @param {object} summary - { added, modified, deleted, renamed }
+ * @returns {string} Summary text
+ */
+export function describeSummary(summary) {
+  const parts = DIFF_STATUSES.filter(status => summary[status] > 0).map(
+    status => `${summary[status]} ${status}`
+  );
+  return parts.length > 0 ? parts.join(', ') : 'no changes';
+}
+
+const shortHash = commit => commit?.substring(0, 8) || 'unknown';
+
+const changedPath = (change, field, previousField) =>
+  change[previousField]
+    ? `${change[previousField]} → ${change[field]}`
+    : change[field];
+
+/**
+ * Format repository diffs as aligned plain-text tables
+ * @param {object[]} diffs - [{ name, from, to, mappings, summary }]
+ * @returns {string} Table output
+ */
+export function formatDiffTable(diffs) {
+  const lines = [];
+
+  for (const diff of diffs) {
+    lines.push(
+      `📦 ${diff.name}: ${shortHash(diff.from)} → ${shortHash(diff.to)} (${describeSummary(diff.summary)})`
+    );
+
+    for (const mapping of diff.mappings) {
+      if (mapping.changes.length === 0) continue;
+
+      lines.push(`   📁 ${mapping.key} ← ${mapping.source}`);
+      const rows = mapping.changes.map(change => [
+        `${STATUS_SYMBOLS[change.status]} ${change.status}`,
+        changedPath(change, 'path', 'previousPath'),
+        changedPath(change, 'destination', 'previousDestination'),
+      ]);
+      const widths = [0, 1].map(column =>
+        Math.max(...rows.map(row => row[column].length))
+      );
+
+      for (const [status, source, destination] of rows) {
+        lines.push(
+          `      ${status.padEnd(widths[0])}  ${source.padEnd(widths[1])}  ${destination}`
+        );
+      }
+    }
+
+    lines.push('');
+  }
+
+  return lines.join('\n').trimEnd();
+}
+
+/**
+ * Escape a value for a markdown table cell
+ * @param {string} value - Cell value
+ * @returns {string} Escaped value
+ */
+function markdownCell(value) {
+  return `\`${value.replace(/\|/g, '\\|')}\``;
+}
+
+/**
+ * Format repository diffs as markdown, e.g. for pull request descriptions
+ * @param {object[]} diffs - [{ name, from, to, mappings, summary }]
+ * @returns {string} Markdown output
+ */
+export function formatDiffMarkdown(diffs) {
+  const lines = [];
+
+  for (const diff of diffs) {
+    lines.push(
+      `## ${diff.name}: \`${shortHash(diff.from)}\` → \`${shortHash(diff.to)}\``,
+      '',
+      `**${describeSummary(diff.summary)}**`,
+      ''
+    );
+
+    for (const mapping of diff.mappings) {
+      if (mapping.changes.length === 0) continue;
+
+      lines.push(
+        `### ${markdownCell(mapping.key)} ← ${markdownCell(mapping.source)}`,
+        '',
+        '| Status | Source | Destination |',
+        '| --- | --- | --- |'
+      );
+      for (const change of mapping.changes) {
+        const source = change.previousPath
+          ? `${markdownCell(change.previousPath)} → ${markdownCell(change.path)}`
+          : markdownCell(change.path);
+        const destination = change.previousDestination
+          ? `${markdownCell(change.previousDestination)} → ${markdownCell(change.destination)}`
+          : markdownCell(change.destination);
+        lines.push(`| ${change.status} | ${source} | ${destination} |`);
+      }
+      lines.push('');
+    }
+  }
+
+  return lines.join('\n').trimEnd();
+}
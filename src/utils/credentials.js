@@ -0,0 +1,114 @@
+/**
+ * Git Credentials
+ * Resolves SSH and HTTPS credentials from config and environment and turns
+ * them into per-invocation git options, so nothing is written to git config
+ */
+
+import { homedir } from 'os';
+import { ENV_VARS } from './constants.js';
+import { registerSecret } from './redact.js';
+
+/**
+ * GIT settings that hold credentials (not inherited when
+ * GIT.SHARED_CREDENTIALS is false)
+ */
+export const CREDENTIAL_KEYS = [
+  'SSH_KEY_PATH',
+  'KNOWN_HOSTS_PATH',
+  'TOKEN_ENV',
+  'TOKEN_USERNAME',
+];
+
+// Environment variables used to hand the token to the credential helper
+const HELPER_USERNAME_VAR = 'GIT_FILES_SYNC_USERNAME';
+const HELPER_TOKEN_VAR = 'GIT_FILES_SYNC_TOKEN';
+
+/**
+ * Expand a leading ~ to the home directory
+ * @param {string} filePath - Path
+ * @returns {string} Expanded path
+ */
+function expandHome(filePath) {
+  return filePath.replace(/^~(?=$|[/\\])/, homedir());
+}
+
+/**
+ * Quote a value for the POSIX shell that evaluates GIT_SSH_COMMAND
+ * @param {string} value - Value to quote
+ * @returns {string} Quoted value
+ */
+function shellQuote(value) {
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Resolve credentials for a repository
+ * Config values win over environment variables
+ * @param {object} gitSettings - Repository GIT settings
+ * @param {object} env - Environment
+ * @returns {object} { sshKeyPath, knownHostsPath, token, username }
+ */
+export function resolveCredentials(gitSettings = {}, env = process.env) {
+  const sshKeyPath =
+    gitSettings.SSH_KEY_PATH || env[ENV_VARS.CONTENT_SSH_KEY_PATH];
+  const knownHostsPath =
+    gitSettings.KNOWN_HOSTS_PATH || env[ENV_VARS.CONTENT_SSH_KNOWN_HOSTS];
+  const token = env[gitSettings.TOKEN_ENV || ENV_VARS.CONTENT_REPO_TOKEN];
+
+  registerSecret(token);
+
+  return {
+    sshKeyPath: sshKeyPath ? expandHome(sshKeyPath) : null,
+    knownHostsPath: knownHostsPath ? expandHome(knownHostsPath) : null,
+    token: token || null,
+    username: gitSettings.TOKEN_USERNAME || 'x-access-token',
+  };
+}
+
+/**
+ * Build per-invocation git options for credentials
+ * The token only ever travels through the child environment; the helper
+ * reads it from there, so it never appears in argv or on disk
+ * @param {object|null} credentials - Resolved credentials
+ * @returns {object} { config: [key=value], env: {} }
+ */
+export function buildCredentialOptions(credentials) {
+  const config = [];
+  const env = {};
+
+  if (!credentials) {
+    return { config, env };
+  }
+
+  if (credentials.sshKeyPath || credentials.knownHostsPath) {
+    const ssh = ['ssh', '-o', 'BatchMode=yes'];
+
+    if (credentials.sshKeyPath) {
+      ssh.push('-i', shellQuote(credentials.sshKeyPath));
+      ssh.push('-o', 'IdentitiesOnly=yes');
+    }
+
+    if (credentials.knownHostsPath) {
+      ssh.push(
+        '-o',
+        `UserKnownHostsFile=${shellQuote(credentials.knownHostsPath)}`
+      );
+      ssh.push('-o', 'StrictHostKeyChecking=yes');
+    }
+
+    env.GIT_SSH_COMMAND = ssh.join(' ');
+  }
+
+  if (credentials.token) {
+    // An empty helper first clears inherited helpers, so a "store" helper
+    // from global config never receives (and persists) the token
+    config.push(
+      'credential.helper=',
+      `credential.helper=!f() { test "$1" = get || exit 0; echo "username=$${HELPER_USERNAME_VAR}"; echo "password=$${HELPER_TOKEN_VAR}"; }; f`
+    );
+    env[HELPER_USERNAME_VAR] = credentials.username;
+    env[HELPER_TOKEN_VAR] = credentials.token;
+  }
+
+  return { config, env };
+}
@@ -28,7 +28,7 @@ export class GitIgnoreManager {
 
   /**
    * Update .gitignore with content paths
-   * @param {object} contentMapping - Content mapping object
+   * @param {object} contentMapping - Mapping key to destination path or patterns
    * @returns {Promise<object>} Operation result
    */
   async updateGitignore(contentMapping) {
@@ -41,8 +41,13 @@ export class GitIgnoreManager {
         // File doesn't exist, that's ok
       }
 
-      // Get all destination paths from current mapping
-      const contentPaths = Object.values(contentMapping).sort();
+      // Get all destination paths (or patterns) from current mapping;
+      // negations go last so they override the entries they refine
+      const entries = Object.values(contentMapping).flat();
+      const contentPaths = [
+        ...entries.filter(entry => !entry.startsWith('!')).sort(),
+        ...entries.filter(entry => entry.startsWith('!')).sort(),
+      ];
 
       // Validate paths before adding
       const validation = validatePatterns(contentPaths);
@@ -110,7 +115,7 @@ export class GitIgnoreManager {
   /**
    * Add auto-managed section to gitignore content
    * @param {string} content - Current gitignore content
-   * @param {string[]} contentPaths - Content paths to add
+   * @param {string[]} contentPaths - Content paths to add (`!` negations allowed)
    * @returns {string} Updated content with auto-managed section
    */
   addAutoManagedSection(content, contentPaths) {
@@ -125,7 +130,9 @@ export class GitIgnoreManager {
     ];
     
     // Add content paths
-    const contentEntries = contentPaths.map(path => `/${path}`);
+    const contentEntries = contentPaths.map(path =>
+      path.startsWith('!') ? `!/${path.substring(1)}` : `/${path}`
+    );
     
     // Combine system and content paths
     const allEntries = [...systemPaths, ...contentEntries];
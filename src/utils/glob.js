@@ -0,0 +1,160 @@
+/**
+ * Glob helpers for mapping `pattern` / `exclude` filters
+ * Supports `**`, `*`, `?`, `[...]` and `{a,b}`. Paths are matched relative
+ * to the mapping root with forward slashes; a pattern without a slash
+ * matches the file name at any depth, like in .gitignore
+ */
+
+/**
+ * Check whether a path contains glob syntax
+ * @param {string} entry - Path or glob pattern
+ * @returns {boolean} True for patterns
+ */
+export function isGlobPattern(entry) {
+  return /[*?[{]/.test(entry);
+}
+
+/**
+ * Expand `{a,b}` alternatives into separate patterns
+ * @param {string} pattern - Glob pattern
+ * @returns {string[]} Patterns without braces
+ */
+export function expandBraces(pattern) {
+  const match = pattern.match(/\{([^{}]*)\}/);
+  if (!match) {
+    return [pattern];
+  }
+
+  const before = pattern.slice(0, match.index);
+  const after = pattern.slice(match.index + match[0].length);
+  return match[1]
+    .split(',')
+    .flatMap(option => expandBraces(`${before}${option}${after}`));
+}
+
+/**
+ * Anchor a pattern without a slash to any depth
+ * @param {string} pattern - Glob pattern
+ * @returns {string} Pattern relative to the mapping root
+ */
+function anchorPattern(pattern) {
+  const trimmed = pattern.replace(/^\.\//, '').replace(/^\//, '');
+  return trimmed.includes('/') ? trimmed : `**/${trimmed}`;
+}
+
+/**
+ * Convert a brace-free glob to a regular expression source
+ * @param {string} pattern - Glob pattern
+ * @returns {string} Regular expression source
+ */
+function toRegExpSource(pattern) {
+  let source = '';
+  let index = 0;
+
+  while (index < pattern.length) {
+    const char = pattern[index];
+
+    if (char === '*' && pattern[index + 1] === '*') {
+      const slash = pattern[index + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      index += slash ? 3 : 2;
+      continue;
+    }
+
+    if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && pattern.indexOf(']', index + 2) !== -1) {
+      const end = pattern.indexOf(']', index + 2);
+      const body = pattern.slice(index + 1, end).replace(/\\/g, '\\\\');
+      source += `[${body.startsWith('!') ? `^${body.slice(1)}` : body}]`;
+      index = end + 1;
+      continue;
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+    index++;
+  }
+
+  return source;
+}
+
+/**
+ * Compile glob patterns into one regular expression
+ * @param {string|string[]} patterns - Glob pattern(s)
+ * @returns {RegExp} Expression matching any of the patterns
+ */
+export function globToRegExp(patterns) {
+  const sources = [patterns]
+    .flat()
+    .flatMap(pattern => expandBraces(anchorPattern(pattern)))
+    .map(toRegExpSource);
+
+  return new RegExp(`^(?:${sources.join('|')})$`);
+}
+
+/**
+ * Check whether a relative path matches any of the patterns
+ * @param {string} filePath - Path relative to the mapping root
+ * @param {string|string[]} patterns - Glob pattern(s)
+ * @returns {boolean} True on a match
+ */
+export function matchesGlob(filePath, patterns) {
+  if (!patterns || patterns.length === 0) {
+    return false;
+  }
+
+  const normalized = filePath.split('\\').join('/').replace(/^\.\//, '');
+  return globToRegExp(patterns).test(normalized);
+}
+
+/**
+ * Create a predicate for the `pattern` / `exclude` filters of a mapping
+ * Without a pattern every path is included
+ * @param {object} filters - { pattern, exclude }
+ * @returns {Function} (relativePath) => boolean
+ */
+export function createGlobFilter({ pattern = null, exclude = [] } = {}) {
+  const include = pattern && pattern.length > 0 ? globToRegExp(pattern) : null;
+  const skip = exclude && exclude.length > 0 ? globToRegExp(exclude) : null;
+
+  return filePath => {
+    const normalized = filePath.split('\\').join('/').replace(/^\.\//, '');
+    return (
+      (!include || include.test(normalized)) &&
+      (!skip || !skip.test(normalized))
+    );
+  };
+}
+
+/**
+ * Translate a folder mapping's filters into .gitignore entries for its
+ * destination, so git ignores exactly the files the mapping installs
+ * @param {string} destination - Destination path relative to the project
+ * @param {object} filters - { pattern, exclude }
+ * @returns {string[]} Entries; exclusions are `!` negations
+ */
+export function toGitignorePatterns(
+  destination,
+  { pattern = null, exclude = [] } = {}
+) {
+  const root = destination.replace(/\/+$/, '');
+  const expand = patterns =>
+    [patterns]
+      .flat()
+      .flatMap(entry => expandBraces(anchorPattern(entry)))
+      .map(entry => `${root}/${entry}`);
+
+  if (!pattern?.length && !exclude?.length) {
+    return [root];
+  }
+
+  // Without a pattern the whole destination is ignored; directories are
+  // re-included so that negations below them take effect
+  const included = pattern?.length
+    ? expand(pattern)
+    : [`${root}/**`, `!${root}/**/`];
+
+  return [...included, ...expand(exclude || []).map(entry => `!${entry}`)];
+}
@@ -12,6 +12,27 @@ export * from './gitignore-templates.js';
 export * from './mapping.js';
 export * from './mapping-parser.js';
 export * from './mapping-validator.js';
+export * from './mapping-normalizer.js';
+export * from './semver.js';
+export * from './lfs.js';
+export * from './redact.js';
+export * from './credentials.js';
+export * from './repository-url.js';
+export * from './webhook.js';
+export * from './glob.js';
+export * from './path-rewrite.js';
+export * from './transformers.js';
+export * from './yaml.js';
+export * from './toml.js';
+export * from './content-data.js';
+export * from './markdown.js';
+export * from './links.js';
+export * from './search-index.js';
+export * from './navigation.js';
+export * from './schema.js';
+export * from './content-diff.js';
+export * from './backups.js';
+export * from './validation-report.js';
 export * from './cli.js';
 export * from './cli-colors.js';
 export * from './cli-prompts.js';
@@ -0,0 +1,75 @@
+/**
+ * Git LFS Utilities
+ * Detects Git LFS pointer files that were installed instead of their content
+ */
+
+import { readFile, stat } from 'fs/promises';
+
+/**
+ * First line of every Git LFS pointer file
+ */
+export const LFS_POINTER_PREFIX = 'version https://git-lfs.github.com/spec/v1';
+
+/**
+ * Pointer files are tiny; anything larger is real content
+ */
+export const LFS_POINTER_MAX_SIZE = 1024;
+
+/**
+ * Parse a Git LFS pointer
+ * @param {string|Buffer} content - File content
+ * @returns {object|null} { oid, size } or null if not a pointer
+ */
+export function parseLfsPointer(content) {
+  const text = Buffer.isBuffer(content) ? content.toString('utf8') : content;
+
+  if (
+    typeof text !== 'string' ||
+    text.length > LFS_POINTER_MAX_SIZE ||
+    !text.startsWith(`${LFS_POINTER_PREFIX}\n`)
+  ) {
+    return null;
+  }
+
+  const oid = text.match(/^oid sha256:([0-9a-f]{64})$/m);
+  const size = text.match(/^size (\d+)$/m);
+  if (!oid || !size) {
+    return null;
+  }
+
+  return { oid: oid[1], size: Number(size[1]) };
+}
+
+/**
+ * Check if content is a Git LFS pointer
+ * @param {string|Buffer} content - File content
+ * @returns {boolean} True if pointer
+ */
+export function isLfsPointer(content) {
+  return parseLfsPointer(content) !== null;
+}
+
+/**
+ * Find files that are still Git LFS pointers
+ * Only files small enough to be pointers are read
+ * @param {string[]} files - File paths
+ * @returns {Promise<string[]>} Pointer file paths
+ */
+export async function findLfsPointers(files) {
+  const pointers = [];
+
+  for (const file of files) {
+    try {
+      const { size } = await stat(file);
+      if (size > LFS_POINTER_MAX_SIZE) continue;
+
+      if (isLfsPointer(await readFile(file))) {
+        pointers.push(file);
+      }
+    } catch {
+      // Unreadable files are reported by the installer itself
+    }
+  }
+
+  return pointers;
+}
@@ -0,0 +1,119 @@
+/**
+ * Local reference helpers for link checking
+ * Relative markdown links, images and MDX imports of an installed file are
+ * resolved against the installed tree. External URLs, site-absolute paths
+ * (`/docs/intro`), fragment-only links and bare module specifiers are not
+ * checked
+ */
+
+import path from 'path';
+import { MARKDOWN_EXTENSIONS } from './content-data.js';
+import { parseMarkdown } from './markdown.js';
+
+const URL_SCHEME = /^[a-z][a-z\d+.-]*:/i;
+
+export const IMPORT_EXTENSIONS = [
+  '.js',
+  '.jsx',
+  '.ts',
+  '.tsx',
+  '.mjs',
+  '.mdx',
+  '.md',
+  '.json',
+];
+
+/**
+ * Get the path a local reference points to, relative to its file
+ * @param {string} url - Link destination or import source
+ * @param {string} kind - 'link', 'image', 'definition' or 'import'
+ * @returns {string|null} Decoded path without query and fragment, null when
+ *   the reference is not checked
+ */
+export function getLocalReferencePath(url, kind = 'link') {
+  const value = url.trim();
+  if (
+    !value ||
+    URL_SCHEME.test(value) ||
+    value.startsWith('/') ||
+    value.startsWith('#')
+  ) {
+    return null;
+  }
+  if (kind === 'import' && !/^\.\.?\//.test(value)) {
+    return null;
+  }
+
+  const pathname = value.split(/[?#]/)[0];
+  if (!pathname) {
+    return null;
+  }
+
+  try {
+    return decodeURI(pathname);
+  } catch {
+    return pathname;
+  }
+}
+
+/**
+ * Get the installed paths a resolved reference may point to, in order
+ * Links may leave out the markdown extension or point at a directory's index
+ * page, imports may leave out their extension; images must match exactly
+ * @param {string} target - Resolved POSIX path
+ * @param {string} kind - 'link', 'image', 'definition' or 'import'
+ * @returns {string[]} Candidate paths
+ */
+export function getReferenceCandidates(target, kind = 'link') {
+  if (kind === 'image') {
+    return [target];
+  }
+
+  const extensions =
+    kind === 'import' ? IMPORT_EXTENSIONS : MARKDOWN_EXTENSIONS;
+  const base = target.replace(/\/+$/, '');
+
+  return [
+    target,
+    ...extensions.map(extension => `${base}${extension}`),
+    ...extensions.map(extension => `${base}/index${extension}`),
+  ];
+}
+
+/**
+ * Find the local references of an installed markdown or MDX file that point
+ * at nothing
+ * @param {string} content - File content
+ * @param {string} filePath - Installed POSIX path of the file
+ * @param {function} exists - (path) => boolean, whether an installed path exists
+ * @returns {object[]} [{ kind, url, target, line, column }]
+ */
+export function findBrokenReferences(content, filePath, exists) {
+  const { links, imports } = parseMarkdown(content, {
+    mdx: path.extname(filePath).toLowerCase() === '.mdx',
+  });
+  const references = [
+    ...links,
+    ...imports.map(entry => ({ ...entry, kind: 'import', url: entry.source })),
+  ].sort((a, b) => a.line - b.line || a.column - b.column);
+  const directory = path.posix.dirname(filePath);
+  const broken = [];
+
+  for (const reference of references) {
+    const local = getLocalReferencePath(reference.url, reference.kind);
+    if (local === null) continue;
+
+    const target = path.posix.join(directory, local);
+    if (!getReferenceCandidates(target, reference.kind).some(exists)) {
+      broken.push({
+        kind: reference.kind,
+        url: reference.url,
+        target,
+        line: reference.line,
+        column: reference.column,
+      });
+    }
+  }
+
+  return broken;
+}
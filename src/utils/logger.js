@@ -4,6 +4,8 @@
  * Extracted from various logging patterns across the codebase
  */
 
+import { redactString } from './redact.js';
+
 // ANSI colors for console output
 const COLORS = {
   green: '\x1b[32m',
@@ -78,7 +80,7 @@ export class Logger {
   formatMessage(message, type = 'info', color = 'reset') {
     const icon = this.getIcon(type);
     const prefix = this.prefix ? `[${this.prefix}] ` : '';
-    const coloredMessage = this.colorize(message, color);
+    const coloredMessage = this.colorize(redactString(message), color);
     return `${prefix}${icon}${coloredMessage}`;
   }
 
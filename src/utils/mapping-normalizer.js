@@ -0,0 +1,64 @@
+/**
+ * Mapping Normalizer
+ * Turns a CONTENT_MAPPING entry (a source path string or a mapping object)
+ * into the unified format the installer, repository manager and webhook
+ * matching share
+ */
+
+import { normalizeConvertTarget } from './content-data.js';
+import {
+  NAVIGATION_TRANSFORMS,
+  getTransformNavigation,
+  normalizeNavigationOptions,
+} from './navigation.js';
+import { normalizeRewriteRules } from './path-rewrite.js';
+import { normalizeTransformSteps } from './transformers.js';
+
+/**
+ * Normalize mapping to unified format
+ * @param {string|object} mapping - Mapping definition
+ * @param {string} key - Mapping key, used as destination when none is set
+ * @returns {object} { type, source, destination, files, pattern, exclude,
+ *   strict, rewrite, transform, schema, convert, navigation }
+ */
+export function normalizeMapping(mapping, key) {
+  if (typeof mapping === 'string') {
+    return {
+      type: 'folder',
+      source: mapping,
+      destination: mapping,
+      files: [],
+      pattern: null,
+      exclude: [],
+      strict: false,
+      rewrite: null,
+      transform: [],
+      schema: null,
+      convert: null,
+      navigation: null,
+    };
+  }
+
+  const destination = mapping.destination || key;
+  // `navigation` and `hierarchy` steps turn on the navigation tree
+  const transform = normalizeTransformSteps(mapping.transform);
+
+  return {
+    type: mapping.type || 'folder',
+    source: mapping.source || destination,
+    destination,
+    files: mapping.files || [],
+    pattern: mapping.pattern ? [mapping.pattern].flat() : null,
+    exclude: mapping.exclude ? [mapping.exclude].flat() : [],
+    strict: mapping.strict === true,
+    rewrite: normalizeRewriteRules(mapping.rewrite),
+    transform: transform.filter(
+      step => !NAVIGATION_TRANSFORMS.includes(step.name)
+    ),
+    schema: mapping.schema || null,
+    convert: normalizeConvertTarget(mapping.convert),
+    navigation: normalizeNavigationOptions(
+      mapping.navigation ?? getTransformNavigation(transform)
+    ),
+  };
+}
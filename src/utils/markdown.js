@@ -0,0 +1,756 @@
+/**
+ * Markdown and MDX parsing for content validation
+ * Block structure (frontmatter, code fences, indented code, headings, link
+ * definitions and, in MDX, import/export blocks) is read line by line and
+ * the remaining text inline: code spans, escapes, autolinks, links, images
+ * and, in MDX, JSX tags and {expressions}. Code is never checked as markup.
+ * Headings, references and diagnostics carry 1-based lines and columns
+ */
+
+const CLOSERS = { '(': ')', '[': ']', '{': '}' };
+
+const VOID_ELEMENTS = new Set(['br', 'hr', 'img', 'input', 'meta', 'link']);
+
+// Blockquote and list markers in front of a fence
+const CONTAINER_PREFIX =
+  /^(?:[ \t]*(?:>[ \t]?|[-*+][ \t]+|\d{1,9}[.)][ \t]+))*/;
+
+const NAME = /[A-Za-z_$][\w$.:-]*/y;
+
+const IMPORT_STATEMENT =
+  /import\s*(?:(?:[A-Za-z_$][\w$]*\s*,?\s*)?(?:\*\s*as\s+[A-Za-z_$][\w$]*|\{([^{}]*)\})?\s*from\s*)?(['"])([^'"\n]+)\2[ \t]*;?/y;
+
+const EXPORT_STATEMENT =
+  /export\s+(?:default\b|const\b|let\b|var\b|function\b|async\s+function\b|class\b|\{|\*)/y;
+
+/**
+ * Describe a tag for messages, e.g. <Tabs> or <> for fragments
+ * @param {string} name - Tag name, empty for fragments
+ * @returns {string} Tag description
+ */
+function describeTag(name) {
+  return `<${name}>`;
+}
+
+/**
+ * Parse markdown or MDX content
+ * @param {string} content - File content, frontmatter included
+ * @param {object} options - { mdx: parse JSX, expressions and ESM }
+ * @returns {object} { headings: [{ depth, text, line }], links: [{ kind, url,
+ *   text, line, column }], imports: [{ source, line, column }], text,
+ *   diagnostics: [{ severity, line, column, message }] }
+ */
+export function parseMarkdown(content, options = {}) {
+  const mdx = options.mdx === true;
+  const source = content.replace(/\r\n/g, '\n');
+  const lines = source.split('\n');
+  const lineStarts = [];
+  lines.reduce((offset, line) => {
+    lineStarts.push(offset);
+    return offset + line.length + 1;
+  }, 0);
+
+  const headings = [];
+  const links = [];
+  const imports = [];
+  const diagnostics = [];
+  const textBlocks = [];
+  // Open JSX elements, across blocks
+  const elements = [];
+
+  const positionOf = offset => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (lineStarts[middle] <= offset) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  };
+  const report = (offset, message, severity = 'error') =>
+    diagnostics.push({ severity, ...positionOf(offset), message });
+
+  /**
+   * Scan JavaScript until the brackets opened in `stack` are closed, or
+   * until `isEnd` accepts a position with nothing left open
+   * @returns {object} { end } or { error, offset }
+   */
+  const scanCode = (start, end, stack, isEnd = null) => {
+    let index = start;
+
+    while (index < end) {
+      const char = source[index];
+
+      if (char === '"' || char === "'") {
+        let next = index + 1;
+        while (next < end && source[next] !== char && source[next] !== '\n') {
+          next += source[next] === '\\' ? 2 : 1;
+        }
+        if (source[next] !== char) {
+          return { error: 'Unterminated string', offset: index };
+        }
+        index = next + 1;
+        continue;
+      }
+
+      if (char === '`') {
+        let next = index + 1;
+        while (next < end && source[next] !== '`') {
+          if (source[next] === '\\') {
+            next += 2;
+          } else if (source.startsWith('${', next)) {
+            const inner = scanCode(next + 2, end, [
+              { char: '{', offset: next + 1 },
+            ]);
+            if (inner.error) return inner;
+            next = inner.end;
+          } else {
+            next++;
+          }
+        }
+        if (next >= end) {
+          return { error: 'Unterminated template literal', offset: index };
+        }
+        index = next + 1;
+        continue;
+      }
+
+      if (source.startsWith('//', index)) {
+        while (index < end && source[index] !== '\n') index++;
+        continue;
+      }
+
+      if (source.startsWith('/*', index)) {
+        const close = source.indexOf('*/', index + 2);
+        if (close === -1 || close + 2 > end) {
+          return { error: 'Unterminated comment', offset: index };
+        }
+        index = close + 2;
+        continue;
+      }
+
+      if (CLOSERS[char]) {
+        stack.push({ char, offset: index });
+      } else if (char === ')' || char === ']' || char === '}') {
+        const open = stack.pop();
+        if (!open) {
+          return { error: `Unexpected \`${char}\``, offset: index };
+        }
+        if (CLOSERS[open.char] !== char) {
+          return {
+            error: `Unexpected \`${char}\`, expected \`${CLOSERS[open.char]}\``,
+            offset: index,
+          };
+        }
+        if (stack.length === 0 && !isEnd) {
+          return { end: index + 1 };
+        }
+      } else if (stack.length === 0 && isEnd?.(index)) {
+        return { end: index };
+      }
+
+      index++;
+    }
+
+    if (stack.length > 0) {
+      const open = stack[stack.length - 1];
+      return {
+        error: `Expected a closing \`${CLOSERS[open.char]}\` for this \`${open.char}\``,
+        offset: open.offset,
+      };
+    }
+    return { end: index };
+  };
+
+  /**
+   * Read an {expression} starting at a `{`
+   * @returns {number|null} Offset after the closing `}`, null when reported broken
+   */
+  const readExpression = (start, end) => {
+    const result = scanCode(start + 1, end, [{ char: '{', offset: start }]);
+    if (result.error) {
+      report(result.offset, `${result.error} in expression`);
+      return null;
+    }
+    return result.end;
+  };
+
+  /**
+   * Read a JSX or HTML tag starting at a `<`
+   * @returns {object} { name, closing, selfClosing, attributes, end } or
+   *   { error, offset }
+   */
+  const readTag = (start, end) => {
+    let index = start + 1;
+    const skipSpace = () => {
+      while (index < end && /\s/.test(source[index])) index++;
+    };
+    const closing = source[index] === '/';
+    if (closing) index++;
+
+    let name = '';
+    if (source[index] !== '>') {
+      NAME.lastIndex = index;
+      const match = NAME.exec(source);
+      if (!match || match.index >= end) {
+        return {
+          error:
+            'Unexpected character after `<`, expected a tag name (use `&lt;` for a literal `<`)',
+          offset: index,
+        };
+      }
+      name = match[0];
+      index += name.length;
+    }
+
+    const attributes = [];
+    for (;;) {
+      skipSpace();
+      if (index >= end) {
+        return { error: `Unclosed ${describeTag(name)} tag`, offset: start };
+      }
+      if (source[index] === '>') {
+        return {
+          name,
+          closing,
+          selfClosing: false,
+          attributes,
+          end: index + 1,
+        };
+      }
+      if (source.startsWith('/>', index) && !closing) {
+        return { name, closing, selfClosing: true, attributes, end: index + 2 };
+      }
+      if (closing) {
+        return {
+          error: `Unexpected content in closing tag </${name}>`,
+          offset: index,
+        };
+      }
+
+      if (source[index] === '{') {
+        if (!mdx) return { error: 'Unexpected `{`', offset: index };
+        const after = readExpression(index, end);
+        if (after === null) return { error: null, offset: index };
+        index = after;
+        continue;
+      }
+
+      NAME.lastIndex = index;
+      const attribute = NAME.exec(source);
+      if (!attribute || attribute.index !== index) {
+        return {
+          error: `Unexpected character \`${source[index]}\` in ${describeTag(name)} tag`,
+          offset: index,
+        };
+      }
+      index += attribute[0].length;
+      skipSpace();
+      if (source[index] !== '=') {
+        attributes.push({ name: attribute[0], value: null });
+        continue;
+      }
+
+      index++;
+      skipSpace();
+      const quote = source[index];
+      if (quote === '"' || quote === "'") {
+        const close = source.indexOf(quote, index + 1);
+        if (close === -1 || close >= end) {
+          return {
+            error: `Unterminated value of attribute \`${attribute[0]}\``,
+            offset: index,
+          };
+        }
+        attributes.push({
+          name: attribute[0],
+          value: source.slice(index + 1, close),
+          offset: index + 1,
+        });
+        index = close + 1;
+      } else if (quote === '{' && mdx) {
+        const after = readExpression(index, end);
+        if (after === null) return { error: null, offset: index };
+        attributes.push({ name: attribute[0], value: null });
+        index = after;
+      } else if (!mdx && /[^\s>]/.test(quote || '')) {
+        // Unquoted HTML attribute value
+        const value = source.slice(index).match(/^[^\s>]+/)[0];
+        attributes.push({ name: attribute[0], value, offset: index });
+        index += value.length;
+      } else {
+        return {
+          error: `Expected a quoted value or {expression} for attribute \`${attribute[0]}\``,
+          offset: index,
+        };
+      }
+    }
+  };
+
+  // Record the links of a tag's src/href attributes
+  const recordTagLinks = tag => {
+    for (const attribute of tag.attributes) {
+      if (
+        attribute.value !== null &&
+        (attribute.name === 'src' || attribute.name === 'href')
+      ) {
+        links.push({
+          kind: attribute.name === 'src' ? 'image' : 'link',
+          url: attribute.value,
+          text: '',
+          ...positionOf(attribute.offset),
+        });
+      }
+    }
+  };
+
+  // Track opening and closing JSX tags
+  const trackElement = (tag, offset) => {
+    if (tag.selfClosing) return;
+    if (!tag.closing) {
+      elements.push({ name: tag.name, offset });
+      return;
+    }
+
+    const match = elements.map(element => element.name).lastIndexOf(tag.name);
+    if (match === -1) {
+      report(offset, `Unexpected closing tag </${tag.name}>`);
+      return;
+    }
+    for (const element of elements.splice(match + 1)) {
+      const { line, column } = positionOf(element.offset);
+      report(
+        offset,
+        `Expected a closing tag for ${describeTag(element.name)} (${line}:${column}) before </${tag.name}>`
+      );
+    }
+    elements.pop();
+  };
+
+  /**
+   * Find the backtick run closing a code span, which must be exactly as
+   * long as the opening one
+   * @returns {number} Offset of the closing run, -1 when there is none
+   */
+  const findCodeSpanEnd = (start, length, end) => {
+    const runs = /`+/g;
+    runs.lastIndex = start;
+    let run;
+    while ((run = runs.exec(source)) && run.index < end) {
+      if (run[0].length === length) return run.index;
+    }
+    return -1;
+  };
+
+  /**
+   * Find the `]` closing a link label, skipping code spans and escapes
+   * @returns {number} Offset of the `]`, -1 when there is none
+   */
+  const findLabelEnd = (start, end) => {
+    let depth = 0;
+    for (let index = start; index < end; index++) {
+      const char = source[index];
+      if (char === '\\') {
+        index++;
+      } else if (char === '`') {
+        const run = source.slice(index).match(/^`+/)[0];
+        const close = findCodeSpanEnd(index + run.length, run.length, end);
+        index = close === -1 ? index + run.length - 1 : close + run.length - 1;
+      } else if (char === '[') {
+        depth++;
+      } else if (char === ']') {
+        if (depth === 0) return index;
+        depth--;
+      }
+    }
+    return -1;
+  };
+
+  /**
+   * Read a link destination and title after `](`
+   * @returns {object|null} { url, end } or null when it isn't one
+   */
+  const readDestination = (start, end) => {
+    let index = start;
+    while (index < end && /[ \t\n]/.test(source[index])) index++;
+
+    let url;
+    if (source[index] === '<') {
+      const close = source.indexOf('>', index);
+      if (close === -1 || close >= end) return null;
+      url = source.slice(index + 1, close);
+      index = close + 1;
+    } else {
+      let depth = 0;
+      const from = index;
+      while (index < end && !/\s/.test(source[index])) {
+        if (source[index] === '\\') index++;
+        else if (source[index] === '(') depth++;
+        else if (source[index] === ')' && depth-- === 0) break;
+        index++;
+      }
+      url = source.slice(from, index);
+    }
+
+    while (index < end && /[ \t\n]/.test(source[index])) index++;
+    const quote = { '"': '"', "'": "'", '(': ')' }[source[index]];
+    if (quote) {
+      const close = source.indexOf(quote, index + 1);
+      if (close === -1 || close >= end) return null;
+      index = close + 1;
+      while (index < end && /[ \t\n]/.test(source[index])) index++;
+    }
+
+    return source[index] === ')' ? { url, end: index + 1 } : null;
+  };
+
+  /**
+   * Parse inline content, recording links, tags and expressions
+   * @returns {string} Plain text of the content
+   */
+  const parseInline = (start, end) => {
+    let text = '';
+    let index = start;
+
+    while (index < end) {
+      const char = source[index];
+
+      if (char === '\\' && /[!-/:-@[-`{-~]/.test(source[index + 1] || '')) {
+        text += source[index + 1];
+        index += 2;
+        continue;
+      }
+
+      if (char === '`') {
+        const run = source.slice(index).match(/^`+/)[0];
+        const close = findCodeSpanEnd(index + run.length, run.length, end);
+        if (close === -1) {
+          text += run;
+          index += run.length;
+        } else {
+          text += source
+            .slice(index + run.length, close)
+            .replace(/\n/g, ' ')
+            .trim();
+          index = close + run.length;
+        }
+        continue;
+      }
+
+      if (source.startsWith('<!--', index)) {
+        if (mdx) {
+          report(
+            index,
+            'HTML comments are not supported in MDX, use {/* comment */}'
+          );
+        }
+        const close = source.indexOf('-->', index + 4);
+        index = close === -1 || close >= end ? end : close + 3;
+        continue;
+      }
+
+      if (char === '<') {
+        const autolink = source
+          .slice(index, end)
+          .match(
+            /^<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*|[^\s<>@]+@[^\s<>]+)>/
+          );
+        if (autolink) {
+          links.push({
+            kind: 'link',
+            url: autolink[1],
+            text: autolink[1],
+            ...positionOf(index + 1),
+          });
+          text += autolink[1];
+          index += autolink[0].length;
+          continue;
+        }
+
+        if (mdx || /[a-zA-Z/]/.test(source[index + 1] || '')) {
+          const tag = readTag(index, end);
+          if (tag.error === undefined) {
+            recordTagLinks(tag);
+            if (mdx) trackElement(tag, index);
+            index = tag.end;
+            continue;
+          }
+          if (mdx) {
+            // Expression errors inside the tag are already reported
+            if (tag.error) report(tag.offset, tag.error);
+            index = Math.max(index, tag.offset) + 1;
+            continue;
+          }
+        }
+
+        text += char;
+        index++;
+        continue;
+      }
+
+      if (char === '{' && mdx) {
+        const after = readExpression(index, end);
+        index = after ?? index + 1;
+        continue;
+      }
+
+      if (char === '[' || (char === '!' && source[index + 1] === '[')) {
+        const image = char === '!';
+        const labelStart = index + (image ? 2 : 1);
+        const labelEnd = findLabelEnd(labelStart, end);
+        const destination =
+          labelEnd !== -1 && source[labelEnd + 1] === '('
+            ? readDestination(labelEnd + 2, end)
+            : null;
+
+        if (destination) {
+          const label = parseInline(labelStart, labelEnd);
+          links.push({
+            kind: image ? 'image' : 'link',
+            url: destination.url,
+            text: label,
+            ...positionOf(index),
+          });
+          text += label;
+          index = destination.end;
+          continue;
+        }
+      }
+
+      text += char;
+      index++;
+    }
+
+    return text;
+  };
+
+  // Drop emphasis markers from plain text
+  const toPlainText = text =>
+    text
+      .replace(/[*~]+/g, '')
+      .replace(/(^|[^\w])_+|_+(?=[^\w]|$)/g, '$1')
+      .replace(/[ \t]+/g, ' ')
+      .trim();
+
+  let paragraph = null;
+  const flushParagraph = () => {
+    if (paragraph) {
+      const text = toPlainText(parseInline(paragraph.start, paragraph.end));
+      if (text) textBlocks.push(text);
+      paragraph = null;
+    }
+  };
+  const lineEnd = index => lineStarts[index] + lines[index].length;
+
+  let index = 0;
+  const frontmatter = /^(---|\+\+\+)[ \t]*$/.exec(lines[0]);
+  if (frontmatter) {
+    const close = lines.findIndex(
+      (line, position) => position > 0 && line.trimEnd() === frontmatter[1]
+    );
+    if (close !== -1) index = close + 1;
+  }
+
+  while (index < lines.length) {
+    const line = lines[index];
+    const inner = line.replace(CONTAINER_PREFIX, '');
+    const fence = /^([ \t]*)(`{3,}|~{3,})(.*)$/.exec(inner);
+
+    if (
+      fence &&
+      (mdx || fence[1].length <= 3) &&
+      !(fence[2][0] === '`' && fence[3].includes('`'))
+    ) {
+      flushParagraph();
+      const marker = fence[2];
+      const close = lines.findIndex(
+        (candidate, position) =>
+          position > index &&
+          new RegExp(`^[ \\t]*${marker[0]}{${marker.length},}[ \\t]*$`).test(
+            candidate.replace(CONTAINER_PREFIX, '')
+          )
+      );
+      if (close === -1) {
+        report(
+          lineStarts[index] + line.length - inner.length + fence[1].length,
+          'Code fence is never closed',
+          'warning'
+        );
+        break;
+      }
+      index = close + 1;
+      continue;
+    }
+
+    if (!line.trim()) {
+      flushParagraph();
+      index++;
+      continue;
+    }
+
+    if (!mdx && !paragraph && /^( {4}|\t)/.test(line)) {
+      // Indented code
+      index++;
+      continue;
+    }
+
+    if (mdx && !paragraph && /^(import|export)\b/.test(line)) {
+      let last = index;
+      while (last + 1 < lines.length && lines[last + 1].trim()) last++;
+      parseEsm(lineStarts[index], lineEnd(last));
+      index = last + 1;
+      continue;
+    }
+
+    const heading =
+      /^ {0,3}(#{1,6})(?=[ \t]|$)[ \t]*(.*?)(?:[ \t]+#+)?[ \t]*$/.exec(line);
+    if (heading) {
+      flushParagraph();
+      const start =
+        lineStarts[index] + line.indexOf(heading[2], heading[1].length);
+      const text = toPlainText(parseInline(start, start + heading[2].length));
+      headings.push({ depth: heading[1].length, text, line: index + 1 });
+      if (text) textBlocks.push(text);
+      index++;
+      continue;
+    }
+
+    const underline = /^ {0,3}(=+|-+)[ \t]*$/.exec(line);
+    if (underline && paragraph) {
+      const text = toPlainText(parseInline(paragraph.start, paragraph.end));
+      headings.push({
+        depth: underline[1][0] === '=' ? 1 : 2,
+        text,
+        line: positionOf(paragraph.start).line,
+      });
+      if (text) textBlocks.push(text);
+      paragraph = null;
+      index++;
+      continue;
+    }
+
+    if (!paragraph && /^ {0,3}([-*_])([ \t]*\1){2,}[ \t]*$/.test(line)) {
+      index++;
+      continue;
+    }
+
+    const definition =
+      !paragraph &&
+      /^ {0,3}\[((?:[^\]\\]|\\.)+)\]:[ \t]*(<[^>\n]*>|\S+)/.exec(line);
+    if (definition) {
+      const url = definition[2].replace(/^<|>$/g, '');
+      links.push({
+        kind: 'definition',
+        url,
+        text: definition[1],
+        ...positionOf(lineStarts[index] + line.indexOf(definition[2])),
+      });
+      index++;
+      continue;
+    }
+
+    if (paragraph) {
+      paragraph.end = lineEnd(index);
+    } else {
+      paragraph = { start: lineStarts[index], end: lineEnd(index) };
+    }
+    index++;
+  }
+  flushParagraph();
+
+  for (const element of elements) {
+    report(
+      element.offset,
+      VOID_ELEMENTS.has(element.name)
+        ? `Unclosed ${describeTag(element.name)} tag (use <${element.name} /> in MDX)`
+        : element.name
+          ? `Unclosed ${describeTag(element.name)} element`
+          : 'Unclosed fragment <>'
+    );
+  }
+
+  /**
+   * Parse an MDX import/export block
+   */
+  function parseEsm(start, end) {
+    let index = start;
+
+    while (index < end) {
+      while (index < end && /\s/.test(source[index])) index++;
+      if (index >= end) break;
+
+      IMPORT_STATEMENT.lastIndex = index;
+      const statement = IMPORT_STATEMENT.exec(source);
+      if (statement && statement.index === index) {
+        const invalid = (statement[1] || '')
+          .split(',')
+          .map(specifier => specifier.trim())
+          .find(
+            specifier =>
+              specifier &&
+              !/^[A-Za-z_$][\w$]*(\s+as\s+[A-Za-z_$][\w$]*)?$/.test(specifier)
+          );
+        if (invalid) {
+          report(index, `Invalid import specifier \`${invalid}\``);
+        }
+        imports.push({
+          source: statement[3],
+          ...positionOf(index + statement[0].indexOf(statement[2]) + 1),
+        });
+        index += statement[0].length;
+        continue;
+      }
+
+      EXPORT_STATEMENT.lastIndex = index;
+      const exported = EXPORT_STATEMENT.exec(source);
+      if (!source.startsWith('import', index) && exported?.index === index) {
+        const result = scanCode(
+          index,
+          end,
+          [],
+          position =>
+            source[position] === '\n' &&
+            /^(import|export)\b/.test(source.slice(position + 1, position + 8))
+        );
+        if (result.error) {
+          report(result.offset, `${result.error} in export`);
+          break;
+        }
+        const reexport = source
+          .slice(index, result.end)
+          .match(/\bfrom\s*(['"])([^'"\n]+)\1\s*;?\s*$/);
+        if (reexport) {
+          imports.push({
+            source: reexport[2],
+            ...positionOf(
+              index + source.slice(index, result.end).lastIndexOf(reexport[2])
+            ),
+          });
+        }
+        index = result.end;
+        continue;
+      }
+
+      const keyword = source.startsWith('import', index) ? 'import' : 'export';
+      report(index, `Could not parse ${keyword} statement`);
+      // Continue with the next statement
+      const next = source.slice(index + 1, end).search(/\n(import|export)\b/);
+      if (next === -1) break;
+      index += next + 2;
+    }
+  }
+
+  diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+
+  return {
+    headings,
+    links,
+    imports,
+    text: textBlocks.join('\n'),
+    diagnostics,
+  };
+}
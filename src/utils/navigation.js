@@ -0,0 +1,364 @@
+/**
+ * Navigation tree helpers
+ * The installed pages of a mapping become a nested sidebar: folders are
+ * categories, ordered by a `sidebar_position` (or `order`) frontmatter field
+ * and `_category_.json` folder metadata, then by name:
+ *
+ *   [{ type: 'doc', id: 'intro', label: 'Introduction', url: '/docs/intro' },
+ *    { type: 'category', label: 'Guide', dirName: 'guide',
+ *      link: { id: 'guide/index', url: '/docs/guide' }, items: [...] }]
+ */
+
+import path from 'path';
+import { parseContentData, parseFrontmatter } from './content-data.js';
+import { parseMarkdown } from './markdown.js';
+import { getDocumentUrl } from './search-index.js';
+
+export const NAVIGATION_VERSION = 1;
+
+export const CATEGORY_FILES = [
+  '_category_.json',
+  '_category_.yml',
+  '_category_.yaml',
+];
+
+/**
+ * Transform steps that enable the navigation tree instead of running as
+ * transformers, e.g. `transform: { navigation: true, hierarchy: true }`
+ */
+export const NAVIGATION_TRANSFORMS = ['navigation', 'hierarchy'];
+
+/**
+ * Get the `navigation` option a mapping's transform steps ask for
+ * @param {object[]} steps - Steps from normalizeTransformSteps()
+ * @returns {object|undefined} Options of the navigation steps, undefined
+ *   when there are none
+ */
+export function getTransformNavigation(steps) {
+  const navigationSteps = steps.filter(step =>
+    NAVIGATION_TRANSFORMS.includes(step.name)
+  );
+  if (navigationSteps.length === 0) {
+    return undefined;
+  }
+
+  return Object.assign({}, ...navigationSteps.map(step => step.options));
+}
+
+/**
+ * Normalize the `navigation` option of a mapping
+ * @param {boolean|object|undefined} navigation - `true` or
+ *   { output, sidebar, baseUrl }
+ * @returns {object|null} { output, sidebar, baseUrl }, null when disabled
+ * @throws {Error} For values that are neither a boolean nor an object
+ */
+export function normalizeNavigationOptions(navigation) {
+  if (navigation === undefined || navigation === null || navigation === false) {
+    return null;
+  }
+  if (navigation !== true && typeof navigation !== 'object') {
+    throw new Error(
+      `Unsupported navigation option ${JSON.stringify(navigation)} (expected true or an object)`
+    );
+  }
+
+  const options = navigation === true ? {} : navigation;
+  return {
+    output: options.output || null,
+    sidebar: options.sidebar || null,
+    baseUrl: (options.baseUrl || '').replace(/\/+$/, ''),
+  };
+}
+
+/**
+ * Get a finite position from a metadata value
+ * @param {any} value - `sidebar_position`, `order` or `position` value
+ * @returns {number|null} Position, null when unset or not a number
+ */
+function toPosition(value) {
+  const position = typeof value === 'string' ? Number(value) : value;
+  return typeof position === 'number' && Number.isFinite(position)
+    ? position
+    : null;
+}
+
+/**
+ * Format a file or folder name as a label
+ * @param {string} name - Name without extension
+ * @returns {string} Label
+ */
+function toLabel(name) {
+  return name.replace(/[-_]+/g, ' ');
+}
+
+/**
+ * Build the navigation entry of an installed page
+ * The label is the frontmatter `sidebar_label`, else `title`, else the first
+ * `#` heading, else the file name (the folder name for `index` pages).
+ * Drafts (`draft: true`) are left out
+ * @param {string} content - File content
+ * @param {object} options - { path: POSIX path inside the collection,
+ *   collection, baseUrl }
+ * @returns {object|null} { type: 'doc', id, label, url, path, position },
+ *   null for drafts
+ */
+export function createNavigationItem(content, options) {
+  let frontmatter = {};
+  try {
+    frontmatter = parseFrontmatter(content).data;
+  } catch {
+    // Reported by schema validation; place the page by its path
+  }
+  if (frontmatter.draft === true) {
+    return null;
+  }
+
+  const id = options.path.replace(/\.mdx?$/i, '');
+  const name = path.posix.basename(id);
+  const fallback =
+    name.toLowerCase() === 'index'
+      ? path.posix.basename(path.posix.dirname(id)).replace(/^\.$/, '') ||
+        options.collection ||
+        name
+      : name;
+
+  let label = [frontmatter.sidebar_label, frontmatter.title].find(
+    value => typeof value === 'string' && value.trim() !== ''
+  );
+  if (!label) {
+    const { headings } = parseMarkdown(content, {
+      mdx: path.extname(options.path).toLowerCase() === '.mdx',
+    });
+    label =
+      headings.find(heading => heading.depth === 1)?.text || toLabel(fallback);
+  }
+
+  return {
+    type: 'doc',
+    id,
+    label,
+    url: getDocumentUrl(options.path, {
+      collection: options.collection,
+      baseUrl: options.baseUrl,
+      slug: frontmatter.slug,
+    }),
+    path: options.path,
+    position: toPosition(frontmatter.sidebar_position ?? frontmatter.order),
+  };
+}
+
+/**
+ * Parse a `_category_.json` (or `.yml`) folder metadata file
+ * @param {string} content - File content
+ * @param {string} filePath - File path, for its format
+ * @returns {object} { label, position, collapsed }, unset fields left out
+ */
+export function parseCategoryMetadata(content, filePath) {
+  const data = parseContentData(content, filePath)?.data;
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return {};
+  }
+
+  const metadata = {};
+  if (typeof data.label === 'string' && data.label.trim() !== '') {
+    metadata.label = data.label;
+  }
+  const position = toPosition(data.position);
+  if (position !== null) {
+    metadata.position = position;
+  }
+  if (typeof data.collapsed === 'boolean') {
+    metadata.collapsed = data.collapsed;
+  }
+
+  return metadata;
+}
+
+/**
+ * Order navigation nodes: positioned ones first by position, the rest after
+ * them, ties by name
+ * @param {object} a - Node
+ * @param {object} b - Node
+ * @returns {number} Sort order
+ */
+function compareNodes(a, b) {
+  return (
+    (a.position ?? Infinity) - (b.position ?? Infinity) ||
+    a.name.localeCompare(b.name, undefined, { numeric: true })
+  );
+}
+
+/**
+ * Build the nested navigation of a collection
+ * Every folder is a category labelled by its metadata `label`, else its
+ * `index` page, else its name; the `index` page becomes the category's
+ * `link` instead of an item. Folders without pages are left out
+ * @param {object[]} documents - Entries from createNavigationItem()
+ * @param {object} categories - Folder metadata by POSIX folder path ('' for
+ *   the root), from parseCategoryMetadata()
+ * @returns {object[]} Navigation items
+ */
+export function buildNavigationTree(documents, categories = {}) {
+  const root = { dirName: '', folders: new Map(), docs: [], index: null };
+
+  for (const document of documents) {
+    const segments = document.id.split('/');
+    const name = segments.pop();
+    let folder = root;
+
+    for (const segment of segments) {
+      if (!folder.folders.has(segment)) {
+        folder.folders.set(segment, {
+          dirName: [folder.dirName, segment].filter(Boolean).join('/'),
+          folders: new Map(),
+          docs: [],
+          index: null,
+        });
+      }
+      folder = folder.folders.get(segment);
+    }
+
+    if (folder !== root && name.toLowerCase() === 'index') {
+      folder.index = document;
+    } else {
+      folder.docs.push(document);
+    }
+  }
+
+  const toItems = folder => {
+    const nodes = [
+      ...folder.docs.map(document => ({
+        name: path.posix.basename(document.id),
+        position: document.position,
+        item: {
+          type: 'doc',
+          id: document.id,
+          label: document.label,
+          url: document.url,
+        },
+      })),
+      ...[...folder.folders].flatMap(([name, child]) => {
+        const items = toItems(child);
+        if (items.length === 0 && !child.index) return [];
+
+        const metadata = categories[child.dirName] || {};
+        const category = {
+          type: 'category',
+          label: metadata.label || child.index?.label || toLabel(name),
+          dirName: child.dirName,
+        };
+        if (child.index) {
+          category.link = { id: child.index.id, url: child.index.url };
+        }
+        if (metadata.collapsed !== undefined) {
+          category.collapsed = metadata.collapsed;
+        }
+        category.items = items;
+
+        return [
+          {
+            name,
+            position: metadata.position ?? child.index?.position ?? null,
+            item: category,
+          },
+        ];
+      }),
+    ];
+
+    return nodes.sort(compareNodes).map(node => node.item);
+  };
+
+  return toItems(root);
+}
+
+/**
+ * Merge generated navigation into a hand-written sidebar
+ * The sidebar (an array of items, or an object with `items`) keeps its order
+ * and labels. Pages are referenced by id, as a string or a
+ * `{ type: 'doc', id }` item, and get their generated label and URL;
+ * `{ type: 'autogenerated', dirName }` items expand to the generated items of
+ * that folder ('.' for the root). Without `autogenerated` items, pages the
+ * sidebar doesn't reference are appended after it
+ * @param {object[]} generated - Items from buildNavigationTree()
+ * @param {object[]|object} sidebar - Hand-written sidebar
+ * @returns {object} { items, unknown: page ids the sidebar references that
+ *   weren't installed }
+ * @throws {Error} When the sidebar is neither an array nor has `items`
+ */
+export function mergeSidebar(generated, sidebar) {
+  const entries = Array.isArray(sidebar) ? sidebar : sidebar?.items;
+  if (!Array.isArray(entries)) {
+    throw new Error('expected an array of items or an object with "items"');
+  }
+
+  const pages = new Map();
+  const folders = new Map([['', generated]]);
+  const collect = items => {
+    for (const item of items) {
+      if (item.type === 'doc') pages.set(item.id, item);
+      if (item.type !== 'category') continue;
+
+      if (item.link) pages.set(item.link.id, { type: 'doc', ...item.link });
+      folders.set(item.dirName, item.items);
+      collect(item.items);
+    }
+  };
+  collect(generated);
+
+  const placed = new Set();
+  let autogenerated = false;
+  const scan = items => {
+    for (const entry of items) {
+      if (typeof entry === 'string') placed.add(entry);
+      else if (entry?.type === 'doc') placed.add(entry.id);
+      else if (entry?.type === 'autogenerated') autogenerated = true;
+      else if (Array.isArray(entry?.items)) scan(entry.items);
+    }
+  };
+  scan(entries);
+
+  const remaining = items =>
+    items.flatMap(item => {
+      if (item.type === 'doc') {
+        return placed.has(item.id) ? [] : [item];
+      }
+
+      const category = { ...item, items: remaining(item.items) };
+      if (category.link && placed.has(category.link.id)) {
+        delete category.link;
+      }
+      return category.items.length > 0 || category.link ? [category] : [];
+    });
+
+  const unknown = [];
+  const resolve = items =>
+    items.flatMap(entry => {
+      if (typeof entry === 'string' || entry?.type === 'doc') {
+        const id = typeof entry === 'string' ? entry : entry.id;
+        if (!pages.has(id)) {
+          unknown.push(id);
+          return [];
+        }
+        return [
+          typeof entry === 'string'
+            ? pages.get(id)
+            : { ...pages.get(id), ...entry },
+        ];
+      }
+      if (entry?.type === 'autogenerated') {
+        const dirName = (entry.dirName || '.').replace(/^\.(?:\/|$)|\/+$/g, '');
+        return remaining(folders.get(dirName) || []);
+      }
+      if (Array.isArray(entry?.items)) {
+        return [{ ...entry, items: resolve(entry.items) }];
+      }
+      return [entry];
+    });
+
+  const items = resolve(entries);
+
+  return {
+    items: autogenerated ? items : [...items, ...remaining(generated)],
+    unknown,
+  };
+}
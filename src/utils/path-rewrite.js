@@ -0,0 +1,176 @@
+/**
+ * Path rewrite helpers for mapping `rewrite` rules
+ * Rules rename each file a mapping installs, relative to its destination:
+ *
+ *   rewrite: {
+ *     stripPrefix: ['archive/'],                      // drop leading directories
+ *     replace: [{ pattern: '\\s+\\(draft\\)', replacement: '' }],
+ *     template: '{year}/{slug}{ext}',                 // rebuild the path
+ *     flatten: true,                                  // drop directories
+ *     slugify: true,                                  // kebab-case every segment
+ *   }
+ *
+ * They are applied in that order. Template placeholders: {dir}, {name},
+ * {slug}, {ext} and {year} (first four-digit directory, or a leading
+ * YYYY- in the file name)
+ */
+
+const TEMPLATE_PLACEHOLDERS = ['dir', 'name', 'slug', 'ext', 'year'];
+
+/**
+ * Convert text to a URL-friendly slug, e.g. "Title Case Names" -> "title-case-names"
+ * @param {string} text - Text
+ * @returns {string} Lowercase slug of letters, digits and dashes
+ */
+export function slugify(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Validate and normalize a mapping's rewrite rules
+ * @param {object|undefined} rewrite - Rules from the mapping config
+ * @returns {object|null} { stripPrefix, replace, template, flatten, slugify }, null without rules
+ */
+export function normalizeRewriteRules(rewrite) {
+  if (!rewrite) {
+    return null;
+  }
+
+  const rules = {
+    stripPrefix: [rewrite.stripPrefix || []]
+      .flat()
+      .map(prefix => prefix.replace(/^\.?\/+/, '').replace(/\/*$/, '/')),
+    replace: [rewrite.replace || []].flat().map(rule => ({
+      pattern: rule.pattern,
+      replacement: rule.replacement ?? '',
+      flags: rule.flags ?? 'g',
+    })),
+    template: rewrite.template || null,
+    flatten: rewrite.flatten === true,
+    slugify: rewrite.slugify === true,
+  };
+
+  for (const rule of rules.replace) {
+    try {
+      new RegExp(rule.pattern, rule.flags);
+    } catch (error) {
+      throw new Error(
+        `Invalid rewrite pattern "${rule.pattern}": ${error.message}`
+      );
+    }
+  }
+
+  for (const [, placeholder] of (rules.template || '').matchAll(/\{(\w+)\}/g)) {
+    if (!TEMPLATE_PLACEHOLDERS.includes(placeholder)) {
+      throw new Error(
+        `Unknown rewrite template placeholder {${placeholder}} (use ${TEMPLATE_PLACEHOLDERS.map(name => `{${name}}`).join(', ')})`
+      );
+    }
+  }
+
+  return rules;
+}
+
+/**
+ * Split a relative path into directory, name and extension
+ * @param {string} filePath - Relative path with forward slashes
+ * @returns {object} { dir, name, ext }
+ */
+function splitPath(filePath) {
+  const slash = filePath.lastIndexOf('/');
+  const base = filePath.slice(slash + 1);
+  const dot = base.lastIndexOf('.');
+
+  return {
+    dir: slash === -1 ? '' : filePath.slice(0, slash),
+    name: dot > 0 ? base.slice(0, dot) : base,
+    ext: dot > 0 ? base.slice(dot) : '',
+  };
+}
+
+/**
+ * Render a rewrite template for a path
+ * @param {string} template - Template, e.g. "{year}/{slug}{ext}"
+ * @param {string} filePath - Relative path
+ * @returns {string} Rendered path
+ */
+function renderTemplate(template, filePath) {
+  const { dir, name, ext } = splitPath(filePath);
+  const year =
+    dir.split('/').find(segment => /^\d{4}$/.test(segment)) ||
+    name.match(/^(\d{4})-/)?.[1] ||
+    '';
+  const values = { dir, name, slug: slugify(name), ext, year };
+
+  return template.replace(
+    /\{(\w+)\}/g,
+    (_, placeholder) => values[placeholder]
+  );
+}
+
+/**
+ * Rewrite a file path relative to a mapping's source
+ * @param {string} filePath - Relative path with forward slashes
+ * @param {object|null} rules - Normalized rules, from normalizeRewriteRules()
+ * @returns {string} Path relative to the mapping's destination
+ */
+export function rewritePath(filePath, rules) {
+  if (!rules) {
+    return filePath;
+  }
+
+  let result = filePath;
+
+  const prefix = rules.stripPrefix.find(entry => result.startsWith(entry));
+  if (prefix) {
+    result = result.slice(prefix.length);
+  }
+
+  for (const rule of rules.replace) {
+    result = result.replace(
+      new RegExp(rule.pattern, rule.flags),
+      rule.replacement
+    );
+  }
+
+  if (rules.template) {
+    result = renderTemplate(rules.template, result);
+  }
+
+  if (rules.flatten) {
+    result = result.slice(result.lastIndexOf('/') + 1);
+  }
+
+  if (rules.slugify) {
+    const { dir, name, ext } = splitPath(result);
+    result = [...dir.split('/'), name]
+      .filter(Boolean)
+      .map(segment => slugify(segment) || segment)
+      .join('/')
+      .concat(ext.toLowerCase());
+  }
+
+  return result.split('/').filter(Boolean).join('/');
+}
+
+/**
+ * Find source files rewritten to the same destination path
+ * @param {object[]} entries - [{ source, target }]
+ * @returns {object[]} [{ target, sources }] for every target claimed more than once
+ */
+export function findPathCollisions(entries) {
+  const sources = new Map();
+
+  for (const { source, target } of entries) {
+    sources.set(target, [...(sources.get(target) || []), source]);
+  }
+
+  return [...sources]
+    .filter(([, claimed]) => claimed.length > 1)
+    .map(([target, claimed]) => ({ target, sources: claimed }));
+}
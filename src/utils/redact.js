@@ -0,0 +1,84 @@
+/**
+ * Secret Redaction
+ * Removes credentials from text before it is logged, thrown or cached
+ */
+
+const MASK = '***';
+
+// Well-known token formats (GitHub, GitLab)
+const TOKEN_PATTERN =
+  /\b(?:gh[pousr]_[A-Za-z0-9]{20,}|github_pat_[A-Za-z0-9_]{20,}|glpat-[A-Za-z0-9_-]{20,})\b/g;
+
+// scheme://userinfo@host - https userinfo is usually a token on its own
+const URL_CREDENTIALS_PATTERN = /\b([a-z][a-z0-9+.-]*:\/\/)([^/@\s]+)@/gi;
+
+const secrets = new Set();
+
+/**
+ * Register a secret value (e.g. a token read from the environment)
+ * so it is masked wherever it appears
+ * @param {string} value - Secret value
+ */
+export function registerSecret(value) {
+  // Very short values would mask unrelated text
+  if (typeof value === 'string' && value.length >= 6) {
+    secrets.add(value);
+  }
+}
+
+/**
+ * Redact credentials from a string
+ * @param {string} text - Text to redact
+ * @returns {string} Redacted text
+ */
+export function redactString(text) {
+  if (typeof text !== 'string' || text === '') {
+    return text;
+  }
+
+  let result = text;
+  for (const secret of secrets) {
+    result = result.split(secret).join(MASK);
+  }
+
+  return result
+    .replace(URL_CREDENTIALS_PATTERN, (match, scheme, userinfo) => {
+      if (/^https?:\/\/$/i.test(scheme)) {
+        return `${scheme}${MASK}@`;
+      }
+      // Keep SSH-style usernames ("ssh://git@host"), mask passwords
+      const separator = userinfo.indexOf(':');
+      return separator === -1
+        ? match
+        : `${scheme}${userinfo.slice(0, separator)}:${MASK}@`;
+    })
+    .replace(TOKEN_PATTERN, MASK);
+}
+
+/**
+ * Redact credentials from a string, error, array or plain object
+ * Objects and arrays are copied, never modified in place
+ * @param {any} value - Value to redact
+ * @returns {any} Redacted value
+ */
+export function redact(value) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+
+  if (value instanceof Error) {
+    return redactString(value.message);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, redact(item)])
+    );
+  }
+
+  return value;
+}
@@ -0,0 +1,218 @@
+/**
+ * Repository URL Parsing
+ * Shared parser for every repository source accepted in REPO_URL
+ *
+ * Supported forms:
+ * - scp-like SSH: git@host:group/subgroup/repo.git
+ * - URLs: https://, http://, ssh:// (with optional port), git://, file://
+ * - Local paths: /abs/path, ./relative, ../relative, ~/path
+ *
+ * Remote URLs need at least an owner and a repository name, nested groups
+ * (GitLab subgroups) are allowed and the `.git` suffix is optional.
+ */
+
+import { homedir } from 'os';
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+
+const URL_PROTOCOLS = ['https', 'http', 'ssh', 'git', 'file'];
+
+const DEFAULT_PORTS = { https: '443', http: '80', ssh: '22', git: '9418' };
+
+// user@host:path, but not scheme://
+const SCP_PATTERN = /^(?:([^@/\s]+)@)?([\w.-]+):(?!\/\/)([^\s]+)$/;
+
+const HOST_PATTERN = /^[\w.-]+$/;
+
+const SEGMENT_PATTERN = /^[\w.@~+-]+$/;
+
+// Explicit local path syntax so bare words like "not-a-url" are rejected
+const LOCAL_PATH_PATTERN = /^(?:\/|\.{1,2}(?:\/|$)|~(?:\/|$)|[A-Za-z]:[\\/])/;
+
+/**
+ * Split a repository path into owner segments and a name
+ * @param {string} path - Path without leading slash
+ * @returns {object|null} { path, owner, name } or null when invalid
+ */
+function splitRepositoryPath(path) {
+  const segments = path
+    .replace(/^\/+/, '')
+    .replace(/\/+$/, '')
+    .split('/')
+    .filter(Boolean);
+
+  if (segments.length < 2 || !segments.every(s => SEGMENT_PATTERN.test(s))) {
+    return null;
+  }
+
+  const name = segments.pop().replace(/\.git$/, '');
+  if (!name) return null;
+
+  return {
+    path: [...segments, name].join('/'),
+    owner: segments.join('/'),
+    name,
+  };
+}
+
+/**
+ * Expand "~" and resolve a local path against the working directory
+ * @param {string} path - Local path
+ * @returns {string} Absolute path
+ */
+function resolveLocalPath(path) {
+  if (path === '~' || path.startsWith('~/')) {
+    return resolve(homedir(), path.slice(2));
+  }
+  return resolve(path);
+}
+
+/**
+ * Build a parsed local repository
+ */
+function localRepository(protocol, absolutePath) {
+  const trimmed = absolutePath.replace(/[\\/]+$/, '') || absolutePath;
+  const base = trimmed.split(/[\\/]/).pop() || trimmed;
+
+  return {
+    protocol,
+    user: null,
+    host: null,
+    port: null,
+    path: trimmed,
+    owner: null,
+    name: base.replace(/\.git$/, ''),
+    local: true,
+  };
+}
+
+/**
+ * Parse a repository URL or local path
+ * @param {string} url - Repository URL
+ * @returns {object|null} { protocol, user, host, port, path, owner, name, local } or null
+ */
+export function parseRepositoryUrl(url) {
+  if (typeof url !== 'string') return null;
+
+  const value = url.trim();
+  if (!value || /\s/.test(value)) return null;
+
+  if (LOCAL_PATH_PATTERN.test(value)) {
+    return localRepository('local', resolveLocalPath(value));
+  }
+
+  const scheme = value.match(/^([a-z][a-z0-9+.-]*):\/\//i);
+  if (scheme) {
+    const protocol = scheme[1]
+      .toLowerCase()
+      .replace(/^git\+ssh$|^ssh\+git$/, 'ssh');
+    if (!URL_PROTOCOLS.includes(protocol)) return null;
+
+    let parsed;
+    try {
+      parsed = new URL(value.replace(scheme[1], protocol));
+    } catch {
+      return null;
+    }
+
+    if (protocol === 'file') {
+      if (parsed.host && parsed.host !== 'localhost') return null;
+      const path = decodeURIComponent(parsed.pathname);
+      return path === '/' ? null : localRepository('file', path);
+    }
+
+    if (!HOST_PATTERN.test(parsed.hostname)) return null;
+
+    const repository = splitRepositoryPath(decodeURIComponent(parsed.pathname));
+    if (!repository) return null;
+
+    return {
+      protocol,
+      user: parsed.username ? decodeURIComponent(parsed.username) : null,
+      host: parsed.hostname.toLowerCase(),
+      port: parsed.port || null,
+      ...repository,
+      local: false,
+    };
+  }
+
+  const scp = value.match(SCP_PATTERN);
+  if (scp) {
+    const repository = splitRepositoryPath(scp[3]);
+    if (!repository) return null;
+
+    return {
+      protocol: 'ssh',
+      user: scp[1] || null,
+      host: scp[2].toLowerCase(),
+      port: null,
+      ...repository,
+      local: false,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Check if a string is a supported repository URL or local path
+ * @param {string} url - Repository URL
+ * @returns {boolean} True if valid
+ */
+export function isValidRepositoryUrl(url) {
+  return parseRepositoryUrl(url) !== null;
+}
+
+/**
+ * Normalize a repository URL into a stable key
+ * Protocol, credentials, default ports, letter case of the host and the
+ * `.git` suffix are ignored, so `git@github.com:org/repo.git` and
+ * `https://github.com/org/repo` share cache entries. Local paths and
+ * file:// URLs normalize to the absolute file:// URL.
+ * @param {string} url - Repository URL
+ * @returns {string} Normalized key, or the trimmed input when unparseable
+ */
+export function normalizeRepositoryUrl(url) {
+  const parsed = parseRepositoryUrl(url);
+  if (!parsed) {
+    return typeof url === 'string' ? url.trim() : url;
+  }
+
+  if (parsed.local) {
+    return pathToFileURL(parsed.path).href;
+  }
+
+  const port =
+    parsed.port && parsed.port !== DEFAULT_PORTS[parsed.protocol]
+      ? `:${parsed.port}`
+      : '';
+
+  return `${parsed.host}${port}/${parsed.path}`;
+}
+
+/**
+ * Convert a repository URL into the form handed to git
+ * Local paths become absolute file:// URLs so shallow and partial clones
+ * work and relative paths keep pointing at the same repository from
+ * inside the mirror; remote URLs are returned unchanged.
+ * @param {string} url - Repository URL
+ * @returns {string} URL for git commands
+ */
+export function toGitUrl(url) {
+  const parsed = parseRepositoryUrl(url);
+  if (parsed?.protocol !== 'local') {
+    return url;
+  }
+  return pathToFileURL(parsed.path).href;
+}
+
+/**
+ * Check if two repository URLs point at the same repository
+ * @param {string} a - Repository URL
+ * @param {string} b - Repository URL
+ * @returns {boolean} True if both normalize to the same key
+ */
+export function isSameRepository(a, b) {
+  if (!a || !b) return false;
+  return normalizeRepositoryUrl(a) === normalizeRepositoryUrl(b);
+}
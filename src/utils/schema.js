@@ -0,0 +1,167 @@
+/**
+ * JSON Schema validation for content frontmatter and data files
+ * Supports the keywords content schemas need: type, required, properties,
+ * additionalProperties, items, enum, const, format (date, date-time, email,
+ * uri), pattern, minLength/maxLength, minimum/maximum and minItems/maxItems
+ */
+
+import { toPointerSegment } from './yaml.js';
+
+const FORMATS = {
+  date: value =>
+    /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    !Number.isNaN(Date.parse(`${value}T00:00:00Z`)) &&
+    new Date(`${value}T00:00:00Z`).toISOString().startsWith(value),
+  'date-time': value =>
+    /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/.test(
+      value
+    ) && !Number.isNaN(Date.parse(value.replace(' ', 'T'))),
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  uri: value => /^[a-z][a-z0-9+.-]*:\S+$/i.test(value),
+};
+
+/**
+ * Get the JSON Schema type of a value
+ * @param {any} value - Value
+ * @returns {string} null, array, integer, number, string, boolean or object
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Format a JSON pointer as a readable field name, e.g. /authors/0/name -> authors[0].name
+ * @param {string} pointer - JSON pointer
+ * @returns {string} Field name, "(root)" for the document itself
+ */
+export function formatPointer(pointer) {
+  if (pointer === '') {
+    return '(root)';
+  }
+
+  return pointer
+    .slice(1)
+    .split('/')
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce(
+      (field, segment) =>
+        /^\d+$/.test(segment)
+          ? `${field}[${segment}]`
+          : field
+            ? `${field}.${segment}`
+            : segment,
+      ''
+    );
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {any} value - Value to check
+ * @param {object} schema - JSON Schema
+ * @param {string} pointer - JSON pointer of the value
+ * @returns {object[]} [{ pointer, message }], empty when valid
+ */
+export function validateSchema(value, schema, pointer = '') {
+  if (!schema || schema === true) {
+    return [];
+  }
+
+  const errors = [];
+  const fail = message => errors.push({ pointer, message });
+  const type = typeOf(value);
+
+  if (schema.type) {
+    const types = [schema.type].flat();
+    const matches = types.some(
+      expected =>
+        expected === type || (expected === 'number' && type === 'integer')
+    );
+    if (!matches) {
+      fail(`must be ${types.join(' or ')} (got ${type})`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    fail(
+      `must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`
+    );
+  }
+  if ('const' in schema && schema.const !== value) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (type === 'string') {
+    if (
+      schema.format &&
+      FORMATS[schema.format] &&
+      !FORMATS[schema.format](value)
+    ) {
+      fail(`must be a valid ${schema.format}`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      fail(`must match pattern ${schema.pattern}`);
+    }
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (type === 'number' || type === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) =>
+        errors.push(
+          ...validateSchema(item, schema.items, `${pointer}/${index}`)
+        )
+      );
+    }
+  }
+
+  if (type === 'object') {
+    for (const key of schema.required || []) {
+      if (!Object.hasOwn(value, key)) {
+        errors.push({
+          pointer: `${pointer}/${toPointerSegment(key)}`,
+          message: 'is required',
+        });
+      }
+    }
+
+    const properties = schema.properties || {};
+    for (const [key, item] of Object.entries(value)) {
+      const itemPointer = `${pointer}/${toPointerSegment(key)}`;
+      if (Object.hasOwn(properties, key)) {
+        errors.push(...validateSchema(item, properties[key], itemPointer));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ pointer: itemPointer, message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(
+          ...validateSchema(item, schema.additionalProperties, itemPointer)
+        );
+      }
+    }
+  }
+
+  return errors;
+}
@@ -0,0 +1,98 @@
+/**
+ * Local search index helpers
+ * Every installed markdown file becomes a document of its collection (the
+ * folder name of its mapping's destination) with a URL, title, headings and
+ * plain body text:
+ *
+ *   { collection: 'docs', url: '/docs/guide/setup', title: 'Setup',
+ *     headings: [{ text: 'Install', anchor: 'install' }], text: '...' }
+ */
+
+import path from 'path';
+import { parseFrontmatter } from './content-data.js';
+import { parseMarkdown } from './markdown.js';
+import { slugify } from './path-rewrite.js';
+
+export const SEARCH_INDEX_VERSION = 1;
+
+/**
+ * Get the URL of an installed document
+ * `index` files stand for their folder; a frontmatter `slug` replaces the
+ * path inside the collection
+ * @param {string} relativePath - POSIX path inside the collection
+ * @param {object} options - { collection, baseUrl, slug }
+ * @returns {string} URL path, e.g. /docs/guide/setup
+ */
+export function getDocumentUrl(relativePath, options = {}) {
+  const { collection = '', baseUrl = '', slug = null } = options;
+  const route =
+    typeof slug === 'string' && slug.trim() !== ''
+      ? slug.trim().replace(/^\/+|\/+$/g, '')
+      : relativePath
+          .replace(/\.mdx?$/i, '')
+          .replace(/(^|\/)index$/i, '')
+          .replace(/\/+$/, '');
+
+  return encodeURI(
+    `${baseUrl}/${[collection, route].filter(Boolean).join('/')}`
+  );
+}
+
+/**
+ * Build the search document of an installed markdown file
+ * The title is the frontmatter `title`, else the first `#` heading, else the
+ * file name. Drafts (`draft: true`) are not indexed
+ * @param {string} content - File content
+ * @param {object} options - { path: POSIX path inside the collection,
+ *   collection, baseUrl, headings, content, maxTextLength }
+ * @returns {object|null} { collection, url, title, headings, text }, null for drafts
+ */
+export function createSearchDocument(content, options) {
+  let frontmatter = {};
+  try {
+    frontmatter = parseFrontmatter(content).data;
+  } catch {
+    // Reported by schema validation; index the body
+  }
+  if (frontmatter.draft === true) {
+    return null;
+  }
+
+  const parsed = parseMarkdown(content, {
+    mdx: path.extname(options.path).toLowerCase() === '.mdx',
+  });
+  const titleHeading =
+    typeof frontmatter.title === 'string'
+      ? null
+      : parsed.headings.find(heading => heading.depth === 1);
+  const name = path.posix.basename(
+    options.path,
+    path.posix.extname(options.path)
+  );
+
+  const document = {
+    collection: options.collection,
+    url: getDocumentUrl(options.path, {
+      collection: options.collection,
+      baseUrl: options.baseUrl,
+      slug: frontmatter.slug,
+    }),
+    title:
+      typeof frontmatter.title === 'string'
+        ? frontmatter.title
+        : titleHeading?.text || name.replace(/[-_]+/g, ' '),
+  };
+
+  if (options.headings !== false) {
+    document.headings = parsed.headings
+      .filter(heading => heading !== titleHeading)
+      .map(heading => ({ text: heading.text, anchor: slugify(heading.text) }));
+  }
+  if (options.content !== false) {
+    const text = parsed.text.replace(/\s+/g, ' ').trim();
+    document.text =
+      options.maxTextLength > 0 ? text.slice(0, options.maxTextLength) : text;
+  }
+
+  return document;
+}
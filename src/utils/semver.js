@@ -0,0 +1,313 @@
+/**
+ * Semver Utilities
+ * Minimal semantic version parsing and range matching for resolving
+ * content refs such as `^2.1` against remote tags
+ *
+ * Supports exact versions, comparators (>, >=, <, <=, =), caret and tilde
+ * ranges, x-ranges (1.x, 1.2.*, *), hyphen ranges and `||` unions.
+ */
+
+const VERSION_PATTERN =
+  /^v?(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+const PARTIAL_PATTERN =
+  /^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/;
+
+/**
+ * Parse a semantic version string
+ * @param {string} version - Version string, optionally prefixed with "v"
+ * @returns {object|null} { major, minor, patch, prerelease, raw } or null
+ */
+export function parseVersion(version) {
+  if (typeof version !== 'string') return null;
+
+  const match = version.trim().match(VERSION_PATTERN);
+  if (!match) return null;
+
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: match[4] ? match[4].split('.') : [],
+    raw: version,
+  };
+}
+
+/**
+ * Compare two prerelease identifier lists
+ * @param {string[]} a - Identifiers
+ * @param {string[]} b - Identifiers
+ * @returns {number} Negative, zero or positive
+ */
+function comparePrerelease(a, b) {
+  // A version without prerelease has higher precedence
+  if (a.length === 0 && b.length === 0) return 0;
+  if (a.length === 0) return 1;
+  if (b.length === 0) return -1;
+
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] === undefined) return -1;
+    if (b[i] === undefined) return 1;
+    if (a[i] === b[i]) continue;
+
+    const aNumeric = /^\d+$/.test(a[i]);
+    const bNumeric = /^\d+$/.test(b[i]);
+
+    if (aNumeric && bNumeric) return Number(a[i]) - Number(b[i]);
+    if (aNumeric) return -1;
+    if (bNumeric) return 1;
+    return a[i] < b[i] ? -1 : 1;
+  }
+
+  return 0;
+}
+
+/**
+ * Compare two versions
+ * @param {string|object} a - Version string or parsed version
+ * @param {string|object} b - Version string or parsed version
+ * @returns {number} Negative if a < b, zero if equal, positive if a > b
+ */
+export function compareVersions(a, b) {
+  const left = typeof a === 'string' ? parseVersion(a) : a;
+  const right = typeof b === 'string' ? parseVersion(b) : b;
+
+  if (!left || !right) {
+    throw new Error(`Cannot compare invalid versions: ${a}, ${b}`);
+  }
+
+  return (
+    left.major - right.major ||
+    left.minor - right.minor ||
+    left.patch - right.patch ||
+    comparePrerelease(left.prerelease, right.prerelease)
+  );
+}
+
+/**
+ * Parse a partial version (e.g. "2", "2.1", "2.x") into its parts
+ * @param {string} value - Partial version
+ * @returns {object|null} Parts with null for wildcard/missing components
+ */
+function parsePartial(value) {
+  const match = value.match(PARTIAL_PATTERN);
+  if (!match) return null;
+
+  const part = component =>
+    component === undefined || /^[xX*]$/.test(component)
+      ? null
+      : Number(component);
+
+  const major = part(match[1]);
+  const minor = major === null ? null : part(match[2]);
+  const patch = minor === null ? null : part(match[3]);
+
+  return {
+    major,
+    minor,
+    patch,
+    prerelease: match[4] ? match[4].split('.') : [],
+  };
+}
+
+/**
+ * Build a comparator object
+ */
+function comparator(operator, major, minor, patch, prerelease = []) {
+  return { operator, version: { major, minor, patch, prerelease } };
+}
+
+/**
+ * Expand a single range token into comparators
+ * @param {string} token - Range token such as "^1.2", ">=2.0.0" or "1.x"
+ * @returns {object[]|null} Comparators or null if invalid
+ */
+function expandToken(token) {
+  const match = token.match(/^(\^|~>?|>=|<=|>|<|=)?\s*(.+)$/);
+  if (!match) return null;
+
+  const operator = match[1] || '';
+  const partial = parsePartial(match[2]);
+  if (!partial) return null;
+
+  const { major, minor, patch, prerelease } = partial;
+
+  // Wildcard-only range matches everything
+  if (major === null) {
+    return [comparator('>=', 0, 0, 0)];
+  }
+
+  switch (operator) {
+    case '^': {
+      const lower = comparator('>=', major, minor ?? 0, patch ?? 0, prerelease);
+      if (major > 0 || minor === null) {
+        return [lower, comparator('<', major + 1, 0, 0, ['0'])];
+      }
+      if (minor > 0 || patch === null) {
+        return [lower, comparator('<', 0, minor + 1, 0, ['0'])];
+      }
+      return [lower, comparator('<', 0, 0, patch + 1, ['0'])];
+    }
+
+    case '~':
+    case '~>': {
+      const lower = comparator('>=', major, minor ?? 0, patch ?? 0, prerelease);
+      if (minor === null) {
+        return [lower, comparator('<', major + 1, 0, 0, ['0'])];
+      }
+      return [lower, comparator('<', major, minor + 1, 0, ['0'])];
+    }
+
+    case '>':
+      if (minor === null) return [comparator('>=', major + 1, 0, 0)];
+      if (patch === null) return [comparator('>=', major, minor + 1, 0)];
+      return [comparator('>', major, minor, patch, prerelease)];
+
+    case '>=':
+      return [comparator('>=', major, minor ?? 0, patch ?? 0, prerelease)];
+
+    case '<':
+      // "<2" and "<2.1" exclude prereleases of the bound as well
+      if (minor === null) return [comparator('<', major, 0, 0, ['0'])];
+      if (patch === null) return [comparator('<', major, minor, 0, ['0'])];
+      return [comparator('<', major, minor, patch, prerelease)];
+
+    case '<=':
+      if (minor === null) return [comparator('<', major + 1, 0, 0, ['0'])];
+      if (patch === null) return [comparator('<', major, minor + 1, 0, ['0'])];
+      return [comparator('<=', major, minor, patch, prerelease)];
+
+    default:
+      // Exact or x-range
+      if (minor === null) {
+        return [
+          comparator('>=', major, 0, 0),
+          comparator('<', major + 1, 0, 0, ['0']),
+        ];
+      }
+      if (patch === null) {
+        return [
+          comparator('>=', major, minor, 0),
+          comparator('<', major, minor + 1, 0, ['0']),
+        ];
+      }
+      return [comparator('=', major, minor, patch, prerelease)];
+  }
+}
+
+/**
+ * Parse a range string into comparator sets (one set per `||` alternative)
+ * @param {string} range - Range string
+ * @returns {Array<object[]>|null} Comparator sets or null if invalid
+ */
+export function parseRange(range) {
+  if (typeof range !== 'string' || range.trim() === '') return null;
+
+  const sets = [];
+
+  for (const alternative of range.split('||')) {
+    const trimmed = alternative.trim();
+    const comparators = [];
+
+    const hyphen = trimmed.match(/^(\S+)\s+-\s+(\S+)$/);
+    const tokens = hyphen
+      ? [`>=${hyphen[1]}`, `<=${hyphen[2]}`]
+      : trimmed
+          .replace(/(\^|~>?|>=|<=|>|<|=)\s+/g, '$1')
+          .split(/\s+/)
+          .filter(Boolean);
+
+    if (tokens.length === 0) return null;
+
+    for (const token of tokens) {
+      const expanded = expandToken(token);
+      if (!expanded) return null;
+      comparators.push(...expanded);
+    }
+
+    sets.push(comparators);
+  }
+
+  return sets;
+}
+
+/**
+ * Check if a string is a valid semver range
+ * @param {string} range - Range string
+ * @returns {boolean} True if valid
+ */
+export function isValidRange(range) {
+  return parseRange(range) !== null;
+}
+
+/**
+ * Test a parsed version against a single comparator
+ */
+function testComparator(version, { operator, version: bound }) {
+  const result = compareVersions(version, bound);
+
+  switch (operator) {
+    case '>':
+      return result > 0;
+    case '>=':
+      return result >= 0;
+    case '<':
+      return result < 0;
+    case '<=':
+      return result <= 0;
+    default:
+      return result === 0;
+  }
+}
+
+/**
+ * Check if a version satisfies a range
+ * Prerelease versions only match when a comparator in the same set names a
+ * prerelease of the same major.minor.patch
+ * @param {string} version - Version string
+ * @param {string} range - Range string
+ * @returns {boolean} True if satisfied
+ */
+export function satisfies(version, range) {
+  const parsed = parseVersion(version);
+  const sets = parseRange(range);
+  if (!parsed || !sets) return false;
+
+  return sets.some(set => {
+    if (!set.every(entry => testComparator(parsed, entry))) {
+      return false;
+    }
+
+    if (parsed.prerelease.length === 0) {
+      return true;
+    }
+
+    return set.some(
+      ({ version: bound }) =>
+        bound.prerelease.length > 0 &&
+        bound.prerelease[0] !== '0' &&
+        bound.major === parsed.major &&
+        bound.minor === parsed.minor &&
+        bound.patch === parsed.patch
+    );
+  });
+}
+
+/**
+ * Find the highest version satisfying a range
+ * @param {string[]} versions - Candidate versions (e.g. tag names)
+ * @param {string} range - Range string
+ * @returns {string|null} Highest satisfying version as given, or null
+ */
+export function maxSatisfying(versions, range) {
+  let best = null;
+
+  for (const version of versions) {
+    if (!satisfies(version, range)) continue;
+    if (best === null || compareVersions(version, best) > 0) {
+      best = version;
+    }
+  }
+
+  return best;
+}
@@ -0,0 +1,360 @@
+/**
+ * TOML parsing for data files and +++ frontmatter
+ * Supports key/value pairs with bare, quoted and dotted keys, [tables],
+ * [[arrays of tables]], basic/literal and multi-line strings, integers
+ * (including hex, octal and binary), floats, booleans, arrays (across lines)
+ * and inline tables. Dates and times are kept as strings so schemas can
+ * check their format. Errors carry the 1-based `line` they were found on
+ */
+
+import { toPointerSegment } from './yaml.js';
+
+/**
+ * Create a parse error for a line
+ * @param {string} message - Error message
+ * @param {number} line - 1-based line number
+ * @returns {Error} Error with a `line` property
+ */
+function tomlError(message, line) {
+  const error = new Error(`${message} (line ${line})`);
+  error.line = line;
+  return error;
+}
+
+const ESCAPES = {
+  b: '\b',
+  t: '\t',
+  n: '\n',
+  f: '\f',
+  r: '\r',
+  '"': '"',
+  '\\': '\\',
+};
+
+/**
+ * Parse a TOML document and record the line of every value
+ * @param {string} text - TOML text
+ * @returns {object} { data, lines: Map of JSON pointer -> 1-based line }
+ */
+export function parseTomlDocument(text) {
+  const source = text.replace(/\r\n/g, '\n');
+  const data = {};
+  const lines = new Map([['', 1]]);
+  // Tables defined by a header or a dotted key, which can't be redefined
+  const defined = new Set();
+  let index = 0;
+  let line = 1;
+
+  const peek = (offset = 0) => source[index + offset];
+  const fail = message => {
+    throw tomlError(message, line);
+  };
+  const advance = count => {
+    for (let step = 0; step < count; step++) {
+      if (source[index] === '\n') line++;
+      index++;
+    }
+  };
+  const skipSpace = () => {
+    while (peek() === ' ' || peek() === '\t') index++;
+  };
+  // Whitespace, newlines and comments, inside arrays
+  const skipBlank = () => {
+    for (;;) {
+      skipSpace();
+      if (peek() === '#') {
+        while (index < source.length && peek() !== '\n') index++;
+      } else if (peek() === '\n') {
+        advance(1);
+      } else {
+        return;
+      }
+    }
+  };
+  const endLine = () => {
+    skipSpace();
+    if (peek() === '#') {
+      while (index < source.length && peek() !== '\n') index++;
+    }
+    if (index < source.length && peek() !== '\n') {
+      fail(`Unexpected "${source.slice(index).split('\n')[0]}"`);
+    }
+    advance(1);
+  };
+
+  const readBasicString = multiline => {
+    let value = '';
+    const quote = multiline ? '"""' : '"';
+    advance(quote.length);
+    if (multiline && peek() === '\n') advance(1);
+
+    while (!source.startsWith(quote, index)) {
+      if (index >= source.length || (!multiline && peek() === '\n')) {
+        fail('Unterminated string');
+      }
+      if (peek() === '\\') {
+        const next = peek(1);
+        if (ESCAPES[next]) {
+          value += ESCAPES[next];
+          advance(2);
+        } else if (next === 'u' || next === 'U') {
+          const length = next === 'u' ? 4 : 8;
+          const code = source.slice(index + 2, index + 2 + length);
+          if (!/^[0-9a-fA-F]+$/.test(code) || code.length !== length) {
+            fail(`Invalid unicode escape \\${next}${code}`);
+          }
+          value += String.fromCodePoint(parseInt(code, 16));
+          advance(2 + length);
+        } else if (multiline && /\s/.test(next)) {
+          // Line-ending backslash trims the following whitespace
+          advance(1);
+          while (/\s/.test(peek() || '')) advance(1);
+        } else {
+          fail(`Invalid escape \\${next}`);
+        }
+      } else {
+        value += peek();
+        advance(1);
+      }
+    }
+    advance(quote.length);
+    return value;
+  };
+
+  const readLiteralString = multiline => {
+    const quote = multiline ? "'''" : "'";
+    advance(quote.length);
+    if (multiline && peek() === '\n') advance(1);
+
+    const start = index;
+    while (!source.startsWith(quote, index)) {
+      if (index >= source.length || (!multiline && peek() === '\n')) {
+        fail('Unterminated string');
+      }
+      advance(1);
+    }
+    const value = source.slice(start, index);
+    advance(quote.length);
+    return value;
+  };
+
+  const readString = () => {
+    if (source.startsWith('"""', index)) return readBasicString(true);
+    if (source.startsWith("'''", index)) return readLiteralString(true);
+    if (peek() === '"') return readBasicString(false);
+    return readLiteralString(false);
+  };
+
+  const readKey = () => {
+    const parts = [];
+    for (;;) {
+      skipSpace();
+      if (peek() === '"' || peek() === "'") {
+        parts.push(
+          peek() === '"' ? readBasicString(false) : readLiteralString(false)
+        );
+      } else {
+        const match = source.slice(index).match(/^[A-Za-z0-9_-]+/);
+        if (!match) fail('Expected a key');
+        parts.push(match[0]);
+        index += match[0].length;
+      }
+      skipSpace();
+      if (peek() !== '.') return parts;
+      index++;
+    }
+  };
+
+  const readValue = pointer => {
+    lines.set(pointer, line);
+    const char = peek();
+
+    if (char === '"' || char === "'") {
+      return readString();
+    }
+
+    if (char === '[') {
+      advance(1);
+      const result = [];
+      skipBlank();
+      while (peek() !== ']') {
+        if (index >= source.length) fail('Unterminated array');
+        result.push(readValue(`${pointer}/${result.length}`));
+        skipBlank();
+        if (peek() === ',') {
+          advance(1);
+          skipBlank();
+        } else if (peek() !== ']') {
+          fail('Expected "," or "]" in array');
+        }
+      }
+      advance(1);
+      return result;
+    }
+
+    if (char === '{') {
+      advance(1);
+      const result = {};
+      skipSpace();
+      while (peek() !== '}') {
+        const keys = readKey();
+        if (peek() !== '=') fail('Expected "=" in inline table');
+        index++;
+        skipSpace();
+        assign(result, keys, pointer);
+        skipSpace();
+        if (peek() === ',') {
+          index++;
+          skipSpace();
+        } else if (peek() !== '}') {
+          fail('Expected "," or "}" in inline table');
+        }
+      }
+      index++;
+      return result;
+    }
+
+    const match = source
+      .slice(index)
+      .match(/^[^\s,\]}#]+(?: \d{2}:\d{2}[^\s,\]}#]*)?/);
+    if (!match) fail('Expected a value');
+    const token = match[0];
+    index += token.length;
+
+    if (token === 'true') return true;
+    if (token === 'false') return false;
+    if (/^[+-]?(inf|nan)$/.test(token)) {
+      return token.includes('nan')
+        ? NaN
+        : token.startsWith('-')
+          ? -Infinity
+          : Infinity;
+    }
+    if (/^0x[0-9a-fA-F_]+$/.test(token))
+      return parseInt(token.slice(2).replace(/_/g, ''), 16);
+    if (/^0o[0-7_]+$/.test(token))
+      return parseInt(token.slice(2).replace(/_/g, ''), 8);
+    if (/^0b[01_]+$/.test(token))
+      return parseInt(token.slice(2).replace(/_/g, ''), 2);
+    if (/^[+-]?\d[\d_]*$/.test(token)) return Number(token.replace(/_/g, ''));
+    if (/^[+-]?\d[\d_]*(\.\d[\d_]*)?([eE][+-]?\d[\d_]*)?$/.test(token)) {
+      return Number(token.replace(/_/g, ''));
+    }
+    if (/^\d{4}-\d{2}-\d{2}|^\d{2}:\d{2}/.test(token)) {
+      return token;
+    }
+
+    fail(`Invalid value "${token}"`);
+  };
+
+  // Set a (dotted) key on a table, creating intermediate tables
+  const assign = (table, keys, pointer) => {
+    let target = table;
+    let targetPointer = pointer;
+    for (const key of keys.slice(0, -1)) {
+      targetPointer += `/${toPointerSegment(key)}`;
+      if (target[key] === undefined) {
+        target[key] = {};
+        lines.set(targetPointer, line);
+      } else if (
+        typeof target[key] !== 'object' ||
+        Array.isArray(target[key])
+      ) {
+        fail(`Key "${key}" is already defined`);
+      }
+      defined.add(targetPointer);
+      target = target[key];
+    }
+
+    const key = keys[keys.length - 1];
+    if (Object.hasOwn(target, key)) {
+      fail(`Duplicate key "${keys.join('.')}"`);
+    }
+    target[key] = readValue(`${targetPointer}/${toPointerSegment(key)}`);
+  };
+
+  // Walk to the table a [header] names, creating it as needed
+  const openTable = (keys, isArray) => {
+    let target = data;
+    let pointer = '';
+
+    keys.forEach((key, position) => {
+      pointer += `/${toPointerSegment(key)}`;
+      const last = position === keys.length - 1;
+
+      if (last && isArray) {
+        if (target[key] === undefined) {
+          target[key] = [];
+          lines.set(pointer, line);
+        } else if (!Array.isArray(target[key])) {
+          fail(`Key "${keys.join('.')}" is not an array of tables`);
+        }
+        pointer += `/${target[key].length}`;
+        target[key].push({});
+        lines.set(pointer, line);
+        target = target[key][target[key].length - 1];
+        return;
+      }
+
+      if (target[key] === undefined) {
+        target[key] = {};
+        lines.set(pointer, line);
+      } else if (last && defined.has(pointer)) {
+        fail(`Table [${keys.join('.')}] is already defined`);
+      } else if (Array.isArray(target[key])) {
+        pointer += `/${target[key].length - 1}`;
+        target = target[key][target[key].length - 1];
+        return;
+      } else if (typeof target[key] !== 'object') {
+        fail(`Key "${key}" is already defined`);
+      }
+      target = target[key];
+    });
+
+    if (!isArray) defined.add(pointer);
+    return { table: target, pointer };
+  };
+
+  let current = { table: data, pointer: '' };
+
+  while (index < source.length) {
+    skipSpace();
+    const char = peek();
+
+    if (char === '\n' || char === '#' || char === undefined) {
+      endLine();
+      continue;
+    }
+
+    if (char === '[') {
+      const isArray = peek(1) === '[';
+      index += isArray ? 2 : 1;
+      const keys = readKey();
+      if (!source.startsWith(isArray ? ']]' : ']', index)) {
+        fail(`Expected "${isArray ? ']]' : ']'}" after table name`);
+      }
+      index += isArray ? 2 : 1;
+      current = openTable(keys, isArray);
+      endLine();
+      continue;
+    }
+
+    const keys = readKey();
+    if (peek() !== '=') fail('Expected "=" after key');
+    index++;
+    skipSpace();
+    assign(current.table, keys, current.pointer);
+    endLine();
+  }
+
+  return { data, lines };
+}
+
+/**
+ * Parse TOML text
+ * @param {string} text - TOML text
+ * @returns {object} Parsed table
+ */
+export function parseToml(text) {
+  return parseTomlDocument(text).data;
+}
@@ -0,0 +1,320 @@
+/**
+ * Built-in content transformers and `transform` config normalization
+ * A transformer receives a file ({ path, content }), its options and a
+ * context, and returns the transformed file, its new content as a string,
+ * or nothing to leave the file unchanged:
+ *
+ *   {
+ *     version: '1.0.0',             // part of the cache key
+ *     extensions: ['.md', '.mdx'],  // files it applies to (all without)
+ *     cache: false,                 // output depends on more than the file
+ *     transform(file, options, context) { return { path, content }; },
+ *   }
+ *
+ * The result may list `assets` ({ source, target }) to install next to the
+ * content, with `target` relative to the project
+ */
+
+import { existsSync } from 'fs';
+import path from 'path';
+import { EXTENSIONS } from './constants.js';
+import { parseFrontmatter } from './content-data.js';
+import { getLocalReferencePath } from './links.js';
+import { parseMarkdown } from './markdown.js';
+
+const MARKDOWN_EXTENSIONS = ['.md', '.mdx'];
+
+/**
+ * Normalize a mapping's `transform` config into ordered steps
+ * Accepts an object of `name: true | options` (in key order, `false`
+ * disables a step) or an array of names and `{ name, options }` entries
+ * @param {object|Array|undefined} transform - Transform config
+ * @returns {object[]} [{ name, options }]
+ */
+export function normalizeTransformSteps(transform) {
+  if (!transform) {
+    return [];
+  }
+
+  const entries = Array.isArray(transform)
+    ? transform.map(step =>
+        typeof step === 'string'
+          ? [step, true]
+          : [step.name, step.options ?? true]
+      )
+    : Object.entries(transform);
+
+  return entries
+    .filter(([, options]) => options !== false)
+    .map(([name, options]) => ({
+      name,
+      options: options === true ? {} : options,
+    }));
+}
+
+/**
+ * Get the repository paths a mapping's transform steps read besides the
+ * mapping source, e.g. the `base` of the `images` transformer
+ * @param {object|Array|undefined} transform - Transform config
+ * @returns {string[]} Repository paths to check out
+ */
+export function getTransformSourcePaths(transform) {
+  return normalizeTransformSteps(transform)
+    .filter(step => step.name === 'images' && step.options.base)
+    .map(step => step.options.base.replace(/^\.?\/+|\/+$/g, ''));
+}
+
+/**
+ * Split markdown into its frontmatter lines and body
+ * @param {string} content - Markdown content
+ * @returns {object} { lines: frontmatter lines or null, body }
+ */
+function splitFrontmatter(content) {
+  const match = content.match(/^---\n([\s\S]*?)\n?---(?:\n|$)/);
+  if (!match) {
+    return { lines: null, body: content };
+  }
+
+  return {
+    lines: match[1] === '' ? [] : match[1].split('\n'),
+    body: content.slice(match[0].length),
+  };
+}
+
+/**
+ * Format a scalar as a YAML value
+ * @param {any} value - Value
+ * @returns {string} YAML scalar
+ */
+function toYamlScalar(value) {
+  return typeof value === 'string' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Derive a title from the first heading or the file name
+ * @param {string} body - Markdown body
+ * @param {string} filePath - File path
+ * @returns {string} Title
+ */
+function deriveTitle(body, filePath) {
+  const heading = body.match(/^#\s+(.+?)\s*#*\s*$/m);
+  if (heading) {
+    return heading[1];
+  }
+
+  const name = path.basename(filePath, path.extname(filePath));
+  return name
+    .replace(/[-_]+/g, ' ')
+    .replace(/\b\w/g, letter => letter.toUpperCase());
+}
+
+/**
+ * frontmatter - make sure markdown files start with frontmatter holding a
+ * `title` (first heading or file name) and any missing `defaults`
+ * Options: { title: true, defaults: { key: value } }
+ */
+const frontmatter = {
+  version: '1.0.0',
+  extensions: MARKDOWN_EXTENSIONS,
+  transform(file, options = {}) {
+    const content = file.content.replace(/\r\n/g, '\n');
+    const { lines, body } = splitFrontmatter(content);
+    const fields = [...(lines || [])];
+    const keys = new Set(
+      fields.map(line => line.match(/^([\w-]+)\s*:/)?.[1]).filter(Boolean)
+    );
+
+    if (options.title !== false && !keys.has('title')) {
+      fields.unshift(`title: ${toYamlScalar(deriveTitle(body, file.path))}`);
+    }
+    for (const [key, value] of Object.entries(options.defaults || {})) {
+      if (!keys.has(key)) {
+        fields.push(`${key}: ${toYamlScalar(value)}`);
+      }
+    }
+
+    return `---\n${fields.join('\n')}\n---\n${lines ? body : `\n${body}`}`;
+  },
+};
+
+/**
+ * codeBlocks - give bare code fences a language and close fences left open
+ * at the end of the file
+ * Options: { defaultLanguage: 'text' }
+ */
+const codeBlocks = {
+  version: '1.0.0',
+  extensions: MARKDOWN_EXTENSIONS,
+  transform(file, options = {}) {
+    const language = options.defaultLanguage || 'text';
+    const lines = file.content.split('\n');
+    let open = null;
+
+    const result = lines.map(line => {
+      const fence = line.match(/^(\s*)(`{3,}|~{3,})\s*(.*)$/);
+      if (!fence) {
+        return line;
+      }
+
+      const [, indent, marker, info] = fence;
+      if (!open) {
+        open = marker;
+        return info ? line : `${indent}${marker}${language}`;
+      }
+      if (!info && marker[0] === open[0] && marker.length >= open.length) {
+        open = null;
+      }
+      return line;
+    });
+
+    if (open) {
+      if (result[result.length - 1] === '') {
+        result.splice(result.length - 1, 0, open);
+      } else {
+        result.push(open);
+      }
+    }
+
+    return result.join('\n');
+  },
+};
+
+/**
+ * Find the repository file an image reference points to
+ * @param {string} url - Reference as written
+ * @param {object} context - { source: markdown file in the mirror, root: mirror root }
+ * @returns {string|null} Repository-relative POSIX path of an existing image
+ */
+function resolveImage(url, context) {
+  const local = getLocalReferencePath(url, 'image');
+  if (
+    local === null ||
+    !EXTENSIONS.IMAGES.includes(path.extname(local).toLowerCase())
+  ) {
+    return null;
+  }
+
+  const file = path.resolve(path.dirname(context.source), local);
+  const relative = path.relative(path.resolve(context.root), file);
+  if (
+    relative.startsWith('..') ||
+    path.isAbsolute(relative) ||
+    !existsSync(file)
+  ) {
+    return null;
+  }
+
+  return relative.split(path.sep).join('/');
+}
+
+/**
+ * Collect the frontmatter strings of a markdown file with their lines
+ * @param {string} content - Markdown content
+ * @returns {object[]} [{ value, line }], empty when the frontmatter is invalid
+ */
+function findFrontmatterStrings(content) {
+  let frontmatter;
+  try {
+    frontmatter = parseFrontmatter(content);
+  } catch {
+    // Reported by schema validation
+    return [];
+  }
+
+  const strings = [];
+  const visit = (value, pointer) => {
+    if (typeof value === 'string') {
+      strings.push({ value, line: frontmatter.lines.get(pointer) });
+    } else if (value && typeof value === 'object') {
+      for (const [key, child] of Object.entries(value)) {
+        visit(child, `${pointer}/${key}`);
+      }
+    }
+  };
+  visit(frontmatter.data, '');
+
+  return strings.filter(({ line }) => line);
+}
+
+/**
+ * images - copy the local images a markdown file references (`![]()`,
+ * `<img src>`, link definitions and frontmatter values) to the public
+ * directory and point the references at their public URLs
+ * Images keep their path relative to `base`; references to missing files
+ * or files outside the repository are left alone
+ * Options: { publicDir: adapter public dir, dir: 'images', base: '', url: '/<dir>' }
+ */
+const images = {
+  version: '1.0.0',
+  extensions: MARKDOWN_EXTENSIONS,
+  // Output depends on the referenced files, not only on the content
+  cache: false,
+  transform(file, options = {}, context = {}) {
+    const publicDir =
+      options.publicDir || context.directories?.public || 'public';
+    const dir = (options.dir ?? 'images').replace(/^\/+|\/+$/g, '');
+    const base = (options.base || '').replace(/^\.?\/+|\/+$/g, '');
+    const url = (options.url ?? `/${dir}`).replace(/\/+$/, '');
+    const assets = new Map();
+
+    const publish = reference => {
+      const image = resolveImage(reference, context);
+      if (!image) {
+        return null;
+      }
+
+      const relative = path.posix.relative(base, image);
+      const placed = relative.startsWith('..') ? image : relative;
+      const target = path.posix.join(publicDir, dir, placed);
+      assets.set(target, { source: path.join(context.root, image), target });
+
+      return `${url}/${encodeURI(placed)}${reference.match(/[?#].*$/)?.[0] || ''}`;
+    };
+
+    const { links } = parseMarkdown(file.content, {
+      mdx: path.extname(file.path).toLowerCase() === '.mdx',
+    });
+    const replacements = [
+      ...findFrontmatterStrings(file.content).map(({ value, line }) => ({
+        from: value,
+        line,
+        column: 1,
+      })),
+      ...links.map(link => ({
+        from: link.url,
+        line: link.line,
+        column: link.column,
+      })),
+    ]
+      .map(replacement => ({ ...replacement, to: publish(replacement.from) }))
+      .filter(replacement => replacement.to)
+      .sort((a, b) => a.line - b.line || a.column - b.column);
+
+    if (replacements.length === 0) {
+      return undefined;
+    }
+
+    const lines = file.content.split('\n');
+    const cursors = new Map();
+    for (const { from, to, line, column } of replacements) {
+      const text = lines[line - 1];
+      const start = text.indexOf(
+        from,
+        Math.max(cursors.get(line) || 0, column - 1)
+      );
+      if (start === -1) continue;
+
+      lines[line - 1] =
+        text.slice(0, start) + to + text.slice(start + from.length);
+      cursors.set(line, start + to.length);
+    }
+
+    return {
+      path: file.path,
+      content: lines.join('\n'),
+      assets: [...assets.values()],
+    };
+  },
+};
+
+export const BUILTIN_TRANSFORMERS = { frontmatter, codeBlocks, images };
@@ -0,0 +1,56 @@
+/**
+ * Formatting of content validation results for `content-cli validate`
+ */
+
+/**
+ * Get the severity of a mapping warning
+ * Unmatched selective entries only fail strict mappings; schema errors,
+ * syntax errors and broken links are errors
+ * @param {object} warning - Warning, from ContentInstaller.getMappingWarnings()
+ * @returns {string} 'error' or 'warning'
+ */
+export function getWarningSeverity(warning) {
+  if (warning.severity) {
+    return warning.severity;
+  }
+
+  return warning.type === 'unmatched' && !warning.strict ? 'warning' : 'error';
+}
+
+/**
+ * Count the errors and warnings of validation results
+ * @param {object[]} results - [{ name, commitHash, warnings }], from ContentFetcher.validateContent()
+ * @returns {object} { errors, warnings }
+ */
+export function summarizeValidation(results) {
+  const all = results.flatMap(result => result.warnings);
+  const errors = all.filter(warning => getWarningSeverity(warning) === 'error');
+
+  return { errors: errors.length, warnings: all.length - errors.length };
+}
+
+/**
+ * Format validation results as text, one block per repository
+ * @param {object[]} results - [{ name, commitHash, warnings }], from ContentFetcher.validateContent()
+ * @returns {string} Report
+ */
+export function formatValidationReport(results) {
+  const lines = [];
+
+  for (const result of results) {
+    const { errors, warnings } = summarizeValidation([result]);
+    const commit = result.commitHash ? result.commitHash.substring(0, 8) : '-';
+    lines.push(
+      `${errors > 0 ? '❌' : '✅'} ${result.name} @ ${commit}: ${errors} error(s), ${warnings} warning(s)`
+    );
+
+    for (const warning of result.warnings) {
+      const symbol = getWarningSeverity(warning) === 'error' ? '✖' : '⚠';
+      lines.push(`   ${symbol} ${warning.mapping}: ${warning.message}`);
+    }
+
+    lines.push('');
+  }
+
+  return lines.join('\n').trimEnd();
+}
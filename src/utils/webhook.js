@@ -0,0 +1,226 @@
+/**
+ * Webhook Utilities
+ * Provider detection, signature verification and push payload parsing for
+ * GitHub, GitLab and Gitea webhooks
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import { normalizeMapping } from './mapping-normalizer.js';
+import { isValidRange } from './semver.js';
+import { isSameRepository } from './repository-url.js';
+
+/**
+ * Headers identifying each provider and its event name
+ * Gitea also sends X-GitHub-Event / X-Gogs-Event, so it is checked first
+ */
+const PROVIDERS = [
+  { name: 'gitea', eventHeader: 'x-gitea-event', pushEvent: 'push' },
+  { name: 'gitlab', eventHeader: 'x-gitlab-event', pushEvent: 'Push Hook' },
+  { name: 'github', eventHeader: 'x-github-event', pushEvent: 'push' },
+];
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - Expected value
+ * @param {string} b - Received value
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+/**
+ * Compute the hex HMAC-SHA256 of a request body
+ * @param {string} secret - Shared secret
+ * @param {Buffer|string} body - Raw request body
+ * @returns {string} Hex digest
+ */
+export function signPayload(secret, body) {
+  return createHmac('sha256', secret).update(body).digest('hex');
+}
+
+/**
+ * Detect the webhook provider from request headers
+ * @param {object} headers - Lowercased request headers (as in http.IncomingMessage)
+ * @returns {object|null} { provider, event, push } or null when unknown
+ */
+export function detectWebhookProvider(headers = {}) {
+  for (const { name, eventHeader, pushEvent } of PROVIDERS) {
+    const event = headers[eventHeader];
+    if (event) {
+      return { provider: name, event, push: event === pushEvent };
+    }
+  }
+  return null;
+}
+
+/**
+ * Verify a webhook request against the shared secret
+ * GitHub and Gitea sign the body with HMAC-SHA256; GitLab sends the secret
+ * token itself in X-Gitlab-Token
+ * @param {string} provider - github, gitlab or gitea
+ * @param {object} headers - Lowercased request headers
+ * @param {Buffer|string} body - Raw request body
+ * @param {string} secret - Shared secret
+ * @returns {boolean} True if the request is authentic
+ */
+export function verifyWebhookSignature(provider, headers, body, secret) {
+  if (!secret) {
+    return false;
+  }
+
+  switch (provider) {
+    case 'github': {
+      const signature = headers['x-hub-signature-256'] || '';
+      return safeEqual(`sha256=${signPayload(secret, body)}`, signature);
+    }
+    case 'gitea': {
+      const signature = headers['x-gitea-signature'] || '';
+      return safeEqual(signPayload(secret, body), signature);
+    }
+    case 'gitlab':
+      return safeEqual(secret, headers['x-gitlab-token'] || '');
+    default:
+      return false;
+  }
+}
+
+/**
+ * Extract the fields needed for syncing from a push payload
+ * @param {object} payload - Parsed JSON body
+ * @returns {object} { ref, branch, tag, commitHash, deleted, urls, files }
+ *   files is null when the payload does not list changed files
+ */
+export function parsePushEvent(payload = {}) {
+  const ref = payload.ref || '';
+  // GitLab sends both `project` and a legacy `repository` object
+  const urls = [payload.repository, payload.project]
+    .filter(Boolean)
+    .flatMap(repository => [
+      repository.clone_url,
+      repository.ssh_url,
+      repository.html_url,
+      repository.git_http_url,
+      repository.git_ssh_url,
+      repository.web_url,
+      repository.url,
+    ])
+    .filter(url => typeof url === 'string' && url !== '');
+
+  const commits = Array.isArray(payload.commits) ? payload.commits : [];
+  const files = new Set();
+  let complete = commits.length > 0;
+
+  for (const commit of commits) {
+    const lists = [commit.added, commit.modified, commit.removed];
+    if (!lists.some(Array.isArray)) {
+      complete = false;
+    }
+    for (const list of lists) {
+      for (const file of Array.isArray(list) ? list : []) {
+        files.add(file);
+      }
+    }
+  }
+
+  // GitHub lists at most 20 commits, GitLab reports the real total
+  if (
+    Number.isInteger(payload.total_commits_count) &&
+    payload.total_commits_count > commits.length
+  ) {
+    complete = false;
+  }
+
+  return {
+    ref,
+    branch: ref.startsWith('refs/heads/') ? ref.slice(11) : null,
+    tag: ref.startsWith('refs/tags/') ? ref.slice(10) : null,
+    commitHash: payload.after || payload.checkout_sha || null,
+    deleted: payload.deleted === true || /^0{40}$/.test(payload.after || ''),
+    urls: [...new Set(urls)],
+    files: complete ? [...files] : null,
+  };
+}
+
+/**
+ * Check if a pushed ref affects the repository's configured REF/BRANCH
+ * Branch pushes match the tracked branch; tag pushes match a REF naming
+ * that tag or a semver range; commit SHAs are pinned and never match
+ * @param {object} repository - Repository context
+ * @param {object} event - Parsed push event
+ * @returns {boolean} True if relevant
+ */
+export function isRelevantRef(repository, event) {
+  const ref = repository.REF || repository.BRANCH;
+
+  if (event.branch !== null) {
+    return event.branch === ref;
+  }
+
+  if (event.tag !== null && repository.REF) {
+    return event.tag === repository.REF || isValidRange(repository.REF);
+  }
+
+  return false;
+}
+
+/**
+ * Get the changed files that fall under the repository's mapped sources
+ * @param {object} repository - Repository context
+ * @param {string[]|null} files - Changed files, null when unknown
+ * @returns {string[]|null} Matching files, null when unknown
+ */
+export function getMappedChanges(repository, files) {
+  if (files === null) {
+    return null;
+  }
+
+  const sources = Object.entries(repository.CONTENT_MAPPING).map(
+    ([key, mapping]) =>
+      normalizeMapping(mapping, key)
+        .source.replace(/^\.\//, '')
+        .replace(/\/+$/, '')
+  );
+
+  return files.filter(file =>
+    sources.some(
+      source =>
+        file === source ||
+        file.startsWith(`${source}/`) ||
+        // A changed submodule pointer containing the source
+        source.startsWith(`${file}/`)
+    )
+  );
+}
+
+/**
+ * Find the configured repositories a push event should update
+ * @param {object[]} repositories - Repository contexts
+ * @param {object} event - Parsed push event
+ * @returns {object[]} [{ repository, update, changes, reason }] for every
+ *   repository with the pushed URL; reason explains skipped ones
+ */
+export function matchPushEvent(repositories, event) {
+  return repositories
+    .filter(repository =>
+      event.urls.some(url => isSameRepository(url, repository.REPO_URL))
+    )
+    .map(repository => {
+      if (event.deleted) {
+        return { repository, update: false, reason: `${event.ref} deleted` };
+      }
+
+      if (!isRelevantRef(repository, event)) {
+        return { repository, update: false, reason: `ref ${event.ref}` };
+      }
+
+      const changes = getMappedChanges(repository, event.files);
+      if (changes !== null && changes.length === 0) {
+        return { repository, update: false, reason: 'no mapped paths changed' };
+      }
+
+      return { repository, update: true, changes };
+    });
+}
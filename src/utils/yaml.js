@@ -0,0 +1,412 @@
+/**
+ * YAML parsing for frontmatter and data files
+ * Covers the subset content files use: block mappings and sequences, plain,
+ * quoted and block (| and >) scalars, single-line flow collections ([a, b],
+ * { a: 1 }) and comments. Anchors, aliases, tags and multi-document streams
+ * are rejected. Dates are kept as strings so schemas can check their format.
+ * Errors carry the 1-based `line` they were found on
+ */
+
+/**
+ * Create a parse error for a line
+ * @param {string} message - Error message
+ * @param {number} line - 1-based line number
+ * @returns {Error} Error with a `line` property
+ */
+function yamlError(message, line) {
+  const error = new Error(`${message} (line ${line})`);
+  error.line = line;
+  return error;
+}
+
+/**
+ * Escape a key for use in a JSON pointer
+ * @param {string|number} key - Object key or array index
+ * @returns {string} Pointer segment
+ */
+export function toPointerSegment(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Remove a trailing comment from a line, ignoring # inside quotes
+ * @param {string} text - Line text
+ * @returns {string} Text without the comment
+ */
+function stripComment(text) {
+  let quote = null;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (quote) {
+      if (char === '\\' && quote === '"') {
+        index++;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '#' && (index === 0 || /\s/.test(text[index - 1]))) {
+      return text.slice(0, index).trimEnd();
+    }
+  }
+
+  return text.trimEnd();
+}
+
+/**
+ * Parse a plain or quoted scalar
+ * @param {string} text - Scalar text, without comments
+ * @param {number} line - Line number for errors
+ * @returns {any} Value
+ */
+function parseScalar(text, line) {
+  const value = text.trim();
+
+  if (value === '' || value === '~' || /^(null|Null|NULL)$/.test(value)) {
+    return null;
+  }
+  if (/^(true|True|TRUE)$/.test(value)) return true;
+  if (/^(false|False|FALSE)$/.test(value)) return false;
+  if (/^[-+]?\d+$/.test(value)) return Number(value);
+  if (/^[-+]?(\d+\.\d*|\.\d+|\d+)([eE][-+]?\d+)?$/.test(value)) {
+    return Number(value);
+  }
+
+  if (value[0] === '"') {
+    if (value.length < 2 || !value.endsWith('"')) {
+      throw yamlError('Unterminated double-quoted string', line);
+    }
+    try {
+      return JSON.parse(value);
+    } catch {
+      throw yamlError(`Invalid double-quoted string ${value}`, line);
+    }
+  }
+  if (value[0] === "'") {
+    if (value.length < 2 || !value.endsWith("'")) {
+      throw yamlError('Unterminated single-quoted string', line);
+    }
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+  if (value[0] === '[' || value[0] === '{') {
+    return parseFlow(value, line);
+  }
+  if (/^[&*!%@`]/.test(value)) {
+    throw yamlError(
+      `Unsupported YAML syntax "${value[0]}" (anchors, aliases, tags and directives are not supported)`,
+      line
+    );
+  }
+
+  return value;
+}
+
+/**
+ * Parse a single-line flow collection such as [a, "b"] or { a: 1 }
+ * @param {string} text - Flow collection text
+ * @param {number} line - Line number for errors
+ * @returns {Array|object} Value
+ */
+function parseFlow(text, line) {
+  let index = 0;
+
+  const skipSpace = () => {
+    while (/\s/.test(text[index] || '')) index++;
+  };
+
+  const readItem = () => {
+    skipSpace();
+    const char = text[index];
+    if (char === '[' || char === '{') {
+      return readCollection();
+    }
+
+    const start = index;
+    if (char === '"' || char === "'") {
+      index++;
+      while (index < text.length && text[index] !== char) {
+        index += text[index] === '\\' && char === '"' ? 2 : 1;
+      }
+      index++;
+    } else {
+      while (index < text.length && !/[,\]}]/.test(text[index])) {
+        if (text[index] === ':' && /\s/.test(text[index + 1] || '')) break;
+        index++;
+      }
+    }
+    return parseScalar(text.slice(start, index), line);
+  };
+
+  const readCollection = () => {
+    const open = text[index++];
+    const close = open === '[' ? ']' : '}';
+    const result = open === '[' ? [] : {};
+
+    skipSpace();
+    while (text[index] !== close) {
+      if (index >= text.length) {
+        throw yamlError(
+          `Unterminated flow ${open === '[' ? 'sequence' : 'mapping'}`,
+          line
+        );
+      }
+
+      const item = readItem();
+      skipSpace();
+      if (open === '{') {
+        if (text[index] !== ':') {
+          throw yamlError('Expected ":" in flow mapping', line);
+        }
+        index++;
+        result[String(item)] = readItem();
+        skipSpace();
+      } else {
+        result.push(item);
+      }
+
+      if (text[index] === ',') {
+        index++;
+        skipSpace();
+      } else if (index < text.length && text[index] !== close) {
+        throw yamlError(`Expected "," or "${close}" in flow collection`, line);
+      }
+    }
+    index++;
+    return result;
+  };
+
+  const value = readCollection();
+  skipSpace();
+  if (index < text.length) {
+    throw yamlError(
+      `Unexpected "${text.slice(index)}" after flow collection`,
+      line
+    );
+  }
+  return value;
+}
+
+/**
+ * Split a mapping line into its key and value text
+ * @param {string} text - Line text without indentation
+ * @returns {object|null} { key, value } or null when the line is not a pair
+ */
+function splitPair(text) {
+  const match = text.match(
+    /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s"'#[\]{},-][^#]*?|-[^\s#][^#]*?)\s*:(?:\s+(.*))?$/
+  );
+  if (!match) {
+    return null;
+  }
+
+  const key = /^["']/.test(match[1])
+    ? parseScalar(match[1], 0)
+    : match[1].trim();
+  return { key: String(key), value: match[2] ?? '' };
+}
+
+/**
+ * Parse a YAML document and record the line of every value
+ * @param {string} text - YAML text
+ * @returns {object} { data, lines: Map of JSON pointer -> 1-based line }
+ */
+export function parseYamlDocument(text) {
+  const raw = text.replace(/\r\n/g, '\n').split('\n');
+  const lines = new Map([['', 1]]);
+  const tokens = [];
+
+  raw.forEach((content, index) => {
+    const line = index + 1;
+    if (index === 0 && /^---\s*$/.test(content)) return;
+    if (/^(---|\.\.\.)\s*$/.test(content)) {
+      throw yamlError('Multiple YAML documents are not supported', line);
+    }
+
+    const stripped = stripComment(content);
+    if (stripped.trim() === '') return;
+    if (/^ *\t/.test(stripped)) {
+      throw yamlError('Tabs are not allowed in YAML indentation', line);
+    }
+
+    const indent = stripped.match(/^ */)[0].length;
+    tokens.push({ indent, text: stripped.slice(indent), line, index });
+  });
+
+  let position = 0;
+
+  const isSequenceItem = token => /^-(\s|$)/.test(token.text);
+
+  // Lines of a block scalar: everything indented deeper than the parent,
+  // including blank lines, read from the raw text
+  const readBlockScalar = (indicator, parentIndent, token) => {
+    const collected = [];
+    let index = token.index + 1;
+    while (index < raw.length) {
+      const content = raw[index];
+      const indent = content.match(/^ */)[0].length;
+      if (content.trim() !== '' && indent <= parentIndent) break;
+      collected.push(content);
+      index++;
+    }
+    while (position < tokens.length && tokens[position].index < index) {
+      position++;
+    }
+
+    const blockIndent = Math.min(
+      ...collected
+        .filter(content => content.trim() !== '')
+        .map(content => content.match(/^ */)[0].length)
+    );
+    const body = collected.map(content => content.slice(blockIndent));
+    while (body.length > 0 && body[body.length - 1].trim() === '') body.pop();
+
+    let value =
+      indicator[0] === '|'
+        ? body.join('\n')
+        : body
+            .join('\n')
+            .replace(/([^\n])\n(?=[^\n])/g, '$1 ')
+            .replace(/\n\n/g, '\n');
+    if (body.length === 0) return '';
+    if (!indicator.includes('-')) value += '\n';
+    return value;
+  };
+
+  // Value of a pair or sequence item: inline scalar, block scalar, nested
+  // block, or plain scalar continued on more indented lines
+  const readValue = (valueText, indent, token, pointer) => {
+    const value = valueText.trim();
+
+    if (/^[|>][-+]?$/.test(value)) {
+      return readBlockScalar(value, indent, token);
+    }
+
+    if (value === '') {
+      const next = tokens[position];
+      if (
+        next &&
+        (next.indent > indent ||
+          (next.indent === indent && isSequenceItem(next) && token.key))
+      ) {
+        return readBlock(next.indent, pointer);
+      }
+      return null;
+    }
+
+    let scalar = value;
+    if (!/^["'[{]/.test(value)) {
+      while (position < tokens.length && tokens[position].indent > indent) {
+        if (splitPair(tokens[position].text)) {
+          throw yamlError(
+            'Nested mapping after an inline value',
+            tokens[position].line
+          );
+        }
+        scalar += ` ${tokens[position].text.trim()}`;
+        position++;
+      }
+    }
+    return parseScalar(scalar, token.line);
+  };
+
+  const readSequence = (indent, pointer) => {
+    const result = [];
+
+    while (position < tokens.length) {
+      const token = tokens[position];
+      // A sequence under a key may share its indentation; the next key ends it
+      if (token.indent < indent || !isSequenceItem(token)) break;
+      if (token.indent > indent) {
+        throw yamlError('Bad indentation of a sequence item', token.line);
+      }
+
+      const itemPointer = `${pointer}/${result.length}`;
+      lines.set(itemPointer, token.line);
+      const rest = token.text.replace(/^-\s*/, '');
+
+      if (rest !== '' && splitPair(rest) && !/^["'[{]/.test(rest)) {
+        // "- key: value" starts a mapping indented past the dash
+        token.indent += token.text.length - rest.length;
+        token.text = rest;
+        result.push(readMapping(token.indent, itemPointer));
+      } else {
+        position++;
+        result.push(readValue(rest, indent, token, itemPointer));
+      }
+    }
+
+    return result;
+  };
+
+  const readMapping = (indent, pointer) => {
+    const result = {};
+
+    while (position < tokens.length) {
+      const token = tokens[position];
+      if (token.indent < indent) break;
+      if (token.indent > indent) {
+        throw yamlError('Bad indentation of a mapping entry', token.line);
+      }
+      if (isSequenceItem(token)) {
+        throw yamlError('Sequence item inside a mapping', token.line);
+      }
+
+      const pair = splitPair(token.text);
+      if (!pair) {
+        throw yamlError(
+          `Expected "key: value", got "${token.text}"`,
+          token.line
+        );
+      }
+      if (Object.prototype.hasOwnProperty.call(result, pair.key)) {
+        throw yamlError(`Duplicate key "${pair.key}"`, token.line);
+      }
+
+      const keyPointer = `${pointer}/${toPointerSegment(pair.key)}`;
+      lines.set(keyPointer, token.line);
+      position++;
+      result[pair.key] = readValue(
+        pair.value,
+        indent,
+        { ...token, key: pair.key },
+        keyPointer
+      );
+    }
+
+    return result;
+  };
+
+  const readBlock = (indent, pointer) => {
+    const token = tokens[position];
+    if (isSequenceItem(token)) {
+      return readSequence(indent, pointer);
+    }
+    if (!splitPair(token.text)) {
+      position++;
+      return readValue(token.text, indent - 1, token, pointer);
+    }
+    return readMapping(indent, pointer);
+  };
+
+  if (tokens.length === 0) {
+    return { data: null, lines };
+  }
+
+  lines.set('', tokens[0].line);
+  const data = readBlock(tokens[0].indent, '');
+  if (position < tokens.length) {
+    throw yamlError('Unexpected content', tokens[position].line);
+  }
+
+  return { data, lines };
+}
+
+/**
+ * Parse YAML text
+ * @param {string} text - YAML text
+ * @returns {any} Parsed value
+ */
+export function parseYaml(text) {
+  return parseYamlDocument(text).data;
+}
@@ -24,7 +24,8 @@ export const CONFIG = {
       pattern: '**/*.{md,mdx}',
       transform: {
         frontmatter: true,
-        images: true,
+        // Copy referenced images to public/images/content and rewrite their URLs
+        images: { base: 'assets/images', dir: 'images/content' },
       },
     },
 
@@ -43,17 +44,6 @@ export const CONFIG = {
       files: ['site.json', 'navigation.json', 'features.json', 'pricing.json'],
     },
 
-    // Media assets with size optimization
-    'public/images/content': {
-      type: 'folder',
-      source: 'assets/images',
-      pattern: '**/*.{jpg,png,svg,webp}',
-      transform: {
-        optimize: true,
-        formats: ['webp', 'avif'],
-      },
-    },
-
     // Templates and components
     'src/components/content': {
       type: 'folder',
@@ -104,6 +94,7 @@ export const CONFIG = {
       '.json',
       '.yml',
       '.yaml',
+      '.toml',
       '.jpg',
       '.png',
       '.svg',
@@ -112,7 +112,7 @@ export const CONFIG = {
   // CloudCannon specific optimizations
   CLOUDCANNON: {
     BUILD_HOOK_SUPPORT: true,
-    WEBHOOK_VALIDATION: true,
+    WEBHOOK_VALIDATION: true, // Require signed webhooks in content-cli serve-webhook
     STRUCTURE_VALIDATION: true,
   },
 
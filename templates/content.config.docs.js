@@ -121,13 +121,14 @@ export const CONFIG = {
     SEARCH_PROVIDER: 'local', // 'local', 'algolia', 'elasticsearch'
     INDEX_CONTENT: true,
     INDEX_HEADINGS: true,
+    INDEX_PATH: 'search-index.json', // Written to the public directory
     FACETED_SEARCH: false,
   },
 
   // Documentation validation
   VALIDATION: {
     REQUIRED_FRONTMATTER: ['title', 'description', 'sidebar_position'],
-    LINK_CHECKING: true,
+    LINK_CHECKING: true, // Report broken relative links ('strict' fails the fetch)
     CODE_BLOCK_SYNTAX: true,
     HEADING_STRUCTURE: true,
     IMAGE_ALT_TEXT: true,
@@ -90,8 +90,10 @@ export const CONFIG = {
     SPARSE_CHECKOUT: true,
     SHALLOW_CLONE: true,
     CLONE_DEPTH: 1,
-    SHARED_CREDENTIALS: true,
+    SHARED_CREDENTIALS: true, // false: repositories only use their own GIT credentials
     SSH_KEY_PATH: '~/.ssh/id_rsa',
+    // KNOWN_HOSTS_PATH: './known_hosts',
+    // TOKEN_ENV: 'CONTENT_REPO_TOKEN', // HTTPS token read from this env var
   },
 
   // Multi-repo processing
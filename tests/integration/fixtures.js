@@ -0,0 +1,165 @@
+/**
+ * Test fixtures for integration tests
+ * Creates throwaway git repositories and project directories in the OS temp dir
+ */
+
+import { execFileSync } from 'child_process';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+const GIT_ENV = {
+  ...process.env,
+  GIT_AUTHOR_NAME: 'Fixture',
+  GIT_AUTHOR_EMAIL: 'fixture@example.com',
+  GIT_COMMITTER_NAME: 'Fixture',
+  GIT_COMMITTER_EMAIL: 'fixture@example.com',
+};
+
+/**
+ * Run git in a directory and return trimmed stdout
+ * @param {string} cwd - Working directory
+ * @param {string[]} args - Git arguments
+ * @returns {string} Command output
+ */
+export function git(cwd, args) {
+  return execFileSync('git', args, {
+    cwd,
+    env: GIT_ENV,
+    encoding: 'utf8',
+    stdio: ['ignore', 'pipe', 'pipe'],
+  }).trim();
+}
+
+/**
+ * Create a temporary directory
+ * @param {string} prefix - Directory name prefix
+ * @returns {string} Absolute path
+ */
+export function createTempDir(prefix = 'git-files-sync-') {
+  return mkdtempSync(path.join(tmpdir(), prefix));
+}
+
+/**
+ * Write a set of files relative to a root directory
+ * @param {string} root - Root directory
+ * @param {object} files - Map of relative path to content
+ */
+export function writeFiles(root, files) {
+  for (const [relativePath, content] of Object.entries(files)) {
+    const filePath = path.join(root, relativePath);
+    mkdirSync(path.dirname(filePath), { recursive: true });
+    writeFileSync(filePath, content);
+  }
+}
+
+/**
+ * Allow file:// submodule URLs for git commands run by the code under test
+ * Git refuses local submodule transports by default since 2.38.1
+ */
+export function allowFileSubmodules() {
+  process.env.GIT_CONFIG_COUNT = '1';
+  process.env.GIT_CONFIG_KEY_0 = 'protocol.file.allow';
+  process.env.GIT_CONFIG_VALUE_0 = 'always';
+}
+
+/**
+ * Create a git repository with an initial commit
+ * @param {object} files - Map of relative path to content
+ * @param {object} options - { branch }
+ * @returns {object} { dir, url, commit, rename, remove, addSubmodule, updateSubmodule, tag }
+ */
+export function createContentRepository(files, options = {}) {
+  const dir = createTempDir('content-repo-');
+  const branch = options.branch || 'main';
+
+  git(dir, ['init', '--quiet', `--initial-branch=${branch}`]);
+  git(dir, ['config', 'uploadpack.allowFilter', 'true']);
+
+  const repository = {
+    dir,
+    url: `file://${dir}`,
+    commit(changes, message = 'Update content') {
+      writeFiles(dir, changes);
+      git(dir, ['add', '-A']);
+      git(dir, ['commit', '--quiet', '-m', message]);
+      return git(dir, ['rev-parse', 'HEAD']);
+    },
+    rename(from, to, message = 'Rename content') {
+      mkdirSync(path.dirname(path.join(dir, to)), { recursive: true });
+      git(dir, ['mv', from, to]);
+      git(dir, ['commit', '--quiet', '-m', message]);
+      return git(dir, ['rev-parse', 'HEAD']);
+    },
+    remove(paths, message = 'Remove content') {
+      git(dir, ['rm', '--quiet', '-r', '--', ...paths]);
+      git(dir, ['commit', '--quiet', '-m', message]);
+      return git(dir, ['rev-parse', 'HEAD']);
+    },
+    addSubmodule(url, submodulePath, message = 'Add submodule') {
+      git(dir, [
+        '-c',
+        'protocol.file.allow=always',
+        'submodule',
+        'add',
+        '--quiet',
+        url,
+        submodulePath,
+      ]);
+      git(dir, ['commit', '--quiet', '-m', message]);
+      return git(dir, ['rev-parse', 'HEAD']);
+    },
+    updateSubmodule(submodulePath, message = 'Update submodule') {
+      git(dir, [
+        '-c',
+        'protocol.file.allow=always',
+        'submodule',
+        'update',
+        '--quiet',
+        '--remote',
+        '--',
+        submodulePath,
+      ]);
+      git(dir, ['commit', '--quiet', '-am', message]);
+      return git(path.join(dir, submodulePath), ['rev-parse', 'HEAD']);
+    },
+    tag(name, { annotated = false } = {}) {
+      const args = annotated ? ['-a', name, '-m', name] : [name];
+      git(dir, ['tag', ...args]);
+      return git(dir, ['rev-parse', 'HEAD']);
+    },
+  };
+
+  repository.commit(files, 'Initial content');
+  return repository;
+}
+
+/**
+ * Create an Astro-like project directory with a content config
+ * @param {string} configSource - content.config.js source
+ * @returns {string} Project directory
+ */
+export function createProject(configSource) {
+  const dir = createTempDir('content-project-');
+
+  writeFiles(dir, {
+    'package.json': JSON.stringify({
+      name: 'fixture-project',
+      type: 'module',
+      dependencies: { astro: '^4.0.0' },
+    }),
+    'content.config.js': configSource,
+  });
+
+  return dir;
+}
+
+/**
+ * Remove fixture directories
+ * @param {...string} dirs - Directories to remove
+ */
+export function cleanup(...dirs) {
+  for (const dir of dirs) {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+
+/**
+ * Test the `images` transformer on synced markdown
+ * Verifies that only referenced images are copied to the public directory,
+ * that markdown, MDX and frontmatter references point at their public URLs,
+ * that the images `base` is checked out next to the mapping source, and that
+ * images no longer referenced are pruned while updated ones are recopied
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import path from 'path';
+import { createContentRepository, createProject, cleanup } from './fixtures.js';
+
+async function testAssetReferences() {
+  console.log('🧪 Testing image references...\n');
+
+  const originalCwd = process.cwd();
+  const repo = createContentRepository({
+    'content/blog/2024/hello.md': `---
+title: Hello
+cover: ../../../assets/images/blog/cover.png
+---
+# Hello
+
+![Chart](../../../assets/images/blog/chart.png "Chart") and
+![Remote](https://example.com/remote.png) and
+![Missing](../../../assets/images/missing.png)
+`,
+    'content/blog/intro.mdx':
+      '# Intro\n\n<img src="../../assets/images/logo.svg" alt="Logo" />\n\n![Again][logo]\n\n[logo]: ../../assets/images/logo.svg\n',
+    'assets/images/blog/cover.png': 'cover v1\n',
+    'assets/images/blog/chart.png': 'chart\n',
+    'assets/images/logo.svg': '<svg />\n',
+    'assets/images/unused.png': 'unused\n',
+  });
+
+  const project = createProject(`
+export const CONFIG = {
+  REPO_URL: '${repo.url}',
+  BRANCH: 'main',
+  CONTENT_MAPPING: {
+    'src/content/blog': {
+      type: 'folder',
+      source: 'content/blog',
+      transform: {
+        images: { base: 'assets/images', dir: 'images/content' },
+      },
+    },
+  },
+};
+`);
+  const blog = path.join(project, 'src/content/blog');
+  const images = path.join(project, 'public/images/content');
+  mkdirSync(images, { recursive: true });
+  writeFileSync(path.join(images, 'local.png'), 'local\n');
+
+  try {
+    process.chdir(project);
+
+    const { ContentFetcher } = await import(
+      '../../src/core/content-fetcher.js'
+    );
+    const fetcher = new ContentFetcher({
+      cacheDir: path.join(project, '.cache'),
+      retries: 1,
+    });
+    await fetcher.initialize();
+
+    // Test 1: Only referenced images are published
+    console.log('1️⃣ Testing published images...');
+    await fetcher.fetchContent(true);
+    for (const file of ['blog/cover.png', 'blog/chart.png', 'logo.svg']) {
+      if (!existsSync(path.join(images, file))) {
+        throw new Error(`${file} not copied to the public directory`);
+      }
+    }
+    if (existsSync(path.join(images, 'unused.png'))) {
+      throw new Error('Unreferenced image copied');
+    }
+    console.log('✅ Referenced images copied under their base path\n');
+
+    // Test 2: References point at public URLs
+    console.log('2️⃣ Testing rewritten references...');
+    const hello = readFileSync(path.join(blog, '2024/hello.md'), 'utf8');
+    const intro = readFileSync(path.join(blog, 'intro.mdx'), 'utf8');
+    for (const expected of [
+      'cover: /images/content/blog/cover.png',
+      '![Chart](/images/content/blog/chart.png "Chart")',
+      '![Remote](https://example.com/remote.png)',
+      '![Missing](../../../assets/images/missing.png)',
+    ]) {
+      if (!hello.includes(expected)) {
+        throw new Error(`Missing "${expected}" in:\n${hello}`);
+      }
+    }
+    if (
+      !intro.includes('<img src="/images/content/logo.svg" alt="Logo" />') ||
+      !intro.includes('[logo]: /images/content/logo.svg')
+    ) {
+      throw new Error(`MDX references not rewritten:\n${intro}`);
+    }
+    console.log('✅ Markdown, MDX and frontmatter references rewritten\n');
+
+    // Test 3: Unreferenced images are pruned, changed ones recopied
+    console.log('3️⃣ Testing image updates...');
+    repo.commit({
+      'content/blog/2024/hello.md':
+        '---\ntitle: Hello\ncover: ../../../assets/images/blog/cover.png\n---\n# Hello\n',
+      'assets/images/blog/cover.png': 'cover v2\n',
+    });
+    await fetcher.fetchContent(true);
+    if (existsSync(path.join(images, 'blog/chart.png'))) {
+      throw new Error('Image no longer referenced was kept');
+    }
+    if (
+      readFileSync(path.join(images, 'blog/cover.png'), 'utf8') !== 'cover v2\n'
+    ) {
+      throw new Error('Updated image not recopied');
+    }
+    if (!existsSync(path.join(images, 'local.png'))) {
+      throw new Error('Unmanaged image removed');
+    }
+    console.log('✅ chart.png pruned, cover.png updated, local files kept\n');
+
+    console.log('🎉 Image references work!');
+  } catch (error) {
+    console.error('❌ Image references test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.chdir(originalCwd);
+    cleanup(project, repo.dir);
+  }
+}
+
+testAssetReferences();
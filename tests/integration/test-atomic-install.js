@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/**
+ * Test atomic content installation
+ * Verifies that mappings are installed into staging directories and swapped
+ * into place, so a failing install leaves the previous content untouched and
+ * an interrupted swap is recovered on the next run
+ */
+
+import {
+  existsSync,
+  readFileSync,
+  readdirSync,
+  renameSync,
+  mkdirSync,
+  writeFileSync,
+} from 'fs';
+import path from 'path';
+import { createContentRepository, createProject, cleanup } from './fixtures.js';
+
+const POINTER = [
+  'version https://git-lfs.github.com/spec/v1',
+  `oid sha256:${'c'.repeat(64)}`,
+  'size 4096',
+  '',
+].join('\n');
+
+async function testAtomicInstall() {
+  console.log('🧪 Testing atomic content installation...\n');
+
+  const originalCwd = process.cwd();
+  const repo = createContentRepository({
+    'content/intro.md': '# Intro\n',
+    'media/hero.png': 'PNG\n',
+  });
+
+  const project = createProject(`
+export const CONFIG = {
+  REPO_URL: '${repo.url}',
+  BRANCH: 'main',
+  CONTENT_MAPPING: {
+    'src/content/docs': { type: 'folder', source: 'content' },
+    'public/media': { type: 'selective', source: 'media', files: ['hero.png'] },
+  },
+};
+`);
+  const docs = path.join(project, 'src/content/docs');
+  const intro = () => readFileSync(path.join(docs, 'intro.md'), 'utf8');
+  const leftovers = () =>
+    ['src/content', 'public']
+      .flatMap(dir => readdirSync(path.join(project, dir)))
+      .filter(name => /\.(staging|previous)$/.test(name));
+
+  try {
+    process.chdir(project);
+
+    const { getRepositories } = await import('../../src/utils/config.js');
+    const { ContentFetcher } =
+      await import('../../src/core/content-fetcher.js');
+    const fetcher = new ContentFetcher({
+      cacheDir: path.join(project, '.cache'),
+      retries: 1,
+    });
+    await fetcher.initialize();
+    const repository = getRepositories()[0];
+
+    // Test 1: Installs go through staging
+    console.log('1️⃣ Testing staged install...');
+    await fetcher.fetchContent(true);
+    if (intro() !== '# Intro\n') {
+      throw new Error('Content not installed');
+    }
+    if (leftovers().length > 0) {
+      throw new Error(`Staging left behind: ${leftovers().join(', ')}`);
+    }
+    console.log('✅ Content swapped into place\n');
+
+    // A later commit updates one mapping and breaks the other
+    repo.commit({
+      'content/intro.md': '# Intro v2\n',
+      'content/new.md': '# New\n',
+      'media/hero.png': POINTER,
+    });
+
+    // Test 2: A failing forced install keeps the previous content
+    console.log('2️⃣ Testing failed forced install...');
+    const forced = await fetcher.fetchRepository(repository, true);
+    if (forced.status !== 'failed') {
+      throw new Error('Install with LFS pointers should fail');
+    }
+    if (!forced.error.message.includes(path.join('public/media', 'hero.png'))) {
+      throw new Error(`Staged path reported: ${forced.error.message}`);
+    }
+    if (intro() !== '# Intro\n' || existsSync(path.join(docs, 'new.md'))) {
+      throw new Error('Failed install changed the live content');
+    }
+    if (leftovers().length > 0) {
+      throw new Error(`Staging left behind: ${leftovers().join(', ')}`);
+    }
+    console.log('✅ Previous content untouched\n');
+
+    // Test 3: A failing safe update keeps the previous content too
+    console.log('3️⃣ Testing failed safe update...');
+    const safe = await fetcher.fetchRepository(repository, false);
+    if (safe.status !== 'failed') {
+      throw new Error('Safe update with LFS pointers should fail');
+    }
+    if (intro() !== '# Intro\n' || leftovers().length > 0) {
+      throw new Error('Failed safe update changed the live content');
+    }
+    console.log('✅ Previous content untouched\n');
+
+    // Test 4: An interrupted swap is recovered
+    console.log('4️⃣ Testing interrupted swap recovery...');
+    repo.commit({ 'media/hero.png': 'PNG v2\n' });
+    renameSync(docs, path.join(project, 'src/content/.docs.previous'));
+    mkdirSync(path.join(project, 'src/content/.docs.staging'));
+    writeFileSync(
+      path.join(project, 'src/content/.docs.staging/partial.md'),
+      '# Partial\n'
+    );
+    const recovered = await fetcher.fetchRepository(repository, false);
+    if (recovered.status === 'failed') {
+      throw new Error(`Recovery failed: ${recovered.error.message}`);
+    }
+    if (intro() !== '# Intro v2\n' || !existsSync(path.join(docs, 'new.md'))) {
+      throw new Error('Update not installed after recovery');
+    }
+    if (existsSync(path.join(docs, 'partial.md')) || leftovers().length > 0) {
+      throw new Error('Stale staging content installed');
+    }
+    console.log('✅ Interrupted swap cleaned up and content updated\n');
+
+    console.log('🎉 Content installs are atomic!');
+  } catch (error) {
+    console.error('❌ Atomic install test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.chdir(originalCwd);
+    cleanup(project, repo.dir);
+  }
+}
+
+testAtomicInstall();
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+/**
+ * Test versioned content backups
+ * Verifies that forced fetches keep timestamped backups tagged with the
+ * content commit they contain, that retention limits them by count and age,
+ * and that any backup can be restored by id while unmanaged local files
+ * stay in place
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import path from 'path';
+import {
+  git,
+  createContentRepository,
+  createProject,
+  cleanup,
+} from './fixtures.js';
+
+async function testBackups() {
+  console.log('🧪 Testing versioned backups...\n');
+
+  const originalCwd = process.cwd();
+  const repo = createContentRepository({ 'content/intro.md': '# Intro v1\n' });
+  const v1 = git(repo.dir, ['rev-parse', 'HEAD']);
+
+  const project = createProject(`
+export const CONFIG = {
+  REPO_URL: '${repo.url}',
+  BRANCH: 'main',
+  CONTENT_MAPPING: {
+    'src/content/docs': { type: 'folder', source: 'content' },
+  },
+  BACKUP: {
+    MAX_BACKUPS: 2,
+    RETENTION_DAYS: 7,
+  },
+};
+`);
+  const intro = path.join(project, 'src/content/docs/intro.md');
+  const backupDir = path.join(project, '.content-backup');
+
+  try {
+    process.chdir(project);
+
+    const { ContentFetcher } = await import(
+      '../../src/core/content-fetcher.js'
+    );
+    const fetcher = new ContentFetcher({
+      cacheDir: path.join(project, '.cache'),
+      retries: 1,
+    });
+    await fetcher.initialize();
+
+    // Test 1: Nothing to back up on the first install
+    console.log('1️⃣ Testing first install...');
+    await fetcher.fetchContent(true);
+    if ((await fetcher.listBackups()).length !== 0) {
+      throw new Error('Backup created without installed content');
+    }
+    console.log('✅ No empty backup created\n');
+
+    // Test 2: Each forced fetch keeps a backup of the previous content
+    console.log('2️⃣ Testing backups tagged with their commit...');
+    const v2 = repo.commit({ 'content/intro.md': '# Intro v2\n' });
+    await fetcher.fetchContent(true);
+    repo.commit({
+      'content/intro.md': '# Intro v3\n',
+      'content/later.md': '# Later\n',
+    });
+    await fetcher.fetchContent(true);
+    const backups = await fetcher.listBackups();
+    if (backups.length !== 2 || backups[0].id === backups[1].id) {
+      throw new Error(`Expected 2 backups, got ${JSON.stringify(backups)}`);
+    }
+    if (backups[0].commit !== v2 || backups[1].commit !== v1) {
+      throw new Error('Backups not tagged with the content commit');
+    }
+    if (!backups[1].id.endsWith(v1.substring(0, 8))) {
+      throw new Error(`Commit missing from id ${backups[1].id}`);
+    }
+    console.log(`✅ ${backups.map(backup => backup.id).join(', ')}\n`);
+
+    // Test 3: Restore by id
+    console.log('3️⃣ Testing restore by id...');
+    writeFileSync(path.join(project, 'src/content/docs/local.md'), '# Local\n');
+    const restored = await fetcher.restoreBackup(backups[1].id);
+    if (
+      restored.commit !== v1 ||
+      readFileSync(intro, 'utf8') !== '# Intro v1\n'
+    ) {
+      throw new Error('Backup content not restored');
+    }
+    if (existsSync(path.join(project, 'src/content/docs/later.md'))) {
+      throw new Error('Restore merged into the current content');
+    }
+    if (!existsSync(path.join(project, 'src/content/docs/local.md'))) {
+      throw new Error('Restore removed an unmanaged local file');
+    }
+    const [diff] = await fetcher.diffContent();
+    if (diff.from !== v1) {
+      throw new Error('Installed commit not updated after restore');
+    }
+    await fetcher.fetchContent(false);
+    if (readFileSync(intro, 'utf8') !== '# Intro v3\n') {
+      throw new Error('Fetch after restore did not update the content');
+    }
+    console.log('✅ Content, installed commit and next fetch consistent\n');
+
+    // Test 4: Retention by count and age
+    console.log('4️⃣ Testing retention...');
+    const [latest] = await fetcher.listBackups();
+    await fetcher.fetchContent(true);
+    const kept = await fetcher.listBackups();
+    if (kept.length !== 2 || kept.some(backup => backup.id === backups[1].id)) {
+      throw new Error(`MAX_BACKUPS not applied: ${kept.map(b => b.id)}`);
+    }
+    const metadataPath = path.join(backupDir, latest.id, 'backup.json');
+    const metadata = JSON.parse(readFileSync(metadataPath, 'utf8'));
+    metadata.createdAt = new Date(Date.now() - 8 * 86400000).toISOString();
+    writeFileSync(metadataPath, JSON.stringify(metadata));
+    const removed = await fetcher.pruneBackups();
+    if (removed.length !== 1 || existsSync(path.join(backupDir, latest.id))) {
+      throw new Error('RETENTION_DAYS not applied');
+    }
+    console.log('✅ Old backups pruned\n');
+
+    // Test 5: Unknown backups
+    console.log('5️⃣ Testing unknown backup id...');
+    let unknown = null;
+    try {
+      await fetcher.restoreBackup('20200101-000000-deadbeef');
+    } catch (error) {
+      unknown = error;
+    }
+    if (!/Unknown backup "20200101-000000-deadbeef"/.test(unknown?.message)) {
+      throw new Error('Unknown backup id accepted');
+    }
+    console.log('✅ Unknown id reported\n');
+
+    console.log('🎉 Versioned backups work!');
+  } catch (error) {
+    console.error('❌ Backup test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.chdir(originalCwd);
+    cleanup(project, repo.dir);
+  }
+}
+
+testBackups();
@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+
+/**
+ * Test content diffs between commits
+ * Verifies that `diff` compares the installed commit with the remote head
+ * (or two refs) with rename detection, grouped by content mapping, without
+ * touching the installed content
+ */
+
+import { readFileSync, rmSync } from 'fs';
+import path from 'path';
+import {
+  git,
+  createContentRepository,
+  createProject,
+  cleanup,
+} from './fixtures.js';
+
+const SETUP_GUIDE = `# Setup\n\n${'Install the package and run the setup script.\n'.repeat(20)}`;
+
+async function testContentDiff() {
+  console.log('🧪 Testing content diff...\n');
+
+  const originalCwd = process.cwd();
+  const repo = createContentRepository({
+    'content/intro.md': '# Intro\n',
+    'content/old.md': '# Old\n',
+    'content/guide/setup.md': SETUP_GUIDE,
+    'data/site.json': '{"title":"Docs"}\n',
+    'README.md': '# Repo\n',
+  });
+  repo.tag('v1');
+
+  const project = createProject(`
+export const CONFIG = {
+  REPO_URL: '${repo.url}',
+  BRANCH: 'main',
+  CONTENT_MAPPING: {
+    'src/content/docs': { type: 'folder', source: 'content' },
+    'src/data': { type: 'folder', source: 'data' },
+  },
+};
+`);
+  const installed = path.join(project, 'src/content/docs/intro.md');
+
+  try {
+    process.chdir(project);
+
+    const { ContentFetcher } = await import(
+      '../../src/core/content-fetcher.js'
+    );
+    const { formatDiffTable } = await import('../../src/utils/content-diff.js');
+    const fetcher = new ContentFetcher({
+      cacheDir: path.join(project, '.cache'),
+      retries: 1,
+    });
+    await fetcher.initialize();
+    await fetcher.fetchContent(true);
+    const installedCommit = git(repo.dir, ['rev-parse', 'HEAD']);
+
+    repo.commit({
+      'content/intro.md': '# Intro v2\n',
+      'content/new.md': '# New\n',
+      'README.md': '# Repo v2\n',
+    });
+    repo.rename('content/guide/setup.md', 'content/guide/install.md');
+    repo.remove(['content/old.md']);
+    const head = git(repo.dir, ['rev-parse', 'HEAD']);
+
+    // Test 1: Installed commit against the remote head
+    console.log('1️⃣ Testing installed commit against remote head...');
+    const [diff] = await fetcher.diffContent();
+    if (diff.from !== installedCommit || diff.to !== head) {
+      throw new Error(`Compared ${diff.from}..${diff.to}`);
+    }
+    const { added, modified, deleted, renamed } = diff.summary;
+    if (added !== 1 || modified !== 1 || deleted !== 1 || renamed !== 1) {
+      throw new Error(`Unexpected summary ${JSON.stringify(diff.summary)}`);
+    }
+    const [docs, data] = diff.mappings;
+    const rename = docs.changes.find(change => change.status === 'renamed');
+    if (
+      rename?.previousDestination !== 'src/content/docs/guide/setup.md' ||
+      rename.destination !== 'src/content/docs/guide/install.md'
+    ) {
+      throw new Error(`Rename not detected: ${JSON.stringify(docs.changes)}`);
+    }
+    if (data.changes.length !== 0) {
+      throw new Error('Unchanged mapping reported changes');
+    }
+    console.log(`✅ ${formatDiffTable([diff]).split('\n')[0]}\n`);
+
+    // Test 2: Diffing leaves the installed content alone
+    console.log('2️⃣ Testing installed content is untouched...');
+    if (readFileSync(installed, 'utf8') !== '# Intro\n') {
+      throw new Error('Diff changed installed content');
+    }
+    const mirror = path.join(project, '.content-cache/repos/default');
+    if (git(mirror, ['rev-parse', 'HEAD']) !== installedCommit) {
+      throw new Error('Diff moved the mirror checkout');
+    }
+    console.log('✅ Installed content and mirror unchanged\n');
+
+    // Test 3: Explicit refs, in either direction
+    console.log('3️⃣ Testing explicit refs...');
+    const [tagged] = await fetcher.diffContent({ from: 'v1', to: 'main' });
+    if (tagged.from !== installedCommit || tagged.summary.renamed !== 1) {
+      throw new Error('Tag to branch diff differs');
+    }
+    const [reverse] = await fetcher.diffContent({ from: head, to: 'v1' });
+    const back = reverse.mappings[0].changes.find(
+      change => change.status === 'renamed'
+    );
+    if (back?.destination !== 'src/content/docs/guide/setup.md') {
+      throw new Error('Reverse rename not detected');
+    }
+    if (reverse.summary.added !== 1 || reverse.summary.deleted !== 1) {
+      throw new Error('Reverse diff did not swap additions and deletions');
+    }
+    console.log('✅ Refs compared in both directions\n');
+
+    // Test 4: Unknown repositories and missing install state
+    console.log('4️⃣ Testing errors...');
+    let unknown = null;
+    try {
+      await fetcher.diffContent({ repository: 'missing' });
+    } catch (error) {
+      unknown = error;
+    }
+    if (!/Unknown repository "missing"/.test(unknown?.message)) {
+      throw new Error('Unknown repository accepted');
+    }
+    await fetcher.cacheService.clear();
+    const [fromLock] = await fetcher.diffContent();
+    if (fromLock.from !== installedCommit) {
+      throw new Error('Installed commit not read from the lockfile');
+    }
+    rmSync(path.join(project, 'content.lock.json'));
+    let missing = null;
+    try {
+      await fetcher.diffContent();
+    } catch (error) {
+      missing = error;
+    }
+    if (!/No installed commit known/.test(missing?.message)) {
+      throw new Error('Diff ran without an installed commit');
+    }
+    console.log('✅ Errors reported\n');
+
+    console.log('🎉 Content diff works!');
+  } catch (error) {
+    console.error('❌ Content diff test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.chdir(originalCwd);
+    cleanup(project, repo.dir);
+  }
+}
+
+testContentDiff();
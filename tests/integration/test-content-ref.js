@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+/**
+ * Test pinning content to a REF
+ * Resolves tags, commit SHAs and semver ranges against a local content
+ * repository and installs the matching content
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
+import {
+  createContentRepository,
+  createProject,
+  cleanup,
+} from './fixtures.js';
+
+async function testContentRef() {
+  console.log('🧪 Testing content REF resolution...\n');
+
+  const originalCwd = process.cwd();
+  const repo = createContentRepository({
+    'content/guide.md': '# Guide v1.0.0\n',
+  });
+  const firstCommit = repo.tag('v1.0.0');
+  const minorCommit = repo.commit({ 'content/guide.md': '# Guide v1.1.0\n' });
+  repo.tag('v1.1.0', { annotated: true });
+  repo.commit({ 'content/guide.md': '# Guide v2.0.0\n' });
+  repo.tag('v2.0.0');
+  repo.commit({ 'content/guide.md': '# Guide unreleased\n' });
+
+  const project = createProject(`
+export const CONFIG = {
+  REPO_URL: '${repo.url}',
+  BRANCH: 'main',
+  REF: '^1.0',
+  CONTENT_MAPPING: {
+    'src/content/docs': { type: 'folder', source: 'content' },
+  },
+};
+`);
+
+  try {
+    process.chdir(project);
+
+    const { GitService } = await import('../../src/services/git.js');
+    const { getRepositories } = await import('../../src/utils/config.js');
+    const { ContentFetcher } = await import(
+      '../../src/core/content-fetcher.js'
+    );
+
+    // Test 1: Ref resolution
+    console.log('1️⃣ Testing ref resolution...');
+    const gitService = new GitService();
+    const range = await gitService.resolveRef(repo.url, '^1.0');
+    if (range.type !== 'tag' || range.name !== 'v1.1.0') {
+      throw new Error(`Range resolved to ${range.name}, expected v1.1.0`);
+    }
+    if (range.commitHash !== minorCommit) {
+      throw new Error('Annotated tag not peeled to its commit');
+    }
+    const tag = await gitService.resolveRef(repo.url, 'v1.0.0');
+    if (tag.type !== 'tag' || tag.commitHash !== firstCommit) {
+      throw new Error('Exact tag not resolved');
+    }
+    const branch = await gitService.resolveRef(repo.url, 'main');
+    if (branch.type !== 'branch') {
+      throw new Error('Branch not resolved');
+    }
+    const sha = await gitService.resolveRef(repo.url, firstCommit);
+    if (sha.type !== 'commit' || sha.commitHash !== firstCommit) {
+      throw new Error('Commit SHA not resolved');
+    }
+    for (const missing of ['^3.0', 'no-such-ref']) {
+      const error = await gitService
+        .resolveRef(repo.url, missing)
+        .then(() => null, e => e);
+      if (!error) {
+        throw new Error(`Unresolvable ref "${missing}" did not throw`);
+      }
+    }
+    console.log('✅ Branches, tags, SHAs and ranges resolve\n');
+
+    // Test 2: Fetch installs the highest tag matching the range
+    console.log('2️⃣ Testing fetch with a semver range...');
+    const fetcher = new ContentFetcher({
+      cacheDir: path.join(project, '.cache'),
+      retries: 1,
+    });
+    await fetcher.initialize();
+    await fetcher.fetchContent(true);
+
+    const guide = path.join(project, 'src/content/docs/guide.md');
+    if (readFileSync(guide, 'utf8') !== '# Guide v1.1.0\n') {
+      throw new Error('Range did not install the v1.1.0 content');
+    }
+    const cachedInfo = await fetcher.cacheService.getCachedRepositoryInfo(
+      repo.url
+    );
+    if (
+      cachedInfo?.ref !== '^1.0' ||
+      cachedInfo.resolvedRef !== 'v1.1.0' ||
+      cachedInfo.commitHash !== minorCommit
+    ) {
+      throw new Error('Resolved ref not recorded in cached info');
+    }
+    console.log('✅ Range installed v1.1.0\n');
+
+    // Test 3: A new matching tag invalidates the cache
+    console.log('3️⃣ Testing new matching tag...');
+    await fetcher.fetchContent();
+    if (fetcher.getRepositoryReports()[0].status !== 'cached') {
+      throw new Error('Unchanged range should use cached content');
+    }
+    repo.commit({ 'content/guide.md': '# Guide v1.2.0\n' });
+    repo.tag('v1.2.0');
+    await fetcher.fetchContent();
+    if (readFileSync(guide, 'utf8') !== '# Guide v1.2.0\n') {
+      throw new Error('New matching tag not installed');
+    }
+    console.log('✅ New matching tag installed\n');
+
+    // Test 4: Pinning to a commit SHA
+    console.log('4️⃣ Testing fetch pinned to a commit SHA...');
+    const pinned = { ...getRepositories()[0], REF: firstCommit };
+    const report = await fetcher.fetchRepository(pinned);
+    if (report.status !== 'updated' || report.commitHash !== firstCommit) {
+      throw new Error(`SHA fetch failed: ${report.error?.message}`);
+    }
+    if (readFileSync(guide, 'utf8') !== '# Guide v1.0.0\n') {
+      throw new Error('Pinned commit content not installed');
+    }
+    if (existsSync(path.join(project, '.content-temp'))) {
+      throw new Error('Temp directory not cleaned up');
+    }
+    console.log('✅ Commit SHA installed\n');
+
+    console.log('🎉 Content REF resolution works!');
+  } catch (error) {
+    console.error('❌ Content REF test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.chdir(originalCwd);
+    cleanup(project, repo.dir);
+  }
+}
+
+testContentRef();
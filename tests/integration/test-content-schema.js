@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+
+/**
+ * Test frontmatter and data schema validation during fetches
+ * Verifies that schema errors are reported with file:line, that
+ * VALIDATION.REQUIRED_FIELDS applies to mappings without a schema, and that
+ * strict mode aborts the install without touching the installed content
+ */
+
+import { readFileSync } from 'fs';
+import path from 'path';
+import { createContentRepository, createProject, cleanup } from './fixtures.js';
+
+async function testContentSchema() {
+  console.log('🧪 Testing content schema validation...\n');
+
+  const originalCwd = process.cwd();
+  const repo = createContentRepository({
+    'posts/hello.md': '---\ntitle: Hello\ndate: 2024-01-05\n---\n# Hello\n',
+    'posts/broken.md': '---\ntitle: 42\nstatus: archived\n---\n# Broken\n',
+    'data/site.yaml': 'id: site\ntitle: Site\n',
+    'data/team.json': '{\n  "name": "Team"\n}\n',
+  });
+
+  const project = createProject(`
+export const CONFIG = {
+  REPO_URL: '${repo.url}',
+  BRANCH: 'main',
+  CONTENT_MAPPING: {
+    'src/content/blog': {
+      type: 'folder',
+      source: 'posts',
+      schema: {
+        type: 'object',
+        required: ['title', 'date'],
+        properties: {
+          title: { type: 'string' },
+          date: { type: 'string', format: 'date' },
+          status: { enum: ['draft', 'published'] },
+        },
+      },
+    },
+    'src/data': {
+      type: 'folder',
+      source: 'data',
+      pattern: '**/*.{json,yaml}',
+    },
+  },
+  VALIDATION: {
+    REQUIRED_FIELDS: ['id', 'title'],
+  },
+};
+`);
+  const blog = path.join(project, 'src/content/blog');
+
+  try {
+    process.chdir(project);
+
+    const { ContentFetcher } = await import(
+      '../../src/core/content-fetcher.js'
+    );
+    const fetcher = new ContentFetcher({
+      cacheDir: path.join(project, '.cache'),
+      retries: 1,
+    });
+    await fetcher.initialize();
+
+    // Test 1: Schema errors are reported with file and line
+    console.log('1️⃣ Testing schema warnings...');
+    await fetcher.fetchContent(true);
+    const [report] = fetcher.getRepositoryReports();
+    const messages = report.warnings
+      .filter(warning => warning.type === 'schema')
+      .map(warning => warning.message);
+    const expected = [
+      'posts/broken.md:1: date is required',
+      'posts/broken.md:2: title must be string (got integer)',
+      'posts/broken.md:3: status must be one of: "draft", "published"',
+      'data/team.json:1: id is required',
+      'data/team.json:1: title is required',
+    ];
+    if (messages.join('\n') !== expected.join('\n')) {
+      throw new Error(`Unexpected schema warnings:\n${messages.join('\n')}`);
+    }
+    if (!readFileSync(path.join(blog, 'broken.md'), 'utf8')) {
+      throw new Error('Non-strict mapping not installed');
+    }
+    console.log('✅ Errors reported with file:line, content installed\n');
+
+    // Test 2: Strict mode aborts before anything is installed
+    console.log('2️⃣ Testing strict mode...');
+    const { CONFIG } = await import('../../src/utils/config.js');
+    CONFIG.VALIDATION.STRICT_MODE = true;
+    repo.commit({
+      'posts/hello.md': '---\ntitle: Hello again\ndate: 2024-01-06\n---\n',
+      'data/team.json': '{\n  "id": "team",\n  "title": "Team"\n}\n',
+    });
+    let failure = null;
+    try {
+      await fetcher.fetchContent(true);
+    } catch (error) {
+      failure = error;
+    }
+    if (
+      !failure?.message.includes('3 schema error(s) in strict mappings') ||
+      !failure.message.includes('posts/broken.md:2: title must be string')
+    ) {
+      throw new Error(`Strict failure not reported: ${failure?.message}`);
+    }
+    if (
+      !readFileSync(path.join(blog, 'hello.md'), 'utf8').includes(
+        'title: Hello\n'
+      )
+    ) {
+      throw new Error('Failed strict install changed the content');
+    }
+    console.log('✅ Strict install aborted, content untouched\n');
+
+    // Test 3: Fixing the content lets the install through
+    console.log('3️⃣ Testing fixed content...');
+    repo.commit({
+      'posts/broken.md': '---\ntitle: Fixed\ndate: 2024-02-29\n---\n# Fixed\n',
+    });
+    await fetcher.fetchContent(true);
+    const [fixed] = fetcher.getRepositoryReports();
+    if (fixed.warnings.length !== 0) {
+      throw new Error(`Unexpected warnings: ${JSON.stringify(fixed.warnings)}`);
+    }
+    if (
+      !readFileSync(path.join(blog, 'hello.md'), 'utf8').includes('Hello again')
+    ) {
+      throw new Error('Valid content not installed');
+    }
+    console.log('✅ Valid content installed in strict mode\n');
+
+    console.log('🎉 Content schema validation works!');
+  } catch (error) {
+    console.error('❌ Content schema test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.chdir(originalCwd);
+    cleanup(project, repo.dir);
+  }
+}
+
+testContentSchema();
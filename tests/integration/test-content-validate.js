@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+
+/**
+ * Test markdown and MDX syntax validation of synced content
+ * Verifies that fetches report MDX errors with file:line:column, that code is
+ * not checked as markup, that strict mappings fail before installing, and
+ * that validateContent() checks a new commit without installing it
+ */
+
+import { readFileSync } from 'fs';
+import path from 'path';
+import { createContentRepository, createProject, cleanup } from './fixtures.js';
+
+async function testContentValidate() {
+  console.log('🧪 Testing content syntax validation...\n');
+
+  const originalCwd = process.cwd();
+  const repo = createContentRepository({
+    'docs/intro.mdx':
+      "import Note from './note.jsx'\n\n# Intro\n\n<Note>\nUse `Array<string>`.\n</Note>\n",
+    'docs/broken.mdx': '# Broken\n\n<Callout>\nText {open\n',
+    'docs/notes.md': '# Notes\n\nRaw <div> HTML.\n\n```js\nconst a = 1;\n',
+  });
+
+  const project = createProject(`
+export const CONFIG = {
+  REPO_URL: '${repo.url}',
+  BRANCH: 'main',
+  CONTENT_MAPPING: {
+    'src/content/docs': {
+      type: 'folder',
+      source: 'docs',
+    },
+  },
+};
+`);
+  const docs = path.join(project, 'src/content/docs');
+
+  try {
+    process.chdir(project);
+
+    const { ContentFetcher } = await import(
+      '../../src/core/content-fetcher.js'
+    );
+    const { formatValidationReport, summarizeValidation } = await import(
+      '../../src/utils/validation-report.js'
+    );
+    const fetcher = new ContentFetcher({
+      cacheDir: path.join(project, '.cache'),
+      retries: 1,
+    });
+    await fetcher.initialize();
+
+    // Test 1: Syntax problems are fetch warnings with line and column
+    console.log('1️⃣ Testing syntax warnings...');
+    await fetcher.fetchContent(true);
+    const [report] = fetcher.getRepositoryReports();
+    const messages = report.warnings.map(
+      warning => `${warning.severity} ${warning.message}`
+    );
+    const expected = [
+      'error docs/broken.mdx:3:1: Unclosed <Callout> element',
+      'error docs/broken.mdx:4:6: Expected a closing `}` for this `{` in expression',
+      'warning docs/notes.md:5:1: Code fence is never closed',
+    ];
+    if (messages.join('\n') !== expected.join('\n')) {
+      throw new Error(`Unexpected warnings:\n${messages.join('\n')}`);
+    }
+    console.log('✅ MDX errors located, code and raw HTML skipped\n');
+
+    // Test 2: Strict mappings fail on syntax errors only
+    console.log('2️⃣ Testing strict mode...');
+    const { CONFIG } = await import('../../src/utils/config.js');
+    CONFIG.CONTENT_MAPPING['src/content/docs'].strict = true;
+    repo.commit({ 'docs/intro.mdx': '# Intro again\n' });
+    let failure = null;
+    try {
+      await fetcher.fetchContent(true);
+    } catch (error) {
+      failure = error;
+    }
+    if (
+      !failure?.message.includes('2 syntax error(s) in strict mappings') ||
+      failure.message.includes('notes.md')
+    ) {
+      throw new Error(`Strict failure not reported: ${failure?.message}`);
+    }
+    if (
+      !readFileSync(path.join(docs, 'intro.mdx'), 'utf8').includes('<Note>')
+    ) {
+      throw new Error('Failed strict install changed the content');
+    }
+    console.log('✅ Strict install aborted, content untouched\n');
+
+    // Test 3: validateContent() checks a new commit without installing it
+    console.log('3️⃣ Testing validation without install...');
+    repo.commit({
+      'docs/broken.mdx': '# Fixed\n\n<Callout>\nText {value}\n</Callout>\n',
+    });
+    const results = await fetcher.validateContent();
+    const summary = summarizeValidation(results);
+    if (summary.errors !== 0 || summary.warnings !== 1) {
+      throw new Error(`Unexpected summary: ${JSON.stringify(summary)}`);
+    }
+    if (
+      !formatValidationReport(results).startsWith(
+        `✅ default @ ${results[0].commitHash.substring(0, 8)}: 0 error(s), 1 warning(s)`
+      )
+    ) {
+      throw new Error(`Unexpected report:\n${formatValidationReport(results)}`);
+    }
+    if (readFileSync(path.join(docs, 'broken.mdx'), 'utf8').includes('Fixed')) {
+      throw new Error('Validation installed content');
+    }
+    console.log('✅ New commit validated, installed content unchanged\n');
+
+    console.log('🎉 Content syntax validation works!');
+  } catch (error) {
+    console.error('❌ Content validate test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.chdir(originalCwd);
+    cleanup(project, repo.dir);
+  }
+}
+
+testContentValidate();
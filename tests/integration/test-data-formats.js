@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+/**
+ * Test YAML and TOML data files on mappings
+ * Verifies that folder mappings install YAML and TOML files by default, that
+ * TOML data is schema-checked with file:line, that `convert: 'json'` emits
+ * owned `.json` siblings which are pruned with their source, and that a data
+ * file that can't be converted leaves the installed content untouched
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import path from 'path';
+import { createContentRepository, createProject, cleanup } from './fixtures.js';
+
+async function testDataFormats() {
+  console.log('🧪 Testing YAML and TOML data files...\n');
+
+  const originalCwd = process.cwd();
+  const repo = createContentRepository({
+    'data/site.yaml': 'title: Site\nlinks:\n  - docs\n  - blog\n',
+    'data/nav.toml': '[[items]]\nlabel = "Docs"\nurl = "/docs"\n',
+    'data/team.json': '{ "title": "Team" }\n',
+    'data/notes.txt': 'Not content\n',
+  });
+
+  const project = createProject(`
+export const CONFIG = {
+  REPO_URL: '${repo.url}',
+  BRANCH: 'main',
+  CONTENT_MAPPING: {
+    'src/data': {
+      type: 'folder',
+      source: 'data',
+      convert: 'json',
+      schema: { type: 'object', required: ['title'] },
+    },
+  },
+};
+`);
+  const data = path.join(project, 'src/data');
+  const readJson = file =>
+    JSON.parse(readFileSync(path.join(data, file), 'utf8'));
+
+  try {
+    process.chdir(project);
+
+    const { ContentFetcher } = await import(
+      '../../src/core/content-fetcher.js'
+    );
+    const fetcher = new ContentFetcher({
+      cacheDir: path.join(project, '.cache'),
+      retries: 1,
+    });
+    await fetcher.initialize();
+
+    // Test 1: YAML and TOML files install with JSON siblings
+    console.log('1️⃣ Testing converted install...');
+    await fetcher.fetchContent(true);
+    for (const file of ['site.yaml', 'nav.toml', 'team.json']) {
+      if (!existsSync(path.join(data, file))) {
+        throw new Error(`${file} not installed`);
+      }
+    }
+    if (existsSync(path.join(data, 'notes.txt'))) {
+      throw new Error('Non-content file installed');
+    }
+    if (
+      JSON.stringify(readJson('site.json')) !==
+        JSON.stringify({ title: 'Site', links: ['docs', 'blog'] }) ||
+      readJson('nav.json').items[0].url !== '/docs'
+    ) {
+      throw new Error('JSON siblings do not match their source');
+    }
+    console.log('✅ site.json and nav.json emitted next to their source\n');
+
+    // Test 2: TOML data is validated with file:line
+    console.log('2️⃣ Testing TOML schema warnings...');
+    const [report] = fetcher.getRepositoryReports();
+    const messages = report.warnings.map(warning => warning.message);
+    if (messages.join('\n') !== 'data/nav.toml:1: title is required') {
+      throw new Error(`Unexpected warnings:\n${messages.join('\n')}`);
+    }
+    console.log('✅ TOML schema error reported on its line\n');
+
+    // Test 3: Siblings are pruned with their source
+    console.log('3️⃣ Testing sibling pruning...');
+    writeFileSync(path.join(data, 'local.json'), '{}\n');
+    repo.remove(['data/nav.toml']);
+    await fetcher.fetchContent(true);
+    if (
+      existsSync(path.join(data, 'nav.toml')) ||
+      existsSync(path.join(data, 'nav.json'))
+    ) {
+      throw new Error('Removed TOML file or its sibling kept');
+    }
+    if (!existsSync(path.join(data, 'local.json'))) {
+      throw new Error('Unmanaged file removed');
+    }
+    console.log('✅ nav.json removed with nav.toml, local files kept\n');
+
+    // Test 4: Unparseable data fails before installing
+    console.log('4️⃣ Testing conversion errors...');
+    repo.commit({ 'data/site.yaml': 'title: Site\ntitle: Again\n' });
+    let failure = null;
+    try {
+      await fetcher.fetchContent(true);
+    } catch (error) {
+      failure = error;
+    }
+    if (
+      !failure?.message.includes(
+        'Cannot convert site.yaml to JSON: Duplicate key "title" (line 2)'
+      )
+    ) {
+      throw new Error(`Conversion error not reported: ${failure?.message}`);
+    }
+    if (readJson('site.json').links?.length !== 2) {
+      throw new Error('Failed conversion changed the content');
+    }
+    console.log('✅ Install aborted, content untouched\n');
+
+    console.log('🎉 YAML and TOML data files work!');
+  } catch (error) {
+    console.error('❌ Data formats test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.chdir(originalCwd);
+    cleanup(project, repo.dir);
+  }
+}
+
+testDataFormats();
@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+
+/**
+ * Test Git LFS handling during fetch
+ * Installed LFS pointer files must fail the fetch with a clear error, and
+ * LFS_SUPPORT without git-lfs must fail before cloning
+ */
+
+import path from 'path';
+import {
+  createContentRepository,
+  createProject,
+  cleanup,
+} from './fixtures.js';
+
+const POINTER = [
+  'version https://git-lfs.github.com/spec/v1',
+  `oid sha256:${'b'.repeat(64)}`,
+  'size 204800',
+  '',
+].join('\n');
+
+async function testLfs() {
+  console.log('🧪 Testing Git LFS handling...\n');
+
+  const originalCwd = process.cwd();
+  const repo = createContentRepository({
+    'media/hero.png': POINTER,
+    'content/index.md': '# Home\n',
+  });
+
+  const project = createProject(`
+export const CONFIG = {
+  REPO_URL: '${repo.url}',
+  BRANCH: 'main',
+  CONTENT_MAPPING: {
+    'src/content/pages': { type: 'folder', source: 'content' },
+    'public/media': { type: 'selective', source: 'media', files: ['hero.png'] },
+  },
+};
+`);
+
+  try {
+    process.chdir(project);
+
+    const { getRepositories } = await import('../../src/utils/config.js');
+    const { ContentFetcher } = await import(
+      '../../src/core/content-fetcher.js'
+    );
+    const fetcher = new ContentFetcher({
+      cacheDir: path.join(project, '.cache'),
+      retries: 1,
+    });
+    await fetcher.initialize();
+    const repository = getRepositories()[0];
+
+    // Test 1: Pointer files fail the install
+    console.log('1️⃣ Testing pointer detection after install...');
+    const report = await fetcher.fetchRepository(repository, true);
+    if (report.status !== 'failed') {
+      throw new Error('Fetch with LFS pointers should fail');
+    }
+    if (
+      !/1 installed file\(s\) are Git LFS pointers/.test(report.error.message) ||
+      !report.error.message.includes('hero.png') ||
+      !report.error.message.includes('GIT.LFS_SUPPORT')
+    ) {
+      throw new Error(`Unclear pointer error: ${report.error.message}`);
+    }
+    console.log(`✅ ${report.error.message}\n`);
+
+    // Test 2: LFS_SUPPORT requires git-lfs
+    console.log('2️⃣ Testing LFS_SUPPORT without git-lfs...');
+    if (await fetcher.gitService.isLfsAvailable()) {
+      console.log('⚠️  git-lfs is installed, skipping\n');
+    } else {
+      const lfsReport = await fetcher.fetchRepository(
+        { ...repository, GIT: { LFS_SUPPORT: true } },
+        true
+      );
+      if (!/git-lfs is not installed/.test(lfsReport.error?.message)) {
+        throw new Error('Missing git-lfs not reported');
+      }
+      console.log(`✅ ${lfsReport.error.message}\n`);
+    }
+
+    console.log('🎉 Git LFS handling works!');
+  } catch (error) {
+    console.error('❌ LFS integration test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.chdir(originalCwd);
+    cleanup(project, repo.dir);
+  }
+}
+
+testLfs();
@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+/**
+ * Test link checking of synced markdown
+ * Verifies that relative links, images and MDX imports are resolved from the
+ * installed paths after rewrite rules, against installed and local files,
+ * that external and site-absolute URLs are skipped, and that strict link
+ * checking fails the fetch before installing
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import path from 'path';
+import { createContentRepository, createProject, cleanup } from './fixtures.js';
+
+async function testLinkCheck() {
+  console.log('🧪 Testing link checking...\n');
+
+  const originalCwd = process.cwd();
+  const repo = createContentRepository({
+    'docs/intro.md':
+      '# Intro\n\nSee [setup](./setup.md), [missing](./missing.md) and [home](/docs/).\n\n![Logo](./logo.png)\n\n[site]: https://example.com\n[ref]: ./guides/setup.md#install\n',
+    'docs/guides/setup.md':
+      '# Setup\n\nBack to [intro](../intro.md) or [intro](intro), [top](#setup).\n',
+    'docs/page.mdx':
+      "import Tabs from '@theme/Tabs';\nimport Chart from './Chart.jsx';\nimport Note from './Note';\n\n# Page\n\n<Chart />\n",
+  });
+
+  const project = createProject(`
+export const CONFIG = {
+  REPO_URL: '${repo.url}',
+  BRANCH: 'main',
+  CONTENT_MAPPING: {
+    'src/content/docs': {
+      type: 'folder',
+      source: 'docs',
+      rewrite: { flatten: true },
+    },
+  },
+  VALIDATION: {
+    LINK_CHECKING: true,
+  },
+};
+`);
+  const docs = path.join(project, 'src/content/docs');
+  mkdirSync(docs, { recursive: true });
+  writeFileSync(path.join(docs, 'Chart.jsx'), 'export default () => null;\n');
+
+  try {
+    process.chdir(project);
+
+    const { ContentFetcher } = await import(
+      '../../src/core/content-fetcher.js'
+    );
+    const fetcher = new ContentFetcher({
+      cacheDir: path.join(project, '.cache'),
+      retries: 1,
+    });
+    await fetcher.initialize();
+
+    // Test 1: Broken references are reported against the installed tree
+    console.log('1️⃣ Testing broken references...');
+    await fetcher.fetchContent(true);
+    const [report] = fetcher.getRepositoryReports();
+    const messages = report.warnings.map(warning => warning.message).sort();
+    const expected = [
+      'src/content/docs/intro.md:3:26: broken link "./missing.md"',
+      'src/content/docs/intro.md:5:1: broken image "./logo.png"',
+      'src/content/docs/intro.md:8:8: broken link "./guides/setup.md#install"',
+      'src/content/docs/page.mdx:3:19: broken import "./Note"',
+      'src/content/docs/setup.md:3:9: broken link "../intro.md"',
+    ];
+    if (messages.join('\n') !== expected.join('\n')) {
+      throw new Error(`Unexpected warnings:\n${messages.join('\n')}`);
+    }
+    console.log(
+      '✅ Links broken by flattening, missing files and imports found\n'
+    );
+
+    // Test 2: Strict link checking fails before installing
+    console.log('2️⃣ Testing strict link checking...');
+    const { CONFIG } = await import('../../src/utils/config.js');
+    CONFIG.VALIDATION.LINK_CHECKING = 'strict';
+    repo.commit({ 'docs/setup-notes.md': '# Notes\n\n[Intro](./intro.md)\n' });
+    let failure = null;
+    try {
+      await fetcher.fetchContent(true);
+    } catch (error) {
+      failure = error;
+    }
+    if (
+      !failure?.message.includes('5 broken reference(s) in strict mappings')
+    ) {
+      throw new Error(`Strict failure not reported: ${failure?.message}`);
+    }
+    if (
+      existsSync(path.join(docs, 'setup-notes.md')) ||
+      !readFileSync(path.join(docs, 'intro.md'), 'utf8').includes('missing.md')
+    ) {
+      throw new Error('Failed strict install changed the content');
+    }
+    console.log('✅ Install aborted, content untouched\n');
+
+    // Test 3: References to files of the same install resolve
+    console.log('3️⃣ Testing fixed references...');
+    repo.commit({
+      'docs/intro.md':
+        '# Intro\n\nSee [setup](setup) and [notes](./setup-notes.md).\n',
+      'docs/guides/setup.md': '# Setup\n\nBack to [intro](./intro.md).\n',
+      'docs/page.mdx': "import Chart from './Chart';\n\n<Chart />\n",
+      'docs/missing.md': '# Missing\n',
+    });
+    await fetcher.fetchContent(true);
+    const [fixed] = fetcher.getRepositoryReports();
+    if (fixed.status === 'failed' || fixed.warnings.length > 0) {
+      throw new Error(
+        `Unexpected warnings: ${fixed.warnings.map(warning => warning.message).join(', ')}`
+      );
+    }
+    console.log('✅ Strict fetch installed once every reference resolved\n');
+
+    console.log('🎉 Link checking works!');
+  } catch (error) {
+    console.error('❌ Link check test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.chdir(originalCwd);
+    cleanup(project, repo.dir);
+  }
+}
+
+testLinkCheck();
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+/**
+ * Test fetching from a repository given as a relative local path
+ * Verifies offline development against a local clone, including incremental
+ * mirror updates and cache keys shared with the equivalent file:// URL
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import path from 'path';
+import {
+  git,
+  createContentRepository,
+  createProject,
+  cleanup,
+} from './fixtures.js';
+
+async function testLocalRepository() {
+  console.log('🧪 Testing local repository paths...\n');
+
+  const originalCwd = process.cwd();
+  const repo = createContentRepository({
+    'content/intro.md': '# Intro\n',
+  });
+
+  // Written as a relative path, the way a sibling checkout would be configured
+  const project = createProject('');
+  const relativeUrl = path.relative(project, repo.dir);
+  writeFileSync(
+    path.join(project, 'content.config.js'),
+    `
+export const CONFIG = {
+  REPO_URL: '${relativeUrl}',
+  BRANCH: 'main',
+  CONTENT_MAPPING: {
+    'src/content/docs': { type: 'folder', source: 'content' },
+  },
+};
+`
+  );
+  const mirror = path.join(project, '.content-cache', 'repos', 'default');
+  const installed = path.join(project, 'src/content/docs/intro.md');
+
+  try {
+    process.chdir(project);
+
+    const { ContentFetcher } = await import(
+      '../../src/core/content-fetcher.js'
+    );
+    const { validateConfig } = await import('../../src/utils/config.js');
+    const fetcher = new ContentFetcher({
+      cacheDir: path.join(project, '.cache'),
+      retries: 1,
+    });
+    await fetcher.initialize();
+
+    // Test 1: Relative paths need a ./ or ../ prefix to be recognized
+    console.log('1️⃣ Testing config validation...');
+    if (!relativeUrl.startsWith('../')) {
+      throw new Error(`Fixture path is not relative: ${relativeUrl}`);
+    }
+    await validateConfig();
+    console.log(`✅ ${relativeUrl} accepted\n`);
+
+    // Test 2: Clone from the local path
+    console.log('2️⃣ Testing clone from a local path...');
+    await fetcher.fetchContent(true);
+    if (readFileSync(installed, 'utf8') !== '# Intro\n') {
+      throw new Error('Content not installed from local repository');
+    }
+    const origin = git(mirror, ['config', '--get', 'remote.origin.url']);
+    if (origin !== `file://${repo.dir}`) {
+      throw new Error(`Mirror origin not absolute: ${origin}`);
+    }
+    console.log(`✅ Mirror cloned from ${origin}\n`);
+
+    // Test 3: The mirror is reused although its origin is spelled differently
+    console.log('3️⃣ Testing incremental update...');
+    const marker = path.join(mirror, '.git', 'mirror-marker');
+    writeFileSync(marker, 'kept');
+    repo.commit({ 'content/intro.md': '# Intro v2\n' });
+    await fetcher.fetchContent();
+    if (!existsSync(marker)) {
+      throw new Error('Mirror was re-cloned instead of updated');
+    }
+    if (readFileSync(installed, 'utf8') !== '# Intro v2\n') {
+      throw new Error('Updated content not installed');
+    }
+    console.log('✅ Mirror updated in place\n');
+
+    // Test 4: Cache entries are shared with the file:// spelling
+    console.log('4️⃣ Testing normalized cache keys...');
+    const cached = await fetcher.cacheService.getCachedRepositoryInfo(repo.url);
+    if (!cached || cached.commitHash !== git(repo.dir, ['rev-parse', 'HEAD'])) {
+      throw new Error('Cache entry not found under the file:// URL');
+    }
+    console.log('✅ Local path and file:// URL share cache entries\n');
+
+    console.log('🎉 Local repository paths work!');
+  } catch (error) {
+    console.error('❌ Local repository test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.chdir(originalCwd);
+    cleanup(project, repo.dir);
+  }
+}
+
+testLocalRepository();
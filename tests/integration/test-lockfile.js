@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+
+/**
+ * Test content.lock.json and frozen installs
+ * Verifies that fetches record the installed commit, mappings and hashes of
+ * the files they installed (not unmanaged local files), and that frozen
+ * installs reproduce the locked content exactly
+ */
+
+import { createHash } from 'crypto';
+import { readFileSync, writeFileSync } from 'fs';
+import path from 'path';
+import {
+  git,
+  createContentRepository,
+  createProject,
+  cleanup,
+} from './fixtures.js';
+
+async function expectFailure(operation, pattern, message) {
+  try {
+    await operation();
+  } catch (error) {
+    if (!pattern.test(error.message)) {
+      throw new Error(`${message}: unexpected error "${error.message}"`);
+    }
+    return error;
+  }
+  throw new Error(message);
+}
+
+async function testLockfile() {
+  console.log('🧪 Testing content lockfile...\n');
+
+  const originalCwd = process.cwd();
+  const repo = createContentRepository({
+    'content/intro.md': '# Intro\n',
+    'content/guide/setup.md': '# Setup\n',
+  });
+
+  const project = createProject(`
+export const CONFIG = {
+  REPO_URL: '${repo.url}',
+  BRANCH: 'main',
+  CONTENT_MAPPING: {
+    'src/content/docs': { type: 'folder', source: 'content' },
+  },
+};
+`);
+  const lockPath = path.join(project, 'content.lock.json');
+  const installed = path.join(project, 'src/content/docs/intro.md');
+  const readLock = () => JSON.parse(readFileSync(lockPath, 'utf8'));
+
+  try {
+    process.chdir(project);
+
+    const { ContentFetcher } = await import(
+      '../../src/core/content-fetcher.js'
+    );
+    const { getRepositories } = await import('../../src/utils/config.js');
+    const fetcher = new ContentFetcher({
+      cacheDir: path.join(project, '.cache'),
+      retries: 1,
+    });
+    await fetcher.initialize();
+
+    // Test 1: Frozen installs need a lockfile
+    console.log('1️⃣ Testing frozen install without a lockfile...');
+    await expectFailure(
+      () => fetcher.fetchContent(false, { frozen: true }),
+      /content\.lock\.json not found/,
+      'Frozen install ran without a lockfile'
+    );
+    console.log('✅ Missing lockfile reported\n');
+
+    // Test 2: Fetch writes the lockfile
+    console.log('2️⃣ Testing lockfile creation...');
+    await fetcher.fetchContent(true);
+    const lock = readLock();
+    const entry = lock.repositories.default;
+    if (entry.commit !== git(repo.dir, ['rev-parse', 'HEAD'])) {
+      throw new Error(`Locked commit ${entry.commit} is not HEAD`);
+    }
+    const expectedHash = createHash('sha256').update('# Intro\n').digest('hex');
+    if (entry.files['src/content/docs/intro.md'] !== expectedHash) {
+      throw new Error(`Unexpected file hashes: ${JSON.stringify(entry.files)}`);
+    }
+    if (entry.mappings['src/content/docs'].source !== 'content') {
+      throw new Error('Normalized mapping not recorded');
+    }
+    if (Object.keys(entry.files).length !== 2) {
+      throw new Error('Not every installed file was hashed');
+    }
+    writeFileSync(path.join(project, 'src/content/docs/local-note.md'), '#\n');
+    await fetcher.fetchContent(true);
+    if (
+      'src/content/docs/local-note.md' in readLock().repositories.default.files
+    ) {
+      throw new Error('Unmanaged local file hashed into the lockfile');
+    }
+    console.log(`✅ Locked ${entry.commit.substring(0, 8)}\n`);
+
+    // Test 3: Frozen install ignores newer upstream commits
+    console.log('3️⃣ Testing frozen install of the locked commit...');
+    repo.commit({ 'content/intro.md': '# Intro v2\n' });
+    await fetcher.fetchContent(false, { frozen: true });
+    if (readFileSync(installed, 'utf8') !== '# Intro\n') {
+      throw new Error('Frozen install did not use the locked commit');
+    }
+    if (readLock().repositories.default.commit !== entry.commit) {
+      throw new Error('Frozen install rewrote the lockfile');
+    }
+    console.log('✅ Locked content installed\n');
+
+    // Test 4: Config drift is rejected
+    console.log('4️⃣ Testing config mismatch...');
+    const [repository] = getRepositories();
+    const drifted = {
+      ...repository,
+      BRANCH: 'develop',
+      CONTENT_MAPPING: { 'src/content/docs': { source: 'docs' } },
+    };
+    const mismatch = await expectFailure(
+      async () => fetcher.lockfileManager.assertMatchesConfig([drifted], lock),
+      /does not match the content config/,
+      'Drifted config accepted'
+    );
+    if (!/ref develop/.test(mismatch.message)) {
+      throw new Error('Ref mismatch not reported');
+    }
+    if (!/mapping "src\/content\/docs" differs/.test(mismatch.message)) {
+      throw new Error('Mapping mismatch not reported');
+    }
+    console.log('✅ Config drift reported\n');
+
+    // Test 5: Hash mismatches fail frozen installs
+    console.log('5️⃣ Testing installed file verification...');
+    const tampered = readLock();
+    tampered.repositories.default.files['src/content/docs/intro.md'] =
+      '0'.repeat(64);
+    writeFileSync(lockPath, JSON.stringify(tampered, null, 2));
+    await expectFailure(
+      () => fetcher.fetchContent(false, { frozen: true }),
+      /modified src\/content\/docs\/intro\.md/,
+      'Hash mismatch not detected'
+    );
+    console.log('✅ Modified file reported\n');
+
+    // Test 6: Regular fetches move the lock forward
+    console.log('6️⃣ Testing lockfile update...');
+    await fetcher.fetchContent(true);
+    const updated = readLock().repositories.default;
+    if (updated.commit === entry.commit) {
+      throw new Error('Lockfile not updated to the new commit');
+    }
+    if (readFileSync(installed, 'utf8') !== '# Intro v2\n') {
+      throw new Error('New content not installed');
+    }
+    console.log(`✅ Lock moved to ${updated.commit.substring(0, 8)}\n`);
+
+    console.log('🎉 Content lockfile works!');
+  } catch (error) {
+    console.error('❌ Lockfile test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.chdir(originalCwd);
+    cleanup(project, repo.dir);
+  }
+}
+
+testLockfile();
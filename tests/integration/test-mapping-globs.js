@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+
+/**
+ * Test pattern / exclude globs on folder mappings
+ * Verifies that installs, the manifest, the lockfile, backups, cleanup and
+ * .gitignore all agree on which files a filtered mapping owns
+ */
+
+import { existsSync, readFileSync, writeFileSync, readdirSync } from 'fs';
+import path from 'path';
+import { createContentRepository, createProject, cleanup } from './fixtures.js';
+
+async function testMappingGlobs() {
+  console.log('🧪 Testing mapping globs...\n');
+
+  const originalCwd = process.cwd();
+  const repo = createContentRepository({
+    'content/intro.md': '# Intro\n',
+    'content/draft-intro.md': '# Draft\n',
+    'content/guide/setup.md': '# Setup\n',
+    'content/guide/draft-setup.md': '# Draft setup\n',
+    'content/img/hero.png': 'PNG',
+    'content/data.json': '{}\n',
+  });
+
+  const project = createProject(`
+export const CONFIG = {
+  REPO_URL: '${repo.url}',
+  BRANCH: 'main',
+  CONTENT_MAPPING: {
+    'src/content/docs': {
+      type: 'folder',
+      source: 'content',
+      pattern: '**/*.{md,png}',
+      exclude: ['**/draft-*.md'],
+    },
+  },
+};
+`);
+  const docs = path.join(project, 'src/content/docs');
+  const installed = file => existsSync(path.join(docs, file));
+  const expected = [
+    'src/content/docs/guide/setup.md',
+    'src/content/docs/img/hero.png',
+    'src/content/docs/intro.md',
+  ];
+
+  try {
+    process.chdir(project);
+
+    const { ContentFetcher } = await import(
+      '../../src/core/content-fetcher.js'
+    );
+    const fetcher = new ContentFetcher({
+      cacheDir: path.join(project, '.cache'),
+      retries: 1,
+    });
+    await fetcher.initialize();
+
+    // Test 1: Only matching files are installed
+    console.log('1️⃣ Testing filtered install...');
+    await fetcher.fetchContent(true);
+    if (!installed('img/hero.png') || !installed('guide/setup.md')) {
+      throw new Error('Files matching the pattern not installed');
+    }
+    if (installed('draft-intro.md') || installed('guide/draft-setup.md')) {
+      throw new Error('Excluded drafts installed');
+    }
+    if (installed('data.json')) {
+      throw new Error('File outside the pattern installed');
+    }
+    console.log('✅ Pattern and exclude applied\n');
+
+    // Test 2: Manifest and lockfile list the same files
+    console.log('2️⃣ Testing manifest and lockfile...');
+    const manifest = JSON.parse(
+      readFileSync(
+        path.join(project, '.content-cache/manifests/default.json'),
+        'utf8'
+      )
+    );
+    const owned = [...manifest.mappings['src/content/docs'].files].sort();
+    const lock = JSON.parse(
+      readFileSync(path.join(project, 'content.lock.json'), 'utf8')
+    );
+    const hashed = Object.keys(lock.repositories.default.files).sort();
+    if (owned.join() !== expected.join() || hashed.join() !== owned.join()) {
+      throw new Error(`Owned ${owned} and locked ${hashed} differ`);
+    }
+    console.log(`✅ ${owned.length} files owned and locked\n`);
+
+    // Test 3: .gitignore covers the pattern minus the exclusions
+    console.log('3️⃣ Testing .gitignore entries...');
+    const gitignore = readFileSync(path.join(project, '.gitignore'), 'utf8');
+    for (const entry of [
+      '/src/content/docs/**/*.md',
+      '/src/content/docs/**/*.png',
+      '!/src/content/docs/**/draft-*.md',
+    ]) {
+      if (!gitignore.split('\n').includes(entry)) {
+        throw new Error(`${entry} missing from .gitignore`);
+      }
+    }
+    console.log('✅ Filters mirrored in .gitignore\n');
+
+    // Test 4: Forced fetches back up and replace owned files only
+    console.log('4️⃣ Testing backups and clean installs...');
+    writeFileSync(path.join(docs, 'draft-local.md'), '# Local draft\n');
+    writeFileSync(path.join(docs, 'notes.txt'), 'Local notes\n');
+    await fetcher.fetchContent(true);
+    if (!installed('draft-local.md') || !installed('notes.txt')) {
+      throw new Error('Clean install removed files the mapping does not own');
+    }
+    const [backup] = await fetcher.listBackups();
+    const backedUp = readdirSync(
+      path.join(
+        project,
+        '.content-backup',
+        backup.id,
+        'content',
+        docs.slice(project.length + 1)
+      ),
+      { recursive: true }
+    );
+    if (backup.fileCount !== 3 || backedUp.includes('draft-local.md')) {
+      throw new Error(`Backup holds unowned files: ${backedUp}`);
+    }
+    await fetcher.restoreBackup(backup.id);
+    if (!installed('draft-local.md') || !installed('intro.md')) {
+      throw new Error('Restore dropped unowned files or content');
+    }
+    console.log('✅ Unowned local files kept\n');
+
+    // Test 5: Updates after narrowing the filters prune files no longer owned
+    console.log('5️⃣ Testing changed exclusions...');
+    const { CONFIG } = await import('../../src/utils/config.js');
+    CONFIG.CONTENT_MAPPING['src/content/docs'].exclude.push('guide/**');
+    repo.commit({ 'content/intro.md': '# Intro v2\n' });
+    await fetcher.fetchContent(false);
+    if (installed('guide/setup.md') || !installed('intro.md')) {
+      throw new Error('Newly excluded files not pruned');
+    }
+    console.log('✅ Excluded files pruned\n');
+
+    console.log('🎉 Mapping globs work!');
+  } catch (error) {
+    console.error('❌ Mapping globs test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.chdir(originalCwd);
+    cleanup(project, repo.dir);
+  }
+}
+
+testMappingGlobs();
@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+
+/**
+ * Test multi-repository fetching
+ * Runs ContentFetcher.fetchContent() against two local content repositories
+ * configured through REPOSITORIES[]
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
+import {
+  createContentRepository,
+  createProject,
+  cleanup,
+} from './fixtures.js';
+
+async function testMultiRepo() {
+  console.log('🧪 Testing multi-repository fetching...\n');
+
+  const originalCwd = process.cwd();
+  const mainRepo = createContentRepository({
+    'content/welcome.md': '# Welcome\n',
+    'data/site.json': '{ "name": "Site" }\n',
+    'src/content/guides/intro.md': '# Intro\n',
+  });
+  const blogRepo = createContentRepository({
+    'posts/first-post.md': '# First post\n',
+  });
+
+  const project = createProject(`
+export const CONFIG = {
+  REPOSITORIES: [
+    {
+      name: 'blog-content',
+      REPO_URL: '${blogRepo.url}',
+      BRANCH: 'main',
+      priority: 2,
+      CONTENT_MAPPING: {
+        docs: {
+          type: 'folder',
+          source: 'posts',
+          destination: 'src/content/blog',
+        },
+      },
+    },
+    {
+      name: 'main-content',
+      REPO_URL: '${mainRepo.url}',
+      BRANCH: 'main',
+      priority: 1,
+      CONTENT_MAPPING: {
+        docs: {
+          type: 'folder',
+          source: 'content',
+          destination: 'src/content/main',
+        },
+        'src/data/main': {
+          type: 'selective',
+          source: 'data',
+          files: ['site.json'],
+        },
+        // No source: the key is both source and destination
+        'src/content/guides': { type: 'folder' },
+      },
+    },
+  ],
+  GLOBAL_SETTINGS: {
+    TEMP_DIR: '.content-temp',
+    BACKUP_DIR: '.content-backup',
+    MAX_CONCURRENT_REPOS: 2,
+    FAIL_ON_REPO_ERROR: false,
+  },
+};
+`);
+
+  try {
+    process.chdir(project);
+
+    const { getRepositories, getRepositorySettings } = await import(
+      '../../src/utils/config.js'
+    );
+    const { ContentFetcher } = await import(
+      '../../src/core/content-fetcher.js'
+    );
+
+    // Test 1: Repository normalization
+    console.log('1️⃣ Testing repository normalization...');
+    const repositories = getRepositories();
+    if (
+      repositories.length !== 2 ||
+      repositories[0].name !== 'main-content' ||
+      repositories[1].TEMP_DIR !== path.join('.content-temp', 'blog-content')
+    ) {
+      throw new Error('Repositories not normalized or ordered by priority');
+    }
+    const settings = getRepositorySettings();
+    if (settings.maxConcurrent !== 2 || settings.failOnError !== false) {
+      throw new Error('GLOBAL_SETTINGS not applied');
+    }
+    console.log('✅ Repositories normalized and ordered by priority\n');
+
+    // Test 2: Fetch all repositories
+    console.log('2️⃣ Testing fetch of all repositories...');
+    const fetcher = new ContentFetcher({
+      cacheDir: path.join(project, '.cache'),
+      retries: 1,
+    });
+    await fetcher.initialize();
+    await fetcher.fetchContent(true);
+
+    const expected = [
+      'src/content/main/welcome.md',
+      'src/data/main/site.json',
+      'src/content/guides/intro.md',
+      'src/content/blog/first-post.md',
+    ];
+    for (const file of expected) {
+      if (!existsSync(path.join(project, file))) {
+        throw new Error(`Expected installed file missing: ${file}`);
+      }
+    }
+
+    const reports = fetcher.getRepositoryReports();
+    if (
+      reports.length !== 2 ||
+      reports.some(report => report.status !== 'updated') ||
+      !reports.every(report => /^[0-9a-f]{40}$/.test(report.commitHash))
+    ) {
+      throw new Error('Per-repository reports incomplete');
+    }
+    if (existsSync(path.join(project, '.content-temp', 'main-content'))) {
+      throw new Error('Per-repository temp directory not cleaned up');
+    }
+    const gitignore = readFileSync(path.join(project, '.gitignore'), 'utf8');
+    if (
+      !gitignore.includes('src/content/main') ||
+      !gitignore.includes('src/content/blog')
+    ) {
+      throw new Error('Mappings sharing a key not all added to .gitignore');
+    }
+    console.log('✅ All repositories fetched with per-repo reports\n');
+
+    // Test 3: Per-repository commit tracking
+    console.log('3️⃣ Testing per-repository commit tracking...');
+    const blogInfo = await fetcher.cacheService.getCachedRepositoryInfo(
+      blogRepo.url
+    );
+    if (blogInfo?.repository !== 'blog-content') {
+      throw new Error('Repository info not cached per repository');
+    }
+    blogRepo.commit({ 'posts/second-post.md': '# Second post\n' });
+    const mainCommit = mainRepo.commit({ 'content/about.md': '# About\n' });
+    await fetcher.fetchContent();
+
+    const statuses = Object.fromEntries(
+      fetcher.getRepositoryReports().map(r => [r.name, r.status])
+    );
+    if (statuses['blog-content'] !== 'updated') {
+      throw new Error('Changed repository was not updated');
+    }
+    if (!existsSync(path.join(project, 'src/content/blog/second-post.md'))) {
+      throw new Error('New blog post not installed');
+    }
+    const mainReport = fetcher
+      .getRepositoryReports()
+      .find(r => r.name === 'main-content');
+    if (mainReport.status !== 'updated' || mainReport.commitHash !== mainCommit) {
+      throw new Error('Main repository commit not tracked');
+    }
+    console.log('✅ Each repository tracked its own commit\n');
+
+    // Test 4: Failing repository does not abort the others
+    console.log('4️⃣ Testing FAIL_ON_REPO_ERROR: false...');
+    cleanup(blogRepo.dir);
+    await fetcher.fetchContent(true);
+    const failed = fetcher
+      .getRepositoryReports()
+      .filter(report => report.status === 'failed');
+    if (failed.length !== 1 || failed[0].name !== 'blog-content') {
+      throw new Error('Failed repository not reported independently');
+    }
+    if (!existsSync(path.join(project, 'src/content/main/welcome.md'))) {
+      throw new Error('Healthy repository not installed');
+    }
+    console.log('✅ Failed repository reported, others installed\n');
+
+    // Test 5: Frozen installs fail on any failed repository
+    console.log('5️⃣ Testing frozen install with a failing repository...');
+    let frozenError = null;
+    try {
+      await fetcher.fetchContent(false, { frozen: true });
+    } catch (error) {
+      frozenError = error;
+    }
+    if (!frozenError) {
+      throw new Error('Frozen install passed without the locked commit');
+    }
+    console.log('✅ Frozen install failed despite FAIL_ON_REPO_ERROR: false\n');
+
+    console.log('🎉 Multi-repository fetching works!');
+  } catch (error) {
+    console.error('❌ Multi-repository test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.chdir(originalCwd);
+    cleanup(project, mainRepo.dir, blogRepo.dir);
+  }
+}
+
+testMultiRepo();
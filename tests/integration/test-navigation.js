@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+
+/**
+ * Test navigation trees generated after installs
+ * Verifies that a mapping with the `navigation` and `hierarchy` transform
+ * flags gets a nested tree of its installed pages in the data directory,
+ * ordered by `sidebar_position` and `_category_.json` metadata, that a
+ * `navigation` option merges a synced hand-written sidebar in, and that
+ * updates regenerate the tree
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
+import { createContentRepository, createProject, cleanup } from './fixtures.js';
+
+async function testNavigation() {
+  console.log('🧪 Testing navigation trees...\n');
+
+  const originalCwd = process.cwd();
+  const repo = createContentRepository({
+    'docs/index.md': '---\ntitle: Home\n---\n',
+    'docs/intro.md': '---\nsidebar_position: 1\n---\n# Introduction\n',
+    'docs/guide/_category_.json': '{ "label": "Guides", "position": 2 }\n',
+    'docs/guide/setup.md': '---\nsidebar_position: 2\n---\n# Setup\n',
+    'docs/guide/usage.mdx': '---\nsidebar_position: 1\n---\n# Usage\n',
+    'docs/api/client.md': '# Client\n',
+    'docs/draft.md': '---\ndraft: true\n---\n# Draft\n',
+    'config/sidebar.json':
+      '[{ "type": "autogenerated", "dirName": "guide" }, "intro"]\n',
+  });
+
+  const project = createProject(`
+export const CONFIG = {
+  REPO_URL: '${repo.url}',
+  BRANCH: 'main',
+  CONTENT_MAPPING: {
+    'src/content/docs': {
+      type: 'folder',
+      source: 'docs',
+      pattern: ['**/*.{md,mdx}', '**/_category_.{json,yml}'],
+      transform: { navigation: true, hierarchy: true },
+    },
+    'src/content/api': {
+      type: 'folder',
+      source: 'docs/api',
+    },
+  },
+};
+`);
+  const outputPath = path.join(project, 'src/data/navigation/docs.json');
+  const readTree = () => JSON.parse(readFileSync(outputPath, 'utf8'));
+  const outline = items =>
+    items
+      .map(item =>
+        item.type === 'doc'
+          ? `${item.label}=${item.url}`
+          : `${item.label}(${outline(item.items)})`
+      )
+      .join(' ');
+
+  try {
+    process.chdir(project);
+
+    const { ContentFetcher } = await import(
+      '../../src/core/content-fetcher.js'
+    );
+    const fetcher = new ContentFetcher({
+      cacheDir: path.join(project, '.cache'),
+      retries: 1,
+    });
+    await fetcher.initialize();
+
+    // Test 1: Installed pages become a nested, ordered tree
+    console.log('1️⃣ Testing the generated tree...');
+    await fetcher.fetchContent(true);
+    if (!existsSync(outputPath)) {
+      throw new Error('Navigation not written to the data directory');
+    }
+    if (existsSync(path.join(project, 'src/data/navigation/api.json'))) {
+      throw new Error('Navigation written for a mapping without the option');
+    }
+    const tree = readTree();
+    const expected =
+      'Introduction=/docs/intro Guides(Usage=/docs/guide/usage Setup=/docs/guide/setup) api(Client=/docs/api/client) Home=/docs';
+    if (tree.collection !== 'docs' || outline(tree.items) !== expected) {
+      throw new Error(`Unexpected tree: ${outline(tree.items)}`);
+    }
+    console.log('✅ Pages ordered by sidebar_position and _category_.json\n');
+
+    // Test 2: A synced sidebar is merged with the generated tree
+    console.log('2️⃣ Testing sidebar merging...');
+    const { CONFIG } = await import('../../src/utils/config.js');
+    CONFIG.CONTENT_MAPPING['src/data/docs'] = {
+      type: 'selective',
+      source: 'config',
+      files: ['sidebar.json'],
+    };
+    CONFIG.CONTENT_MAPPING['src/content/docs'].navigation = {
+      sidebar: 'src/data/docs/sidebar.json',
+    };
+    await fetcher.fetchContent(true);
+    if (
+      outline(readTree().items) !==
+      'Usage=/docs/guide/usage Setup=/docs/guide/setup Introduction=/docs/intro'
+    ) {
+      throw new Error(`Folder not expanded: ${outline(readTree().items)}`);
+    }
+    repo.commit({
+      'config/sidebar.json':
+        '[{ "type": "doc", "id": "index", "label": "Start" }, { "type": "category", "label": "Reference", "items": ["api/client"] }]\n',
+    });
+    await fetcher.fetchContent();
+    const merged =
+      'Start=/docs Reference(Client=/docs/api/client) Introduction=/docs/intro Guides(Usage=/docs/guide/usage Setup=/docs/guide/setup)';
+    if (outline(readTree().items) !== merged) {
+      throw new Error(`Sidebar not merged: ${outline(readTree().items)}`);
+    }
+    console.log(
+      '✅ Autogenerated folders expanded, other pages appended after the sidebar\n'
+    );
+
+    // Test 3: Updates regenerate the tree
+    console.log('3️⃣ Testing updates...');
+    repo.commit({
+      'docs/guide/setup.md': '---\nsidebar_position: 0\n---\n# Install\n',
+    });
+    repo.remove(['docs/intro.md']);
+    await fetcher.fetchContent();
+    const updated =
+      'Start=/docs Reference(Client=/docs/api/client) Guides(Install=/docs/guide/setup Usage=/docs/guide/usage)';
+    if (outline(readTree().items) !== updated) {
+      throw new Error(`Tree not regenerated: ${outline(readTree().items)}`);
+    }
+    console.log('✅ Relabelled, reordered and removed pages reflected\n');
+
+    console.log('🎉 Navigation trees work!');
+  } catch (error) {
+    console.error('❌ Navigation test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.chdir(originalCwd);
+    cleanup(project, repo.dir);
+  }
+}
+
+testNavigation();
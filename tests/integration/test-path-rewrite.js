@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+
+/**
+ * Test path rewrite rules on mappings
+ * Verifies that rewritten files are installed, owned, pruned and diffed by
+ * their rewritten paths, and that colliding rewrites fail the install
+ * without touching the installed content
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import path from 'path';
+import { createContentRepository, createProject, cleanup } from './fixtures.js';
+
+async function testPathRewrite() {
+  console.log('🧪 Testing path rewrite rules...\n');
+
+  const originalCwd = process.cwd();
+  const repo = createContentRepository({
+    'posts/2023/Title Case Names.md': '# Title Case Names\n',
+    'posts/2024/Another Post.md': '# Another Post\n',
+    'posts/2024/Draft Ideas (draft).md': '# Ideas\n',
+    'notes/2024/Meeting Notes.md': '# Meeting\n',
+  });
+
+  const project = createProject(`
+export const CONFIG = {
+  REPO_URL: '${repo.url}',
+  BRANCH: 'main',
+  CONTENT_MAPPING: {
+    'src/content/blog': {
+      type: 'folder',
+      source: 'posts',
+      rewrite: {
+        replace: [{ pattern: '\\\\s*\\\\(draft\\\\)', replacement: '' }],
+        flatten: true,
+        slugify: true,
+      },
+    },
+    'src/content/notes': {
+      type: 'selective',
+      source: 'notes',
+      files: ['**/*.md'],
+      rewrite: { template: '{year}/{slug}{ext}' },
+    },
+  },
+};
+`);
+  const blog = path.join(project, 'src/content/blog');
+  const notes = path.join(project, 'src/content/notes');
+
+  try {
+    process.chdir(project);
+
+    const { ContentFetcher } = await import(
+      '../../src/core/content-fetcher.js'
+    );
+    const fetcher = new ContentFetcher({
+      cacheDir: path.join(project, '.cache'),
+      retries: 1,
+    });
+    await fetcher.initialize();
+
+    // Test 1: Files are installed under their rewritten paths
+    console.log('1️⃣ Testing rewritten install...');
+    await fetcher.fetchContent(true);
+    for (const file of [
+      'title-case-names.md',
+      'another-post.md',
+      'draft-ideas.md',
+    ]) {
+      if (!existsSync(path.join(blog, file))) {
+        throw new Error(`${file} not installed`);
+      }
+    }
+    if (existsSync(path.join(blog, '2023'))) {
+      throw new Error('Folder mapping not flattened');
+    }
+    if (!existsSync(path.join(notes, '2024/meeting-notes.md'))) {
+      throw new Error('Template not applied');
+    }
+    const manifest = JSON.parse(
+      readFileSync(
+        path.join(project, '.content-cache/manifests/default.json'),
+        'utf8'
+      )
+    );
+    if (
+      !manifest.mappings['src/content/blog'].files.includes(
+        'src/content/blog/title-case-names.md'
+      )
+    ) {
+      throw new Error('Rewritten paths not recorded as owned');
+    }
+    console.log('✅ Flattened, slugified and templated paths installed\n');
+
+    // Test 2: Rewritten files are owned, local files next to them are not
+    console.log('2️⃣ Testing ownership of rewritten files...');
+    writeFileSync(path.join(blog, 'local-post.md'), '# Local\n');
+    await fetcher.fetchContent(true);
+    if (!existsSync(path.join(blog, 'local-post.md'))) {
+      throw new Error('Clean install removed a local file');
+    }
+    const [backup] = await fetcher.listBackups();
+    if (backup.fileCount !== 4) {
+      throw new Error(`Backup holds ${backup.fileCount} files, expected 4`);
+    }
+    console.log('✅ Backup and clean install cover owned files only\n');
+
+    // Test 3: Upstream renames prune the old rewritten path and show up in diffs
+    console.log('3️⃣ Testing renames...');
+    const renameCommit = repo.rename(
+      'posts/2024/Another Post.md',
+      'posts/2024/Renamed Post.md'
+    );
+    const [diff] = await fetcher.diffContent();
+    const rename = diff.mappings
+      .find(mapping => mapping.key === 'src/content/blog')
+      .changes.find(change => change.status === 'renamed');
+    if (
+      !rename ||
+      !rename.destination.endsWith('src/content/blog/renamed-post.md') ||
+      !rename.previousDestination.endsWith('src/content/blog/another-post.md')
+    ) {
+      throw new Error(`Diff not rewritten: ${JSON.stringify(rename)}`);
+    }
+    await fetcher.fetchContent(false);
+    if (
+      existsSync(path.join(blog, 'another-post.md')) ||
+      !existsSync(path.join(blog, 'renamed-post.md'))
+    ) {
+      throw new Error('Renamed file not pruned under its rewritten path');
+    }
+    console.log(
+      `✅ Rename ${renameCommit.substring(0, 8)} pruned and diffed\n`
+    );
+
+    // Test 4: Collisions fail without touching the installed content
+    console.log('4️⃣ Testing collisions...');
+    repo.commit({ 'posts/2025/Title Case Names.md': '# Duplicate\n' });
+    let failure = null;
+    try {
+      await fetcher.fetchContent(true);
+    } catch (error) {
+      failure = error;
+    }
+    const collision =
+      'title-case-names.md <- 2023/Title Case Names.md, 2025/Title Case Names.md';
+    if (!failure?.message.includes(collision)) {
+      throw new Error(`Collision not reported: ${failure?.message}`);
+    }
+    if (
+      readFileSync(path.join(blog, 'title-case-names.md'), 'utf8') !==
+      '# Title Case Names\n'
+    ) {
+      throw new Error('Failed install changed the content');
+    }
+    console.log('✅ Colliding sources named, content untouched\n');
+
+    console.log('🎉 Path rewrite rules work!');
+  } catch (error) {
+    console.error('❌ Path rewrite test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.chdir(originalCwd);
+    cleanup(project, repo.dir);
+  }
+}
+
+testPathRewrite();
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+
+/**
+ * Test pruning of files deleted or renamed upstream
+ * Verifies that safe updates remove installed files that no longer exist in
+ * the content repository, while unmanaged local files are left alone
+ */
+
+import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'fs';
+import path from 'path';
+import { createContentRepository, createProject, cleanup } from './fixtures.js';
+
+async function testPrune() {
+  console.log('🧪 Testing upstream deletion pruning...\n');
+
+  const originalCwd = process.cwd();
+  const repo = createContentRepository({
+    'content/intro.md': '# Intro\n',
+    'content/old.md': '# Old\n',
+    'content/guide/setup.md': '# Setup\n',
+    'content/archive/2019.md': '# 2019\n',
+    'blog/welcome.md': '# Welcome\n',
+    'blog/draft.md': '# Draft\n',
+  });
+
+  const project = createProject(`
+export const CONFIG = {
+  REPO_URL: '${repo.url}',
+  BRANCH: 'main',
+  CONTENT_MAPPING: {
+    'src/content/docs': { type: 'folder', source: 'content' },
+    'src/content/blog': {
+      type: 'selective',
+      source: 'blog',
+      files: ['welcome.md', 'draft.md'],
+    },
+  },
+};
+`);
+  const docs = path.join(project, 'src/content/docs');
+  const manifestPath = path.join(
+    project,
+    '.content-cache/manifests/default.json'
+  );
+  const installed = file => existsSync(path.join(docs, file));
+
+  try {
+    process.chdir(project);
+
+    const { ContentFetcher } = await import(
+      '../../src/core/content-fetcher.js'
+    );
+    const fetcher = new ContentFetcher({
+      cacheDir: path.join(project, '.cache'),
+      retries: 1,
+    });
+    await fetcher.initialize();
+
+    // Test 1: Installs record the files each mapping owns
+    console.log('1️⃣ Testing install manifest...');
+    await fetcher.fetchContent(true);
+    const manifest = JSON.parse(readFileSync(manifestPath, 'utf8'));
+    const owned = manifest.mappings['src/content/docs'].files;
+    if (
+      owned.length !== 4 ||
+      !owned.includes('src/content/docs/guide/setup.md')
+    ) {
+      throw new Error(`Unexpected owned files: ${JSON.stringify(owned)}`);
+    }
+    if (manifest.mappings['src/content/blog'].files.length !== 2) {
+      throw new Error('Selective files not recorded');
+    }
+    console.log(`✅ Manifest records ${owned.length + 2} installed files\n`);
+
+    // Local files next to installed content are not owned by any mapping
+    mkdirSync(path.join(docs, 'notes'), { recursive: true });
+    writeFileSync(path.join(docs, 'notes/local.md'), '# Local\n');
+    writeFileSync(path.join(docs, 'guide/local.md'), '# Local guide\n');
+
+    // Test 2: Safe updates prune deletions and renames
+    console.log('2️⃣ Testing pruning on safe update...');
+    repo.remove(['content/old.md', 'content/archive/2019.md', 'blog/draft.md']);
+    repo.rename('content/guide/setup.md', 'content/tutorials/setup.md');
+    await fetcher.fetchContent(false);
+
+    for (const file of ['old.md', 'guide/setup.md', 'archive/2019.md']) {
+      if (installed(file)) {
+        throw new Error(`${file} was not pruned`);
+      }
+    }
+    if (!installed('tutorials/setup.md')) {
+      throw new Error('Renamed file not installed');
+    }
+    if (existsSync(path.join(docs, 'archive'))) {
+      throw new Error('Emptied directory not removed');
+    }
+    if (existsSync(path.join(project, 'src/content/blog/draft.md'))) {
+      throw new Error('Deleted selective file not pruned');
+    }
+    console.log('✅ Deleted and renamed files pruned\n');
+
+    // Test 3: Unmanaged files survive
+    console.log('3️⃣ Testing unmanaged files...');
+    if (!installed('notes/local.md') || !installed('guide/local.md')) {
+      throw new Error('Unmanaged local file removed');
+    }
+    await fetcher.fetchContent(true);
+    if (!installed('notes/local.md') || !installed('guide/local.md')) {
+      throw new Error('Unmanaged local file removed by a clean install');
+    }
+    console.log('✅ Local files left alone by safe and clean installs\n');
+
+    // Test 4: Without a manifest nothing is pruned
+    console.log('4️⃣ Testing missing manifest...');
+    writeFileSync(manifestPath, 'not json');
+    repo.remove(['content/intro.md']);
+    await fetcher.fetchContent(false);
+    if (!installed('intro.md')) {
+      throw new Error('File pruned without ownership information');
+    }
+    const rewritten = JSON.parse(readFileSync(manifestPath, 'utf8'));
+    if (
+      rewritten.mappings['src/content/docs'].files.includes(
+        'src/content/docs/intro.md'
+      )
+    ) {
+      throw new Error('Manifest not rewritten');
+    }
+    console.log('✅ Unknown ownership leaves files in place\n');
+
+    console.log('🎉 Upstream deletions are propagated!');
+  } catch (error) {
+    console.error('❌ Prune test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.chdir(originalCwd);
+    cleanup(project, repo.dir);
+  }
+}
+
+testPrune();
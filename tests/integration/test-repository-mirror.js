@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * Test the persistent repository mirror
+ * Verifies that fetches after the first one update the cached clone in place
+ * instead of re-cloning, and that unusable mirrors are replaced
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import path from 'path';
+import {
+  git,
+  createContentRepository,
+  createProject,
+  cleanup,
+} from './fixtures.js';
+
+async function testRepositoryMirror() {
+  console.log('🧪 Testing persistent repository mirror...\n');
+
+  const originalCwd = process.cwd();
+  const repo = createContentRepository({
+    'content/intro.md': '# Intro\n',
+    'drafts/wip.md': '# Not mapped\n',
+  });
+
+  const project = createProject(`
+export const CONFIG = {
+  REPO_URL: '${repo.url}',
+  BRANCH: 'main',
+  CONTENT_MAPPING: {
+    'src/content/docs': { type: 'folder', source: 'content' },
+  },
+};
+`);
+  const mirror = path.join(project, '.content-cache', 'repos', 'default');
+  const marker = path.join(mirror, '.git', 'mirror-marker');
+
+  try {
+    process.chdir(project);
+
+    const { ContentFetcher } = await import(
+      '../../src/core/content-fetcher.js'
+    );
+    const fetcher = new ContentFetcher({
+      cacheDir: path.join(project, '.cache'),
+      retries: 1,
+    });
+    await fetcher.initialize();
+
+    // Test 1: First fetch creates the mirror
+    console.log('1️⃣ Testing initial clone into the mirror...');
+    await fetcher.fetchContent(true);
+    if (!existsSync(path.join(mirror, '.git'))) {
+      throw new Error('Mirror not created');
+    }
+    if (existsSync(path.join(mirror, 'drafts'))) {
+      throw new Error('Mirror is not a sparse checkout');
+    }
+    console.log('✅ Mirror created with sparse checkout\n');
+
+    // Test 2: New commits are fetched into the existing mirror
+    console.log('2️⃣ Testing incremental update...');
+    writeFileSync(marker, 'kept');
+    const commit = repo.commit({ 'content/intro.md': '# Intro v2\n' });
+    await fetcher.fetchContent();
+
+    if (!existsSync(marker)) {
+      throw new Error('Mirror was re-cloned instead of updated');
+    }
+    if (git(mirror, ['rev-parse', 'HEAD']) !== commit) {
+      throw new Error('Mirror not checked out at the new commit');
+    }
+    const installed = path.join(project, 'src/content/docs/intro.md');
+    if (readFileSync(installed, 'utf8') !== '# Intro v2\n') {
+      throw new Error('Updated content not installed');
+    }
+    console.log('✅ Mirror updated in place\n');
+
+    // Test 3: A mirror of another repository is replaced
+    console.log('3️⃣ Testing unusable mirror replacement...');
+    git(mirror, ['remote', 'set-url', 'origin', 'file:///nonexistent']);
+    await fetcher.fetchContent(true);
+    if (existsSync(marker)) {
+      throw new Error('Mirror with a different origin was reused');
+    }
+    if (git(mirror, ['config', '--get', 'remote.origin.url']) !== repo.url) {
+      throw new Error('Mirror not re-cloned from REPO_URL');
+    }
+    console.log('✅ Unusable mirror re-cloned\n');
+
+    // Test 4: Clearing the whole cache removes mirrors
+    console.log('4️⃣ Testing cache clear...');
+    await fetcher.clearCache();
+    if (existsSync(mirror)) {
+      throw new Error('Mirror not removed by cache clear');
+    }
+    console.log('✅ Mirror removed\n');
+
+    console.log('🎉 Persistent repository mirror works!');
+  } catch (error) {
+    console.error('❌ Repository mirror test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.chdir(originalCwd);
+    cleanup(project, repo.dir);
+  }
+}
+
+testRepositoryMirror();
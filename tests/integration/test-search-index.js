@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+
+/**
+ * Test the local search index built after installs
+ * Verifies that installed markdown of every mapped collection is indexed
+ * into the public directory with titles, headings, text and URLs, that drafts
+ * and data files are left out, and that rebuilds only reindex files whose
+ * content hash changed
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
+import { createContentRepository, createProject, cleanup } from './fixtures.js';
+
+async function testSearchIndex() {
+  console.log('🧪 Testing local search index...\n');
+
+  const originalCwd = process.cwd();
+  const repo = createContentRepository({
+    'docs/intro.md':
+      '---\ntitle: Introduction\n---\n# Welcome\n\nStart here.\n\n## First steps\n\n```sh\nnpm install\n```\n',
+    'docs/guide/index.mdx':
+      "import Note from './note.jsx';\n\n# Guide\n\n<Note>Read **carefully**.</Note>\n\n## Setup & config\n",
+    'docs/draft.md': '---\ntitle: Draft\ndraft: true\n---\nNot yet.\n',
+    'docs/site.json': '{ "title": "Site" }\n',
+    'blog/2024/hello-world.md': '---\nslug: hello\n---\nNo heading here.\n',
+  });
+
+  const project = createProject(`
+export const CONFIG = {
+  REPO_URL: '${repo.url}',
+  BRANCH: 'main',
+  CONTENT_MAPPING: {
+    'src/content/docs': { type: 'folder', source: 'docs' },
+    'src/content/blog': { type: 'folder', source: 'blog' },
+  },
+  SEARCH: {
+    ENABLE_SEARCH: true,
+    SEARCH_PROVIDER: 'local',
+    INDEX_CONTENT: true,
+    INDEX_HEADINGS: true,
+  },
+};
+`);
+  const indexPath = path.join(project, 'public/search-index.json');
+  const readIndex = () => JSON.parse(readFileSync(indexPath, 'utf8'));
+
+  try {
+    process.chdir(project);
+
+    const { ContentFetcher } = await import(
+      '../../src/core/content-fetcher.js'
+    );
+    const fetcher = new ContentFetcher({
+      cacheDir: path.join(project, '.cache'),
+      retries: 1,
+    });
+    await fetcher.initialize();
+    const builds = [];
+    const buildIndex = fetcher.searchIndexer.buildIndex.bind(
+      fetcher.searchIndexer
+    );
+    fetcher.searchIndexer.buildIndex = async (...args) => {
+      const result = await buildIndex(...args);
+      builds.push(result);
+      return result;
+    };
+
+    // Test 1: Installed markdown is indexed per collection
+    console.log('1️⃣ Testing the index...');
+    await fetcher.fetchContent(true);
+    if (!existsSync(indexPath)) {
+      throw new Error('Search index not written to the public directory');
+    }
+    if (readFileSync(indexPath, 'utf8').trim().includes('\n')) {
+      throw new Error('Search index is not compact');
+    }
+    const index = readIndex();
+    const expected = [
+      {
+        collection: 'blog',
+        url: '/blog/hello',
+        title: 'hello world',
+        headings: [],
+        text: 'No heading here.',
+      },
+      {
+        collection: 'docs',
+        url: '/docs/guide',
+        title: 'Guide',
+        headings: [{ text: 'Setup & config', anchor: 'setup-config' }],
+        text: 'Guide Read carefully. Setup & config',
+      },
+      {
+        collection: 'docs',
+        url: '/docs/intro',
+        title: 'Introduction',
+        headings: [
+          { text: 'Welcome', anchor: 'welcome' },
+          { text: 'First steps', anchor: 'first-steps' },
+        ],
+        text: 'Welcome Start here. First steps',
+      },
+    ];
+    if (
+      JSON.stringify(index.collections) !== '["blog","docs"]' ||
+      JSON.stringify(index.documents) !== JSON.stringify(expected)
+    ) {
+      throw new Error(`Unexpected index:\n${JSON.stringify(index, null, 2)}`);
+    }
+    console.log('✅ Titles, headings, text and URLs indexed, drafts skipped\n');
+
+    // Test 2: Rebuilds only reindex changed files
+    console.log('2️⃣ Testing incremental rebuilds...');
+    repo.commit({
+      'docs/intro.md': '---\ntitle: Introduction\n---\nStart over.\n',
+    });
+    builds.length = 0;
+    await fetcher.fetchContent();
+    if (builds[0]?.indexed !== 1 || builds[0]?.cached !== 3) {
+      throw new Error(`Unexpected rebuild: ${JSON.stringify(builds[0])}`);
+    }
+    const intro = readIndex().documents.find(
+      document => document.url === '/docs/intro'
+    );
+    if (intro.text !== 'Start over.') {
+      throw new Error(`Changed file not reindexed: ${JSON.stringify(intro)}`);
+    }
+    console.log('✅ Only the changed file reindexed\n');
+
+    // Test 3: Settings select the indexed fields
+    console.log('3️⃣ Testing index settings...');
+    const { CONFIG } = await import('../../src/utils/config.js');
+    CONFIG.SEARCH.INDEX_CONTENT = false;
+    const rebuilt = await fetcher.searchIndexer.buildIndex();
+    if (
+      rebuilt.indexed !== 4 ||
+      readIndex().documents.some(document => 'text' in document)
+    ) {
+      throw new Error(`Body text still indexed: ${JSON.stringify(rebuilt)}`);
+    }
+    CONFIG.SEARCH.ENABLE_SEARCH = false;
+    if ((await fetcher.searchIndexer.buildIndex()) !== null) {
+      throw new Error('Disabled search index was built');
+    }
+    console.log('✅ INDEX_CONTENT and ENABLE_SEARCH respected\n');
+
+    console.log('🎉 Local search index works!');
+  } catch (error) {
+    console.error('❌ Search index test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.chdir(originalCwd);
+    cleanup(project, repo.dir);
+  }
+}
+
+testSearchIndex();
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+/**
+ * Test glob entries in selective mapping `files` lists
+ * Verifies that patterns are expanded against the source tree with their
+ * subdirectories kept, that entries matching nothing are reported in the
+ * fetch summary, and that strict mappings fail instead
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
+import { createContentRepository, createProject, cleanup } from './fixtures.js';
+
+async function testSelectiveGlobs() {
+  console.log('🧪 Testing selective glob entries...\n');
+
+  const originalCwd = process.cwd();
+  const repo = createContentRepository({
+    'docs/index.md': '# Index\n',
+    'docs/api/auth.md': '# Auth\n',
+    'docs/api/users.md': '# Users\n',
+    'docs/api/notes.txt': 'Notes\n',
+    'docs/guides/intro.md': '# Intro\n',
+    'docs/guides/advanced/deploy.md': '# Deploy\n',
+    'docs/internal/plan.md': '# Plan\n',
+  });
+
+  const project = createProject(`
+export const CONFIG = {
+  REPO_URL: '${repo.url}',
+  BRANCH: 'main',
+  CONTENT_MAPPING: {
+    'src/content/docs': {
+      type: 'selective',
+      source: 'docs',
+      files: ['index.md', 'api/*.md', 'guides/**/*.md', 'missing.md', 'blog/*.md'],
+    },
+  },
+};
+`);
+  const docs = path.join(project, 'src/content/docs');
+  const installed = file => existsSync(path.join(docs, file));
+
+  try {
+    process.chdir(project);
+
+    const { ContentFetcher } = await import(
+      '../../src/core/content-fetcher.js'
+    );
+    const { CONFIG } = await import('../../src/utils/config.js');
+    const fetcher = new ContentFetcher({
+      cacheDir: path.join(project, '.cache'),
+      retries: 1,
+    });
+    await fetcher.initialize();
+
+    // Test 1: Patterns are expanded with their subdirectories
+    console.log('1️⃣ Testing pattern expansion...');
+    const warned = [];
+    const originalWarn = console.warn;
+    console.warn = (...args) => {
+      warned.push(args.join(' '));
+      originalWarn(...args);
+    };
+    try {
+      await fetcher.fetchContent(true);
+    } finally {
+      console.warn = originalWarn;
+    }
+    for (const file of [
+      'index.md',
+      'api/auth.md',
+      'api/users.md',
+      'guides/intro.md',
+      'guides/advanced/deploy.md',
+    ]) {
+      if (!installed(file)) {
+        throw new Error(`${file} not installed`);
+      }
+    }
+    if (installed('api/notes.txt') || installed('internal/plan.md')) {
+      throw new Error('Files outside the listed entries installed');
+    }
+    if (readFileSync(path.join(docs, 'api/auth.md'), 'utf8') !== '# Auth\n') {
+      throw new Error('Matched file content differs');
+    }
+    console.log('✅ Globs expanded, subdirectories kept\n');
+
+    // Test 2: Entries matching nothing show up in the report and summary
+    console.log('2️⃣ Testing unmatched entries...');
+    const [report] = fetcher.getRepositoryReports();
+    const entries = report.warnings.map(warning => warning.entry);
+    if (entries.join() !== 'missing.md,blog/*.md') {
+      throw new Error(
+        `Unexpected warnings: ${JSON.stringify(report.warnings)}`
+      );
+    }
+    if (!warned.some(line => /2 content mapping warning/.test(line))) {
+      throw new Error('Warnings missing from the fetch summary');
+    }
+    if (
+      !warned.some(line => line.includes('pattern "blog/*.md" matches nothing'))
+    ) {
+      throw new Error('Unmatched pattern not named');
+    }
+    console.log(`✅ ${entries.join(', ')} reported\n`);
+
+    // Test 3: Manifest lists the expanded files
+    console.log('3️⃣ Testing owned files...');
+    const manifest = JSON.parse(
+      readFileSync(
+        path.join(project, '.content-cache/manifests/default.json'),
+        'utf8'
+      )
+    );
+    if (manifest.mappings['src/content/docs'].files.length !== 5) {
+      throw new Error('Expanded files not recorded as owned');
+    }
+    console.log('✅ Expanded files owned\n');
+
+    // Test 4: Strict mappings fail and keep the previous content
+    console.log('4️⃣ Testing strict mappings...');
+    CONFIG.CONTENT_MAPPING['src/content/docs'].strict = true;
+    repo.commit({ 'docs/index.md': '# Index v2\n' });
+    let failure = null;
+    try {
+      await fetcher.fetchContent(true);
+    } catch (error) {
+      failure = error;
+    }
+    if (!/strict mappings matched nothing/.test(failure?.message)) {
+      throw new Error('Strict mapping with unmatched entries installed');
+    }
+    if (readFileSync(path.join(docs, 'index.md'), 'utf8') !== '# Index\n') {
+      throw new Error('Failed strict install changed the content');
+    }
+    console.log('✅ Strict mapping failed without touching content\n');
+
+    console.log('🎉 Selective glob entries work!');
+  } catch (error) {
+    console.error('❌ Selective globs test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.chdir(originalCwd);
+    cleanup(project, repo.dir);
+  }
+}
+
+testSelectiveGlobs();
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+/**
+ * Test submodule-aware fetching
+ * Mapped sources inside a submodule are only installed with GIT.SUBMODULES,
+ * and the submodule commit is tracked in the cached repository info
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
+import {
+  allowFileSubmodules,
+  createContentRepository,
+  createProject,
+  cleanup,
+} from './fixtures.js';
+
+async function testSubmodules() {
+  console.log('🧪 Testing submodule-aware fetching...\n');
+
+  allowFileSubmodules();
+
+  const originalCwd = process.cwd();
+  const snippets = createContentRepository({
+    'snippets/install.md': '# Install v1\n',
+  });
+  const unrelated = createContentRepository({ 'README.md': '# Other\n' });
+  const repo = createContentRepository({ 'docs/guide.md': '# Guide\n' });
+  repo.addSubmodule(snippets.url, 'docs/shared');
+  repo.addSubmodule(unrelated.url, 'vendor/other');
+
+  const project = createProject(`
+export const CONFIG = {
+  REPO_URL: '${repo.url}',
+  BRANCH: 'main',
+  GIT: { SUBMODULES: true },
+  CONTENT_MAPPING: {
+    'src/content/docs': { type: 'folder', source: 'docs' },
+    'src/content/snippets': {
+      type: 'folder',
+      source: 'docs/shared/snippets',
+    },
+  },
+};
+`);
+  const mirror = path.join(project, '.content-cache', 'repos', 'default');
+  const installed = path.join(project, 'src/content/snippets/install.md');
+
+  try {
+    process.chdir(project);
+
+    const { getRepositories } = await import('../../src/utils/config.js');
+    const { ContentFetcher } = await import(
+      '../../src/core/content-fetcher.js'
+    );
+    const fetcher = new ContentFetcher({
+      cacheDir: path.join(project, '.cache'),
+      retries: 1,
+    });
+    await fetcher.initialize();
+
+    // Test 1: Mapped submodules are initialized
+    console.log('1️⃣ Testing submodule initialization...');
+    await fetcher.fetchContent(true);
+    if (readFileSync(installed, 'utf8') !== '# Install v1\n') {
+      throw new Error('Submodule content not installed');
+    }
+    if (existsSync(path.join(mirror, 'vendor/other/README.md'))) {
+      throw new Error('Unmapped submodule was initialized');
+    }
+    const cachedInfo = await fetcher.cacheService.getCachedRepositoryInfo(
+      repo.url
+    );
+    if (
+      cachedInfo?.submodules?.length !== 1 ||
+      cachedInfo.submodules[0].path !== 'docs/shared'
+    ) {
+      throw new Error('Submodule commit not cached');
+    }
+    console.log('✅ Only the mapped submodule was initialized\n');
+
+    // Test 2: Submodule updates follow the superproject
+    console.log('2️⃣ Testing submodule update...');
+    snippets.commit({ 'snippets/install.md': '# Install v2\n' });
+    const submoduleCommit = repo.updateSubmodule('docs/shared');
+    await fetcher.fetchContent();
+    if (readFileSync(installed, 'utf8') !== '# Install v2\n') {
+      throw new Error('Updated submodule content not installed');
+    }
+    const [report] = fetcher.getRepositoryReports();
+    if (report.submodules[0]?.commitHash !== submoduleCommit) {
+      throw new Error('Updated submodule commit not reported');
+    }
+    console.log('✅ Submodule moved with the superproject\n');
+
+    // Test 3: Submodules stay opt-in
+    console.log('3️⃣ Testing disabled submodules...');
+    await fetcher.clearCache();
+    const disabled = await fetcher.fetchRepository(
+      { ...getRepositories()[0], GIT: {} },
+      true
+    );
+    if (disabled.status !== 'updated' || disabled.submodules.length !== 0) {
+      throw new Error('Fetch without submodules should succeed untracked');
+    }
+    if (existsSync(path.join(mirror, 'docs/shared/snippets'))) {
+      throw new Error('Submodule initialized without GIT.SUBMODULES');
+    }
+    console.log('✅ Submodules skipped unless enabled\n');
+
+    console.log('🎉 Submodule-aware fetching works!');
+  } catch (error) {
+    console.error('❌ Submodule test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    process.chdir(originalCwd);
+    cleanup(project, repo.dir, snippets.dir, unrelated.dir);
+  }
+}
+
+testSubmodules();
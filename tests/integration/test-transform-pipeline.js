@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+
+/**
+ * Test the content transform pipeline on mappings
+ * Verifies that built-in and plugin transformers run in order on installed
+ * files, that unchanged files are served from the transform cache, that
+ * renamed files stay owned, and that a failing transformer leaves the
+ * installed content untouched
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import path from 'path';
+import { createContentRepository, createProject, cleanup } from './fixtures.js';
+
+async function testTransformPipeline() {
+  console.log('🧪 Testing content transform pipeline...\n');
+
+  const originalCwd = process.cwd();
+  const originalWarn = console.warn;
+  const warnings = [];
+  const repo = createContentRepository({
+    'docs/intro.md': '# Intro\n\n```\nnpm install\n```\n',
+    'docs/guide.md': 'Guide body\n',
+    'docs/data.json': '{ "ok": true }\n',
+  });
+
+  const project = createProject(`
+export const CONFIG = {
+  REPO_URL: '${repo.url}',
+  BRANCH: 'main',
+  CONTENT_MAPPING: {
+    'src/content/docs': {
+      type: 'folder',
+      source: 'docs',
+      transform: {
+        frontmatter: { defaults: { draft: false } },
+        codeBlocks: true,
+        toMdx: true,
+        missing: true,
+      },
+    },
+  },
+};
+`);
+  const docs = path.join(project, 'src/content/docs');
+
+  try {
+    process.chdir(project);
+    console.warn = (...args) => {
+      warnings.push(args.join(' '));
+      originalWarn(...args);
+    };
+
+    const { ContentFetcher } = await import(
+      '../../src/core/content-fetcher.js'
+    );
+    const fetcher = new ContentFetcher({
+      cacheDir: path.join(project, '.cache'),
+      retries: 1,
+    });
+    await fetcher.initialize();
+    await fetcher.registerPlugin('mdx', {
+      version: '1.0.0',
+      transformers: {
+        toMdx: {
+          version: '1.0.0',
+          extensions: ['.md'],
+          transform: file => ({
+            path: file.path.replace(/\.md$/, '.mdx'),
+            content: `${file.content}\n{/* synced */}\n`,
+          }),
+        },
+      },
+    });
+
+    // Test 1: Steps run in order, plugin transformers included
+    console.log('1️⃣ Testing transformed install...');
+    await fetcher.fetchContent(true);
+    const intro = readFileSync(path.join(docs, 'intro.mdx'), 'utf8');
+    const expected =
+      '---\ntitle: "Intro"\ndraft: false\n---\n\n# Intro\n\n```text\nnpm install\n```\n\n{/* synced */}\n';
+    if (intro !== expected) {
+      throw new Error(
+        `Unexpected transformed content: ${JSON.stringify(intro)}`
+      );
+    }
+    if (existsSync(path.join(docs, 'intro.md'))) {
+      throw new Error('Source path installed next to the renamed file');
+    }
+    if (
+      readFileSync(path.join(docs, 'data.json'), 'utf8') !== '{ "ok": true }\n'
+    ) {
+      throw new Error('File without applicable steps was changed');
+    }
+    if (!warnings.some(warning => warning.includes('"missing"'))) {
+      throw new Error('Unknown transformer not reported');
+    }
+    const manifest = JSON.parse(
+      readFileSync(
+        path.join(project, '.content-cache/manifests/default.json'),
+        'utf8'
+      )
+    );
+    if (
+      !manifest.mappings['src/content/docs'].files.includes(
+        'src/content/docs/intro.mdx'
+      )
+    ) {
+      throw new Error('Transformed path not recorded as owned');
+    }
+    console.log('✅ Frontmatter, code blocks and plugin step applied\n');
+
+    // Test 2: Unchanged files are served from the transform cache
+    console.log('2️⃣ Testing transform cache...');
+    const before = fetcher.transformPipeline.getStats();
+    repo.commit({ 'docs/guide.md': 'Guide body, revised\n' });
+    await fetcher.fetchContent(false);
+    const after = fetcher.transformPipeline.getStats();
+    if (after.transformed - before.transformed !== 3) {
+      throw new Error(
+        `Expected 3 transformer runs for the changed file, got ${after.transformed - before.transformed}`
+      );
+    }
+    if (after.cached <= before.cached) {
+      throw new Error('Unchanged files were not served from the cache');
+    }
+    if (
+      !readFileSync(path.join(docs, 'guide.mdx'), 'utf8').includes(
+        'Guide body, revised'
+      )
+    ) {
+      throw new Error('Changed file not reinstalled');
+    }
+    console.log(
+      `✅ Only the changed file transformed (${after.cached - before.cached} cached steps)\n`
+    );
+
+    // Test 3: Renamed files are owned, local files next to them are not
+    console.log('3️⃣ Testing ownership of transformed files...');
+    writeFileSync(path.join(docs, 'local.md'), '# Local\n');
+    await fetcher.fetchContent(true);
+    if (!existsSync(path.join(docs, 'local.md'))) {
+      throw new Error('Clean install removed a local file');
+    }
+    repo.remove(['docs/guide.md']);
+    await fetcher.fetchContent(false);
+    if (existsSync(path.join(docs, 'guide.mdx'))) {
+      throw new Error('Removed file not pruned under its transformed path');
+    }
+    console.log('✅ Transformed files pruned, local files kept\n');
+
+    // Test 4: A failing transformer leaves the installed content untouched
+    console.log('4️⃣ Testing transformer failures...');
+    await fetcher.registerPlugin('broken', {
+      version: '1.0.0',
+      transformers: {
+        explode: () => {
+          throw new Error('boom');
+        },
+      },
+    });
+    const { CONFIG } = await import('../../src/utils/config.js');
+    CONFIG.CONTENT_MAPPING['src/content/docs'].transform.explode = true;
+    repo.commit({ 'docs/intro.md': '# Intro, revised\n' });
+    let failure = null;
+    try {
+      await fetcher.fetchContent(false);
+    } catch (error) {
+      failure = error;
+    }
+    if (!failure?.message.includes('Transformer "explode" failed on')) {
+      throw new Error(`Failure not reported: ${failure?.message}`);
+    }
+    if (readFileSync(path.join(docs, 'intro.mdx'), 'utf8') !== expected) {
+      throw new Error('Failed install changed the content');
+    }
+    console.log('✅ Failing step named, content untouched\n');
+
+    console.log('🎉 Content transform pipeline works!');
+  } catch (error) {
+    console.error('❌ Transform pipeline test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    console.warn = originalWarn;
+    process.chdir(originalCwd);
+    cleanup(project, repo.dir);
+  }
+}
+
+testTransformPipeline();
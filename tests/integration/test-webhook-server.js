@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+
+/**
+ * Test the push webhook receiver
+ * Starts a WebhookServer on an ephemeral port and sends signed GitHub-style
+ * push payloads for a local content repository, and checks that pushes to
+ * several repositories are updated one at a time
+ */
+
+import { readFileSync } from 'fs';
+import path from 'path';
+import { createContentRepository, createProject, cleanup } from './fixtures.js';
+
+const SECRET = 'integration-webhook-secret';
+
+async function testWebhookServer() {
+  console.log('🧪 Testing webhook server...\n');
+
+  const originalCwd = process.cwd();
+  const repo = createContentRepository({
+    'content/intro.md': '# Intro\n',
+    'README.md': '# Repo\n',
+  });
+
+  const project = createProject(`
+export const CONFIG = {
+  REPO_URL: '${repo.url}',
+  BRANCH: 'main',
+  CONTENT_MAPPING: {
+    'src/content/docs': { type: 'folder', source: 'content' },
+  },
+};
+`);
+  const installed = path.join(project, 'src/content/docs/intro.md');
+  let server = null;
+
+  try {
+    process.chdir(project);
+
+    const { ContentFetcher } = await import(
+      '../../src/core/content-fetcher.js'
+    );
+    const { WebhookServer } = await import('../../src/core/webhook-server.js');
+    const { signPayload } = await import('../../src/utils/webhook.js');
+
+    const fetcher = new ContentFetcher({
+      cacheDir: path.join(project, '.cache'),
+      retries: 1,
+    });
+    await fetcher.initialize();
+    await fetcher.fetchContent(true);
+
+    // Test 1: A secret is required unless validation is disabled
+    console.log('1️⃣ Testing secret requirement...');
+    let refused = false;
+    try {
+      await new WebhookServer({ fetcher, port: 0 }).start();
+    } catch {
+      refused = true;
+    }
+    if (!refused) {
+      throw new Error('Server started without a secret');
+    }
+    console.log('✅ Refused to start without a secret\n');
+
+    server = new WebhookServer({ fetcher, port: 0, secret: SECRET });
+    const { port } = await server.start();
+    const endpoint = `http://127.0.0.1:${port}/webhook`;
+
+    const send = (payload, { secret = SECRET, event = 'push' } = {}) => {
+      const body = JSON.stringify(payload);
+      return fetch(endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-GitHub-Event': event,
+          'X-Hub-Signature-256': `sha256=${signPayload(secret, body)}`,
+        },
+        body,
+      });
+    };
+    const push = (commit, files) => ({
+      ref: 'refs/heads/main',
+      after: commit,
+      repository: { clone_url: repo.url },
+      commits: [{ added: [], modified: files, removed: [] }],
+    });
+
+    // Test 2: Bad signatures are rejected
+    console.log('2️⃣ Testing signature rejection...');
+    const forgedPush = push(repo.commit({ 'content/a.md': '# A\n' }), [
+      'content/a.md',
+    ]);
+    const forged = await send(forgedPush, { secret: 'wrong-secret' });
+    if (forged.status !== 401) {
+      throw new Error(`Forged request answered ${forged.status}`);
+    }
+    console.log('✅ Forged request rejected with 401\n');
+
+    // Test 3: Pushes outside mapped sources are ignored
+    console.log('3️⃣ Testing path filter...');
+    const readmeCommit = repo.commit({ 'README.md': '# Repo v2\n' });
+    const ignored = await send(push(readmeCommit, ['README.md']));
+    const ignoredBody = await ignored.json();
+    if (ignored.status !== 202 || ignoredBody.accepted.length !== 0) {
+      throw new Error(`Unmapped push accepted: ${JSON.stringify(ignoredBody)}`);
+    }
+    console.log('✅ Unmapped change ignored\n');
+
+    // Test 4: A mapped change triggers a safe update
+    console.log('4️⃣ Testing push-triggered update...');
+    const contentCommit = repo.commit({ 'content/intro.md': '# Intro v2\n' });
+    const accepted = await send(push(contentCommit, ['content/intro.md']));
+    const acceptedBody = await accepted.json();
+    if (acceptedBody.accepted?.[0] !== 'default') {
+      throw new Error(`Push not accepted: ${JSON.stringify(acceptedBody)}`);
+    }
+    await server.idle();
+    if (readFileSync(installed, 'utf8') !== '# Intro v2\n') {
+      throw new Error('Content not updated by webhook');
+    }
+    const lock = JSON.parse(
+      readFileSync(path.join(project, 'content.lock.json'), 'utf8')
+    );
+    if (lock.repositories.default.commit !== contentCommit) {
+      throw new Error('Lockfile not updated by webhook');
+    }
+    console.log('✅ Content and lockfile updated after push\n');
+
+    // Test 5: Non-push events are acknowledged without updating
+    console.log('5️⃣ Testing non-push events...');
+    const ping = await send({ zen: 'Keep it simple' }, { event: 'ping' });
+    if (ping.status !== 202) {
+      throw new Error(`Ping answered ${ping.status}`);
+    }
+    console.log('✅ Ping acknowledged\n');
+
+    // Test 6: Pushes to several repositories are updated one at a time
+    console.log('6️⃣ Testing updates of several repositories...');
+    const runs = [];
+    let active = 0;
+    let overlapped = false;
+    const recorder = {
+      async updateContentSafely(repository) {
+        active++;
+        overlapped ||= active > 1;
+        await new Promise(resolve => setTimeout(resolve, 50));
+        runs.push(repository.name);
+        active--;
+        return contentCommit;
+      },
+      async updateLockfileEntry(repository, commitHash) {
+        runs.push(`${repository.name}@${commitHash}`);
+      },
+    };
+    const otherUrl = 'https://example.com/org/other.git';
+    const queued = new WebhookServer({
+      fetcher: recorder,
+      port: 0,
+      secret: SECRET,
+      repositories: [
+        {
+          name: 'docs',
+          REPO_URL: repo.url,
+          BRANCH: 'main',
+          CONTENT_MAPPING: { 'src/content/docs': { source: 'content' } },
+        },
+        {
+          name: 'other',
+          REPO_URL: otherUrl,
+          BRANCH: 'main',
+          CONTENT_MAPPING: { 'src/content/other': { source: 'content' } },
+        },
+      ],
+    });
+    const queuedPort = (await queued.start()).port;
+    const sendTo = payload => {
+      const body = JSON.stringify(payload);
+      return fetch(`http://127.0.0.1:${queuedPort}/webhook`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-GitHub-Event': 'push',
+          'X-Hub-Signature-256': `sha256=${signPayload(SECRET, body)}`,
+        },
+        body,
+      });
+    };
+    await Promise.all([
+      sendTo(push(contentCommit, ['content/intro.md'])),
+      sendTo({
+        ...push(contentCommit, ['content/intro.md']),
+        repository: { clone_url: otherUrl },
+      }),
+    ]);
+    await queued.stop();
+    if (
+      overlapped ||
+      runs.length !== 4 ||
+      !['docs', 'other'].every(name =>
+        runs.includes(`${name}@${contentCommit}`)
+      )
+    ) {
+      throw new Error(
+        `Updates overlapped or were skipped: ${overlapped} ${runs.join()}`
+      );
+    }
+    console.log('✅ Both repositories updated, one after the other\n');
+
+    console.log('🎉 Webhook server works!');
+  } catch (error) {
+    console.error('❌ Webhook server test failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await server?.stop();
+    process.chdir(originalCwd);
+    cleanup(project, repo.dir);
+  }
+}
+
+testWebhookServer();
@@ -69,7 +69,7 @@ async function testFileService() {
       console.log('   Path validation: ❌');
     }
 
-    // Test 6: Security validation (should fail)
+    // Security validation (should fail)
     console.log('   Security test (should reject): ');
     try {
       fileService.validateFilePath('../../../etc/passwd');
@@ -79,7 +79,7 @@ async function testFileService() {
     }
     console.log('');
 
-    // Test 7: File operations - copy and move
+    // Test 6: File operations - copy and move
     console.log('6️⃣ Testing copy and move operations...');
     const copyPath = path.join(testDir, 'test-copy.json');
     const copySuccess = await fileService.copy(testFile, copyPath);
@@ -89,7 +89,7 @@ async function testFileService() {
     const moveSuccess = await fileService.move(copyPath, movePath);
     console.log(`   File move: ${moveSuccess ? '✅' : '❌'}\n`);
 
-    // Test 8: Directory scanning
+    // Test 7: Directory scanning
     console.log('7️⃣ Testing directory scanning...');
     const files = await fileService.getFilesRecursively(testDir, {
       extensions: ['.json'],
@@ -98,8 +98,66 @@ async function testFileService() {
       `   Found ${files.length} JSON files: ${files.length >= 2 ? '✅' : '❌'}\n`
     );
 
-    // Cleanup
-    console.log('8️⃣ Testing cleanup...');
+    // Test 8: Empty directory removal stops at non-empty parents and the root
+    console.log('8️⃣ Testing empty directory removal...');
+    const nestedDir = path.join(testDir, 'nested', 'deeper');
+    await fileService.createDirectory(nestedDir);
+    const removedDirs = await fileService.removeEmptyDirectories(
+      nestedDir,
+      testDir
+    );
+    const pruned =
+      removedDirs === 2 &&
+      !fileService.exists(path.join(testDir, 'nested')) &&
+      fileService.exists(testDir);
+    console.log(`   Empty directories removed: ${pruned ? '✅' : '❌'}`);
+    const keptDirs = await fileService.removeEmptyDirectories(testDir, testDir);
+    console.log(`   Stop directory kept: ${keptDirs === 0 ? '✅' : '❌'}\n`);
+
+    // Test 9: YAML and TOML files are listed and validated by default
+    console.log('9️⃣ Testing data file validation...');
+    const dataService = new FileService();
+    const yamlFile = path.join(testDir, 'data', 'site.yaml');
+    const tomlFile = path.join(testDir, 'data', 'site.toml');
+    await dataService.write(yamlFile, 'title: Site\n');
+    await dataService.write(tomlFile, 'title = "Site"\ndraft = maybe\n');
+    const dataFiles = await dataService.getFilesRecursively(
+      path.join(testDir, 'data')
+    );
+    console.log(
+      `   Data files listed: ${dataFiles.length === 2 ? '✅' : '❌'}`
+    );
+    const validYaml = await dataService.validateFile(yamlFile);
+    const invalidToml = await dataService.validateFile(tomlFile);
+    if (
+      !validYaml.valid ||
+      invalidToml.errors[0] !==
+        `Invalid TOML in ${tomlFile}: Invalid value "maybe" (line 2)`
+    ) {
+      throw new Error(`Unexpected data file validation: ${invalidToml.errors}`);
+    }
+    console.log('   YAML and TOML validation: ✅\n');
+
+    // Test 10: Concurrent processing waits for every file, slow or not
+    console.log('🔟 Testing concurrent processing...');
+    const finished = [];
+    const processed = await fileService.processFilesConcurrently(
+      [1, 30, 1, 20, 1],
+      delay =>
+        new Promise(resolve =>
+          setTimeout(() => resolve(finished.push(delay)), delay)
+        ),
+      2
+    );
+    if (finished.length !== 5 || processed.length !== 5) {
+      throw new Error(
+        `Returned after ${finished.length} of 5 files (${processed.length} results)`
+      );
+    }
+    console.log('   All files processed before returning: ✅\n');
+
+    // Test 11: Cleanup
+    console.log('1️⃣1️⃣ Testing cleanup...');
     const cleanupSuccess = await fileService.remove(testDir);
     console.log(`   Cleanup: ${cleanupSuccess ? '✅' : '❌'}\n`);
 
@@ -45,18 +45,48 @@ async function testGitService() {
     );
     console.log('✅ URL validation works\n');
 
-    // Test 3: Safe execution (with harmless command)
-    console.log('3️⃣ Testing safe execution...');
-    const result = await gitService.safeExec('git --version', { silent: true });
-    if (result.success && result.output.includes('git version')) {
-      console.log('✅ Safe execution works');
-      console.log(`   Git version: ${result.output.trim()}\n`);
-    } else {
-      console.log('❌ Safe execution failed\n');
+    // Test 3: Argv-based execution (with harmless command)
+    console.log('3️⃣ Testing command execution...');
+    const chunks = [];
+    const result = await gitService.exec(['--version'], {
+      silent: true,
+      onStdout: chunk => chunks.push(chunk),
+    });
+    if (
+      !result.success ||
+      result.code !== 0 ||
+      !result.output.includes('git version') ||
+      chunks.join('') !== result.stdout
+    ) {
+      throw new Error('Command execution or output streaming failed');
+    }
+    console.log('✅ Command execution works');
+    console.log(`   Git version: ${result.output.trim()}\n`);
+
+    // Test 4: Arguments are never interpreted by a shell
+    console.log('4️⃣ Testing shell-free arguments...');
+    const injected = await gitService.exec(
+      ['rev-parse', '--verify', '$(touch injected)'],
+      { silent: true }
+    );
+    if (injected.success || !/exited with code 128/.test(injected.error)) {
+      throw new Error('Expected structured failure for unknown revision');
+    }
+    console.log(`✅ Structured failure: ${injected.error}\n`);
+
+    // Test 5: Inactivity timeout
+    console.log('5️⃣ Testing inactivity timeout...');
+    const stalled = await gitService.exec(
+      ['-c', 'alias.stall=!sleep 1', 'stall'],
+      { silent: true, timeout: 200 }
+    );
+    if (stalled.success || !stalled.timedOut) {
+      throw new Error('Silent command was not stopped by inactivity timeout');
     }
+    console.log(`✅ ${stalled.error}\n`);
 
-    // Test 4: Test with the actual content repo (read-only)
-    console.log('4️⃣ Testing remote commit hash retrieval...');
+    // Test 6: Test with the actual content repo (read-only)
+    console.log('6️⃣ Testing remote commit hash retrieval...');
     try {
       const repoUrl = 'git@github.com:jantonca/example-test-content.git';
       const commitHash = await gitService.getRemoteCommitHash(
@@ -184,6 +184,24 @@ title: Test
     if (invalidMdxResult.valid) {
       throw new Error('Invalid MDX accepted');
     }
+    if (invalidMdxResult.errors[0] !== '1:1: Unclosed <div> element') {
+      throw new Error(`Unexpected MDX error: ${invalidMdxResult.errors[0]}`);
+    }
+
+    const codeMdx = validationService.validateMdxContent(
+      '# Types\n\nUse `Array<string>`, see <https://example.com>.\n\n```html\n<div>\n```\n'
+    );
+    if (!codeMdx.valid) {
+      throw new Error(`Code reported as JSX: ${codeMdx.errors.join(', ')}`);
+    }
+
+    const markdownSyntax = validationService.validateMarkdownSyntax(
+      'Raw <div> HTML\n',
+      'notes.md'
+    );
+    if (!markdownSyntax.valid) {
+      throw new Error('Raw HTML in markdown rejected');
+    }
 
     console.log('✅ MDX content validation works');
 
@@ -236,6 +254,94 @@ title: Test
 
     console.log('✅ Content mapping validation works');
 
+    // Test 11: Frontmatter and data schema validation
+    console.log('\n1️⃣1️⃣ Testing content schema validation...');
+
+    const schema = {
+      type: 'object',
+      required: ['title', 'date'],
+      properties: {
+        title: { type: 'string' },
+        date: { type: 'string', format: 'date' },
+        status: { enum: ['draft', 'published'] },
+      },
+    };
+
+    const validPost = validationService.validateContentSchema(
+      '---\ntitle: Hello\ndate: 2024-01-05\n---\n# Hello\n',
+      'post.md',
+      schema
+    );
+    if (!validPost.valid) {
+      throw new Error(
+        `Valid frontmatter rejected: ${validPost.errors[0]?.message}`
+      );
+    }
+
+    const invalidPost = validationService.validateContentSchema(
+      '---\ntitle: 42\nstatus: archived\n---\n',
+      'post.mdx',
+      schema
+    );
+    const reported = invalidPost.errors
+      .map(error => `${error.line} ${error.field} ${error.message}`)
+      .join('; ');
+    if (
+      reported !==
+      '1 date is required; 2 title must be string (got integer); 3 status must be one of: "draft", "published"'
+    ) {
+      throw new Error(`Unexpected frontmatter errors: ${reported}`);
+    }
+
+    const invalidData = validationService.validateContentSchema(
+      '{\n  "title": "Data",\n  "date": "2024-13-01"\n}\n',
+      'data.json',
+      schema
+    );
+    if (invalidData.errors[0]?.line !== 3) {
+      throw new Error('Data error not reported on its line');
+    }
+
+    const brokenYaml = validationService.validateContentSchema(
+      'title: a\ntitle: b\n',
+      'data.yaml',
+      schema
+    );
+    if (
+      brokenYaml.errors[0]?.line !== 2 ||
+      !brokenYaml.errors[0].message.startsWith('Invalid YAML')
+    ) {
+      throw new Error('YAML syntax error not reported on its line');
+    }
+
+    console.log('✅ Content schema validation works');
+
+    // Test 12: YAML and TOML content validation
+    console.log('\n1️⃣2️⃣ Testing YAML and TOML validation...');
+    const validYaml = validationService.validateYamlContent('title: Site\n');
+    const invalidYaml = validationService.validateYamlContent('a: 1\na: 2\n');
+    if (
+      !validYaml.valid ||
+      invalidYaml.errors[0] !== 'Invalid YAML: Duplicate key "a" (line 2)'
+    ) {
+      throw new Error(`Unexpected YAML result: ${invalidYaml.errors}`);
+    }
+
+    const validToml = validationService.validateTomlContent(
+      'title = "Site"\n[author]\nname = "Jane"\n'
+    );
+    const invalidToml = validationService.validateTomlContent(
+      'title = "Site"\ntags = [1, 2\n'
+    );
+    if (!validToml.valid || !/\(line 3\)$/.test(invalidToml.errors[0])) {
+      throw new Error(`Unexpected TOML result: ${invalidToml.errors}`);
+    }
+    if (!new ValidationService().allowedExtensions.includes('.toml')) {
+      throw new Error('TOML files not allowed by default');
+    }
+
+    console.log('✅ YAML and TOML validation works');
+
     console.log('\n🎉 ValidationService migration successful!');
     console.log('✅ All core functionality working as expected');
   } catch (error) {
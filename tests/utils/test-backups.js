@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/**
+ * Test backup ids, retention selection and listing format
+ */
+
+import {
+  createBackupId,
+  selectExpiredBackups,
+  formatBackupTable,
+} from '../../src/utils/backups.js';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = Date.parse('2026-10-19T12:00:00.000Z');
+const backup = (id, daysAgo) => ({
+  id,
+  repository: 'default',
+  commit: `${id}${'0'.repeat(40)}`.substring(0, 40),
+  createdAt: new Date(now - daysAgo * DAY_MS).toISOString(),
+  fileCount: 3,
+});
+
+console.log('🧪 Testing backup helpers...\n');
+
+try {
+  // Test 1: Backup ids
+  console.log('1️⃣ Testing backup ids...');
+  const id = createBackupId(new Date(now), '3f2a9c1b5e6d7f8091a2b3c4d5e6f708');
+  assert(id === '20261019-120000-3f2a9c1b', `Unexpected id ${id}`);
+  assert(
+    createBackupId(new Date(now)).endsWith('-unknown'),
+    'Missing commit not marked'
+  );
+  assert(
+    createBackupId(new Date(now - 1000)) < createBackupId(new Date(now)),
+    'Ids do not sort by time'
+  );
+  console.log('✅ Ids are sortable and carry the commit\n');
+
+  // Test 2: Retention by count and age
+  console.log('2️⃣ Testing retention...');
+  const backups = [
+    backup('b', 2),
+    backup('a', 1),
+    backup('d', 40),
+    backup('c', 10),
+  ];
+  const byCount = selectExpiredBackups(backups, { maxCount: 2, now });
+  assert(
+    byCount.map(entry => entry.id).join() === 'c,d',
+    `Count retention kept ${byCount.map(entry => entry.id)}`
+  );
+  const byAge = selectExpiredBackups(backups, { retentionDays: 7, now });
+  assert(
+    byAge.map(entry => entry.id).join() === 'c,d',
+    'Age retention differs'
+  );
+  const both = selectExpiredBackups(backups, {
+    maxCount: 3,
+    retentionDays: 30,
+    now,
+  });
+  assert(both.map(entry => entry.id).join() === 'd', 'Combined retention');
+  const latest = selectExpiredBackups([backup('old', 90)], {
+    maxCount: 1,
+    retentionDays: 7,
+    now,
+  });
+  assert(latest.length === 0, 'Newest backup expired');
+  assert(
+    selectExpiredBackups(backups, { now }).length === 0,
+    'Backups expired without a policy'
+  );
+  console.log('✅ Count and age limits applied, newest backup kept\n');
+
+  // Test 3: Listing
+  console.log('3️⃣ Testing backup table...');
+  const table = formatBackupTable([
+    { ...backup('a', 1), id: '20261018-120000-a0000000' },
+    { ...backup('b', 2), id: '20261017-120000-unknown', commit: null },
+  ]);
+  const lines = table.split('\n');
+  assert(lines[0].startsWith('ID'), 'Header missing');
+  assert(
+    lines[1].includes('a0000000') && lines[1].includes('2026-10-18 12:00:00Z'),
+    `Row not formatted: ${lines[1]}`
+  );
+  assert(/ - /.test(lines[2]), 'Missing commit not shown as -');
+  assert(formatBackupTable([]) === 'No backups found', 'Empty listing');
+  console.log('✅ Backups listed\n');
+
+  console.log('🎉 Backup helpers work!');
+} catch (error) {
+  console.error('❌ Backup helpers test failed:', error.message);
+  process.exit(1);
+}
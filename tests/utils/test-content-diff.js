@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+
+/**
+ * Test diff parsing, grouping by content mapping and formatting
+ */
+
+import {
+  parseNameStatus,
+  getMappedDestination,
+  groupChangesByMapping,
+  summarizeChanges,
+  formatDiffTable,
+  formatDiffMarkdown,
+} from '../../src/utils/content-diff.js';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+const mappings = [
+  {
+    key: 'src/content/docs',
+    type: 'folder',
+    source: './content/docs/',
+    destination: 'src/content/docs',
+    files: [],
+  },
+  {
+    key: 'src/content/blog',
+    type: 'selective',
+    source: 'blog',
+    destination: 'src/content/blog',
+    files: ['welcome.md'],
+  },
+  {
+    key: 'src/data/site.json',
+    type: 'file',
+    source: 'data/site.json',
+    destination: 'src/data/site.json',
+    files: [],
+  },
+];
+
+console.log('🧪 Testing content diff helpers...\n');
+
+try {
+  // Test 1: name-status parsing
+  console.log('1️⃣ Testing name-status parsing...');
+  const changes = parseNameStatus(
+    [
+      'M',
+      'content/docs/intro.md',
+      'A',
+      'content/docs/new file.md',
+      'D',
+      'blog/welcome.md',
+      'R087',
+      'content/docs/setup.md',
+      'content/docs/guide/install.md',
+      'R100',
+      'content/docs/legacy.md',
+      'archive/legacy.md',
+      'T',
+      'data/site.json',
+      'M',
+      'README.md',
+      '',
+    ].join('\0')
+  );
+  assert(changes.length === 7, `Parsed ${changes.length} changes`);
+  assert(changes[1].path === 'content/docs/new file.md', 'Spaces mangled');
+  assert(
+    changes[3].status === 'renamed' &&
+      changes[3].previousPath === 'content/docs/setup.md' &&
+      changes[3].similarity === 87,
+    'Rename not parsed'
+  );
+  assert(changes[5].status === 'modified', 'Type change not a modification');
+  assert(parseNameStatus('').length === 0, 'Empty diff not empty');
+  console.log('✅ Added, modified, deleted and renamed files parsed\n');
+
+  // Test 2: Destination paths
+  console.log('2️⃣ Testing destination mapping...');
+  assert(
+    getMappedDestination(mappings[0], 'content/docs/guide/a.md') ===
+      'src/content/docs/guide/a.md',
+    'Folder destination'
+  );
+  assert(
+    getMappedDestination(mappings[0], 'content/docs-old/a.md') === null,
+    'Sibling folder matched by prefix'
+  );
+  assert(
+    getMappedDestination(mappings[1], 'blog/draft.md') === null,
+    'Unlisted selective file mapped'
+  );
+  assert(
+    getMappedDestination(
+      { ...mappings[1], files: ['api/*.md'] },
+      'blog/api/auth.md'
+    ) === 'src/content/blog/api/auth.md',
+    'Selective glob entry not mapped'
+  );
+  assert(
+    getMappedDestination(mappings[2], 'data/site.json') ===
+      'src/data/site.json',
+    'File destination'
+  );
+  console.log('✅ Folder, selective and file mappings resolved\n');
+
+  // Test 3: Grouping
+  console.log('3️⃣ Testing grouping by mapping...');
+  const [docs, blog, data] = groupChangesByMapping(changes, mappings);
+  assert(docs.changes.length === 4, `Docs has ${docs.changes.length} changes`);
+  const rename = docs.changes.find(change => change.status === 'renamed');
+  assert(
+    rename.previousDestination === 'src/content/docs/setup.md' &&
+      rename.destination === 'src/content/docs/guide/install.md',
+    'Rename destinations not mapped'
+  );
+  const movedOut = docs.changes.find(
+    change => change.path === 'content/docs/legacy.md'
+  );
+  assert(
+    movedOut?.status === 'deleted',
+    'Rename out of the mapping not a deletion'
+  );
+  assert(blog.summary.deleted === 1, 'Selective deletion not counted');
+  assert(data.changes[0].destination === 'src/data/site.json', 'File change');
+  const summary = summarizeChanges(
+    [docs, blog, data].flatMap(mapping => mapping.changes)
+  );
+  assert(
+    summary.added === 1 &&
+      summary.modified === 2 &&
+      summary.deleted === 2 &&
+      summary.renamed === 1,
+    `Unexpected summary ${JSON.stringify(summary)}`
+  );
+  console.log('✅ Changes grouped with their destinations\n');
+
+  // Test 4: Formatting
+  console.log('4️⃣ Testing table and markdown output...');
+  const diffs = [
+    {
+      name: 'docs',
+      from: 'a'.repeat(40),
+      to: 'b'.repeat(40),
+      mappings: [docs, blog, data],
+      summary,
+    },
+  ];
+  const table = formatDiffTable(diffs);
+  assert(table.includes('aaaaaaaa → bbbbbbbb'), 'Commits missing from table');
+  assert(
+    table.includes(
+      'src/content/docs/setup.md → src/content/docs/guide/install.md'
+    ),
+    'Rename missing from table'
+  );
+  const markdown = formatDiffMarkdown(diffs);
+  assert(markdown.includes('| Status | Source | Destination |'), 'No header');
+  assert(
+    markdown.includes('| deleted | `blog/welcome.md` |'),
+    'Deletion row missing'
+  );
+  assert(
+    formatDiffTable([{ ...diffs[0], mappings: [], summary: {} }]).includes(
+      'no changes'
+    ),
+    'Empty diff not described'
+  );
+  console.log('✅ Table and markdown formatted\n');
+
+  console.log('🎉 Content diff helpers work!');
+} catch (error) {
+  console.error('❌ Content diff test failed:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+/**
+ * Test glob matching for mapping pattern / exclude filters
+ */
+
+import {
+  isGlobPattern,
+  expandBraces,
+  matchesGlob,
+  createGlobFilter,
+  toGitignorePatterns,
+} from '../../src/utils/glob.js';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+console.log('🧪 Testing glob helpers...\n');
+
+try {
+  // Test 1: Brace expansion
+  console.log('1️⃣ Testing brace expansion...');
+  const expanded = expandBraces('**/*.{md,mdx}');
+  assert(
+    expanded.join() === '**/*.md,**/*.mdx',
+    `Unexpected expansion ${expanded}`
+  );
+  assert(
+    expandBraces('{a,b}/{c,d}').length === 4,
+    'Nested alternatives not expanded'
+  );
+  assert(
+    isGlobPattern('api/*.md') && isGlobPattern('{a,b}.md'),
+    'Pattern not detected'
+  );
+  assert(!isGlobPattern('guides/intro.md'), 'Literal path taken as pattern');
+  console.log('✅ Alternatives expanded\n');
+
+  // Test 2: Wildcards
+  console.log('2️⃣ Testing wildcards...');
+  assert(matchesGlob('guide/intro.md', '**/*.md'), '** across directories');
+  assert(matchesGlob('intro.md', '**/*.md'), '** matching no directory');
+  assert(!matchesGlob('guide/intro.md', 'guide/*.mdx'), 'Extension ignored');
+  assert(!matchesGlob('guide/a/intro.md', 'guide/*.md'), '* crossed a slash');
+  assert(matchesGlob('v1.md', 'v?.md'), '? not matched');
+  assert(matchesGlob('v2.md', 'v[0-9].md'), 'Character class not matched');
+  assert(
+    matchesGlob('v1.md', 'v[!a-z].md') && !matchesGlob('vx.md', 'v[!a-z].md'),
+    'Negated class not matched'
+  );
+  assert(!matchesGlob('aXb.md', 'a.b.md'), '. not matched literally');
+  console.log('✅ **, *, ? and classes matched\n');
+
+  // Test 3: Patterns without a slash match file names at any depth
+  console.log('3️⃣ Testing basename patterns...');
+  assert(matchesGlob('drafts/deep/draft-1.md', 'draft-*.md'), 'Not anchored');
+  assert(!matchesGlob('drafts/notes.md', 'drafts'), 'Directory matched file');
+  assert(matchesGlob('./guide/intro.md', '/guide/*.md'), 'Leading / kept');
+  console.log('✅ Basename patterns anchored like .gitignore\n');
+
+  // Test 4: Mapping filters
+  console.log('4️⃣ Testing mapping filters...');
+  const filter = createGlobFilter({
+    pattern: ['**/*.{md,png}'],
+    exclude: ['**/draft-*.md'],
+  });
+  assert(filter('guide/intro.md') && filter('img/hero.png'), 'Included');
+  assert(!filter('guide/draft-intro.md'), 'Excluded file included');
+  assert(!filter('data.json'), 'File outside the pattern included');
+  const excludeOnly = createGlobFilter({ exclude: ['*.tmp'] });
+  assert(excludeOnly('a/b.md') && !excludeOnly('a/b.tmp'), 'Exclude only');
+  assert(createGlobFilter()('anything'), 'No filters should include all');
+  console.log('✅ Include and exclude combined\n');
+
+  // Test 5: .gitignore entries
+  console.log('5️⃣ Testing .gitignore entries...');
+  assert(
+    toGitignorePatterns('src/content/docs/').join() === 'src/content/docs',
+    'Unfiltered destination not ignored as a whole'
+  );
+  const entries = toGitignorePatterns('docs', {
+    pattern: ['**/*.{md,png}'],
+    exclude: ['draft-*.md'],
+  });
+  assert(
+    entries.join() === 'docs/**/*.md,docs/**/*.png,!docs/**/draft-*.md',
+    `Unexpected entries ${entries}`
+  );
+  const negated = toGitignorePatterns('docs', { exclude: ['local/**'] });
+  assert(
+    negated.join() === 'docs/**,!docs/**/,!docs/local/**',
+    `Unexpected exclude-only entries ${negated}`
+  );
+  console.log('✅ Filters translated to .gitignore entries\n');
+
+  console.log('🎉 Glob helpers work!');
+} catch (error) {
+  console.error('❌ Glob helpers test failed:', error.message);
+  process.exit(1);
+}
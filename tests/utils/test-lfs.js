@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+/**
+ * Test Git LFS pointer detection
+ */
+
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import {
+  parseLfsPointer,
+  isLfsPointer,
+  findLfsPointers,
+} from '../../src/utils/lfs.js';
+
+const POINTER = [
+  'version https://git-lfs.github.com/spec/v1',
+  `oid sha256:${'a'.repeat(64)}`,
+  'size 52431',
+  '',
+].join('\n');
+
+console.log('🧪 Testing Git LFS pointer detection...\n');
+
+const dir = mkdtempSync(path.join(tmpdir(), 'lfs-test-'));
+
+try {
+  // Test 1: Pointer parsing
+  console.log('1️⃣ Testing pointer parsing...');
+  const pointer = parseLfsPointer(POINTER);
+  if (pointer?.size !== 52431 || pointer.oid !== 'a'.repeat(64)) {
+    throw new Error('Pointer not parsed');
+  }
+  if (!isLfsPointer(Buffer.from(POINTER))) {
+    throw new Error('Buffer pointer not detected');
+  }
+  if (isLfsPointer('# version https://git-lfs.github.com/spec/v1\n')) {
+    throw new Error('Markdown mentioning the spec detected as pointer');
+  }
+  if (isLfsPointer(POINTER.replace(/^oid .*$/m, ''))) {
+    throw new Error('Pointer without oid accepted');
+  }
+  console.log('✅ Pointers parsed and validated\n');
+
+  // Test 2: Finding pointers among files
+  console.log('2️⃣ Testing pointer file detection...');
+  const files = {
+    'hero.png': POINTER,
+    'guide.md': '# Guide\n',
+    'large.pdf': `${POINTER}${'x'.repeat(2048)}`,
+  };
+  for (const [name, content] of Object.entries(files)) {
+    writeFileSync(path.join(dir, name), content);
+  }
+  const found = await findLfsPointers(
+    [...Object.keys(files), 'missing.png'].map(name => path.join(dir, name))
+  );
+  if (found.length !== 1 || path.basename(found[0]) !== 'hero.png') {
+    throw new Error(`Unexpected pointers: ${found.join(', ')}`);
+  }
+  console.log('✅ Only the pointer file was reported\n');
+
+  console.log('🎉 Git LFS pointer detection works!');
+} catch (error) {
+  console.error('❌ LFS test failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  rmSync(dir, { recursive: true, force: true });
+}
@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+/**
+ * Test local reference resolution for link checking
+ */
+
+import {
+  findBrokenReferences,
+  getLocalReferencePath,
+  getReferenceCandidates,
+} from '../../src/utils/links.js';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+console.log('🧪 Testing link checking helpers...\n');
+
+try {
+  // Test 1: Only relative references are checked
+  console.log('1️⃣ Testing local reference paths...');
+  for (const url of [
+    'https://example.com/a.md',
+    'mailto:team@example.com',
+    '//cdn.example.com/a.png',
+    '/docs/intro',
+    '#install',
+    '?tab=npm',
+  ]) {
+    assert(getLocalReferencePath(url) === null, `${url} should be skipped`);
+  }
+  assert(
+    getLocalReferencePath('./My%20Guide.md?raw#install') === './My Guide.md',
+    'Query and fragment should be stripped and the path decoded'
+  );
+  assert(
+    getLocalReferencePath('@theme/Tabs', 'import') === null &&
+      getLocalReferencePath('../Chart', 'import') === '../Chart',
+    'Only relative imports should be checked'
+  );
+  console.log('✅ External, absolute and fragment-only URLs skipped\n');
+
+  // Test 2: Extension and index fallbacks
+  console.log('2️⃣ Testing candidates...');
+  assert(
+    JSON.stringify(getReferenceCandidates('docs/guide', 'link')) ===
+      JSON.stringify([
+        'docs/guide',
+        'docs/guide.md',
+        'docs/guide.mdx',
+        'docs/guide/index.md',
+        'docs/guide/index.mdx',
+      ]),
+    'Links should fall back to markdown files and index pages'
+  );
+  assert(
+    getReferenceCandidates('img/a.png', 'image').length === 1,
+    'Images must match exactly'
+  );
+  assert(
+    getReferenceCandidates('docs/Chart', 'import').includes('docs/Chart.jsx'),
+    'Imports should fall back to script extensions'
+  );
+  console.log('✅ Extensionless links and imports resolved\n');
+
+  // Test 3: Broken references of a file
+  console.log('3️⃣ Testing broken references...');
+  const files = new Set([
+    'site/docs/intro.md',
+    'site/docs/guide/index.mdx',
+    'site/img/logo.png',
+    'site/docs/Chart.tsx',
+  ]);
+  const broken = findBrokenReferences(
+    `import Chart from './Chart';
+import Gone from './Gone';
+
+See [intro](./intro.md#top), [guide](guide/), [old](../old.md) and
+[web](https://example.com).
+
+![Logo](../img/logo.png) <img src="../img/missing.png" />
+
+[ref]: ./intro
+`,
+    'site/docs/page.mdx',
+    file => files.has(file)
+  );
+  assert(
+    JSON.stringify(
+      broken.map(({ kind, target, line, column }) => [
+        kind,
+        target,
+        line,
+        column,
+      ])
+    ) ===
+      JSON.stringify([
+        ['import', 'site/docs/Gone', 2, 19],
+        ['link', 'site/old.md', 4, 47],
+        ['image', 'site/img/missing.png', 7, 36],
+      ]),
+    `Unexpected broken references ${JSON.stringify(broken)}`
+  );
+  console.log('✅ Missing imports, links and images located\n');
+
+  console.log('🎉 Link checking helpers work!');
+} catch (error) {
+  console.error('❌ Link checking helpers test failed:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+
+/**
+ * Test markdown and MDX parsing: diagnostics, headings, links and imports
+ */
+
+import { parseMarkdown } from '../../src/utils/markdown.js';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+const describe = diagnostics =>
+  diagnostics.map(
+    ({ line, column, message }) => `${line}:${column} ${message}`
+  );
+
+console.log('🧪 Testing markdown and MDX parsing...\n');
+
+try {
+  // Test 1: Valid MDX, with markup inside code and autolinks
+  console.log('1️⃣ Testing valid MDX...');
+  const valid = parseMarkdown(
+    `---
+title: Test
+---
+import { Tabs, TabItem } from '@theme/Tabs';
+import Chart from './chart.jsx'
+export const meta = { tags: ['a', 'b'] };
+
+# Hello {props.name}
+
+Use \`Array<string>\` or \`<div>\` inline, see <https://example.com>.
+
+\`\`\`html
+<div>unclosed inside a fence
+\`\`\`
+
+<Tabs groupId="install">
+  <TabItem value="npm" label={"npm"}>
+
+  Content with [a link](./other.md) and ![an image](../assets/a.png "Title").
+
+  </TabItem>
+</Tabs>
+
+{/* comment */}
+<br />
+<>fragment</>
+`,
+    { mdx: true }
+  );
+  assert(
+    valid.diagnostics.length === 0,
+    `Unexpected diagnostics: ${describe(valid.diagnostics).join('; ')}`
+  );
+  console.log('✅ Code, autolinks, JSX and expressions accepted\n');
+
+  // Test 2: Broken MDX is reported with line and column
+  console.log('2️⃣ Testing MDX errors...');
+  const broken = parseMarkdown(
+    `import { a b } from 'x'
+import from
+
+<Callout>
+Text <b>bold</i>
+{foo(}
+<img src="a.png">
+a < b
+<!-- comment -->
+`,
+    { mdx: true }
+  );
+  const expected = [
+    '1:1 Invalid import specifier `a b`',
+    '2:1 Could not parse import statement',
+    '4:1 Unclosed <Callout> element',
+    '5:6 Unclosed <b> element',
+    '5:13 Unexpected closing tag </i>',
+    '6:6 Unexpected `}`, expected `)` in expression',
+    '7:1 Unclosed <img> tag (use <img /> in MDX)',
+    '8:4 Unexpected character after `<`, expected a tag name (use `&lt;` for a literal `<`)',
+    '9:1 HTML comments are not supported in MDX, use {/* comment */}',
+  ];
+  const reported = describe(broken.diagnostics);
+  assert(
+    reported.join('\n') === expected.join('\n'),
+    `Unexpected diagnostics:\n${reported.join('\n')}`
+  );
+  assert(
+    describe(
+      parseMarkdown('<Note>\n<Tip>\n</Note>\n', { mdx: true }).diagnostics
+    ).join() === '3:1 Expected a closing tag for <Tip> (2:1) before </Note>',
+    'Mismatched closing tag not reported'
+  );
+  console.log('✅ JSX, expression and ESM errors located\n');
+
+  // Test 3: Plain markdown does not check HTML
+  console.log('3️⃣ Testing plain markdown...');
+  const markdown = parseMarkdown(
+    `# Title
+
+Intro with <div> and Array<string> and {braces}.
+
+    indented <code>
+
+Setext
+------
+
+[Docs](./docs.md) <img src="logo.png"> <!-- note -->
+
+[ref]: ../reference.md
+
+\`\`\`
+never closed
+`
+  );
+  assert(
+    describe(markdown.diagnostics).join() === '14:1 Code fence is never closed',
+    `Unexpected markdown diagnostics: ${describe(markdown.diagnostics)}`
+  );
+  assert(
+    markdown.diagnostics[0].severity === 'warning',
+    'Unclosed fence should be a warning'
+  );
+  console.log('✅ Raw HTML accepted, unclosed fence is a warning\n');
+
+  // Test 4: Headings, links, imports and text
+  console.log('4️⃣ Testing extracted content...');
+  assert(
+    JSON.stringify(markdown.headings) ===
+      JSON.stringify([
+        { depth: 1, text: 'Title', line: 1 },
+        { depth: 2, text: 'Setext', line: 7 },
+      ]),
+    `Unexpected headings ${JSON.stringify(markdown.headings)}`
+  );
+  assert(
+    JSON.stringify(
+      markdown.links.map(link => [link.kind, link.url, link.line, link.column])
+    ) ===
+      JSON.stringify([
+        ['link', './docs.md', 10, 1],
+        ['image', 'logo.png', 10, 29],
+        ['definition', '../reference.md', 12, 8],
+      ]),
+    `Unexpected links ${JSON.stringify(markdown.links)}`
+  );
+  assert(
+    JSON.stringify(valid.imports.map(entry => [entry.source, entry.line])) ===
+      JSON.stringify([
+        ['@theme/Tabs', 4],
+        ['./chart.jsx', 5],
+      ]),
+    `Unexpected imports ${JSON.stringify(valid.imports)}`
+  );
+  assert(
+    valid.links.some(link => link.kind === 'image' && link.text === 'an image'),
+    'Image alt text not recorded'
+  );
+  assert(
+    markdown.text.startsWith('Title\nIntro with'),
+    `Unexpected text ${JSON.stringify(markdown.text)}`
+  );
+  console.log('✅ Headings, links, imports and text extracted\n');
+
+  console.log('🎉 Markdown and MDX parsing works!');
+} catch (error) {
+  console.error('❌ Markdown parsing test failed:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+
+/**
+ * Test navigation helpers: page entries, folder metadata, ordering and
+ * merging with a hand-written sidebar
+ */
+
+import {
+  buildNavigationTree,
+  createNavigationItem,
+  getTransformNavigation,
+  mergeSidebar,
+  normalizeNavigationOptions,
+  parseCategoryMetadata,
+} from '../../src/utils/navigation.js';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+const page = (path, content) =>
+  createNavigationItem(content, { path, collection: 'docs' });
+
+console.log('🧪 Testing navigation helpers...\n');
+
+try {
+  // Test 1: Options
+  console.log('1️⃣ Testing navigation options...');
+  assert(normalizeNavigationOptions(undefined) === null, 'Unset should be off');
+  assert(
+    JSON.stringify(normalizeNavigationOptions(true)) ===
+      '{"output":null,"sidebar":null,"baseUrl":""}',
+    'true should use the defaults'
+  );
+  assert(
+    normalizeNavigationOptions({ baseUrl: '/site/' }).baseUrl === '/site',
+    'Trailing slashes should be trimmed from the base URL'
+  );
+  let rejected = false;
+  try {
+    normalizeNavigationOptions('sidebar.json');
+  } catch {
+    rejected = true;
+  }
+  assert(rejected, 'Strings should be rejected');
+  assert(
+    getTransformNavigation([{ name: 'frontmatter', options: {} }]) ===
+      undefined,
+    'Other transform steps should leave navigation off'
+  );
+  assert(
+    JSON.stringify(
+      getTransformNavigation([
+        { name: 'navigation', options: { baseUrl: '/v2' } },
+        { name: 'hierarchy', options: {} },
+      ])
+    ) === '{"baseUrl":"/v2"}',
+    'navigation and hierarchy steps should turn navigation on'
+  );
+  console.log('✅ true, objects, transform flags and invalid values handled\n');
+
+  // Test 2: Page entries
+  console.log('2️⃣ Testing page entries...');
+  const setup = page(
+    'guide/setup.md',
+    '---\ntitle: Setup\nsidebar_label: Install\nsidebar_position: 2\n---\n# Setup\n'
+  );
+  assert(
+    JSON.stringify(setup) ===
+      JSON.stringify({
+        type: 'doc',
+        id: 'guide/setup',
+        label: 'Install',
+        url: '/docs/guide/setup',
+        path: 'guide/setup.md',
+        position: 2,
+      }),
+    `Unexpected entry ${JSON.stringify(setup)}`
+  );
+  const labels = [
+    page('guide/usage.mdx', '---\norder: "1"\n---\n# Using it\n'),
+    page('getting-started/index.md', 'No heading.\n'),
+    page('release_notes.md', 'Text\n'),
+  ].map(entry => `${entry.label}@${entry.position}`);
+  assert(
+    labels.join() === 'Using it@1,getting started@null,release notes@null',
+    `Unexpected labels ${labels.join()}`
+  );
+  assert(
+    page('draft.md', '---\ndraft: true\n---\n') === null,
+    'Drafts should be left out'
+  );
+  console.log('✅ Labels, positions and drafts handled\n');
+
+  // Test 3: Folder metadata
+  console.log('3️⃣ Testing folder metadata...');
+  const metadata = parseCategoryMetadata(
+    '{ "label": "Guides", "position": 1, "collapsed": false, "extra": 1 }',
+    '_category_.json'
+  );
+  assert(
+    JSON.stringify(metadata) ===
+      '{"label":"Guides","position":1,"collapsed":false}',
+    `Unexpected metadata ${JSON.stringify(metadata)}`
+  );
+  assert(
+    parseCategoryMetadata('label: API\n', '_category_.yml').label === 'API',
+    'YAML metadata should be read'
+  );
+  console.log('✅ JSON and YAML metadata read\n');
+
+  // Test 4: Trees
+  console.log('4️⃣ Testing navigation trees...');
+  const documents = [
+    page('intro.md', '---\nsidebar_position: 1\n---\n# Introduction\n'),
+    page('faq.md', '# FAQ\n'),
+    page('guide/index.md', '# The Guide\n'),
+    setup,
+    page('guide/usage.mdx', '---\norder: 1\n---\n# Usage\n'),
+    page('guide/advanced/tips.md', '# Tips\n'),
+    page('api/client.md', '# Client\n'),
+  ];
+  const tree = buildNavigationTree(documents, {
+    guide: { position: 2, collapsed: true },
+    api: { label: 'API Reference' },
+  });
+  const outline = items =>
+    items
+      .map(item =>
+        item.type === 'doc'
+          ? item.id
+          : !item.items
+            ? item.label
+            : `${item.label}${item.link ? `->${item.link.id}` : ''}(${outline(item.items)})`
+      )
+      .join(' ');
+  assert(
+    outline(tree) ===
+      'intro The Guide->guide/index(guide/usage guide/setup advanced(guide/advanced/tips)) API Reference(api/client) faq',
+    `Unexpected tree ${outline(tree)}`
+  );
+  assert(tree[1].collapsed === true, 'collapsed should be kept');
+  console.log('✅ Folders nested and ordered by position, then name\n');
+
+  // Test 5: Hand-written sidebars
+  console.log('5️⃣ Testing sidebar merging...');
+  const appended = mergeSidebar(tree, [
+    'faq',
+    { type: 'doc', id: 'guide/setup', label: 'Installation' },
+    { type: 'link', label: 'GitHub', href: 'https://github.com' },
+    'removed',
+  ]);
+  assert(
+    outline(appended.items) ===
+      'faq guide/setup GitHub intro The Guide->guide/index(guide/usage advanced(guide/advanced/tips)) API Reference(api/client)',
+    `Unexpected merged sidebar ${outline(appended.items)}`
+  );
+  assert(
+    appended.items[1].label === 'Installation' &&
+      appended.items[1].url === '/docs/guide/setup',
+    'Sidebar labels should win over generated ones'
+  );
+  assert(
+    appended.unknown.join() === 'removed',
+    'Unknown pages should be reported'
+  );
+  const expanded = mergeSidebar(tree, {
+    items: [
+      {
+        type: 'category',
+        label: 'Start',
+        items: ['intro', 'guide/index'],
+      },
+      { type: 'autogenerated', dirName: 'guide' },
+    ],
+  });
+  assert(
+    outline(expanded.items) ===
+      'Start(intro guide/index) guide/usage guide/setup advanced(guide/advanced/tips)',
+    `Unexpected expanded sidebar ${outline(expanded.items)}`
+  );
+  let invalid = false;
+  try {
+    mergeSidebar(tree, { docs: [] });
+  } catch {
+    invalid = true;
+  }
+  assert(invalid, 'Sidebars without items should be rejected');
+  console.log('✅ Sidebar order and labels kept, remaining pages merged\n');
+
+  console.log('🎉 Navigation helpers work!');
+} catch (error) {
+  console.error('❌ Navigation helpers test failed:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+/**
+ * Test mapping path rewrite rules and collision detection
+ */
+
+import {
+  slugify,
+  normalizeRewriteRules,
+  rewritePath,
+  findPathCollisions,
+} from '../../src/utils/path-rewrite.js';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+const rewrite = (file, rules) =>
+  rewritePath(file, normalizeRewriteRules(rules));
+
+console.log('🧪 Testing path rewrite helpers...\n');
+
+try {
+  // Test 1: Slugs
+  console.log('1️⃣ Testing slugify...');
+  assert(slugify('Title Case Names') === 'title-case-names', 'Spaces');
+  assert(slugify('Crème Brûlée!') === 'creme-brulee', 'Accents');
+  assert(slugify('  --Q&A 2024-- ') === 'q-a-2024', 'Punctuation');
+  console.log('✅ Slugs are lowercase kebab-case\n');
+
+  // Test 2: Individual rules
+  console.log('2️⃣ Testing rules...');
+  assert(
+    rewrite('posts/2023/Intro.md', { stripPrefix: 'posts' }) ===
+      '2023/Intro.md',
+    'Prefix not stripped'
+  );
+  assert(
+    rewrite('blog/Intro.md', { stripPrefix: ['posts/', 'blog/'] }) ===
+      'Intro.md',
+    'Second prefix not stripped'
+  );
+  assert(
+    rewrite('2023/04/Intro.md', { flatten: true }) === 'Intro.md',
+    'Not flattened'
+  );
+  assert(
+    rewrite('Getting Started/Title Case Names.MD', { slugify: true }) ===
+      'getting-started/title-case-names.md',
+    'Segments not slugified'
+  );
+  assert(
+    rewrite('guides/Setup (draft).md', {
+      replace: [{ pattern: '\\s*\\(draft\\)', replacement: '' }],
+    }) === 'guides/Setup.md',
+    'Regex replacement not applied'
+  );
+  console.log('✅ Strip, flatten, slugify and replace applied\n');
+
+  // Test 3: Templates
+  console.log('3️⃣ Testing templates...');
+  const template = { template: '{year}/{slug}{ext}' };
+  assert(
+    rewrite('archive/2023/Title Case Names.md', template) ===
+      '2023/title-case-names.md',
+    'Year directory not used'
+  );
+  assert(
+    rewrite('2024-05-01 Launch.md', template) === '2024/2024-05-01-launch.md',
+    'Year from the file name not used'
+  );
+  assert(
+    rewrite('About.md', template) === 'about.md',
+    'Missing year left an empty directory'
+  );
+  assert(
+    rewrite('posts/2023/A B.md', {
+      stripPrefix: 'posts/',
+      template: '{dir}/{name}{ext}',
+      slugify: true,
+    }) === '2023/a-b.md',
+    'Rules not applied in order'
+  );
+  console.log('✅ Placeholders rendered\n');
+
+  // Test 4: Invalid rules
+  console.log('4️⃣ Testing invalid rules...');
+  let templateError = null;
+  try {
+    normalizeRewriteRules({ template: '{month}/{slug}{ext}' });
+  } catch (error) {
+    templateError = error;
+  }
+  assert(/\{month\}/.test(templateError?.message), 'Unknown placeholder');
+  let patternError = null;
+  try {
+    normalizeRewriteRules({ replace: [{ pattern: '(' }] });
+  } catch (error) {
+    patternError = error;
+  }
+  assert(/Invalid rewrite pattern/.test(patternError?.message), 'Bad regex');
+  assert(normalizeRewriteRules(undefined) === null, 'Rules without config');
+  console.log('✅ Invalid rules rejected\n');
+
+  // Test 5: Collisions
+  console.log('5️⃣ Testing collisions...');
+  const collisions = findPathCollisions([
+    { source: '2023/Intro.md', target: 'intro.md' },
+    { source: '2024/intro.md', target: 'intro.md' },
+    { source: '2024/Other.md', target: 'other.md' },
+  ]);
+  assert(
+    collisions.length === 1 &&
+      collisions[0].target === 'intro.md' &&
+      collisions[0].sources.join() === '2023/Intro.md,2024/intro.md',
+    `Unexpected collisions ${JSON.stringify(collisions)}`
+  );
+  console.log('✅ Colliding sources reported\n');
+
+  console.log('🎉 Path rewrite helpers work!');
+} catch (error) {
+  console.error('❌ Path rewrite helpers test failed:', error.message);
+  process.exit(1);
+}
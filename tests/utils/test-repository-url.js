@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+
+/**
+ * Test repository URL parsing, validation and normalization
+ */
+
+import { homedir } from 'os';
+import path from 'path';
+import {
+  parseRepositoryUrl,
+  isValidRepositoryUrl,
+  normalizeRepositoryUrl,
+  toGitUrl,
+  isSameRepository,
+} from '../../src/utils/repository-url.js';
+import { GitService } from '../../src/services/git.js';
+import { ValidationService } from '../../src/services/validation.js';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+console.log('🧪 Testing repository URLs...\n');
+
+try {
+  // Test 1: Remote URL forms
+  console.log('1️⃣ Testing remote URL parsing...');
+  const scp = parseRepositoryUrl('git@gitlab.com:group/sub/team/repo.git');
+  assert(scp.protocol === 'ssh', 'scp-like URL not parsed as ssh');
+  assert(scp.owner === 'group/sub/team', 'Nested groups not kept as owner');
+  assert(scp.name === 'repo', '.git suffix not stripped from name');
+
+  const ssh = parseRepositoryUrl('ssh://git@git.example.com:2222/org/repo.git');
+  assert(ssh.port === '2222', 'ssh:// port not parsed');
+  assert(ssh.user === 'git', 'ssh:// user not parsed');
+  assert(ssh.path === 'org/repo', 'ssh:// path not parsed');
+
+  const https = parseRepositoryUrl('https://GitLab.com/a/b/c/repo');
+  assert(https.host === 'gitlab.com', 'Host not lowercased');
+  assert(https.path === 'a/b/c/repo', 'URL without .git not parsed');
+  assert(isValidRepositoryUrl('git+ssh://git@host.com/org/repo'), 'git+ssh');
+  assert(isValidRepositoryUrl('git://host.com/org/repo.git'), 'git://');
+  console.log('✅ scp-like, ssh:// with port, https and nested groups\n');
+
+  // Test 2: Local sources
+  console.log('2️⃣ Testing local paths and file:// URLs...');
+  const relative = parseRepositoryUrl('../content-repo');
+  assert(relative.local, 'Relative path not local');
+  assert(
+    relative.path === path.resolve('../content-repo'),
+    'Relative path not resolved against cwd'
+  );
+  assert(
+    parseRepositoryUrl('~/repos/content.git').path ===
+      path.join(homedir(), 'repos/content.git'),
+    'Home path not expanded'
+  );
+  assert(parseRepositoryUrl('/srv/git/content.git').name === 'content', 'Name');
+  assert(
+    parseRepositoryUrl('file:///srv/git/content.git').protocol === 'file',
+    'file:// not parsed'
+  );
+  assert(
+    toGitUrl('./content') === `file://${path.resolve('content')}`,
+    'Local path not converted for git'
+  );
+  assert(
+    toGitUrl('git@github.com:org/repo.git') === 'git@github.com:org/repo.git',
+    'Remote URL changed for git'
+  );
+  console.log('✅ Local repositories resolved\n');
+
+  // Test 3: Invalid input
+  console.log('3️⃣ Testing invalid URLs...');
+  for (const url of [
+    '',
+    null,
+    'not-a-url',
+    'invalid-url',
+    'git@invalid',
+    'https://example.com',
+    'https://example.com/repo-only',
+    'ftp://host.com/org/repo.git',
+    'ext::sh -c touch% /tmp/pwned',
+    'https://host.com/org/repo name',
+  ]) {
+    assert(!isValidRepositoryUrl(url), `Accepted invalid URL: ${url}`);
+  }
+  console.log('✅ Invalid URLs rejected\n');
+
+  // Test 4: Normalization for cache keys
+  console.log('4️⃣ Testing normalization...');
+  const key = normalizeRepositoryUrl('git@github.com:Org/Repo.git');
+  assert(key === 'github.com/Org/Repo', `Unexpected key: ${key}`);
+  for (const url of [
+    'https://github.com/Org/Repo',
+    'https://token@GITHUB.com/Org/Repo.git/',
+    'ssh://git@github.com:22/Org/Repo.git',
+  ]) {
+    assert(normalizeRepositoryUrl(url) === key, `Not normalized: ${url}`);
+  }
+  assert(
+    normalizeRepositoryUrl('ssh://git@github.com:2222/Org/Repo') !== key,
+    'Non-default port ignored'
+  );
+  assert(
+    isSameRepository('./content', `file://${path.resolve('content')}`),
+    'Local path and file:// URL differ'
+  );
+  console.log(`✅ Equivalent URLs share key ${key}\n`);
+
+  // Test 5: Both services use the shared parser
+  console.log('5️⃣ Testing service validation...');
+  const gitService = new GitService();
+  const validationService = new ValidationService();
+  for (const url of [
+    'ssh://git@host.com:2222/org/repo.git',
+    'https://gitlab.com/group/sub/repo',
+    './content-repo',
+  ]) {
+    assert(gitService.validateRepositoryUrl(url), `GitService: ${url}`);
+    assert(
+      validationService.validateRepositoryUrl(url).valid,
+      `ValidationService: ${url}`
+    );
+  }
+  console.log('✅ Services agree\n');
+
+  console.log('🎉 Repository URLs work!');
+} catch (error) {
+  console.error('❌ Repository URL test failed:', error.message);
+  process.exit(1);
+}
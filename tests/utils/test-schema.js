@@ -0,0 +1,177 @@
+#!/usr/bin/env node
+
+/**
+ * Test YAML parsing, content data line tracking and JSON Schema validation
+ */
+
+import { parseYaml, parseYamlDocument } from '../../src/utils/yaml.js';
+import {
+  getLine,
+  parseContentData,
+  parseFrontmatter,
+} from '../../src/utils/content-data.js';
+import { formatPointer, validateSchema } from '../../src/utils/schema.js';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function parseError(parse) {
+  try {
+    parse();
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+console.log('🧪 Testing content schema helpers...\n');
+
+try {
+  // Test 1: YAML values
+  console.log('1️⃣ Testing YAML parsing...');
+  const data = parseYaml(`title: "Hello: world" # comment
+date: 2024-01-05
+order: 3
+draft: false
+tags: [intro, "getting started"]
+author:
+  name: Jane
+items:
+- id: 1
+  title: One
+- id: 2
+summary: >-
+  Folded
+  text
+body: |
+  Line one
+  Line two
+`);
+  assert(
+    JSON.stringify(data) ===
+      JSON.stringify({
+        title: 'Hello: world',
+        date: '2024-01-05',
+        order: 3,
+        draft: false,
+        tags: ['intro', 'getting started'],
+        author: { name: 'Jane' },
+        items: [{ id: 1, title: 'One' }, { id: 2 }],
+        summary: 'Folded text',
+        body: 'Line one\nLine two\n',
+      }),
+    `Unexpected YAML data ${JSON.stringify(data)}`
+  );
+  const { lines } = parseYamlDocument('a: 1\nlist:\n  - x\n  - y\n');
+  assert(lines.get('/list/1') === 4, 'Sequence item line not recorded');
+  console.log('✅ Mappings, sequences, flow and block scalars parsed\n');
+
+  // Test 2: YAML errors carry lines
+  console.log('2️⃣ Testing YAML errors...');
+  assert(parseError(() => parseYaml('a: 1\na: 2\n'))?.line === 2, 'Duplicate');
+  assert(parseError(() => parseYaml('a: [1, 2\n'))?.line === 1, 'Flow');
+  assert(
+    /anchors/.test(parseError(() => parseYaml('a: &ref 1\n'))?.message),
+    'Anchors should be rejected'
+  );
+  assert(
+    parseError(() => parseFrontmatter('---\ntitle: a\n  bad: b\n---\n'))
+      ?.line === 3,
+    'Frontmatter error line not shifted past ---'
+  );
+  console.log('✅ Syntax errors report their line\n');
+
+  // Test 3: Lines of content data
+  console.log('3️⃣ Testing content data lines...');
+  const post = parseContentData(
+    '---\ntitle: Hello\nauthor:\n  name: Jane\n---\n# Hello\n',
+    'post.mdx'
+  );
+  assert(
+    post.kind === 'frontmatter' && post.lines.get('/author/name') === 4,
+    'Frontmatter lines not relative to the file'
+  );
+  const json = parseContentData(
+    '{\n  "id": 1,\n  "tags": [\n    "a"\n  ]\n}\n',
+    'data.json'
+  );
+  assert(json.lines.get('/tags/0') === 4, 'JSON value line not recorded');
+  assert(getLine(json.lines, '/missing') === 1, 'Missing field not on root');
+  assert(
+    getLine(post.lines, '/author/url') === 3,
+    'Missing field not on parent'
+  );
+  assert(
+    parseError(() => parseContentData('{\n  "a": 1,\n}', 'data.json'))?.line ===
+      3,
+    'JSON syntax error line'
+  );
+  assert(parseContentData('text', 'notes.txt') === null, 'Other files');
+  console.log('✅ Values and errors mapped to lines\n');
+
+  // Test 4: Schema keywords
+  console.log('4️⃣ Testing schema validation...');
+  const schema = {
+    type: 'object',
+    required: ['title', 'date'],
+    additionalProperties: false,
+    properties: {
+      title: { type: 'string', minLength: 3 },
+      date: { type: 'string', format: 'date' },
+      status: { enum: ['draft', 'published'] },
+      slug: { type: 'string', pattern: '^[a-z-]+$' },
+      order: { type: 'integer', minimum: 0 },
+      tags: { type: 'array', items: { type: 'string' }, maxItems: 3 },
+    },
+  };
+  const errors = validateSchema(
+    {
+      title: 'Hi',
+      date: '2024-02-30',
+      status: 'archived',
+      slug: 'Not A Slug',
+      order: -1,
+      tags: ['a', 2],
+      extra: true,
+    },
+    schema
+  ).map(error => `${formatPointer(error.pointer)} ${error.message}`);
+  assert(
+    errors.join('; ') ===
+      [
+        'title must be at least 3 characters',
+        'date must be a valid date',
+        'status must be one of: "draft", "published"',
+        'slug must match pattern ^[a-z-]+$',
+        'order must be >= 0',
+        'tags[1] must be string (got integer)',
+        'extra is not allowed',
+      ].join('; '),
+    `Unexpected errors: ${errors.join('; ')}`
+  );
+  const missing = validateSchema({ date: '2024-02-29' }, schema);
+  assert(
+    missing.length === 1 &&
+      missing[0].pointer === '/title' &&
+      missing[0].message === 'is required',
+    'Required field not reported'
+  );
+  assert(
+    validateSchema(
+      { published: '2024-05-01T10:30:00Z' },
+      { properties: { published: { format: 'date-time' } } }
+    ).length === 0,
+    'Valid date-time rejected'
+  );
+  console.log(
+    '✅ Types, enums, formats, patterns and required fields checked\n'
+  );
+
+  console.log('🎉 Content schema helpers work!');
+} catch (error) {
+  console.error('❌ Content schema helpers test failed:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * Test search documents: URLs, titles, headings and text
+ */
+
+import {
+  createSearchDocument,
+  getDocumentUrl,
+} from '../../src/utils/search-index.js';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+console.log('🧪 Testing search index helpers...\n');
+
+try {
+  // Test 1: Document URLs
+  console.log('1️⃣ Testing document URLs...');
+  const urls = [
+    getDocumentUrl('guide/setup.md', { collection: 'docs' }),
+    getDocumentUrl('guide/index.mdx', { collection: 'docs' }),
+    getDocumentUrl('index.md', { collection: 'docs', baseUrl: '/site' }),
+    getDocumentUrl('2024/post.md', { collection: 'blog', slug: '/hello/' }),
+    getDocumentUrl('my page.md', { collection: 'docs' }),
+  ];
+  assert(
+    urls.join() ===
+      '/docs/guide/setup,/docs/guide,/site/docs,/blog/hello,/docs/my%20page',
+    `Unexpected URLs ${urls.join()}`
+  );
+  console.log('✅ Index pages, base URLs and slugs handled\n');
+
+  // Test 2: Documents
+  console.log('2️⃣ Testing documents...');
+  const document = createSearchDocument(
+    '# Setup Guide\n\nRun the `installer`:\n\n```sh\nnpm i\n```\n\n## Next steps\n\n### FAQ\n',
+    { path: 'guide/setup.md', collection: 'docs', maxTextLength: 20 }
+  );
+  assert(
+    JSON.stringify(document) ===
+      JSON.stringify({
+        collection: 'docs',
+        url: '/docs/guide/setup',
+        title: 'Setup Guide',
+        headings: [
+          { text: 'Next steps', anchor: 'next-steps' },
+          { text: 'FAQ', anchor: 'faq' },
+        ],
+        text: 'Setup Guide Run the ',
+      }),
+    `Unexpected document ${JSON.stringify(document)}`
+  );
+  assert(
+    createSearchDocument('---\ndraft: true\n---\nText\n', {
+      path: 'a.md',
+      collection: 'docs',
+    }) === null,
+    'Drafts should not be indexed'
+  );
+  const minimal = createSearchDocument('---\ntitle: [broken\n---\nText\n', {
+    path: 'notes/release_notes.md',
+    collection: 'docs',
+    headings: false,
+    content: false,
+  });
+  assert(
+    JSON.stringify(minimal) ===
+      JSON.stringify({
+        collection: 'docs',
+        url: '/docs/notes/release_notes',
+        title: 'release notes',
+      }),
+    `Unexpected minimal document ${JSON.stringify(minimal)}`
+  );
+  console.log('✅ Titles, headings and text extracted, drafts skipped\n');
+
+  console.log('🎉 Search index helpers work!');
+} catch (error) {
+  console.error('❌ Search index helpers test failed:', error.message);
+  process.exit(1);
+}
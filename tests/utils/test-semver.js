@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+/**
+ * Test semver utilities used to resolve REF ranges against tags
+ */
+
+import {
+  parseVersion,
+  compareVersions,
+  isValidRange,
+  satisfies,
+  maxSatisfying,
+} from '../../src/utils/semver.js';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+console.log('🧪 Testing semver utilities...\n');
+
+try {
+  // Test 1: Parsing and comparison
+  console.log('1️⃣ Testing version parsing and comparison...');
+  assert(parseVersion('v1.2.3')?.minor === 2, 'v-prefixed version not parsed');
+  assert(parseVersion('release-1') === null, 'Non-version parsed');
+  assert(compareVersions('1.10.0', '1.9.0') > 0, 'Numeric compare failed');
+  assert(
+    compareVersions('2.0.0-beta.2', '2.0.0-beta.10') < 0,
+    'Prerelease compare failed'
+  );
+  assert(compareVersions('2.0.0-rc.1', '2.0.0') < 0, 'Release precedence');
+  console.log('✅ Versions parsed and compared\n');
+
+  // Test 2: Range matching
+  console.log('2️⃣ Testing range matching...');
+  const cases = [
+    ['2.1.5', '^2.1', true],
+    ['3.0.0', '^2.1', false],
+    ['0.2.9', '^0.2.3', true],
+    ['0.3.0', '^0.2.3', false],
+    ['1.2.9', '~1.2', true],
+    ['1.3.0', '~1.2.0', false],
+    ['1.4.0', '1.x', true],
+    ['2.0.0', '>=1.0.0 <2', false],
+    ['1.5.0', '1.0.0 - 1.5.0', true],
+    ['4.0.0', '^2 || ^4', true],
+    ['2.0.0-beta.1', '^2.0.0', false],
+    ['2.0.0-beta.2', '>=2.0.0-beta.1', true],
+    ['1.0.0', '*', true],
+  ];
+  for (const [version, range, expected] of cases) {
+    assert(
+      satisfies(version, range) === expected,
+      `satisfies(${version}, ${range}) should be ${expected}`
+    );
+  }
+  assert(isValidRange('^2.1'), 'Caret range not valid');
+  assert(!isValidRange('main'), 'Branch name treated as range');
+  assert(!isValidRange('feature/x'), 'Branch path treated as range');
+  console.log(`✅ ${cases.length} range cases matched\n`);
+
+  // Test 3: Highest satisfying tag
+  console.log('3️⃣ Testing maxSatisfying...');
+  const tags = ['v1.0.0', 'v2.0.0', 'v2.2.0', 'v2.1.3', 'v3.0.0-rc.1', 'docs'];
+  assert(maxSatisfying(tags, '^2.1') === 'v2.2.0', 'Wrong tag for ^2.1');
+  assert(maxSatisfying(tags, '^3') === null, 'Prerelease matched ^3');
+  assert(maxSatisfying(tags, '~2.1') === 'v2.1.3', 'Wrong tag for ~2.1');
+  console.log('✅ Highest matching tag selected\n');
+
+  console.log('🎉 Semver utilities work!');
+} catch (error) {
+  console.error('❌ Semver test failed:', error.message);
+  process.exit(1);
+}
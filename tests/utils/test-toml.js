@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+/**
+ * Test TOML parsing, TOML content data and YAML/TOML to JSON conversion
+ */
+
+import { parseToml, parseTomlDocument } from '../../src/utils/toml.js';
+import {
+  convertToJson,
+  normalizeConvertTarget,
+  parseContentData,
+} from '../../src/utils/content-data.js';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+function parseError(parse) {
+  try {
+    parse();
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+console.log('🧪 Testing TOML and data conversion helpers...\n');
+
+try {
+  // Test 1: TOML values
+  console.log('1️⃣ Testing TOML parsing...');
+  const data = parseToml(`# Site settings
+title = "Hello \\"world\\"" # comment
+count = 1_000
+mode = 0o755
+ratio = 2.5
+draft = false
+published = 2024-01-05T10:30:00Z
+tags = [
+  "intro",
+  'getting started',
+]
+point = { x = 1, y = 2 }
+site.name = "Docs"
+body = """
+Line one
+Line two"""
+
+[author]
+name = "Jane"
+
+[[links]]
+url = "https://example.com"
+
+[[links]]
+url = "https://example.org"
+`);
+  assert(
+    JSON.stringify(data) ===
+      JSON.stringify({
+        title: 'Hello "world"',
+        count: 1000,
+        mode: 493,
+        ratio: 2.5,
+        draft: false,
+        published: '2024-01-05T10:30:00Z',
+        tags: ['intro', 'getting started'],
+        point: { x: 1, y: 2 },
+        site: { name: 'Docs' },
+        body: 'Line one\nLine two',
+        author: { name: 'Jane' },
+        links: [{ url: 'https://example.com' }, { url: 'https://example.org' }],
+      }),
+    `Unexpected TOML data ${JSON.stringify(data)}`
+  );
+  const { lines } = parseTomlDocument(
+    'title = "a"\n\n[[links]]\nurl = "x"\n[[links]]\nurl = "y"\n'
+  );
+  assert(lines.get('/links/1/url') === 6, 'Array table value line');
+  console.log('✅ Tables, arrays, inline tables and strings parsed\n');
+
+  // Test 2: TOML errors carry lines
+  console.log('2️⃣ Testing TOML errors...');
+  assert(
+    parseError(() => parseToml('a = 1\na = 2\n'))?.line === 2,
+    'Duplicate'
+  );
+  assert(
+    parseError(() => parseToml('[a]\nb = 1\n[a]\n'))?.line === 3,
+    'Redefined table'
+  );
+  assert(parseError(() => parseToml('a = "open\n'))?.line === 1, 'String');
+  assert(
+    /Invalid value "yes"/.test(parseError(() => parseToml('a = yes'))?.message),
+    'Bare words should be rejected'
+  );
+  console.log('✅ Syntax errors report their line\n');
+
+  // Test 3: TOML content data
+  console.log('3️⃣ Testing TOML content data...');
+  const config = parseContentData('id = "site"\n[nav]\nitems = 3\n', 'x.toml');
+  assert(
+    config.format === 'toml' && config.lines.get('/nav/items') === 3,
+    'TOML data file lines'
+  );
+  const post = parseContentData(
+    '+++\ntitle = "Hello"\n[author]\nname = "Jane"\n+++\n# Hello\n',
+    'post.md'
+  );
+  assert(
+    post.format === 'toml' &&
+      post.data.author.name === 'Jane' &&
+      post.lines.get('/author/name') === 4,
+    'TOML frontmatter not parsed relative to the file'
+  );
+  console.log('✅ TOML data files and +++ frontmatter parsed\n');
+
+  // Test 4: Conversion to JSON
+  console.log('4️⃣ Testing JSON conversion...');
+  assert(
+    convertToJson('title: Site\ntags: [a, b]\n', 'site.yaml') ===
+      '{\n  "title": "Site",\n  "tags": [\n    "a",\n    "b"\n  ]\n}\n',
+    'YAML not converted'
+  );
+  assert(
+    convertToJson('[nav]\nitems = 3\n', 'site.toml') ===
+      '{\n  "nav": {\n    "items": 3\n  }\n}\n',
+    'TOML not converted'
+  );
+  assert(convertToJson('{}', 'site.json') === null, 'JSON is not converted');
+  assert(normalizeConvertTarget(undefined) === null, 'No conversion');
+  assert(normalizeConvertTarget('json') === 'json', 'JSON conversion');
+  assert(
+    /Unsupported convert target "csv"/.test(
+      parseError(() => normalizeConvertTarget('csv'))?.message
+    ),
+    'Unknown targets should be rejected'
+  );
+  console.log('✅ YAML and TOML converted to formatted JSON\n');
+
+  console.log('🎉 TOML and data conversion helpers work!');
+} catch (error) {
+  console.error('❌ TOML and data conversion test failed:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+
+/**
+ * Test built-in content transformers and transform config normalization
+ */
+
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  getTransformSourcePaths,
+  normalizeTransformSteps,
+  BUILTIN_TRANSFORMERS,
+} from '../../src/utils/transformers.js';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+const { frontmatter, codeBlocks, images } = BUILTIN_TRANSFORMERS;
+
+console.log('🧪 Testing content transformers...\n');
+
+try {
+  // Test 1: Config normalization
+  console.log('1️⃣ Testing transform config...');
+  const steps = normalizeTransformSteps({
+    frontmatter: { defaults: { draft: false } },
+    images: false,
+    codeBlocks: true,
+  });
+  assert(
+    JSON.stringify(steps) ===
+      JSON.stringify([
+        { name: 'frontmatter', options: { defaults: { draft: false } } },
+        { name: 'codeBlocks', options: {} },
+      ]),
+    `Unexpected object steps ${JSON.stringify(steps)}`
+  );
+  const listed = normalizeTransformSteps([
+    'codeBlocks',
+    { name: 'frontmatter', options: { title: false } },
+  ]);
+  assert(
+    listed.map(step => step.name).join() === 'codeBlocks,frontmatter' &&
+      listed[1].options.title === false,
+    'Array steps not kept in order'
+  );
+  assert(normalizeTransformSteps(undefined).length === 0, 'No transform');
+  console.log('✅ Steps ordered, disabled steps dropped\n');
+
+  // Test 2: Frontmatter
+  console.log('2️⃣ Testing frontmatter...');
+  const added = frontmatter.transform(
+    { path: 'guides/getting-started.md', content: '# Getting "Started"\n' },
+    { defaults: { draft: false } }
+  );
+  assert(
+    added ===
+      '---\ntitle: "Getting \\"Started\\""\ndraft: false\n---\n\n# Getting "Started"\n',
+    `Frontmatter not added: ${JSON.stringify(added)}`
+  );
+  const kept = frontmatter.transform(
+    {
+      path: 'release_notes.md',
+      content: '---\r\ndraft: true\r\n---\r\nBody\r\n',
+    },
+    { defaults: { draft: false, layout: 'doc' } }
+  );
+  assert(
+    kept ===
+      '---\ntitle: "Release Notes"\ndraft: true\nlayout: "doc"\n---\nBody\n',
+    `Existing fields not kept: ${JSON.stringify(kept)}`
+  );
+  assert(
+    frontmatter.transform(
+      { path: 'a.md', content: '---\ntitle: A\n---\nBody\n' },
+      {}
+    ) === '---\ntitle: A\n---\nBody\n',
+    'Complete frontmatter changed'
+  );
+  console.log('✅ Titles and defaults added, existing fields kept\n');
+
+  // Test 3: Code blocks
+  console.log('3️⃣ Testing code blocks...');
+  const fenced = codeBlocks.transform(
+    {
+      path: 'a.md',
+      content: '```\nplain\n```\n\n```js\ncode\n```\n\n~~~~\nopen\n',
+    },
+    { defaultLanguage: 'sh' }
+  );
+  assert(
+    fenced === '```sh\nplain\n```\n\n```js\ncode\n```\n\n~~~~sh\nopen\n~~~~\n',
+    `Fences not fixed: ${JSON.stringify(fenced)}`
+  );
+  assert(
+    codeBlocks.extensions.includes('.mdx') &&
+      !codeBlocks.extensions.includes('.json'),
+    'Code blocks should only apply to markdown'
+  );
+  console.log('✅ Bare fences labelled, open fences closed\n');
+
+  // Test 4: Image references
+  console.log('4️⃣ Testing images...');
+  const root = mkdtempSync(path.join(os.tmpdir(), 'images-transform-'));
+  try {
+    mkdirSync(path.join(root, 'media/posts'), { recursive: true });
+    mkdirSync(path.join(root, 'posts'), { recursive: true });
+    writeFileSync(path.join(root, 'media/posts/a.png'), 'a');
+    writeFileSync(path.join(root, 'posts/b c.svg'), 'b');
+
+    const published = images.transform(
+      {
+        path: 'post.md',
+        content:
+          '---\ngallery:\n  - ../media/posts/a.png\n---\n![A](../media/posts/a.png) ![A again](../media/posts/a.png#top)\n\n<img src="b c.svg"> ![Gone](gone.png) [Doc](../media/posts/a.md)\n',
+      },
+      { base: 'media' },
+      {
+        source: path.join(root, 'posts/post.md'),
+        root,
+        directories: { public: 'static' },
+      }
+    );
+    assert(
+      published.content ===
+        '---\ngallery:\n  - /images/posts/a.png\n---\n![A](/images/posts/a.png) ![A again](/images/posts/a.png#top)\n\n<img src="/images/posts/b%20c.svg"> ![Gone](gone.png) [Doc](../media/posts/a.md)\n',
+      `Unexpected content ${JSON.stringify(published.content)}`
+    );
+    assert(
+      JSON.stringify(published.assets.map(asset => asset.target).sort()) ===
+        JSON.stringify([
+          'static/images/posts/a.png',
+          'static/images/posts/b c.svg',
+        ]),
+      `Unexpected assets ${JSON.stringify(published.assets)}`
+    );
+    assert(
+      images.transform(
+        { path: 'plain.md', content: '# No images\n' },
+        {},
+        { source: path.join(root, 'posts/plain.md'), root }
+      ) === undefined,
+      'Files without images should be left unchanged'
+    );
+    assert(
+      images.cache === false &&
+        getTransformSourcePaths({ images: { base: './media/' } }).join() ===
+          'media' &&
+        getTransformSourcePaths({ frontmatter: true }).length === 0,
+      'Images base should be checked out and never cached'
+    );
+  } finally {
+    rmSync(root, { recursive: true, force: true });
+  }
+  console.log(
+    '✅ Images published under the public dir, references rewritten\n'
+  );
+
+  console.log('🎉 Content transformers work!');
+} catch (error) {
+  console.error('❌ Content transformers test failed:', error.message);
+  process.exit(1);
+}
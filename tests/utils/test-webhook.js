@@ -0,0 +1,217 @@
+#!/usr/bin/env node
+
+/**
+ * Test webhook provider detection, signatures and push filtering
+ */
+
+import {
+  signPayload,
+  detectWebhookProvider,
+  verifyWebhookSignature,
+  parsePushEvent,
+  matchPushEvent,
+} from '../../src/utils/webhook.js';
+
+const SECRET = 'webhook-test-secret';
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+const repository = {
+  name: 'docs',
+  REPO_URL: 'git@github.com:org/docs.git',
+  BRANCH: 'main',
+  REF: null,
+  CONTENT_MAPPING: {
+    'src/content/docs': { type: 'folder', source: 'content/docs' },
+    'src/data': { type: 'file', source: './data/site.json' },
+  },
+};
+
+function pushPayload(overrides = {}) {
+  return {
+    ref: 'refs/heads/main',
+    after: 'a'.repeat(40),
+    repository: {
+      clone_url: 'https://github.com/org/docs.git',
+      ssh_url: 'git@github.com:org/docs.git',
+    },
+    commits: [{ added: [], modified: ['content/docs/intro.md'], removed: [] }],
+    ...overrides,
+  };
+}
+
+console.log('🧪 Testing webhook handling...\n');
+
+try {
+  // Test 1: Provider detection
+  console.log('1️⃣ Testing provider detection...');
+  assert(
+    detectWebhookProvider({ 'x-github-event': 'push' }).provider === 'github',
+    'GitHub not detected'
+  );
+  assert(
+    detectWebhookProvider({ 'x-gitlab-event': 'Push Hook' }).push,
+    'GitLab push not detected'
+  );
+  const gitea = detectWebhookProvider({
+    'x-gitea-event': 'push',
+    'x-github-event': 'push',
+  });
+  assert(gitea.provider === 'gitea', 'Gitea mistaken for GitHub');
+  assert(
+    !detectWebhookProvider({ 'x-github-event': 'ping' }).push,
+    'ping treated as push'
+  );
+  assert(detectWebhookProvider({}) === null, 'Unknown provider detected');
+  console.log('✅ GitHub, GitLab and Gitea detected\n');
+
+  // Test 2: Signatures
+  console.log('2️⃣ Testing signature verification...');
+  const body = Buffer.from(JSON.stringify(pushPayload()));
+  const digest = signPayload(SECRET, body);
+  assert(
+    verifyWebhookSignature(
+      'github',
+      { 'x-hub-signature-256': `sha256=${digest}` },
+      body,
+      SECRET
+    ),
+    'Valid GitHub signature rejected'
+  );
+  assert(
+    !verifyWebhookSignature(
+      'github',
+      { 'x-hub-signature-256': `sha256=${digest}` },
+      Buffer.from(`${body} `),
+      SECRET
+    ),
+    'Tampered GitHub body accepted'
+  );
+  assert(
+    verifyWebhookSignature(
+      'gitea',
+      { 'x-gitea-signature': digest },
+      body,
+      SECRET
+    ),
+    'Valid Gitea signature rejected'
+  );
+  assert(
+    verifyWebhookSignature(
+      'gitlab',
+      { 'x-gitlab-token': SECRET },
+      body,
+      SECRET
+    ),
+    'Valid GitLab token rejected'
+  );
+  assert(
+    !verifyWebhookSignature(
+      'gitlab',
+      { 'x-gitlab-token': 'nope' },
+      body,
+      SECRET
+    ),
+    'Wrong GitLab token accepted'
+  );
+  assert(
+    !verifyWebhookSignature('github', {}, body, SECRET),
+    'Missing signature accepted'
+  );
+  console.log('✅ Signatures verified\n');
+
+  // Test 3: Payload parsing
+  console.log('3️⃣ Testing push payload parsing...');
+  const event = parsePushEvent(pushPayload());
+  assert(event.branch === 'main', 'Branch not parsed');
+  assert(event.urls.length === 2, 'Repository URLs not collected');
+  assert(event.files[0] === 'content/docs/intro.md', 'Files not collected');
+  const gitlab = parsePushEvent({
+    ref: 'refs/tags/v2.0.0',
+    checkout_sha: 'b'.repeat(40),
+    project: { git_ssh_url: 'git@gitlab.com:group/sub/docs.git' },
+    commits: [],
+    total_commits_count: 0,
+  });
+  assert(gitlab.tag === 'v2.0.0' && gitlab.branch === null, 'Tag not parsed');
+  assert(gitlab.files === null, 'Tag push without files should be unknown');
+  const truncated = parsePushEvent(pushPayload({ total_commits_count: 25 }));
+  assert(truncated.files === null, 'Truncated commit list treated as complete');
+  console.log('✅ GitHub and GitLab payloads parsed\n');
+
+  // Test 4: Branch and path filtering
+  console.log('4️⃣ Testing branch and path filters...');
+  const [match] = matchPushEvent([repository], event);
+  assert(match.update, 'Mapped change on tracked branch ignored');
+
+  const other = matchPushEvent(
+    [repository],
+    parsePushEvent(pushPayload({ ref: 'refs/heads/feature' }))
+  );
+  assert(!other[0].update, 'Push to another branch accepted');
+
+  const unmapped = matchPushEvent(
+    [repository],
+    parsePushEvent(
+      pushPayload({
+        commits: [{ added: ['README.md'], modified: [], removed: [] }],
+      })
+    )
+  );
+  assert(!unmapped[0].update, 'Unmapped change accepted');
+  assert(unmapped[0].reason === 'no mapped paths changed', 'Skip reason');
+
+  const fileSource = matchPushEvent(
+    [repository],
+    parsePushEvent(
+      pushPayload({
+        commits: [{ added: [], modified: [], removed: ['data/site.json'] }],
+      })
+    )
+  );
+  assert(fileSource[0].update, 'Removed mapped file ignored');
+
+  const deleted = matchPushEvent(
+    [repository],
+    parsePushEvent(pushPayload({ after: '0'.repeat(40) }))
+  );
+  assert(!deleted[0].update, 'Branch deletion accepted');
+
+  const foreign = matchPushEvent(
+    [repository],
+    parsePushEvent(
+      pushPayload({
+        repository: { clone_url: 'https://github.com/org/other.git' },
+      })
+    )
+  );
+  assert(foreign.length === 0, 'Other repository matched');
+
+  const ranged = { ...repository, REF: '^2.0' };
+  assert(
+    matchPushEvent([ranged], { ...gitlab, urls: event.urls })[0].update,
+    'Tag push ignored for semver REF'
+  );
+  assert(
+    !matchPushEvent([ranged], event)[0].update,
+    'Branch push accepted for semver REF'
+  );
+  const destinationOnly = {
+    ...repository,
+    CONTENT_MAPPING: { 'content/docs': { type: 'folder' } },
+  };
+  assert(
+    matchPushEvent([destinationOnly], event)[0].update,
+    'Mapping without source not matched by its destination'
+  );
+  console.log('✅ Only relevant pushes trigger updates\n');
+
+  console.log('🎉 Webhook handling works!');
+} catch (error) {
+  console.error('❌ Webhook test failed:', error.message);
+  process.exit(1);
+}